@@ -27,6 +27,22 @@ import saleRoutes from '../src/routes/saleRoutes.js';
 import supplierRoutes from '../src/routes/supplierRoutes.js';
 import productRoutes from '../src/routes/productRoutes.js';
 import quantityRoutes from '../src/routes/quantityRoutes.js';
+import returnRoutes from '../src/routes/returnRoutes.js';
+import heldSaleRoutes from '../src/routes/heldSaleRoutes.js';
+import giftCardRoutes from '../src/routes/giftCardRoutes.js';
+import promotionRoutes from '../src/routes/promotionRoutes.js';
+import couponRoutes from '../src/routes/couponRoutes.js';
+import taxRoutes from '../src/routes/taxRoutes.js';
+import loyaltyRoutes from '../src/routes/loyaltyRoutes.js';
+import accountRoutes from '../src/routes/accountRoutes.js';
+import quoteRoutes from '../src/routes/quoteRoutes.js';
+import layawayRoutes from '../src/routes/layawayRoutes.js';
+import shiftRoutes from '../src/routes/shiftRoutes.js';
+import reportRoutes from '../src/routes/reportRoutes.js';
+import lotRoutes from '../src/routes/lotRoutes.js';
+import expiryRoutes from '../src/routes/expiryRoutes.js';
+import locationRoutes from '../src/routes/locationRoutes.js';
+import transferRoutes from '../src/routes/transferRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -84,7 +100,23 @@ app.get('/', (req, res) => {
       sales: '/api/sales',
       suppliers: '/api/suppliers',
       products: '/api/products',
-      quantities: '/api/quantities'
+      quantities: '/api/quantities',
+      returns: '/api/returns',
+      heldSales: '/api/held-sales',
+      giftCards: '/api/gift-cards',
+      promotions: '/api/promotions',
+      coupons: '/api/coupons',
+      tax: '/api/tax',
+      loyalty: '/api/loyalty',
+      accounts: '/api/accounts',
+      quotes: '/api/quotes',
+      layaways: '/api/layaways',
+      shifts: '/api/shifts',
+      reports: '/api/reports',
+      lots: '/api/lots',
+      expiry: '/api/expiry',
+      locations: '/api/locations',
+      transfers: '/api/transfers'
     }
   });
 });
@@ -108,6 +140,22 @@ app.use('/api/sales', saleRoutes);
 app.use('/api/suppliers', supplierRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/quantities', quantityRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/held-sales', heldSaleRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/layaways', layawayRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/lots', lotRoutes);
+app.use('/api/expiry', expiryRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/transfers', transferRoutes);
 
 // Debug endpoint for database structure
 app.get('/api/debug', asyncHandler(async (req, res) => {
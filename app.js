@@ -29,6 +29,22 @@ import saleRoutes from './src/routes/saleRoutes.js';
 import supplierRoutes from './src/routes/supplierRoutes.js';
 import productRoutes from './src/routes/productRoutes.js';
 import quantityRoutes from './src/routes/quantityRoutes.js';
+import returnRoutes from './src/routes/returnRoutes.js';
+import heldSaleRoutes from './src/routes/heldSaleRoutes.js';
+import giftCardRoutes from './src/routes/giftCardRoutes.js';
+import promotionRoutes from './src/routes/promotionRoutes.js';
+import couponRoutes from './src/routes/couponRoutes.js';
+import taxRoutes from './src/routes/taxRoutes.js';
+import loyaltyRoutes from './src/routes/loyaltyRoutes.js';
+import accountRoutes from './src/routes/accountRoutes.js';
+import quoteRoutes from './src/routes/quoteRoutes.js';
+import layawayRoutes from './src/routes/layawayRoutes.js';
+import shiftRoutes from './src/routes/shiftRoutes.js';
+import reportRoutes from './src/routes/reportRoutes.js';
+import lotRoutes from './src/routes/lotRoutes.js';
+import expiryRoutes from './src/routes/expiryRoutes.js';
+import locationRoutes from './src/routes/locationRoutes.js';
+import transferRoutes from './src/routes/transferRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -62,6 +78,22 @@ app.use('/api/sales', saleRoutes);
 app.use('/api/suppliers', supplierRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/quantities', quantityRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/held-sales', heldSaleRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/layaways', layawayRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/lots', lotRoutes);
+app.use('/api/expiry', expiryRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/transfers', transferRoutes);
 
 // Debug endpoint for database structure
 app.get('/api/debug', asyncHandler(async (req, res) => {
@@ -113,6 +145,22 @@ const startServer = async () => {
       console.log(`🏢 Suppliers API: http://localhost:${PORT}/api/suppliers`);
       console.log(`📦 Products API: http://localhost:${PORT}/api/products`);
       console.log(`📊 Quantities API: http://localhost:${PORT}/api/quantities`);
+      console.log(`↩️  Returns API: http://localhost:${PORT}/api/returns`);
+      console.log(`⏸️  Held Sales API: http://localhost:${PORT}/api/held-sales`);
+      console.log(`🎁 Gift Cards API: http://localhost:${PORT}/api/gift-cards`);
+      console.log(`🏷️  Promotions API: http://localhost:${PORT}/api/promotions`);
+      console.log(`🎟️  Coupons API: http://localhost:${PORT}/api/coupons`);
+      console.log(`🧾 Tax API: http://localhost:${PORT}/api/tax`);
+      console.log(`⭐ Loyalty API: http://localhost:${PORT}/api/loyalty`);
+      console.log(`📒 Accounts API: http://localhost:${PORT}/api/accounts`);
+      console.log(`📝 Quotes API: http://localhost:${PORT}/api/quotes`);
+      console.log(`🛋️  Layaways API: http://localhost:${PORT}/api/layaways`);
+      console.log(`💵 Shifts API: http://localhost:${PORT}/api/shifts`);
+      console.log(`📊 Reports API: http://localhost:${PORT}/api/reports`);
+      console.log(`🔖 Lots API: http://localhost:${PORT}/api/lots`);
+      console.log(`⏳ Expiry API: http://localhost:${PORT}/api/expiry`);
+      console.log(`🏬 Locations API: http://localhost:${PORT}/api/locations`);
+      console.log(`🚚 Transfers API: http://localhost:${PORT}/api/transfers`);
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
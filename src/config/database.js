@@ -3,6 +3,7 @@
  */
 import { MongoClient } from 'mongodb';
 import dotenv from 'dotenv';
+import settings from './settings.js';
 
 dotenv.config();
 
@@ -62,7 +63,29 @@ class DatabaseManager {
         'sales', 
         'suppliers',
         'products',
-        'quantities'
+        'quantities',
+        'returns',
+        'heldSales',
+        'counters',
+        'idempotencyKeys',
+        'giftCards',
+        'promotions',
+        'coupons',
+        'couponRedemptions',
+        'taxClasses',
+        'loyaltyRules',
+        'loyaltyLedger',
+        'receivables',
+        'accountPayments',
+        'quotes',
+        'layaways',
+        'shifts',
+        'zReports',
+        'stockMovements',
+        'lots',
+        'writeOffs',
+        'locations',
+        'transfers'
       ];
 
       for (const collectionName of collections) {
@@ -75,14 +98,18 @@ class DatabaseManager {
             await collection.createIndex({ saleId: 1 });
             await collection.createIndex({ contact: 1 });
             await collection.createIndex({ timestamp: -1 });
+            await collection.createIndex({ loyaltyTier: 1 });
             break;
             
           case 'sales':
             await collection.createIndex({ mysqlId: 1 });
-            await collection.createIndex({ saleId: 1 });
+            await this.ensureUniqueIndex(collection, { saleId: 1 });
             await collection.createIndex({ customerId: 1 });
             await collection.createIndex({ saleDate: -1 });
             await collection.createIndex({ timestamp: -1 });
+            await collection.createIndex({ shiftId: 1, status: 1 });
+            await collection.createIndex({ registerId: 1, saleDate: 1 });
+            await collection.createIndex({ 'saleItems.lots.lotId': 1 });
             break;
             
           case 'suppliers':
@@ -98,11 +125,181 @@ class DatabaseManager {
             await collection.createIndex({ barcode: 1 });
             await collection.createIndex({ category: 1 });
             await collection.createIndex({ supplierId: 1 });
+            await collection.createIndex({ taxClass: 1 });
             break;
             
           case 'quantities':
+            // One row per product and location
+            await this.migrateQuantities(collection);
             await collection.createIndex({ productMysqlId: 1 });
             await collection.createIndex({ productId: 1 });
+            await this.ensureUniqueIndex(collection, { productMysqlId: 1, locationCode: 1 });
+            await collection.createIndex({ locationCode: 1 });
+            break;
+
+          case 'returns':
+            await collection.createIndex({ saleRef: 1 });
+            await collection.createIndex({ saleId: 1 });
+            await collection.createIndex({ customerId: 1 });
+            await collection.createIndex({ timestamp: -1 });
+            await collection.createIndex({ registerId: 1, returnDate: 1 });
+            await collection.createIndex({ 'returnItems.lots.lotId': 1 });
+            break;
+
+          case 'heldSales':
+            await collection.createIndex({ registerId: 1, status: 1 });
+            await collection.createIndex({ status: 1, expiresAt: 1 });
+            await collection.createIndex({ timestamp: -1 });
+            break;
+
+          case 'idempotencyKeys':
+            await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+            break;
+
+          case 'giftCards':
+            await collection.createIndex({ code: 1 }, { unique: true });
+            await collection.createIndex({ status: 1 });
+            await collection.createIndex({ customerId: 1 });
+            await collection.createIndex({ timestamp: -1 });
+            break;
+
+          case 'promotions':
+            await collection.createIndex({ status: 1, startDate: 1, endDate: 1 });
+            await collection.createIndex({ priority: -1, timestamp: 1 });
+            break;
+
+          case 'coupons':
+            await collection.createIndex({ code: 1 }, { unique: true });
+            await collection.createIndex({ status: 1 });
+            await collection.createIndex({ timestamp: -1 });
+            break;
+
+          case 'couponRedemptions':
+            await collection.createIndex({ couponId: 1, customerId: 1, status: 1 });
+            await collection.createIndex({ code: 1, redeemedAt: -1 });
+            await collection.createIndex({ saleId: 1 });
+            break;
+
+          case 'loyaltyRules':
+            await collection.createIndex({ status: 1, type: 1, target: 1 });
+            break;
+
+          case 'loyaltyLedger':
+            await collection.createIndex({ customerId: 1, timestamp: -1 });
+            await collection.createIndex({ saleId: 1 });
+            await collection.createIndex({ type: 1, date: -1 });
+            break;
+
+          case 'receivables':
+            await collection.createIndex({ customerId: 1, status: 1, invoiceDate: 1 });
+            await collection.createIndex({ saleId: 1 });
+            await collection.createIndex({ status: 1, invoiceDate: 1 });
+            break;
+
+          case 'accountPayments':
+            await collection.createIndex({ customerId: 1, receivedAt: -1 });
+            await collection.createIndex({ customerId: 1, unallocatedAmount: 1 });
+            break;
+
+          case 'quotes':
+            await collection.createIndex({ status: 1, validUntil: 1 });
+            await collection.createIndex({ customerId: 1, timestamp: -1 });
+            await collection.createIndex({ timestamp: -1 });
+            break;
+
+          case 'layaways':
+            await collection.createIndex({ status: 1, timestamp: -1 });
+            await collection.createIndex({ customerId: 1, status: 1 });
+            await collection.createIndex({ saleId: 1 });
+            break;
+
+          case 'shifts':
+            // One open shift per register
+            await collection.createIndex(
+              { registerId: 1 },
+              { unique: true, partialFilterExpression: { status: 'open' } }
+            );
+            await collection.createIndex({ registerId: 1, openedAt: -1 });
+            await collection.createIndex({ status: 1, timestamp: -1 });
+            break;
+
+          case 'zReports':
+            // One Z report per register and business day, numbered in sequence per register
+            await collection.createIndex({ storeId: 1, registerId: 1, businessDay: 1 }, { unique: true });
+            await collection.createIndex(
+              { storeId: 1, registerId: 1, sequence: 1 },
+              { unique: true, partialFilterExpression: { status: 'closed' } }
+            );
+            await collection.createIndex({ businessDay: -1 });
+            break;
+
+          case 'stockMovements':
+            await collection.createIndex({ productId: 1, timestamp: -1 });
+            await collection.createIndex({ productId: 1, locationCode: 1, timestamp: -1 });
+            await collection.createIndex({ 'reference.id': 1 });
+            await collection.createIndex({ type: 1, date: -1 });
+            break;
+
+          case 'lots':
+            // A lot number is unique per product at each location; transfers carry lots between locations
+            if ((await collection.indexes().catch(() => [])).some(index => index.name === 'productId_1_lotNumber_1')) {
+              await collection.dropIndex('productId_1_lotNumber_1');
+            }
+            await collection.createIndex({ productId: 1, lotNumber: 1, locationCode: 1 }, { unique: true });
+            await collection.createIndex({ productId: 1, status: 1, expiryDate: 1 });
+            await collection.createIndex({ productId: 1, locationCode: 1, status: 1 });
+            await collection.createIndex({ expiryDate: 1 });
+            break;
+
+          case 'writeOffs':
+            await collection.createIndex({ writeOffDate: -1 });
+            await collection.createIndex({ 'lines.productId': 1, writeOffDate: -1 });
+            break;
+
+          case 'taxClasses':
+            await collection.createIndex({ code: 1 }, { unique: true });
+            await collection.createIndex({ categories: 1 });
+            if (await collection.countDocuments() === 0) {
+              const now = new Date();
+              await collection.insertMany(settings.tax.classes.map(taxClass => ({
+                categories: [],
+                exempt: false,
+                ...taxClass,
+                createdDate: now,
+                updatedDate: now,
+                timestamp: Date.now()
+              })));
+            }
+            break;
+
+          case 'transfers':
+            await collection.createIndex({ status: 1, timestamp: -1 });
+            await collection.createIndex({ sourceLocation: 1, timestamp: -1 });
+            await collection.createIndex({ destinationLocation: 1, status: 1 });
+            await collection.createIndex({ 'lines.productId': 1 });
+            break;
+
+          case 'locations':
+            await collection.createIndex({ code: 1 }, { unique: true });
+            // A register sells from one location only
+            await collection.createIndex(
+              { registerIds: 1 },
+              { unique: true, partialFilterExpression: { 'registerIds.0': { $exists: true } } }
+            );
+            if (await collection.countDocuments() === 0) {
+              const now = new Date();
+              await collection.insertOne({
+                code: settings.inventory.defaultLocation,
+                name: 'Main store',
+                type: 'store',
+                registerIds: [],
+                address: '',
+                status: 'active',
+                createdDate: now,
+                updatedDate: now,
+                timestamp: Date.now()
+              });
+            }
             break;
         }
         
@@ -115,6 +312,74 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Bring quantity rows from the MySQL import and from before locations onto
+   * productMysqlId and locationCode, so one product and location has one row
+   * Rows that then share a product and location are merged into the oldest
+   * @param {Collection} collection - Quantities collection
+   * @returns {Promise<void>}
+   */
+  async migrateQuantities(collection) {
+    await collection.updateMany(
+      { productMysqlId: null, $or: [{ product_mysql_id: { $ne: null } }, { productId: { $ne: null } }, { product_id: { $ne: null } }] },
+      [{ $set: { productMysqlId: { $ifNull: ['$product_mysql_id', { $ifNull: ['$productId', '$product_id'] }] } } }]
+    );
+    await collection.updateMany(
+      { locationCode: null },
+      { $set: { locationCode: settings.inventory.defaultLocation } }
+    );
+
+    const duplicates = await collection.aggregate([
+      { $match: { productMysqlId: { $ne: null } } },
+      { $group: { _id: { productMysqlId: '$productMysqlId', locationCode: '$locationCode' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]).toArray();
+
+    for (const { _id: key } of duplicates) {
+      await this.withTransaction(async (session) => {
+        const [kept, ...merged] = await collection.find(key, { session }).sort({ createdDate: 1, _id: 1 }).toArray();
+        const total = (field, legacyField) => [kept, ...merged]
+          .reduce((sum, row) => sum + Number(row[field] ?? row[legacyField] ?? 0), 0);
+
+        await collection.updateOne(
+          { _id: kept._id },
+          {
+            $set: { quantitySize: total('quantitySize', 'quantity_size'), reservedQuantity: total('reservedQuantity'), updatedDate: new Date() },
+            $unset: { quantity_size: '' }
+          },
+          { session }
+        );
+        await collection.deleteMany({ _id: { $in: merged.map(row => row._id) } }, { session });
+      });
+
+      console.log(`⚠️ Merged duplicate quantity rows for product ${key.productMysqlId} at ${key.locationCode}`);
+    }
+  }
+
+  /**
+   * Create a unique index, replacing a non-unique index on the same key
+   * @param {Collection} collection - MongoDB collection
+   * @param {Object} key - Index key
+   * @returns {Promise<void>}
+   */
+  async ensureUniqueIndex(collection, key) {
+    const name = Object.entries(key).map(([field, order]) => `${field}_${order}`).join('_');
+    const indexes = await collection.indexes().catch(() => []);
+    const existing = indexes.find(index => index.name === name);
+
+    if (existing && existing.unique) return;
+    if (existing) await collection.dropIndex(name);
+
+    try {
+      await collection.createIndex(key, { unique: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Keep serving, but make the duplicates that block the index visible
+      console.error(`❌ Unique index ${collection.collectionName}.${name} not created, duplicate values exist:`, error.message);
+      await collection.createIndex(key);
+    }
+  }
+
   /**
    * Get database instance
    * @returns {Db} MongoDB database instance
@@ -135,6 +400,33 @@ class DatabaseManager {
     return this.getDatabase().collection(collectionName);
   }
 
+  /**
+   * Run a callback inside a MongoDB transaction
+   * The callback may be retried by the driver on transient errors. Given the
+   * session of a transaction already running, the callback joins it instead
+   * @param {Function} callback - Async function receiving the client session
+   * @param {Object} options - { session }
+   * @returns {Promise<*>} Value returned by the callback
+   */
+  async withTransaction(callback, options = {}) {
+    if (options.session) {
+      return callback(options.session);
+    }
+
+    this.getDatabase();
+
+    const session = this.client.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await callback(session);
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
   /**
    * Close database connection
    * @returns {Promise<void>}
@@ -0,0 +1,256 @@
+/**
+ * POS Settings
+ * Business rules that can be tuned per deployment through environment variables
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Parse a boolean environment variable
+ * @param {string} value - Raw environment value
+ * @param {boolean} fallback - Value used when the variable is not set
+ * @returns {boolean} Parsed value
+ */
+const parseBoolean = (value, fallback = false) => {
+  if (value === undefined || value === '') return fallback;
+  return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+};
+
+/**
+ * Parse an enumerated environment variable
+ * @param {string} value - Raw environment value
+ * @param {Array<string>} allowed - Accepted values
+ * @param {string} fallback - Value used when the variable is missing or invalid
+ * @returns {string} Parsed value
+ */
+const parseChoice = (value, allowed, fallback) => {
+  const normalized = String(value || '').toLowerCase();
+  return allowed.includes(normalized) ? normalized : fallback;
+};
+
+/**
+ * Parse a comma separated environment variable
+ * @param {string} value - Raw environment value
+ * @param {Array<string>} fallback - Value used when the variable is not set
+ * @returns {Array<string>} Parsed list
+ */
+const parseList = (value, fallback = []) => {
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Parse an IANA time zone environment variable
+ * @param {string} value - Raw environment value
+ * @param {string} fallback - Value used when the variable is missing or not a known zone
+ * @returns {string} Time zone
+ */
+const parseTimezone = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch (error) {
+    console.warn(`Unknown time zone "${value}", using ${fallback}`);
+    return fallback;
+  }
+};
+
+const settings = {
+  // Identifies this store in sale numbers and reports
+  storeId: process.env.STORE_ID || 'main',
+
+  businessDay: {
+    // IANA time zone the store trades in, e.g. 'Europe/London'
+    timezone: parseTimezone(process.env.STORE_TIMEZONE, 'UTC'),
+    // Local hour (0-23) a business day starts; earlier sales count towards the day before
+    cutoffHour: Math.min(23, Math.max(0, parseInt(process.env.BUSINESS_DAY_CUTOFF_HOUR, 10) || 0))
+  },
+
+  idempotency: {
+    // Hours a stored response is replayed for retries carrying the same Idempotency-Key
+    ttlHours: parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+    // Seconds after which a request still marked as processing, e.g. after a crash, may be retried
+    processingTimeoutSeconds: parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS, 10) || 60
+  },
+
+  inventory: {
+    // Allow sales to take on-hand quantity below zero instead of rejecting them
+    allowNegativeStock: parseBoolean(process.env.ALLOW_NEGATIVE_STOCK),
+    // How many days ahead the expiring stock report looks by default
+    expiryWarningDays: parseInt(process.env.EXPIRY_WARNING_DAYS, 10) || 30,
+    // Location holding stock recorded before locations existed, and sold by registers no location lists
+    defaultLocation: process.env.DEFAULT_LOCATION || 'main'
+  },
+
+  pricing: {
+    // Reject sales whose client totals differ from the server-computed totals
+    strict: parseBoolean(process.env.STRICT_PRICING),
+    // How Product.discount is interpreted: 'amount' per unit or 'percent'
+    discountType: parseChoice(process.env.PRODUCT_DISCOUNT_TYPE, ['amount', 'percent'], 'amount'),
+    // Largest difference between client and server figures that is not reported
+    tolerance: parseFloat(process.env.PRICING_TOLERANCE) || 0.01
+  },
+
+  sales: {
+    // Reason codes a cashier must pick from when voiding a sale
+    voidReasonCodes: parseList(process.env.VOID_REASON_CODES, [
+      'customer_cancelled',
+      'cashier_error',
+      'price_error',
+      'duplicate',
+      'test_transaction',
+      'other'
+    ]),
+    // Largest quantity a single sale line may carry
+    maxLineQuantity: parseInt(process.env.MAX_LINE_QUANTITY, 10) || 10000
+  },
+
+  saleNumbers: {
+    // 'store' keeps one sequence for the store, 'register' one per register
+    scope: parseChoice(process.env.SALE_NUMBER_SCOPE, ['store', 'register'], 'store'),
+    // Placeholders: {store}, {register}, {year}; must include {register} for the
+    // register scope and {year} with yearly reset, or numbers would repeat
+    prefix: process.env.SALE_NUMBER_PREFIX ?? 'INV-{year}-',
+    padding: parseInt(process.env.SALE_NUMBER_PADDING, 10) || 6,
+    yearlyReset: parseBoolean(process.env.SALE_NUMBER_YEARLY_RESET, true)
+  },
+
+  shifts: {
+    // Reject sales, returns and layaway payments on registers without an open shift
+    required: parseBoolean(process.env.SHIFT_REQUIRED)
+  },
+
+  holds: {
+    // Minutes a parked sale stays open before it expires; 0 keeps holds open indefinitely
+    expiryMinutes: parseInt(process.env.HELD_SALE_EXPIRY_MINUTES ?? '240', 10) || 0
+  },
+
+  payments: {
+    // Tender methods a sale may be paid with; change is only given from 'cash'
+    tenderTypes: parseList(process.env.TENDER_TYPES, ['cash', 'card', 'gift_card', 'loyalty', 'on_account', 'voucher', 'mobile', 'cheque'])
+  },
+
+  receipt: {
+    // Sections rendered, in order: header, meta, items, totals, tenders, footer
+    sections: parseList(process.env.RECEIPT_SECTIONS, ['header', 'meta', 'items', 'totals', 'tenders', 'footer']),
+    // Characters per line: 42 suits 80mm paper, 32 suits 58mm paper
+    width: parseInt(process.env.RECEIPT_WIDTH, 10) || 42,
+    currency: process.env.RECEIPT_CURRENCY || '',
+    store: {
+      name: process.env.RECEIPT_STORE_NAME || 'WebPOS Store',
+      // Address lines are separated with '|'
+      address: (process.env.RECEIPT_STORE_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+      phone: process.env.RECEIPT_STORE_PHONE || '',
+      taxId: process.env.RECEIPT_TAX_ID || ''
+    },
+    // Footer lines are separated with '|'
+    footer: (process.env.RECEIPT_FOOTER || 'Thank you for shopping with us!').split('|').map(line => line.trim()).filter(Boolean)
+  },
+
+  returns: {
+    // Refund methods a cashier may record against a return
+    refundMethods: parseList(process.env.REFUND_METHODS, ['cash', 'card', 'store_credit', 'original_tender'])
+  },
+
+  tax: {
+    // Whether catalog prices already include tax
+    pricesIncludeTax: parseBoolean(process.env.TAX_PRICES_INCLUDE_TAX),
+    // 'line' rounds the tax of every line, 'invoice' rounds once per rate on the sale
+    rounding: parseChoice(process.env.TAX_ROUNDING, ['line', 'invoice'], 'line'),
+    // Class used for products without a class of their own or of their category
+    defaultClass: process.env.TAX_DEFAULT_CLASS || 'standard',
+    // Classes created the first time the taxClasses collection is initialized
+    classes: [
+      { code: 'standard', name: 'Standard', rate: parseFloat(process.env.TAX_RATE_STANDARD) || 0 },
+      { code: 'reduced', name: 'Reduced', rate: parseFloat(process.env.TAX_RATE_REDUCED) || 0 },
+      { code: 'zero', name: 'Zero rated', rate: 0 },
+      { code: 'exempt', name: 'Exempt', rate: 0, exempt: true }
+    ]
+  },
+
+  promotions: {
+    // Evaluate active promotions when pricing a sale
+    enabled: parseBoolean(process.env.PROMOTIONS_ENABLED, true)
+  },
+
+  giftCards: {
+    // Tender method redeemed against the gift card whose code is the tender reference
+    tenderMethod: process.env.GIFT_CARD_TENDER_METHOD || 'gift_card',
+    // Months a newly issued card stays valid; 0 issues cards without expiry
+    expiryMonths: parseInt(process.env.GIFT_CARD_EXPIRY_MONTHS ?? '24', 10) || 0,
+    // Highest balance a card may hold after issue or top-up; 0 means no limit
+    maxBalance: parseFloat(process.env.GIFT_CARD_MAX_BALANCE) || 0
+  },
+
+  loyalty: {
+    // Earn and redeem points on sales that carry a customerId
+    enabled: parseBoolean(process.env.LOYALTY_ENABLED, true),
+    // Points earned per unit of currency spent, before rule and tier multipliers
+    pointsPerUnit: parseFloat(process.env.LOYALTY_POINTS_PER_UNIT ?? '1') || 0,
+    // Currency value of one point when it is redeemed
+    pointValue: parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.01,
+    // Tender method paid out of the customer's points
+    tenderMethod: process.env.LOYALTY_TENDER_METHOD || 'loyalty',
+    // Fewest points that can be redeemed on one sale
+    minRedeemPoints: parseInt(process.env.LOYALTY_MIN_REDEEM_POINTS, 10) || 0,
+    // Days of spend that count towards a customer's tier
+    tierWindowDays: parseInt(process.env.LOYALTY_TIER_WINDOW_DAYS, 10) || 365,
+    // name:minimumSpend:earnMultiplier, lowest tier first
+    tiers: parseList(process.env.LOYALTY_TIERS, ['bronze:0:1', 'silver:1000:1.25', 'gold:5000:1.5'])
+      .map(tier => {
+        const [name, minSpend, multiplier] = tier.split(':');
+        return { name, minSpend: parseFloat(minSpend) || 0, multiplier: parseFloat(multiplier) || 1 };
+      })
+      .sort((a, b) => a.minSpend - b.minSpend)
+  },
+
+  quotes: {
+    // Days a new quote is valid for when it is created without a validUntil date
+    validityDays: parseInt(process.env.QUOTE_VALIDITY_DAYS, 10) || 30
+  },
+
+  layaway: {
+    // Smallest deposit, as a percentage of the layaway total
+    minDepositPercent: parseFloat(process.env.LAYAWAY_MIN_DEPOSIT_PERCENT ?? '10') || 0,
+    // Instalments the balance is split into when no schedule is given
+    instalmentCount: parseInt(process.env.LAYAWAY_INSTALMENTS, 10) || 4,
+    // Days between instalments when no schedule is given
+    intervalDays: parseInt(process.env.LAYAWAY_INSTALMENT_INTERVAL_DAYS, 10) || 14,
+    // Methods deposits and instalments can be paid with; they become the sale's tenders
+    paymentMethods: parseList(process.env.LAYAWAY_PAYMENT_METHODS, ['cash', 'card', 'mobile', 'cheque']),
+    cancellationFee: {
+      // 'none', 'percent' of the layaway total, a fixed 'amount', or the whole 'deposit'
+      type: parseChoice(process.env.LAYAWAY_CANCELLATION_FEE_TYPE, ['none', 'percent', 'amount', 'deposit'], 'percent'),
+      value: parseFloat(process.env.LAYAWAY_CANCELLATION_FEE ?? '10') || 0
+    }
+  },
+
+  accounts: {
+    // Tender method charged to the customer's account as an open receivable
+    tenderMethod: process.env.ACCOUNT_TENDER_METHOD || 'on_account',
+    // Days after the sale an on-account invoice falls due, unless the customer has their own terms
+    paymentTermsDays: parseInt(process.env.ACCOUNT_PAYMENT_TERMS_DAYS ?? '30', 10) || 0,
+    // Methods a customer can settle their account with
+    paymentMethods: parseList(process.env.ACCOUNT_PAYMENT_METHODS, ['cash', 'card', 'bank_transfer', 'cheque'])
+  }
+};
+
+/**
+ * Check that the sale number prefix tells every counter sequence apart
+ * Sequences kept per register or per year all start again at 1, so their
+ * numbers only differ if the prefix carries the register or the year
+ * @param {Object} saleNumbers - { scope, prefix, yearlyReset }
+ */
+const assertSaleNumberPrefix = ({ scope, prefix, yearlyReset }) => {
+  if (scope === 'register' && !prefix.includes('{register}')) {
+    throw new Error('SALE_NUMBER_PREFIX must contain {register} when SALE_NUMBER_SCOPE is register');
+  }
+  if (yearlyReset && !prefix.includes('{year}')) {
+    throw new Error('SALE_NUMBER_PREFIX must contain {year} when SALE_NUMBER_YEARLY_RESET is on');
+  }
+};
+
+assertSaleNumberPrefix(settings.saleNumbers);
+
+export default settings;
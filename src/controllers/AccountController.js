@@ -0,0 +1,166 @@
+/**
+ * Account Controller
+ * Handles HTTP requests for on-account customers, payments and statements
+ */
+import { AccountService } from '../services/AccountService.js';
+
+export class AccountController {
+  constructor() {
+    this.accountService = new AccountService();
+  }
+
+  /**
+   * Get open receivables of every customer aged into buckets
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAgedReceivables(req, res) {
+    try {
+      const result = await this.accountService.getAgedReceivables({ asOf: req.query.asOf });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a customer's account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAccount(req, res) {
+    try {
+      const result = await this.accountService.getAccount(parseInt(req.params.customerId));
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Set a customer's credit limit and payment terms
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setCreditTerms(req, res) {
+    try {
+      const result = await this.accountService.setCreditTerms(parseInt(req.params.customerId), req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get a customer's on-account invoices
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInvoices(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        status: req.query.status
+      };
+
+      const result = await this.accountService.getInvoices(parseInt(req.params.customerId), options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a customer's payments
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPayments(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10
+      };
+
+      const result = await this.accountService.getPayments(parseInt(req.params.customerId), options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record a payment against a customer's account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async recordPayment(req, res) {
+    try {
+      const result = await this.accountService.recordPayment(parseInt(req.params.customerId), req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Allocate a customer's unallocated credit to open invoices
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async allocateCredit(req, res) {
+    try {
+      const result = await this.accountService.allocateCredit(parseInt(req.params.customerId));
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get a customer statement with aging buckets
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStatement(req, res) {
+    try {
+      const options = {
+        asOf: req.query.asOf,
+        startDate: req.query.startDate
+      };
+
+      const result = await this.accountService.getStatement(parseInt(req.params.customerId), options);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Send the error response for an account action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message.endsWith('not found')) statusCode = 404;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+}
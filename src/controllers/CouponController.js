@@ -0,0 +1,150 @@
+/**
+ * Coupon Controller
+ * Handles HTTP requests for coupon operations
+ */
+import { CouponService } from '../services/CouponService.js';
+
+export class CouponController {
+  constructor() {
+    this.couponService = new CouponService();
+  }
+
+  /**
+   * Create a new coupon
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createCoupon(req, res) {
+    try {
+      const result = await this.couponService.createCoupon(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get coupons
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllCoupons(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        status: req.query.status
+      };
+
+      const result = await this.couponService.getAllCoupons(options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get coupon by code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCouponByCode(req, res) {
+    try {
+      const result = await this.couponService.getCouponByCode(req.params.code);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Check whether a coupon can be used by a customer on an amount
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async checkCoupon(req, res) {
+    try {
+      const options = {
+        customerId: req.query.customerId ? parseInt(req.query.customerId) : undefined,
+        amount: req.query.amount !== undefined ? parseFloat(req.query.amount) : undefined
+      };
+
+      const result = await this.couponService.checkCoupon(req.params.code, options);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get the redemptions of a coupon
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRedemptions(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        customerId: req.query.customerId ? parseInt(req.query.customerId) : undefined
+      };
+
+      const result = await this.couponService.getRedemptions(req.params.code, options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update coupon
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateCoupon(req, res) {
+    try {
+      const result = await this.couponService.updateCoupon(req.params.code, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Delete coupon
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteCoupon(req, res) {
+    try {
+      const result = await this.couponService.deleteCoupon(req.params.code);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Send the error response for a coupon action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message.endsWith('not found')) statusCode = 404;
+    else if (error.message.endsWith('already exists')) statusCode = 409;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Expiry Controller
+ * Handles HTTP requests for the expiring stock report and expired stock write-offs
+ */
+import { ExpiryService } from '../services/ExpiryService.js';
+
+export class ExpiryController {
+  constructor() {
+    this.expiryService = new ExpiryService();
+  }
+
+  /**
+   * Get stock that has expired or expires within a number of days
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getExpiringStock(req, res) {
+    try {
+      const options = {
+        days: req.query.days,
+        includeExpired: req.query.includeExpired !== 'false',
+        productId: req.query.productId,
+        locationCode: req.query.locationCode,
+        category: req.query.category,
+        supplierId: req.query.supplierId
+      };
+
+      const result = await this.expiryService.getExpiringStock(options);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Write off expired stock
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async writeOffExpired(req, res) {
+    try {
+      const result = await this.expiryService.writeOffExpired(req.body);
+      res.status(result.data ? 201 : 200).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get write-offs, optionally by product and date range
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getWriteOffs(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        productId: req.query.productId,
+        locationCode: req.query.locationCode,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      };
+
+      const result = await this.expiryService.getWriteOffs(options);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get write-off by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getWriteOffById(req, res) {
+    try {
+      const result = await this.expiryService.getWriteOffById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Send the error response for an expiry action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message === 'Write-off not found') statusCode = 404;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
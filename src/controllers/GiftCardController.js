@@ -0,0 +1,124 @@
+/**
+ * Gift Card Controller
+ * Handles HTTP requests for gift card operations
+ */
+import { GiftCardService } from '../services/GiftCardService.js';
+
+export class GiftCardController {
+  constructor() {
+    this.giftCardService = new GiftCardService();
+  }
+
+  /**
+   * Issue a new gift card
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async issueGiftCard(req, res) {
+    try {
+      const result = await this.giftCardService.issueGiftCard(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get gift cards
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGiftCards(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        status: req.query.status,
+        customerId: req.query.customerId ? parseInt(req.query.customerId) : undefined
+      };
+
+      const result = await this.giftCardService.getGiftCards(options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a gift card with its ledger
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGiftCardByCode(req, res) {
+    try {
+      const result = await this.giftCardService.getGiftCardByCode(req.params.code);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Check the remaining balance of a gift card
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getBalance(req, res) {
+    try {
+      const result = await this.giftCardService.getBalance(req.params.code);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Add value to a gift card
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async topUp(req, res) {
+    try {
+      const result = await this.giftCardService.topUp(req.body.code, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Void a gift card
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async voidGiftCard(req, res) {
+    try {
+      const result = await this.giftCardService.voidGiftCard(req.params.code, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Send the error response for a gift card action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message === 'Gift card not found') statusCode = 404;
+    else if (error.message.startsWith('Gift card is') || error.message.endsWith('already exists')) statusCode = 409;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+}
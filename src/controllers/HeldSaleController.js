@@ -0,0 +1,145 @@
+/**
+ * Held Sale Controller
+ * Handles HTTP requests for parked sales
+ */
+import { HeldSaleService } from '../services/HeldSaleService.js';
+
+export class HeldSaleController {
+  constructor() {
+    this.heldSaleService = new HeldSaleService();
+  }
+
+  /**
+   * Park a basket
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createHold(req, res) {
+    try {
+      const result = await this.heldSaleService.createHold(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get held sales, optionally for one register
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getHolds(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        registerId: req.query.registerId,
+        status: req.query.status || 'open'
+      };
+
+      const result = await this.heldSaleService.getHolds(options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get held sale by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getHoldById(req, res) {
+    try {
+      const result = await this.heldSaleService.getHoldById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      const statusCode = error.message === 'Held sale not found' ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update the basket of a held sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateHold(req, res) {
+    try {
+      const result = await this.heldSaleService.updateHold(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Resume a held sale on a register
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resumeHold(req, res) {
+    try {
+      const result = await this.heldSaleService.resumeHold(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Convert a held sale into a sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async convertHold(req, res) {
+    try {
+      const result = await this.heldSaleService.convertHold(req.params.id, req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Cancel a held sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelHold(req, res) {
+    try {
+      const result = await this.heldSaleService.cancelHold(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Send the error response for a held sale action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message === 'Held sale not found') statusCode = 404;
+    else if (error.message.startsWith('Held sale is')) statusCode = 409;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Layaway Controller
+ * Handles HTTP requests for layaways
+ */
+import { LayawayService } from '../services/LayawayService.js';
+
+export class LayawayController {
+  constructor() {
+    this.layawayService = new LayawayService();
+  }
+
+  /**
+   * Open a layaway against a deposit
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createLayaway(req, res) {
+    try {
+      const result = await this.layawayService.createLayaway(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get layaways, optionally by status or customer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLayaways(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        status: req.query.status || 'active',
+        customerId: req.query.customerId ? parseInt(req.query.customerId) : undefined
+      };
+
+      const result = await this.layawayService.getLayaways(options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get layaway by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLayawayById(req, res) {
+    try {
+      const result = await this.layawayService.getLayawayById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Take an instalment payment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async recordPayment(req, res) {
+    try {
+      const result = await this.layawayService.recordPayment(req.params.id, req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Complete a fully paid layaway into a sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async completeLayaway(req, res) {
+    try {
+      const result = await this.layawayService.completeLayaway(req.params.id, req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Cancel a layaway
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelLayaway(req, res) {
+    try {
+      const result = await this.layawayService.cancelLayaway(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Send the error response for a layaway action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message === 'Layaway not found') statusCode = 404;
+    else if (error.message.startsWith('Layaway is')) statusCode = 409;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Location Controller
+ * Handles HTTP requests for the stores and warehouses that hold stock
+ */
+import { LocationService } from '../services/LocationService.js';
+
+export class LocationController {
+  constructor() {
+    this.locationService = new LocationService();
+  }
+
+  /**
+   * Create a new location
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createLocation(req, res) {
+    try {
+      const result = await this.locationService.createLocation(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get locations, optionally by type and status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLocations(req, res) {
+    try {
+      const options = {
+        type: req.query.type,
+        status: req.query.status
+      };
+
+      const result = await this.locationService.getLocations(options);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get location by code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLocationByCode(req, res) {
+    try {
+      const result = await this.locationService.getLocationByCode(req.params.code);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Update a location
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateLocation(req, res) {
+    try {
+      const result = await this.locationService.updateLocation(req.params.code, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Send an error response with a status matching the error
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message === 'Location not found') statusCode = 404;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
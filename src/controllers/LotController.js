@@ -0,0 +1,109 @@
+/**
+ * Lot Controller
+ * Handles HTTP requests for receiving, tracing and recalling lots
+ */
+import { LotService } from '../services/LotService.js';
+
+export class LotController {
+  constructor() {
+    this.lotService = new LotService();
+  }
+
+  /**
+   * Receive a lot into stock
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async receiveLot(req, res) {
+    try {
+      const result = await this.lotService.receiveLot(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get lots, optionally by product, status and expiry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLots(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+        productId: req.query.productId,
+        locationCode: req.query.locationCode,
+        status: req.query.status,
+        expiringBefore: req.query.expiringBefore,
+        inStock: req.query.inStock === 'true'
+      };
+
+      const result = await this.lotService.getLots(options);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get lot by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLotById(req, res) {
+    try {
+      const result = await this.lotService.getLotById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Trace a lot to the sales and customers it went to
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async traceLot(req, res) {
+    try {
+      const result = await this.lotService.traceLot(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Recall a lot
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async recallLot(req, res) {
+    try {
+      const result = await this.lotService.recallLot(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Send the error response for a lot action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message === 'Lot not found') statusCode = 404;
+    else if (error.message.startsWith('Lot is ')) statusCode = 409;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Loyalty Controller
+ * Handles HTTP requests for loyalty rules, accounts and tiers
+ */
+import settings from '../config/settings.js';
+import { LoyaltyService } from '../services/LoyaltyService.js';
+
+export class LoyaltyController {
+  constructor() {
+    this.loyaltyService = new LoyaltyService();
+  }
+
+  /**
+   * Create a new earn rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createRule(req, res) {
+    try {
+      const result = await this.loyaltyService.createRule(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get earn rules
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRules(req, res) {
+    try {
+      const options = {
+        status: req.query.status,
+        type: req.query.type
+      };
+
+      const result = await this.loyaltyService.getRules(options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get earn rule by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRuleById(req, res) {
+    try {
+      const result = await this.loyaltyService.getRuleById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Update earn rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateRule(req, res) {
+    try {
+      const result = await this.loyaltyService.updateRule(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Delete earn rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteRule(req, res) {
+    try {
+      const result = await this.loyaltyService.deleteRule(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get the configured tiers
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTiers(req, res) {
+    res.json({
+      success: true,
+      data: {
+        windowDays: settings.loyalty.tierWindowDays,
+        tiers: settings.loyalty.tiers
+      }
+    });
+  }
+
+  /**
+   * Recompute every customer's tier from their rolling spend
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async recomputeTiers(req, res) {
+    try {
+      const result = await this.loyaltyService.recomputeTiers();
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a customer's loyalty account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAccount(req, res) {
+    try {
+      const result = await this.loyaltyService.getAccount(parseInt(req.params.customerId));
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get a customer's points ledger
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLedger(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        type: req.query.type
+      };
+
+      const result = await this.loyaltyService.getLedger(parseInt(req.params.customerId), options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add or remove points by hand
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async adjustPoints(req, res) {
+    try {
+      const result = await this.loyaltyService.adjustPoints(parseInt(req.params.customerId), req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Rebuild a customer's balance from the ledger
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rebuildBalance(req, res) {
+    try {
+      const result = await this.loyaltyService.rebuildBalance(parseInt(req.params.customerId));
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Send the error response for a loyalty action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message.endsWith('not found')) statusCode = 404;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+}
@@ -20,7 +20,8 @@ export class ProductController {
         page: parseInt(req.query.page) || 1,
         limit: parseInt(req.query.limit) || 10,
         sortBy: req.query.sortBy || 'createdDate',
-        sortOrder: parseInt(req.query.sortOrder) || -1
+        sortOrder: parseInt(req.query.sortOrder) || -1,
+        locationCode: req.query.locationCode
       };
 
       const result = await this.productService.getAllProducts(options);
@@ -40,7 +41,9 @@ export class ProductController {
    */
   async getProductById(req, res) {
     try {
-      const result = await this.productService.getProductById(req.params.id);
+      const result = await this.productService.getProductById(req.params.id, {
+        locationCode: req.query.locationCode
+      });
       res.json(result);
     } catch (error) {
       const statusCode = error.message === 'Product not found' ? 404 : 500;
@@ -60,7 +63,8 @@ export class ProductController {
     try {
       const options = {
         page: parseInt(req.query.page) || 1,
-        limit: parseInt(req.query.limit) || 10
+        limit: parseInt(req.query.limit) || 10,
+        locationCode: req.query.locationCode
       };
 
       const result = await this.productService.getProductsByCategory(req.params.category, options);
@@ -83,7 +87,8 @@ export class ProductController {
       const query = req.params.query;
       const options = {
         page: parseInt(req.query.page) || 1,
-        limit: parseInt(req.query.limit) || 10
+        limit: parseInt(req.query.limit) || 10,
+        locationCode: req.query.locationCode
       };
 
       const result = await this.productService.searchProducts(query, options);
@@ -0,0 +1,127 @@
+/**
+ * Promotion Controller
+ * Handles HTTP requests for promotion operations
+ */
+import { PromotionService } from '../services/PromotionService.js';
+import { PricingService } from '../services/PricingService.js';
+
+export class PromotionController {
+  constructor() {
+    this.promotionService = new PromotionService();
+    this.pricingService = new PricingService();
+  }
+
+  /**
+   * Create a new promotion
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createPromotion(req, res) {
+    try {
+      const result = await this.promotionService.createPromotion(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get promotions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllPromotions(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        status: req.query.status,
+        type: req.query.type,
+        runningAt: req.query.running === 'true' ? new Date() : req.query.runningAt
+      };
+
+      const result = await this.promotionService.getAllPromotions(options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get promotion by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPromotionById(req, res) {
+    try {
+      const result = await this.promotionService.getPromotionById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      const statusCode = error.message === 'Promotion not found' ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update promotion
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updatePromotion(req, res) {
+    try {
+      const result = await this.promotionService.updatePromotion(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      const statusCode = error.message === 'Promotion not found' ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete promotion
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deletePromotion(req, res) {
+    try {
+      const result = await this.promotionService.deletePromotion(req.params.id);
+      res.json(result);
+    } catch (error) {
+      const statusCode = error.message === 'Promotion not found' ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Price a basket with the running promotions without recording a sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async evaluateBasket(req, res) {
+    try {
+      const result = await this.pricingService.previewSale(req.body);
+      res.json(result);
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+  }
+}
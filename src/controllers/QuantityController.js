@@ -20,7 +20,8 @@ export class QuantityController {
         page: parseInt(req.query.page) || 1,
         limit: parseInt(req.query.limit) || 10,
         sortBy: req.query.sortBy || 'createdDate',
-        sortOrder: parseInt(req.query.sortOrder) || -1
+        sortOrder: parseInt(req.query.sortOrder) || -1,
+        locationCode: req.query.locationCode
       };
 
       const result = await this.quantityService.getAllQuantities(options);
@@ -40,7 +41,9 @@ export class QuantityController {
    */
   async getQuantityByProductId(req, res) {
     try {
-      const result = await this.quantityService.getQuantityByProductId(req.params.productId);
+      const result = await this.quantityService.getQuantityByProductId(req.params.productId, {
+        locationCode: req.query.locationCode
+      });
       res.json(result);
     } catch (error) {
       res.status(500).json({
@@ -57,7 +60,9 @@ export class QuantityController {
    */
   async getProductWithQuantities(req, res) {
     try {
-      const result = await this.quantityService.getProductWithQuantities(req.params.id);
+      const result = await this.quantityService.getProductWithQuantities(req.params.id, {
+        locationCode: req.query.locationCode
+      });
       res.json(result);
     } catch (error) {
       const statusCode = error.message === 'Product not found' ? 404 : 500;
@@ -78,7 +83,7 @@ export class QuantityController {
       const result = await this.quantityService.createQuantity(req.body);
       res.status(201).json(result);
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
         error: error.message
       });
@@ -95,7 +100,7 @@ export class QuantityController {
       const result = await this.quantityService.updateQuantity(req.params.id, req.body);
       res.json(result);
     } catch (error) {
-      const statusCode = error.message === 'Quantity not found' ? 404 : 400;
+      const statusCode = error.message === 'Quantity not found' ? 404 : (error.statusCode || 400);
       res.status(statusCode).json({
         success: false,
         error: error.message
@@ -110,7 +115,7 @@ export class QuantityController {
    */
   async deleteQuantity(req, res) {
     try {
-      const result = await this.quantityService.deleteQuantity(req.params.id);
+      const result = await this.quantityService.deleteQuantity(req.params.id, { ...req.query, ...req.body });
       res.json(result);
     } catch (error) {
       const statusCode = error.message === 'Quantity not found' ? 404 : 500;
@@ -120,4 +125,104 @@ export class QuantityController {
       });
     }
   }
+
+  /**
+   * Record a receipt, adjustment, transfer, wastage or count correction for a product
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async recordMovement(req, res) {
+    try {
+      const result = await this.quantityService.recordMovement(req.params.productId, req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+  }
+
+  /**
+   * Value the stock on hand and in transit
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInventoryValuation(req, res) {
+    try {
+      const result = await this.quantityService.getInventoryValuation({
+        locationCode: req.query.locationCode
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a product's stock movement history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMovementHistory(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+        type: req.query.type,
+        locationCode: req.query.locationCode,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      };
+
+      const result = await this.quantityService.getMovementHistory(req.params.productId, options);
+      res.json(result);
+    } catch (error) {
+      const statusCode = error.message.startsWith('Validation failed') ? 400 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Compare a product's on-hand quantity with its stock ledger
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReconciliation(req, res) {
+    try {
+      const result = await this.quantityService.getReconciliation(req.params.productId, {
+        locationCode: req.query.locationCode
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record the difference between a product's on-hand quantity and its ledger
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reconcileWithLedger(req, res) {
+    try {
+      const result = await this.quantityService.reconcileWithLedger(req.params.productId, req.body);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
 }
@@ -0,0 +1,152 @@
+/**
+ * Quote Controller
+ * Handles HTTP requests for customer quotes
+ */
+import { QuoteService } from '../services/QuoteService.js';
+
+export class QuoteController {
+  constructor() {
+    this.quoteService = new QuoteService();
+  }
+
+  /**
+   * Create a draft quote
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createQuote(req, res) {
+    try {
+      const result = await this.quoteService.createQuote(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get quotes, optionally by status or customer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getQuotes(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        status: req.query.status,
+        customerId: req.query.customerId ? parseInt(req.query.customerId) : undefined
+      };
+
+      const result = await this.quoteService.getQuotes(options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get quote by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getQuoteById(req, res) {
+    try {
+      const result = await this.quoteService.getQuoteById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Revise a draft or sent quote
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateQuote(req, res) {
+    try {
+      const result = await this.quoteService.updateQuote(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Mark a quote as sent
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async sendQuote(req, res) {
+    try {
+      const result = await this.quoteService.sendQuote(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Record the customer's acceptance of a quote
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async acceptQuote(req, res) {
+    try {
+      const result = await this.quoteService.acceptQuote(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Convert an accepted quote into a sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async convertQuote(req, res) {
+    try {
+      const result = await this.quoteService.convertQuote(req.params.id, req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Delete a quote that has not been accepted
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteQuote(req, res) {
+    try {
+      const result = await this.quoteService.deleteQuote(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Send the error response for a quote action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message === 'Quote not found') statusCode = 404;
+    else if (error.message.startsWith('Quote is')) statusCode = 409;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Report Controller
+ * Handles HTTP requests for end-of-day X and Z reports
+ */
+import { ReportService } from '../services/ReportService.js';
+
+export class ReportController {
+  constructor() {
+    this.reportService = new ReportService();
+  }
+
+  /**
+   * Get an X report for a register's business day
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getXReport(req, res) {
+    try {
+      const result = await this.reportService.getXReport(req.params.registerId, req.query.businessDay);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Close a register's business day with a Z report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async closeDay(req, res) {
+    try {
+      const result = await this.reportService.closeDay(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get Z reports, optionally by register and business day range
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getZReports(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        registerId: req.query.registerId,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      };
+
+      const result = await this.reportService.getZReports(options);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get Z report by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getZReportById(req, res) {
+    try {
+      const result = await this.reportService.getZReportById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Send the error response for a report action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message === 'Z report not found') statusCode = 404;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Return Controller
+ * Handles HTTP requests for return and refund operations
+ */
+import { ReturnService } from '../services/ReturnService.js';
+
+export class ReturnController {
+  constructor() {
+    this.returnService = new ReturnService();
+  }
+
+  /**
+   * Record a return against a sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createReturn(req, res) {
+    try {
+      const result = await this.returnService.createReturn(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      const statusCode = error.message === 'Sale not found' ? 404 : (error.statusCode || 400);
+      res.status(statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
+    }
+  }
+
+  /**
+   * Get all returns
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllReturns(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        sortBy: req.query.sortBy || 'timestamp',
+        sortOrder: parseInt(req.query.sortOrder) || -1,
+        saleId: req.query.saleId,
+        customerId: req.query.customerId ? parseInt(req.query.customerId) : undefined
+      };
+
+      const result = await this.returnService.getAllReturns(options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get return by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReturnById(req, res) {
+    try {
+      const result = await this.returnService.getReturnById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      const statusCode = error.message === 'Return not found' ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get returns and returnable quantities for a sale number
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReturnsBySaleId(req, res) {
+    try {
+      const result = await this.returnService.getReturnsForSale({ saleId: req.params.saleId });
+      res.json(result);
+    } catch (error) {
+      const statusCode = error.message === 'Sale not found' ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get returns and returnable quantities for a sale MySQL ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReturnsBySaleMysqlId(req, res) {
+    try {
+      const result = await this.returnService.getReturnsForSale({ mysqlId: req.params.mysqlId });
+      res.json(result);
+    } catch (error) {
+      const statusCode = error.message === 'Sale not found' ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
@@ -3,10 +3,12 @@
  * Handles HTTP requests for sale operations
  */
 import { SaleService } from '../services/SaleService.js';
+import { ReceiptService } from '../services/ReceiptService.js';
 
 export class SaleController {
   constructor() {
     this.saleService = new SaleService();
+    this.receiptService = new ReceiptService();
   }
 
   /**
@@ -19,9 +21,15 @@ export class SaleController {
       const result = await this.saleService.createSale(req.body);
       res.status(201).json(result);
     } catch (error) {
-      res.status(400).json({
+      let statusCode = error.statusCode || 500;
+      if (error.message.startsWith('Validation failed')) statusCode = 400;
+      else if (error.message === 'Gift card not found' || error.message === 'Customer not found') statusCode = 400;
+      else if (error.message.startsWith('Gift card is')) statusCode = 409;
+
+      res.status(statusCode).json({
         success: false,
-        error: error.message
+        error: error.message,
+        ...(error.details && { details: error.details })
       });
     }
   }
@@ -40,7 +48,8 @@ export class SaleController {
         sortOrder: parseInt(req.query.sortOrder) || -1,
         startDate: req.query.startDate,
         endDate: req.query.endDate,
-        customerId: req.query.customerId ? parseInt(req.query.customerId) : undefined
+        customerId: req.query.customerId ? parseInt(req.query.customerId) : undefined,
+        includeVoided: req.query.includeVoided === 'true'
       };
 
       const result = await this.saleService.getAllSales(options);
@@ -71,6 +80,31 @@ export class SaleController {
     }
   }
 
+  /**
+   * Get a printable receipt for a sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReceipt(req, res) {
+    try {
+      const format = req.query.format || 'text';
+      const receipt = await this.receiptService.getReceipt(req.params.id, format);
+
+      res.set('Content-Type', receipt.contentType);
+      res.set('Content-Disposition', `inline; filename="${receipt.filename}"`);
+      res.send(receipt.body);
+    } catch (error) {
+      let statusCode = 500;
+      if (error.message === 'Sale not found') statusCode = 404;
+      else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+      res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get sale by MySQL ID
    * @param {Object} req - Express request object
@@ -102,7 +136,8 @@ export class SaleController {
         page: parseInt(req.query.page) || 1,
         limit: parseInt(req.query.limit) || 10,
         sortBy: req.query.sortBy || 'timestamp',
-        sortOrder: parseInt(req.query.sortOrder) || -1
+        sortOrder: parseInt(req.query.sortOrder) || -1,
+        includeVoided: req.query.includeVoided === 'true'
       };
 
       const result = await this.saleService.getSalesByCustomerId(customerId, options);
@@ -125,7 +160,7 @@ export class SaleController {
       const result = await this.saleService.updateSale(req.params.id, req.body);
       res.json(result);
     } catch (error) {
-      const statusCode = error.message === 'Sale not found' ? 404 : 400;
+      const statusCode = error.message === 'Sale not found' ? 404 : (error.statusCode || 400);
       res.status(statusCode).json({
         success: false,
         error: error.message
@@ -134,23 +169,51 @@ export class SaleController {
   }
 
   /**
-   * Delete sale
+   * Void sale
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async voidSale(req, res) {
+    try {
+      const result = await this.saleService.voidSale(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendVoidError(res, error);
+    }
+  }
+
+  /**
+   * Delete sale (voids it; sales are never removed)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async deleteSale(req, res) {
     try {
-      const result = await this.saleService.deleteSale(req.params.id);
+      const voidData = { ...req.query, ...req.body };
+      const result = await this.saleService.deleteSale(req.params.id, voidData);
       res.json(result);
     } catch (error) {
-      const statusCode = error.message === 'Sale not found' ? 404 : 500;
-      res.status(statusCode).json({
-        success: false,
-        error: error.message
-      });
+      this.sendVoidError(res, error);
     }
   }
 
+  /**
+   * Send the error response for a failed void
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   */
+  sendVoidError(res, error) {
+    let statusCode = error.statusCode || 500;
+    if (error.message === 'Sale not found') statusCode = 404;
+    else if (error.message === 'Sale is already voided') statusCode = 409;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
   /**
    * Get sales analytics
    * @param {Object} req - Express request object
@@ -160,7 +223,8 @@ export class SaleController {
     try {
       const options = {
         startDate: req.query.startDate,
-        endDate: req.query.endDate
+        endDate: req.query.endDate,
+        includeVoided: req.query.includeVoided === 'true'
       };
 
       const result = await this.saleService.getSalesAnalytics(options);
@@ -0,0 +1,124 @@
+/**
+ * Shift Controller
+ * Handles HTTP requests for cash drawer shifts
+ */
+import { ShiftService } from '../services/ShiftService.js';
+
+export class ShiftController {
+  constructor() {
+    this.shiftService = new ShiftService();
+  }
+
+  /**
+   * Open a shift on a register
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async openShift(req, res) {
+    try {
+      const result = await this.shiftService.openShift(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get shifts, optionally by register or status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getShifts(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        registerId: req.query.registerId,
+        status: req.query.status
+      };
+
+      const result = await this.shiftService.getShifts(options);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the open shift of a register
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCurrentShift(req, res) {
+    try {
+      const result = await this.shiftService.getCurrentShift(req.params.registerId);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get shift by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getShiftById(req, res) {
+    try {
+      const result = await this.shiftService.getShiftById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Record a cash pay-in or pay-out
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addMovement(req, res) {
+    try {
+      const result = await this.shiftService.addMovement(req.params.id, req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Close a shift with a blind count
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async closeShift(req, res) {
+    try {
+      const result = await this.shiftService.closeShift(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Send the error response for a shift action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message === 'Shift not found') statusCode = 404;
+    else if (error.message.startsWith('Shift is')) statusCode = 409;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+}
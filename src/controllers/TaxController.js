@@ -0,0 +1,122 @@
+/**
+ * Tax Controller
+ * Handles HTTP requests for tax classes and tax reporting
+ */
+import { TaxService } from '../services/TaxService.js';
+
+export class TaxController {
+  constructor() {
+    this.taxService = new TaxService();
+  }
+
+  /**
+   * Create a new tax class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createTaxClass(req, res) {
+    try {
+      const result = await this.taxService.createTaxClass(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get all tax classes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTaxClasses(req, res) {
+    try {
+      const result = await this.taxService.getTaxClasses();
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get tax class by code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTaxClass(req, res) {
+    try {
+      const result = await this.taxService.getTaxClass(req.params.code);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Update tax class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateTaxClass(req, res) {
+    try {
+      const result = await this.taxService.updateTaxClass(req.params.code, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Delete tax class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteTaxClass(req, res) {
+    try {
+      const result = await this.taxService.deleteTaxClass(req.params.code);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get tax collected by period and rate
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTaxReport(req, res) {
+    try {
+      const options = {
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+        period: req.query.period || 'month'
+      };
+
+      const result = await this.taxService.getTaxReport(options);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Send the error response for a tax action
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message.endsWith('not found')) statusCode = 404;
+    else if (error.message.endsWith('already exists')) statusCode = 409;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
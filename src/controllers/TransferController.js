@@ -0,0 +1,136 @@
+/**
+ * Transfer Controller
+ * Handles HTTP requests for stock transfers between locations
+ */
+import { TransferService } from '../services/TransferService.js';
+
+export class TransferController {
+  constructor() {
+    this.transferService = new TransferService();
+  }
+
+  /**
+   * Create a draft transfer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createTransfer(req, res) {
+    try {
+      const result = await this.transferService.createTransfer(req.body);
+      res.status(201).json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Get transfers, optionally by status, location and product
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTransfers(req, res) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        status: req.query.status,
+        locationCode: req.query.locationCode,
+        productId: req.query.productId
+      };
+
+      const result = await this.transferService.getTransfers(options);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Get transfer by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTransferById(req, res) {
+    try {
+      const result = await this.transferService.getTransferById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Update a draft transfer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateTransfer(req, res) {
+    try {
+      const result = await this.transferService.updateTransfer(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Dispatch a transfer from its source location
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async dispatchTransfer(req, res) {
+    try {
+      const result = await this.transferService.dispatchTransfer(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Receive a transfer at its destination location
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async receiveTransfer(req, res) {
+    try {
+      const result = await this.transferService.receiveTransfer(req.params.id, req.body);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 400);
+    }
+  }
+
+  /**
+   * Delete a draft transfer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteTransfer(req, res) {
+    try {
+      const result = await this.transferService.deleteTransfer(req.params.id);
+      res.json(result);
+    } catch (error) {
+      this.sendError(res, error, 500);
+    }
+  }
+
+  /**
+   * Send an error response with a status matching the error
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised by the service
+   * @param {number} defaultStatus - Status used when nothing more specific applies
+   */
+  sendError(res, error, defaultStatus) {
+    let statusCode = error.statusCode || defaultStatus;
+    if (error.message === 'Transfer not found') statusCode = 404;
+    else if (error.message.startsWith('Transfer is')) statusCode = 409;
+    else if (error.message.startsWith('Validation failed')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Idempotency Middleware
+ * Replays the first response for retried POST requests carrying the same Idempotency-Key
+ */
+import crypto from 'crypto';
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+
+const COLLECTION_NAME = 'idempotencyKeys';
+
+/**
+ * Serialise a value with object keys sorted so equal bodies hash equally
+ * @param {*} value - Value to serialise
+ * @returns {string} Stable JSON
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash a request: its path, which names the resource for routes like /:id/payments, and its body
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequest = (req) => {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Moment a processing claim made now lapses
+ * @param {Date} now - Current time
+ * @returns {Date} Lock expiry
+ */
+const lockExpiry = (now) => new Date(now.getTime() + settings.idempotency.processingTimeoutSeconds * 1000);
+
+/**
+ * Make a create route idempotent
+ * Requests without an Idempotency-Key header are passed straight through.
+ * A key is tied to the path and body it was first used with. A request left
+ * processing past the processing timeout, e.g. by a crash, can be taken over by a retry.
+ * Only successful responses are kept for replay: a failure may be transient, such
+ * as a stock or lot conflict, so it releases the key and a retry runs again
+ * @param {string} scope - Resource name the keys are scoped to
+ * @returns {Function} Express middleware function
+ */
+export const idempotent = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+      return next();
+    }
+
+    try {
+      const collection = databaseManager.getCollection(COLLECTION_NAME);
+      const id = `${scope}:${key}`;
+      const requestHash = hashRequest(req);
+      const now = new Date();
+
+      try {
+        await collection.insertOne({
+          _id: id,
+          requestHash,
+          status: 'processing',
+          createdAt: now,
+          lockExpiresAt: lockExpiry(now),
+          expiresAt: new Date(now.getTime() + settings.idempotency.ttlHours * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const stored = await collection.findOne({ _id: id });
+
+        if (!stored) {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        if (stored.requestHash !== requestHash) {
+          return res.status(409).json({
+            success: false,
+            error: 'Idempotency-Key has already been used with a different request'
+          });
+        }
+
+        if (stored.status === 'completed') {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(stored.statusCode).json(stored.responseBody);
+        }
+
+        // Only one retry can take over a stale claim; records from before lockExpiresAt count as stale
+        const takenOver = (!stored.lockExpiresAt || stored.lockExpiresAt <= now) && await collection.findOneAndUpdate(
+          { _id: id, status: 'processing', lockExpiresAt: stored.lockExpiresAt },
+          { $set: { lockExpiresAt: lockExpiry(now) } }
+        );
+
+        if (!takenOver) {
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+      }
+
+      // Capture the response so retries can be answered from the store
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+        const write = !succeeded
+          ? collection.deleteOne({ _id: id })
+          : collection.updateOne(
+            { _id: id },
+            {
+              $set: {
+                status: 'completed',
+                statusCode: res.statusCode,
+                responseBody: body,
+                completedAt: new Date()
+              }
+            }
+          );
+
+        write
+          .catch(error => console.error('Error storing idempotent response:', error))
+          .finally(() => originalJson(body));
+
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,104 @@
+/**
+ * AccountPayment MongoDB Model
+ * Represents money received from an on-account customer and the invoices it settled
+ */
+import { roundToDecimals } from '../utils/helpers.js';
+
+export class AccountPayment {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.customerId = data.customerId || null;
+    this.amount = data.amount || 0;
+    this.method = data.method || '';
+    this.reference = data.reference || '';
+    this.receivedBy = data.receivedBy || '';
+    this.allocations = data.allocations || [];
+    this.unallocatedAmount = data.unallocatedAmount || 0;
+    this.receivedAt = data.receivedAt || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new payment instance
+   * @param {Object} data - Payment data
+   * @returns {AccountPayment} New payment instance
+   */
+  static create(data) {
+    const amount = roundToDecimals(Number(data.amount) || 0);
+    return new AccountPayment({
+      customerId: data.customerId,
+      amount,
+      method: data.method,
+      reference: data.reference,
+      receivedBy: data.receivedBy,
+      allocations: [],
+      unallocatedAmount: amount,
+      receivedAt: data.receivedAt ? new Date(data.receivedAt) : new Date(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      customerId: this.customerId,
+      amount: this.amount,
+      method: this.method,
+      reference: this.reference,
+      receivedBy: this.receivedBy,
+      allocations: this.allocations,
+      unallocatedAmount: this.unallocatedAmount,
+      receivedAt: this.receivedAt,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {AccountPayment} Payment instance
+   */
+  static fromDocument(doc) {
+    return new AccountPayment({
+      id: doc._id,
+      customerId: doc.customerId,
+      amount: doc.amount,
+      method: doc.method,
+      reference: doc.reference,
+      receivedBy: doc.receivedBy,
+      allocations: doc.allocations || [],
+      unallocatedAmount: doc.unallocatedAmount,
+      receivedAt: doc.receivedAt,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Validate payment data
+   * @param {Array<string>} methods - Accepted payment methods
+   * @returns {Object} Validation result
+   */
+  validate(methods = []) {
+    const errors = [];
+
+    if (!this.customerId) {
+      errors.push('Customer ID is required');
+    }
+
+    if (!this.amount || this.amount <= 0) {
+      errors.push('Amount must be greater than 0');
+    }
+
+    if (methods.length > 0 && !methods.includes(this.method)) {
+      errors.push(`Method must be one of: ${methods.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
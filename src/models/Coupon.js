@@ -0,0 +1,176 @@
+/**
+ * Coupon MongoDB Model
+ * Represents a printed discount code with usage limits
+ */
+export class Coupon {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.code = data.code || '';
+    this.description = data.description || '';
+    this.valueType = data.valueType || 'amount';
+    this.value = data.value || 0;
+    this.minSpend = data.minSpend || 0;
+    this.startDate = data.startDate || null;
+    this.endDate = data.endDate || null;
+    this.usageLimit = data.usageLimit || 0;
+    this.perCustomerLimit = data.perCustomerLimit || 0;
+    this.usageCount = data.usageCount || 0;
+    this.status = data.status || 'active';
+    this.createdDate = data.createdDate || new Date();
+    this.updatedDate = data.updatedDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new coupon instance
+   * @param {Object} data - Coupon data
+   * @returns {Coupon} New coupon instance
+   */
+  static create(data) {
+    const now = new Date();
+    return new Coupon({
+      code: Coupon.normalizeCode(data.code),
+      description: data.description,
+      valueType: data.valueType,
+      value: Number(data.value) || 0,
+      minSpend: Number(data.minSpend) || 0,
+      startDate: data.startDate ? new Date(data.startDate) : null,
+      endDate: data.endDate ? new Date(data.endDate) : null,
+      usageLimit: parseInt(data.usageLimit) || 0,
+      perCustomerLimit: parseInt(data.perCustomerLimit) || 0,
+      usageCount: 0,
+      status: data.status || 'active',
+      createdDate: now,
+      updatedDate: now,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Normalize a coupon code as typed or scanned at the till
+   * @param {string} code - Coupon code
+   * @returns {string} Normalized code
+   */
+  static normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      code: this.code,
+      description: this.description,
+      valueType: this.valueType,
+      value: this.value,
+      minSpend: this.minSpend,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      usageLimit: this.usageLimit,
+      perCustomerLimit: this.perCustomerLimit,
+      usageCount: this.usageCount,
+      status: this.status,
+      createdDate: this.createdDate,
+      updatedDate: this.updatedDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Coupon} Coupon instance
+   */
+  static fromDocument(doc) {
+    return new Coupon({
+      id: doc._id,
+      code: doc.code,
+      description: doc.description,
+      valueType: doc.valueType,
+      value: doc.value,
+      minSpend: doc.minSpend,
+      startDate: doc.startDate,
+      endDate: doc.endDate,
+      usageLimit: doc.usageLimit,
+      perCustomerLimit: doc.perCustomerLimit,
+      usageCount: doc.usageCount,
+      status: doc.status,
+      createdDate: doc.createdDate,
+      updatedDate: doc.updatedDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Explain why the coupon cannot be used at a moment, if it cannot
+   * Per-customer limits need the redemption history and are checked by the service
+   * @param {Date} at - Moment of use
+   * @returns {string|null} Reason, or null if the coupon is usable
+   */
+  unavailableReason(at = new Date()) {
+    if (this.status !== 'active') return 'is not active';
+    if (this.startDate && at < new Date(this.startDate)) return 'is not valid yet';
+    if (this.endDate && at > new Date(this.endDate)) return 'has expired';
+    if (this.usageLimit > 0 && this.usageCount >= this.usageLimit) return 'has reached its usage limit';
+    return null;
+  }
+
+  /**
+   * Discount the coupon gives on a basket
+   * @param {number} basketTotal - Basket value after other discounts
+   * @returns {number} Discount amount
+   */
+  discountFor(basketTotal) {
+    const discount = this.valueType === 'percent'
+      ? basketTotal * this.value / 100
+      : this.value;
+    return Math.min(discount, basketTotal);
+  }
+
+  /**
+   * Validate coupon data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.code || !/^[A-Z0-9_-]{3,32}$/.test(this.code)) {
+      errors.push('Coupon code must be 3-32 letters, digits, dashes or underscores');
+    }
+
+    if (!['percent', 'amount'].includes(this.valueType)) {
+      errors.push('Value type must be percent or amount');
+    }
+
+    if (!this.value || this.value <= 0) {
+      errors.push('Value must be greater than 0');
+    }
+
+    if (this.valueType === 'percent' && this.value > 100) {
+      errors.push('Percentage value cannot exceed 100');
+    }
+
+    if (this.minSpend < 0) {
+      errors.push('Minimum spend must be non-negative');
+    }
+
+    if (this.usageLimit < 0 || this.perCustomerLimit < 0) {
+      errors.push('Usage limits must be non-negative');
+    }
+
+    if (this.startDate && this.endDate && new Date(this.endDate) <= new Date(this.startDate)) {
+      errors.push('End date must be after start date');
+    }
+
+    if (!['active', 'inactive'].includes(this.status)) {
+      errors.push('Status must be active or inactive');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -9,6 +9,13 @@ export class Customer {
     this.saleId = data.saleId || null;
     this.contact = data.contact || '';
     this.email = data.email || '';
+    this.loyaltyPoints = data.loyaltyPoints || 0;
+    this.loyaltyTier = data.loyaltyTier || null;
+    this.rollingSpend = data.rollingSpend || 0;
+    this.tierReviewedAt = data.tierReviewedAt || null;
+    this.creditLimit = data.creditLimit || 0;
+    this.paymentTermsDays = data.paymentTermsDays ?? null;
+    this.accountBalance = data.accountBalance || 0;
     this.createdDate = data.createdDate || new Date();
     this.timestamp = data.timestamp || Date.now();
   }
@@ -39,6 +46,13 @@ export class Customer {
       saleId: this.saleId,
       contact: this.contact,
       email: this.email,
+      loyaltyPoints: this.loyaltyPoints,
+      loyaltyTier: this.loyaltyTier,
+      rollingSpend: this.rollingSpend,
+      tierReviewedAt: this.tierReviewedAt,
+      creditLimit: this.creditLimit,
+      paymentTermsDays: this.paymentTermsDays,
+      accountBalance: this.accountBalance,
       createdDate: this.createdDate,
       timestamp: this.timestamp
     };
@@ -56,11 +70,27 @@ export class Customer {
       saleId: doc.saleId,
       contact: doc.contact,
       email: doc.email,
+      loyaltyPoints: doc.loyaltyPoints,
+      loyaltyTier: doc.loyaltyTier,
+      rollingSpend: doc.rollingSpend,
+      tierReviewedAt: doc.tierReviewedAt,
+      creditLimit: doc.creditLimit,
+      paymentTermsDays: doc.paymentTermsDays,
+      accountBalance: doc.accountBalance,
       createdDate: doc.createdDate,
       timestamp: doc.timestamp
     });
   }
 
+  /**
+   * Filter for the customer a sale's customerId refers to
+   * @param {number} customerId - Customer ID as recorded on sales
+   * @returns {Object} MongoDB filter
+   */
+  static idFilter(customerId) {
+    return { mysqlId: customerId };
+  }
+
   /**
    * Validate customer data
    * @returns {Object} Validation result
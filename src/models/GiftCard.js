@@ -0,0 +1,184 @@
+/**
+ * GiftCard MongoDB Model
+ * Represents a stored-value card with its balance and activity ledger
+ */
+export class GiftCard {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.code = data.code || '';
+    this.initialValue = data.initialValue || 0;
+    this.balance = data.balance || 0;
+    this.status = data.status || 'active';
+    this.customerId = data.customerId || null;
+    this.expiryDate = data.expiryDate || null;
+    this.ledger = data.ledger || [];
+    this.issuedBy = data.issuedBy || '';
+    this.issuedDate = data.issuedDate || new Date();
+    this.voidedBy = data.voidedBy || null;
+    this.voidedAt = data.voidedAt || null;
+    this.voidReason = data.voidReason || null;
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Issue a new gift card instance
+   * @param {Object} data - Gift card data
+   * @returns {GiftCard} New gift card instance
+   */
+  static create(data) {
+    const initialValue = Number(data.initialValue) || 0;
+    const issuedDate = new Date();
+
+    return new GiftCard({
+      code: data.code,
+      initialValue,
+      balance: initialValue,
+      status: 'active',
+      customerId: data.customerId,
+      expiryDate: data.expiryDate ? new Date(data.expiryDate) : null,
+      ledger: [GiftCard.ledgerEntry('activation', initialValue, initialValue, {
+        performedBy: data.issuedBy,
+        date: issuedDate
+      })],
+      issuedBy: data.issuedBy,
+      issuedDate,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Build a ledger entry
+   * @param {string} type - activation, top_up, redemption, reversal or void
+   * @param {number} amount - Signed balance change
+   * @param {number} balanceAfter - Balance after the change
+   * @param {Object} details - { reference, performedBy, date }
+   * @returns {Object} Ledger entry
+   */
+  static ledgerEntry(type, amount, balanceAfter, details = {}) {
+    return {
+      type,
+      amount,
+      balanceAfter,
+      reference: details.reference || null,
+      performedBy: details.performedBy || '',
+      date: details.date || new Date()
+    };
+  }
+
+  /**
+   * Normalize a card code as typed or scanned at the till
+   * @param {string} code - Card code
+   * @returns {string} Normalized code
+   */
+  static normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Mask a card code so only its last four characters are shown
+   * @param {string} code - Card code
+   * @returns {string} Masked code
+   */
+  static mask(code) {
+    const value = String(code || '');
+    return value.length > 4 ? `****${value.slice(-4)}` : value;
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      code: this.code,
+      initialValue: this.initialValue,
+      balance: this.balance,
+      status: this.status,
+      customerId: this.customerId,
+      expiryDate: this.expiryDate,
+      ledger: this.ledger,
+      issuedBy: this.issuedBy,
+      issuedDate: this.issuedDate,
+      voidedBy: this.voidedBy,
+      voidedAt: this.voidedAt,
+      voidReason: this.voidReason,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {GiftCard} Gift card instance
+   */
+  static fromDocument(doc) {
+    return new GiftCard({
+      id: doc._id,
+      code: doc.code,
+      initialValue: doc.initialValue,
+      balance: doc.balance,
+      status: doc.status,
+      customerId: doc.customerId,
+      expiryDate: doc.expiryDate,
+      ledger: doc.ledger || [],
+      issuedBy: doc.issuedBy,
+      issuedDate: doc.issuedDate,
+      voidedBy: doc.voidedBy,
+      voidedAt: doc.voidedAt,
+      voidReason: doc.voidReason,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Check whether the card has passed its expiry date
+   * @param {Date} now - Reference time
+   * @returns {boolean} True if expired
+   */
+  isExpired(now = new Date()) {
+    return Boolean(this.expiryDate) && new Date(this.expiryDate) <= now;
+  }
+
+  /**
+   * Balance summary safe to show at the till
+   * @returns {Object} Balance details
+   */
+  toBalance() {
+    return {
+      code: this.code,
+      balance: this.balance,
+      status: this.isExpired() && this.status === 'active' ? 'expired' : this.status,
+      expiryDate: this.expiryDate
+    };
+  }
+
+  /**
+   * Validate gift card data
+   * @param {number} maxBalance - Highest balance allowed, 0 for no limit
+   * @returns {Object} Validation result
+   */
+  validate(maxBalance = 0) {
+    const errors = [];
+
+    if (!this.code || this.code.trim() === '') {
+      errors.push('Gift card code is required');
+    }
+
+    if (!this.initialValue || this.initialValue <= 0) {
+      errors.push('Initial value must be greater than 0');
+    }
+
+    if (maxBalance > 0 && this.initialValue > maxBalance) {
+      errors.push(`Initial value cannot exceed ${maxBalance}`);
+    }
+
+    if (this.isExpired()) {
+      errors.push('Expiry date must be in the future');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
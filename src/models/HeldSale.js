@@ -0,0 +1,130 @@
+/**
+ * HeldSale MongoDB Model
+ * Represents a parked basket that can be resumed later, possibly on another register
+ */
+export class HeldSale {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.registerId = data.registerId || '';
+    this.customerId = data.customerId || null;
+    this.customerContact = data.customerContact || '';
+    this.saleItems = data.saleItems || [];
+    this.note = data.note || '';
+    this.heldBy = data.heldBy || '';
+    this.status = data.status || 'open';
+    this.expiresAt = data.expiresAt || null;
+    this.resumedBy = data.resumedBy || null;
+    this.resumedRegisterId = data.resumedRegisterId || null;
+    this.convertedSaleRef = data.convertedSaleRef || null;
+    this.createdDate = data.createdDate || new Date();
+    this.updatedDate = data.updatedDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new held sale instance
+   * @param {Object} data - Held sale data
+   * @param {number} expiryMinutes - Minutes until the hold expires
+   * @returns {HeldSale} New held sale instance
+   */
+  static create(data, expiryMinutes = 0) {
+    const now = new Date();
+    return new HeldSale({
+      registerId: data.registerId,
+      customerId: data.customerId,
+      customerContact: data.customerContact,
+      saleItems: (data.saleItems || []).map(item => ({
+        productId: item.productId,
+        productName: item.productName,
+        category: item.category,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice
+      })),
+      note: data.note,
+      heldBy: data.heldBy,
+      status: 'open',
+      expiresAt: expiryMinutes > 0 ? new Date(now.getTime() + expiryMinutes * 60 * 1000) : null,
+      createdDate: now,
+      updatedDate: now,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      registerId: this.registerId,
+      customerId: this.customerId,
+      customerContact: this.customerContact,
+      saleItems: this.saleItems,
+      note: this.note,
+      heldBy: this.heldBy,
+      status: this.status,
+      expiresAt: this.expiresAt,
+      resumedBy: this.resumedBy,
+      resumedRegisterId: this.resumedRegisterId,
+      convertedSaleRef: this.convertedSaleRef,
+      createdDate: this.createdDate,
+      updatedDate: this.updatedDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {HeldSale} Held sale instance
+   */
+  static fromDocument(doc) {
+    return new HeldSale({
+      id: doc._id,
+      registerId: doc.registerId,
+      customerId: doc.customerId,
+      customerContact: doc.customerContact,
+      saleItems: doc.saleItems || [],
+      note: doc.note,
+      heldBy: doc.heldBy,
+      status: doc.status,
+      expiresAt: doc.expiresAt,
+      resumedBy: doc.resumedBy,
+      resumedRegisterId: doc.resumedRegisterId,
+      convertedSaleRef: doc.convertedSaleRef,
+      createdDate: doc.createdDate,
+      updatedDate: doc.updatedDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Validate held sale data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.registerId || String(this.registerId).trim() === '') {
+      errors.push('Register ID is required');
+    }
+
+    if (!this.saleItems || this.saleItems.length === 0) {
+      errors.push('Held sale must have at least one item');
+    }
+
+    this.saleItems.forEach((item, index) => {
+      if (!item.productId) {
+        errors.push(`Item ${index + 1}: product ID is required`);
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+        errors.push(`Item ${index + 1}: quantity must be a whole number greater than 0`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * Layaway MongoDB Model
+ * Represents goods held for a customer against a deposit and paid off in instalments
+ */
+import { SaleItem } from './SaleItem.js';
+import { roundToDecimals } from '../utils/helpers.js';
+
+export const LAYAWAY_STATUSES = ['active', 'completed', 'cancelled'];
+
+export class Layaway {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.customerId = data.customerId || null;
+    this.customerContact = data.customerContact || '';
+    this.registerId = data.registerId || null;
+    this.locationCode = data.locationCode || null;
+    this.saleItems = data.saleItems || [];
+    this.discountLines = data.discountLines || [];
+    this.subTotal = data.subTotal || 0;
+    this.discountAmount = data.discountAmount || 0;
+    this.taxAmount = data.taxAmount || 0;
+    this.taxSummary = data.taxSummary || [];
+    this.pricesIncludeTax = Boolean(data.pricesIncludeTax);
+    this.totalAmount = data.totalAmount || 0;
+    this.paidAmount = data.paidAmount || 0;
+    this.balance = data.balance || 0;
+    this.schedule = data.schedule || [];
+    this.payments = data.payments || [];
+    this.status = data.status || 'active';
+    this.note = data.note || '';
+    this.createdBy = data.createdBy || '';
+    this.saleRef = data.saleRef || null;
+    this.saleId = data.saleId || null;
+    this.completedDate = data.completedDate || null;
+    this.cancellation = data.cancellation || null;
+    this.createdDate = data.createdDate || new Date();
+    this.updatedDate = data.updatedDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new layaway instance
+   * Lines are priced and the schedule built by the service before the layaway is stored
+   * @param {Object} data - Layaway data
+   * @returns {Layaway} New layaway instance
+   */
+  static create(data) {
+    const now = new Date();
+    return new Layaway({
+      customerId: data.customerId,
+      customerContact: data.customerContact,
+      registerId: data.registerId,
+      locationCode: data.locationCode,
+      saleItems: (data.saleItems || []).map(item => ({
+        productId: item.productId,
+        productName: item.productName,
+        category: item.category,
+        quantity: item.quantity
+      })),
+      note: data.note,
+      createdBy: data.createdBy,
+      status: 'active',
+      createdDate: now,
+      updatedDate: now,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Build a payment entry
+   * @param {Object} data - { amount, method, reference, receivedBy, registerId, type }
+   * @returns {Object} Payment entry
+   */
+  static payment(data) {
+    return {
+      type: data.type || 'instalment',
+      amount: roundToDecimals(Number(data.amount) || 0),
+      method: data.method || '',
+      reference: data.reference || '',
+      receivedBy: data.receivedBy || null,
+      registerId: data.registerId || null,
+      shiftId: null,
+      date: new Date()
+    };
+  }
+
+  /**
+   * Split an amount into equal instalments, the last one taking the rounding difference
+   * @param {number} amount - Amount to split
+   * @param {number} count - Number of instalments
+   * @param {number} intervalDays - Days between instalments
+   * @param {Date} from - Date the first interval starts from
+   * @returns {Array<Object>} Schedule of { dueDate, amount }
+   */
+  static buildSchedule(amount, count, intervalDays, from = new Date()) {
+    if (amount <= 0) return [];
+
+    const each = roundToDecimals(amount / count);
+    return Array.from({ length: count }, (_, index) => ({
+      dueDate: new Date(from.getTime() + (index + 1) * intervalDays * 24 * 60 * 60 * 1000),
+      amount: index === count - 1 ? roundToDecimals(amount - each * (count - 1)) : each
+    }));
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      customerId: this.customerId,
+      customerContact: this.customerContact,
+      registerId: this.registerId,
+      locationCode: this.locationCode,
+      saleItems: this.saleItems.map(item =>
+        typeof item.toDocument === 'function' ? item.toDocument() : item
+      ),
+      discountLines: this.discountLines,
+      subTotal: this.subTotal,
+      discountAmount: this.discountAmount,
+      taxAmount: this.taxAmount,
+      taxSummary: this.taxSummary,
+      pricesIncludeTax: this.pricesIncludeTax,
+      totalAmount: this.totalAmount,
+      paidAmount: this.paidAmount,
+      balance: this.balance,
+      schedule: this.schedule.map(entry => ({ dueDate: entry.dueDate, amount: entry.amount })),
+      payments: this.payments,
+      status: this.status,
+      note: this.note,
+      createdBy: this.createdBy,
+      saleRef: this.saleRef,
+      saleId: this.saleId,
+      completedDate: this.completedDate,
+      cancellation: this.cancellation,
+      createdDate: this.createdDate,
+      updatedDate: this.updatedDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Layaway} Layaway instance
+   */
+  static fromDocument(doc) {
+    return new Layaway({
+      id: doc._id,
+      customerId: doc.customerId,
+      customerContact: doc.customerContact,
+      registerId: doc.registerId,
+      locationCode: doc.locationCode,
+      saleItems: (doc.saleItems || []).map(item => SaleItem.fromDocument(item)),
+      discountLines: doc.discountLines || [],
+      subTotal: doc.subTotal,
+      discountAmount: doc.discountAmount,
+      taxAmount: doc.taxAmount,
+      taxSummary: doc.taxSummary || [],
+      pricesIncludeTax: doc.pricesIncludeTax,
+      totalAmount: doc.totalAmount,
+      paidAmount: doc.paidAmount,
+      balance: doc.balance,
+      schedule: doc.schedule || [],
+      payments: doc.payments || [],
+      status: doc.status,
+      note: doc.note,
+      createdBy: doc.createdBy,
+      saleRef: doc.saleRef,
+      saleId: doc.saleId,
+      completedDate: doc.completedDate,
+      cancellation: doc.cancellation,
+      createdDate: doc.createdDate,
+      updatedDate: doc.updatedDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Instalments with how much of each is paid, covering them in due date order
+   * from what was paid beyond the deposit
+   * @param {Date} asOf - Date overdue instalments are judged against
+   * @returns {Array<Object>} { dueDate, amount, paidAmount, status: paid|due|overdue }
+   */
+  scheduleStatus(asOf = new Date()) {
+    const deposit = this.payments
+      .filter(payment => payment.type === 'deposit')
+      .reduce((sum, payment) => sum + payment.amount, 0);
+    let remaining = roundToDecimals(this.paidAmount - deposit);
+
+    return this.schedule.map(entry => {
+      const paidAmount = roundToDecimals(Math.max(0, Math.min(entry.amount, remaining)));
+      remaining = roundToDecimals(remaining - paidAmount);
+
+      let status = 'due';
+      if (entry.amount - paidAmount <= 0.005) status = 'paid';
+      else if (new Date(entry.dueDate) < asOf) status = 'overdue';
+
+      return { dueDate: entry.dueDate, amount: entry.amount, paidAmount, status };
+    });
+  }
+
+  /**
+   * Validate layaway data
+   * @param {Object} rules - { minDepositPercent, paymentMethods }
+   * @returns {Object} Validation result
+   */
+  validate(rules = {}) {
+    const { minDepositPercent = 0, paymentMethods = [] } = rules;
+    const errors = [];
+
+    if (!this.customerId && (!this.customerContact || this.customerContact.trim() === '')) {
+      errors.push('Customer ID or contact is required');
+    }
+
+    if (!this.saleItems || this.saleItems.length === 0) {
+      errors.push('Layaway must have at least one item');
+    }
+
+    this.saleItems.forEach((item, index) => {
+      if (!item.productId) {
+        errors.push(`Item ${index + 1}: product ID is required`);
+      }
+      if (!item.quantity || item.quantity <= 0) {
+        errors.push(`Item ${index + 1}: quantity must be greater than 0`);
+      }
+    });
+
+    const deposit = this.payments.find(payment => payment.type === 'deposit');
+    if (!deposit || deposit.amount <= 0) {
+      errors.push('A deposit is required');
+    } else {
+      const minimum = roundToDecimals(this.totalAmount * minDepositPercent / 100);
+      if (deposit.amount < minimum) {
+        errors.push(`Deposit must be at least ${minimum} (${minDepositPercent}% of the total)`);
+      }
+      if (deposit.amount - this.totalAmount > 0.005) {
+        errors.push('Deposit cannot exceed the total amount');
+      }
+      if (paymentMethods.length > 0 && !paymentMethods.includes(deposit.method)) {
+        errors.push(`Deposit method must be one of: ${paymentMethods.join(', ')}`);
+      }
+    }
+
+    this.schedule.forEach((entry, index) => {
+      if (!entry.dueDate || Number.isNaN(new Date(entry.dueDate).getTime())) {
+        errors.push(`Instalment ${index + 1}: due date must be a valid date`);
+      }
+      if (!(entry.amount > 0)) {
+        errors.push(`Instalment ${index + 1}: amount must be greater than 0`);
+      }
+    });
+
+    const scheduled = this.schedule.reduce((sum, entry) => sum + (Number(entry.amount) || 0), 0);
+    if (Math.abs(this.paidAmount + scheduled - this.totalAmount) > 0.01) {
+      errors.push('Deposit and instalments must add up to the total amount');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Location MongoDB Model
+ * Represents a shop or warehouse that holds stock; shops list the registers that sell from them
+ */
+export const LOCATION_TYPES = ['store', 'warehouse'];
+
+export class Location {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.code = data.code || '';
+    this.name = data.name || '';
+    this.type = data.type || 'store';
+    this.registerIds = data.registerIds || [];
+    this.address = data.address || '';
+    this.status = data.status || 'active';
+    this.createdDate = data.createdDate || new Date();
+    this.updatedDate = data.updatedDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new location instance
+   * @param {Object} data - { code, name, type, registerIds, address }
+   * @returns {Location} New location instance
+   */
+  static create(data) {
+    return new Location({
+      code: data.code ? String(data.code).trim() : '',
+      name: data.name,
+      type: data.type,
+      registerIds: Array.isArray(data.registerIds) ? [...new Set(data.registerIds.map(String))] : [],
+      address: data.address,
+      status: data.status || 'active',
+      createdDate: data.createdDate || new Date(),
+      updatedDate: new Date(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      code: this.code,
+      name: this.name,
+      type: this.type,
+      registerIds: this.registerIds,
+      address: this.address,
+      status: this.status,
+      createdDate: this.createdDate,
+      updatedDate: this.updatedDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Location} Location instance
+   */
+  static fromDocument(doc) {
+    return new Location({
+      id: doc._id,
+      code: doc.code,
+      name: doc.name,
+      type: doc.type,
+      registerIds: doc.registerIds || [],
+      address: doc.address,
+      status: doc.status,
+      createdDate: doc.createdDate,
+      updatedDate: doc.updatedDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Validate location data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.code) {
+      errors.push('Code is required');
+    } else if (!/^[A-Za-z0-9_-]+$/.test(this.code)) {
+      errors.push('Code may only contain letters, digits, dashes and underscores');
+    }
+
+    if (!this.name || String(this.name).trim() === '') {
+      errors.push('Name is required');
+    }
+
+    if (!LOCATION_TYPES.includes(this.type)) {
+      errors.push(`Type must be one of: ${LOCATION_TYPES.join(', ')}`);
+    }
+
+    if (this.type === 'warehouse' && this.registerIds.length > 0) {
+      errors.push('Warehouses have no registers');
+    }
+
+    if (!['active', 'inactive'].includes(this.status)) {
+      errors.push('Status must be active or inactive');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Lot MongoDB Model
+ * Represents one batch of a product received with its own lot number and expiry
+ */
+export const LOT_STATUSES = ['active', 'recalled', 'written_off'];
+
+export class Lot {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.productId = data.productId ?? null;
+    this.lotNumber = data.lotNumber || '';
+    this.expiryDate = data.expiryDate || null;
+    this.receivedQuantity = data.receivedQuantity || 0;
+    this.remainingQuantity = data.remainingQuantity || 0;
+    this.costPrice = data.costPrice ?? null;
+    this.supplierId = data.supplierId || null;
+    this.locationCode = data.locationCode || null;
+    this.receivedBy = data.receivedBy || null;
+    this.receivedDate = data.receivedDate || new Date();
+    this.status = data.status || 'active';
+    this.recall = data.recall || null;
+    this.note = data.note || '';
+    this.createdDate = data.createdDate || new Date();
+    this.updatedDate = data.updatedDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new lot instance as it is received; all of it is still on hand
+   * @param {Object} data - { productId, lotNumber, expiryDate, quantity, costPrice, supplierId, locationCode, receivedBy, note }
+   * @returns {Lot} New lot instance
+   */
+  static create(data) {
+    const quantity = Number(data.quantity ?? data.receivedQuantity);
+
+    return new Lot({
+      productId: parseInt(data.productId),
+      lotNumber: data.lotNumber ? String(data.lotNumber).trim() : '',
+      expiryDate: data.expiryDate ? new Date(data.expiryDate) : null,
+      receivedQuantity: quantity,
+      remainingQuantity: quantity,
+      costPrice: data.costPrice !== undefined && data.costPrice !== null ? Number(data.costPrice) : null,
+      supplierId: data.supplierId ?? null,
+      locationCode: data.locationCode,
+      receivedBy: data.receivedBy,
+      receivedDate: data.receivedDate ? new Date(data.receivedDate) : new Date(),
+      status: 'active',
+      note: data.note,
+      createdDate: new Date(),
+      updatedDate: new Date(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      productId: this.productId,
+      lotNumber: this.lotNumber,
+      expiryDate: this.expiryDate,
+      receivedQuantity: this.receivedQuantity,
+      remainingQuantity: this.remainingQuantity,
+      costPrice: this.costPrice,
+      supplierId: this.supplierId,
+      locationCode: this.locationCode,
+      receivedBy: this.receivedBy,
+      receivedDate: this.receivedDate,
+      status: this.status,
+      recall: this.recall,
+      note: this.note,
+      createdDate: this.createdDate,
+      updatedDate: this.updatedDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Lot} Lot instance
+   */
+  static fromDocument(doc) {
+    return new Lot({
+      id: doc._id,
+      productId: doc.productId,
+      lotNumber: doc.lotNumber,
+      expiryDate: doc.expiryDate,
+      receivedQuantity: doc.receivedQuantity,
+      remainingQuantity: doc.remainingQuantity,
+      costPrice: doc.costPrice,
+      supplierId: doc.supplierId,
+      locationCode: doc.locationCode,
+      receivedBy: doc.receivedBy,
+      receivedDate: doc.receivedDate,
+      status: doc.status,
+      recall: doc.recall,
+      note: doc.note,
+      createdDate: doc.createdDate,
+      updatedDate: doc.updatedDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Check whether the lot is past its expiry; lots without one never expire
+   * @param {Date} at - Moment to check at
+   * @returns {boolean} True if expired
+   */
+  isExpired(at = new Date()) {
+    return Boolean(this.expiryDate) && new Date(this.expiryDate) <= at;
+  }
+
+  /**
+   * Validate lot data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (this.productId === null || Number.isNaN(this.productId)) {
+      errors.push('Product ID is required');
+    }
+
+    if (!this.lotNumber) {
+      errors.push('Lot number is required');
+    }
+
+    if (this.expiryDate && Number.isNaN(new Date(this.expiryDate).getTime())) {
+      errors.push('Expiry date must be a valid date');
+    }
+
+    if (!Number.isFinite(this.receivedQuantity) || this.receivedQuantity <= 0) {
+      errors.push('Quantity must be greater than 0');
+    }
+
+    if (this.costPrice !== null && (!Number.isFinite(this.costPrice) || this.costPrice < 0)) {
+      errors.push('Cost price cannot be negative');
+    }
+
+    if (!this.receivedBy || String(this.receivedBy).trim() === '') {
+      errors.push('Received by is required');
+    }
+
+    if (!LOT_STATUSES.includes(this.status)) {
+      errors.push(`Status must be one of: ${LOT_STATUSES.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
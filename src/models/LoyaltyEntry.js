@@ -0,0 +1,77 @@
+/**
+ * LoyaltyEntry MongoDB Model
+ * Represents one change to a customer's points balance in the loyalty ledger
+ */
+export const LOYALTY_ENTRY_TYPES = ['earn', 'redeem', 'reversal', 'adjustment'];
+
+export class LoyaltyEntry {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.customerId = data.customerId || null;
+    this.type = data.type || 'adjustment';
+    this.points = data.points || 0;
+    this.balanceAfter = data.balanceAfter || 0;
+    this.saleId = data.saleId || null;
+    this.reason = data.reason || '';
+    this.performedBy = data.performedBy || '';
+    this.date = data.date || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new ledger entry instance
+   * @param {Object} data - Ledger entry data
+   * @returns {LoyaltyEntry} New ledger entry instance
+   */
+  static create(data) {
+    return new LoyaltyEntry({
+      customerId: data.customerId,
+      type: data.type,
+      points: data.points,
+      balanceAfter: data.balanceAfter,
+      saleId: data.saleId,
+      reason: data.reason,
+      performedBy: data.performedBy,
+      date: new Date(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      customerId: this.customerId,
+      type: this.type,
+      points: this.points,
+      balanceAfter: this.balanceAfter,
+      saleId: this.saleId,
+      reason: this.reason,
+      performedBy: this.performedBy,
+      date: this.date,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {LoyaltyEntry} Ledger entry instance
+   */
+  static fromDocument(doc) {
+    return new LoyaltyEntry({
+      id: doc._id,
+      customerId: doc.customerId,
+      type: doc.type,
+      points: doc.points,
+      balanceAfter: doc.balanceAfter,
+      saleId: doc.saleId,
+      reason: doc.reason,
+      performedBy: doc.performedBy,
+      date: doc.date,
+      timestamp: doc.timestamp
+    });
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * LoyaltyRule MongoDB Model
+ * Represents an earn multiplier for the lines of a category or of a promotion
+ */
+export const LOYALTY_RULE_TYPES = ['category', 'promotion'];
+
+export class LoyaltyRule {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || '';
+    this.type = data.type || 'category';
+    this.target = data.target || '';
+    this.multiplier = data.multiplier ?? 1;
+    this.status = data.status || 'active';
+    this.createdDate = data.createdDate || new Date();
+    this.updatedDate = data.updatedDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new loyalty rule instance
+   * @param {Object} data - Loyalty rule data
+   * @returns {LoyaltyRule} New loyalty rule instance
+   */
+  static create(data) {
+    const now = new Date();
+    const multiplier = Number(data.multiplier);
+    return new LoyaltyRule({
+      name: data.name,
+      type: data.type,
+      // Promotion rules point at a promotion ID, category rules at a category name
+      target: data.target !== undefined && data.target !== null ? String(data.target).trim() : '',
+      multiplier: Number.isNaN(multiplier) ? 1 : multiplier,
+      status: data.status || 'active',
+      createdDate: now,
+      updatedDate: now,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      name: this.name,
+      type: this.type,
+      target: this.target,
+      multiplier: this.multiplier,
+      status: this.status,
+      createdDate: this.createdDate,
+      updatedDate: this.updatedDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {LoyaltyRule} Loyalty rule instance
+   */
+  static fromDocument(doc) {
+    return new LoyaltyRule({
+      id: doc._id,
+      name: doc.name,
+      type: doc.type,
+      target: doc.target,
+      multiplier: doc.multiplier,
+      status: doc.status,
+      createdDate: doc.createdDate,
+      updatedDate: doc.updatedDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Check whether the rule covers a sale line
+   * @param {Object} item - Sale line
+   * @param {number} lineIndex - Position of the line in the sale
+   * @param {Array<Object>} discountLines - Discount lines of the sale
+   * @returns {boolean} True if the rule applies to the line
+   */
+  matches(item, lineIndex, discountLines = []) {
+    if (this.status !== 'active') return false;
+
+    if (this.type === 'category') {
+      return Boolean(item.category) && item.category === this.target;
+    }
+
+    return discountLines.some(line =>
+      line.lineIndex === lineIndex && line.promotionId && String(line.promotionId) === this.target
+    );
+  }
+
+  /**
+   * Validate loyalty rule data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.name || String(this.name).trim() === '') {
+      errors.push('Name is required');
+    }
+
+    if (!LOYALTY_RULE_TYPES.includes(this.type)) {
+      errors.push(`Type must be one of: ${LOYALTY_RULE_TYPES.join(', ')}`);
+    }
+
+    if (!this.target) {
+      errors.push('Target is required');
+    }
+
+    // A multiplier of 0 keeps a category or promotion from earning points
+    if (typeof this.multiplier !== 'number' || this.multiplier < 0) {
+      errors.push('Multiplier must be a non-negative number');
+    }
+
+    if (!['active', 'inactive'].includes(this.status)) {
+      errors.push('Status must be active or inactive');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -2,6 +2,10 @@
  * Product MongoDB Model
  * Represents product information in the WebPOS system
  */
+import { Quantity } from './Quantity.js';
+import settings from '../config/settings.js';
+import { locationOf } from '../utils/location.js';
+
 export class Product {
   constructor(data = {}) {
     this.id = data.id || null;
@@ -10,7 +14,9 @@ export class Product {
     this.barcode = data.barcode || '';
     this.discount = data.discount || '0.00';
     this.tax = data.tax || '0.00';
+    this.taxClass = data.taxClass || data.tax_class || null;
     this.salePrice = data.salePrice || data.sale_price || '0.00';
+    this.costPrice = data.costPrice ?? data.cost_price ?? null;
     this.category = data.category || '';
     this.expireDate = data.expireDate || data.expire_date || null;
     this.supplierId = data.supplierId || data.supplier_id || null;
@@ -30,7 +36,9 @@ export class Product {
       barcode: data.barcode,
       discount: data.discount,
       tax: data.tax,
+      taxClass: data.taxClass,
       salePrice: data.salePrice,
+      costPrice: data.costPrice,
       category: data.category,
       expireDate: data.expireDate,
       supplierId: data.supplierId,
@@ -50,7 +58,9 @@ export class Product {
       barcode: this.barcode,
       discount: this.discount,
       tax: this.tax,
+      taxClass: this.taxClass,
       salePrice: this.salePrice,
+      costPrice: this.costPrice,
       category: this.category,
       expireDate: this.expireDate,
       supplierId: this.supplierId,
@@ -72,7 +82,9 @@ export class Product {
       barcode: doc.barcode,
       discount: doc.discount,
       tax: doc.tax,
+      taxClass: doc.taxClass,
       salePrice: doc.salePrice,
+      costPrice: doc.costPrice ?? doc.cost_price,
       category: doc.category,
       expireDate: doc.expireDate,
       supplierId: doc.supplierId,
@@ -83,17 +95,43 @@ export class Product {
 
   /**
    * Format product with quantity for API response
-   * @param {Object} quantity - Quantity data
+   * `quantities` holds the row at the requested location, the default location
+   * if none is requested; `stock` breaks the on-hand quantity down by location
+   * @param {Array<Object>} rows - The product's quantity rows, one per location
+   * @param {string} locationCode - Location asked for, or nothing for every location
    * @returns {Object} Formatted product with quantity
    */
-  formatWithQuantity(quantity) {
+  formatWithQuantity(rows = [], locationCode) {
+    const byLocation = new Map();
+    for (const row of rows) {
+      const code = locationOf(row);
+      if (!byLocation.has(code)) byLocation.set(code, { rows: [], onHand: 0, reserved: 0 });
+      const location = byLocation.get(code);
+      location.rows.push(row);
+      location.onHand += Quantity.sizeOf(row);
+      location.reserved += Quantity.reservedOf(row);
+    }
+
+    const locations = Array.from(byLocation.entries())
+      .filter(([code]) => !locationCode || code === locationCode)
+      .map(([code, location]) => ({
+        location_code: code,
+        on_hand: location.onHand,
+        reserved: location.reserved,
+        available: location.onHand - location.reserved
+      }));
+    const shown = byLocation.get(locationCode || settings.inventory.defaultLocation);
+    const quantity = shown ? shown.rows[0] : null;
+
     return {
       id: this.mysqlId || this.id,
       name: this.name,
       barcode: this.barcode,
       discount: this.discount,
       tax: this.tax,
+      tax_class: this.taxClass,
       sale_price: this.salePrice,
+      cost_price: this.costPrice,
       category: this.category,
       expire_date: this.expireDate,
       supplier_id: this.supplierId,
@@ -105,7 +143,29 @@ export class Product {
         quantity_size: quantity.quantitySize || quantity.quantity_size,
         created_date: quantity.createdDate || quantity.created_date,
         updated_date: quantity.updatedDate || quantity.updated_date
-      } : null
+      } : null,
+      stock: {
+        location_code: locationCode || null,
+        on_hand: locations.reduce((total, location) => total + location.on_hand, 0),
+        reserved: locations.reduce((total, location) => total + location.reserved, 0),
+        locations
+      }
+    };
+  }
+
+  /**
+   * Build a filter matching a product by its numeric ID
+   * Handles the field name variations left over from the MySQL import
+   * @param {number} productId - Product ID
+   * @returns {Object} MongoDB filter
+   */
+  static idFilter(productId) {
+    return {
+      $or: [
+        { mysqlId: productId },
+        { mysql_id: productId },
+        { id: productId }
+      ]
     };
   }
 
@@ -128,6 +188,10 @@ export class Product {
       errors.push('Sale price must be non-negative');
     }
 
+    if (this.costPrice !== null && this.costPrice !== undefined && !(parseFloat(this.costPrice) >= 0)) {
+      errors.push('Cost price must be non-negative');
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -0,0 +1,256 @@
+/**
+ * Promotion MongoDB Model
+ * Represents a discount rule evaluated against sale lines at checkout
+ */
+import { storeClock } from '../utils/businessDay.js';
+
+export const PROMOTION_TYPES = ['item_discount', 'buy_x_get_y', 'bundle', 'basket_threshold'];
+export const VALUE_TYPES = ['percent', 'amount'];
+
+export class Promotion {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || '';
+    this.description = data.description || '';
+    this.type = data.type || '';
+    this.status = data.status || 'active';
+    this.productIds = data.productIds || [];
+    this.categories = data.categories || [];
+    this.valueType = data.valueType || 'percent';
+    this.value = data.value || 0;
+    this.buyQuantity = data.buyQuantity || 0;
+    this.getQuantity = data.getQuantity || 0;
+    this.getDiscountPercent = data.getDiscountPercent ?? 100;
+    this.bundleQuantity = data.bundleQuantity || 0;
+    this.bundlePrice = data.bundlePrice || 0;
+    this.minSubtotal = data.minSubtotal || 0;
+    this.startDate = data.startDate || null;
+    this.endDate = data.endDate || null;
+    this.daysOfWeek = data.daysOfWeek || [];
+    this.startTime = data.startTime || null;
+    this.endTime = data.endTime || null;
+    this.priority = data.priority || 0;
+    this.stackable = data.stackable ?? true;
+    this.createdDate = data.createdDate || new Date();
+    this.updatedDate = data.updatedDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new promotion instance
+   * @param {Object} data - Promotion data
+   * @returns {Promotion} New promotion instance
+   */
+  static create(data) {
+    const now = new Date();
+    return new Promotion({
+      name: data.name,
+      description: data.description,
+      type: data.type,
+      status: data.status || 'active',
+      productIds: (data.productIds || []).map(id => parseInt(id)),
+      categories: data.categories || [],
+      valueType: data.valueType,
+      value: Number(data.value) || 0,
+      buyQuantity: parseInt(data.buyQuantity) || 0,
+      getQuantity: parseInt(data.getQuantity) || 0,
+      getDiscountPercent: data.getDiscountPercent !== undefined ? Number(data.getDiscountPercent) : 100,
+      bundleQuantity: parseInt(data.bundleQuantity) || 0,
+      bundlePrice: Number(data.bundlePrice) || 0,
+      minSubtotal: Number(data.minSubtotal) || 0,
+      startDate: data.startDate ? new Date(data.startDate) : null,
+      endDate: data.endDate ? new Date(data.endDate) : null,
+      daysOfWeek: (data.daysOfWeek || []).map(day => parseInt(day)),
+      startTime: data.startTime || null,
+      endTime: data.endTime || null,
+      priority: parseInt(data.priority) || 0,
+      stackable: data.stackable !== undefined ? Boolean(data.stackable) : true,
+      createdDate: now,
+      updatedDate: now,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      name: this.name,
+      description: this.description,
+      type: this.type,
+      status: this.status,
+      productIds: this.productIds,
+      categories: this.categories,
+      valueType: this.valueType,
+      value: this.value,
+      buyQuantity: this.buyQuantity,
+      getQuantity: this.getQuantity,
+      getDiscountPercent: this.getDiscountPercent,
+      bundleQuantity: this.bundleQuantity,
+      bundlePrice: this.bundlePrice,
+      minSubtotal: this.minSubtotal,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      daysOfWeek: this.daysOfWeek,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      priority: this.priority,
+      stackable: this.stackable,
+      createdDate: this.createdDate,
+      updatedDate: this.updatedDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Promotion} Promotion instance
+   */
+  static fromDocument(doc) {
+    return new Promotion({
+      id: doc._id,
+      name: doc.name,
+      description: doc.description,
+      type: doc.type,
+      status: doc.status,
+      productIds: doc.productIds,
+      categories: doc.categories,
+      valueType: doc.valueType,
+      value: doc.value,
+      buyQuantity: doc.buyQuantity,
+      getQuantity: doc.getQuantity,
+      getDiscountPercent: doc.getDiscountPercent,
+      bundleQuantity: doc.bundleQuantity,
+      bundlePrice: doc.bundlePrice,
+      minSubtotal: doc.minSubtotal,
+      startDate: doc.startDate,
+      endDate: doc.endDate,
+      daysOfWeek: doc.daysOfWeek,
+      startTime: doc.startTime,
+      endTime: doc.endTime,
+      priority: doc.priority,
+      stackable: doc.stackable,
+      createdDate: doc.createdDate,
+      updatedDate: doc.updatedDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Check whether a sale line is targeted by this promotion
+   * A promotion without products or categories targets every line
+   * @param {Object} item - Sale line
+   * @returns {boolean} True if the line is targeted
+   */
+  targets(item) {
+    if (this.productIds.length === 0 && this.categories.length === 0) {
+      return true;
+    }
+    return this.productIds.includes(parseInt(item.productId)) ||
+      (Boolean(item.category) && this.categories.includes(item.category));
+  }
+
+  /**
+   * Check whether the promotion runs at a given moment
+   * Days of week (0 = Sunday) and HH:MM times narrow the date range to a
+   * recurring window, e.g. a weekday happy hour; a window may cross midnight.
+   * Days and times are read in the store's time zone
+   * @param {Date} at - Moment to check
+   * @returns {boolean} True if the promotion is running
+   */
+  isRunningAt(at = new Date()) {
+    if (this.status !== 'active') return false;
+    if (this.startDate && at < new Date(this.startDate)) return false;
+    if (this.endDate && at > new Date(this.endDate)) return false;
+
+    const clock = storeClock(at);
+    if (this.daysOfWeek.length > 0 && !this.daysOfWeek.includes(clock.weekday)) return false;
+
+    if (this.startTime || this.endTime) {
+      const time = `${String(clock.hour).padStart(2, '0')}:${String(clock.minute).padStart(2, '0')}`;
+      const start = this.startTime || '00:00';
+      const end = this.endTime || '24:00';
+      const inWindow = start <= end
+        ? time >= start && time < end
+        : time >= start || time < end;
+      if (!inWindow) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate promotion data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    if (!this.name || this.name.trim() === '') {
+      errors.push('Promotion name is required');
+    }
+
+    if (!PROMOTION_TYPES.includes(this.type)) {
+      errors.push(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+    }
+
+    if (['item_discount', 'basket_threshold'].includes(this.type)) {
+      if (!VALUE_TYPES.includes(this.valueType)) {
+        errors.push(`Value type must be one of: ${VALUE_TYPES.join(', ')}`);
+      }
+      if (!this.value || this.value <= 0) {
+        errors.push('Value must be greater than 0');
+      }
+      if (this.valueType === 'percent' && this.value > 100) {
+        errors.push('Percentage value cannot exceed 100');
+      }
+    }
+
+    if (this.type === 'buy_x_get_y') {
+      if (this.buyQuantity < 1 || this.getQuantity < 1) {
+        errors.push('Buy and get quantities must be at least 1');
+      }
+      if (this.getDiscountPercent <= 0 || this.getDiscountPercent > 100) {
+        errors.push('Get discount percent must be between 0 and 100');
+      }
+    }
+
+    if (this.type === 'bundle') {
+      if (this.bundleQuantity < 2) {
+        errors.push('Bundle quantity must be at least 2');
+      }
+      if (this.bundlePrice < 0) {
+        errors.push('Bundle price must be non-negative');
+      }
+    }
+
+    if (this.type === 'basket_threshold' && this.minSubtotal <= 0) {
+      errors.push('Minimum subtotal must be greater than 0');
+    }
+
+    if (this.startDate && this.endDate && new Date(this.endDate) <= new Date(this.startDate)) {
+      errors.push('End date must be after start date');
+    }
+
+    if (this.daysOfWeek.some(day => Number.isNaN(day) || day < 0 || day > 6)) {
+      errors.push('Days of week must be between 0 (Sunday) and 6 (Saturday)');
+    }
+
+    if ((this.startTime && !timePattern.test(this.startTime)) || (this.endTime && !timePattern.test(this.endTime))) {
+      errors.push('Start and end times must be in HH:MM format');
+    }
+
+    if (!['active', 'inactive'].includes(this.status)) {
+      errors.push('Status must be active or inactive');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
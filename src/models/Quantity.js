@@ -7,6 +7,10 @@ export class Quantity {
     this.id = data.id || null;
     this.productMysqlId = data.productMysqlId || data.product_mysql_id || data.productId || data.product_id || null;
     this.quantitySize = data.quantitySize || data.quantity_size || 0;
+    // Rows recorded before locations existed have none and belong to the default location
+    this.locationCode = data.locationCode || null;
+    // Held for layaways; maintained by the stock operations only, never through updates
+    this.reservedQuantity = data.reservedQuantity || 0;
     this.createdDate = data.createdDate || data.created_date || new Date();
     this.updatedDate = data.updatedDate || data.updated_date || new Date();
   }
@@ -20,6 +24,7 @@ export class Quantity {
     return new Quantity({
       productMysqlId: data.productMysqlId || data.productId,
       quantitySize: data.quantitySize,
+      locationCode: data.locationCode,
       createdDate: data.createdDate || new Date(),
       updatedDate: data.updatedDate || new Date()
     });
@@ -33,6 +38,7 @@ export class Quantity {
     return {
       productMysqlId: this.productMysqlId,
       quantitySize: this.quantitySize,
+      locationCode: this.locationCode,
       createdDate: this.createdDate,
       updatedDate: this.updatedDate
     };
@@ -48,11 +54,94 @@ export class Quantity {
       id: doc._id,
       productMysqlId: doc.productMysqlId,
       quantitySize: doc.quantitySize,
+      locationCode: doc.locationCode,
+      reservedQuantity: doc.reservedQuantity,
       createdDate: doc.createdDate,
       updatedDate: doc.updatedDate
     });
   }
 
+  /**
+   * Build a filter matching quantity rows for a product
+   * Handles the field name variations left over from the MySQL import
+   * @param {number} productId - Product ID
+   * @param {Object} location - Filter narrowing the rows to a location, all locations if empty
+   * @returns {Object} MongoDB filter
+   */
+  static productFilter(productId, location = {}) {
+    return {
+      $or: [
+        { productMysqlId: productId },
+        { product_mysql_id: productId },
+        { productId: productId },
+        { product_id: productId }
+      ],
+      ...location
+    };
+  }
+
+  /**
+   * Read the product ID from a raw quantity document
+   * @param {Object} doc - MongoDB document
+   * @returns {number|null} Product ID
+   */
+  static productIdOf(doc) {
+    if (!doc) return null;
+    return doc.productMysqlId ?? doc.product_mysql_id ?? doc.productId ?? doc.product_id ?? null;
+  }
+
+  /**
+   * Read the on-hand size from a raw quantity document
+   * @param {Object} doc - MongoDB document
+   * @returns {number} Quantity size
+   */
+  static sizeOf(doc) {
+    if (!doc) return 0;
+    return Number(doc.quantitySize ?? doc.quantity_size ?? 0);
+  }
+
+  /**
+   * Read the reserved quantity from a raw quantity document
+   * @param {Object} doc - MongoDB document
+   * @returns {number} Quantity reserved for layaways
+   */
+  static reservedOf(doc) {
+    if (!doc) return 0;
+    return Number(doc.reservedQuantity || 0);
+  }
+
+  /**
+   * Quantity that can still be sold or reserved: on hand less reserved
+   * @param {Object} doc - MongoDB document
+   * @returns {number} Available quantity
+   */
+  static availableOf(doc) {
+    return Quantity.sizeOf(doc) - Quantity.reservedOf(doc);
+  }
+
+  /**
+   * Filter expression matching rows with at least a given quantity available
+   * @param {string} field - Field holding the on-hand size
+   * @param {number} quantity - Quantity needed
+   * @returns {Object} MongoDB $expr
+   */
+  static availableAtLeast(field, quantity) {
+    return {
+      $gte: [{ $subtract: [`$${field}`, { $ifNull: ['$reservedQuantity', 0] }] }, quantity]
+    };
+  }
+
+  /**
+   * Name of the field holding the on-hand size on a raw quantity document
+   * @param {Object} doc - MongoDB document
+   * @returns {string} Field name
+   */
+  static sizeField(doc) {
+    return doc && doc.quantitySize === undefined && doc.quantity_size !== undefined
+      ? 'quantity_size'
+      : 'quantitySize';
+  }
+
   /**
    * Validate quantity data
    * @returns {Object} Validation result
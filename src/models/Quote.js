@@ -0,0 +1,184 @@
+/**
+ * Quote MongoDB Model
+ * Represents a priced offer to a customer that can later be converted into a sale
+ */
+import { SaleItem } from './SaleItem.js';
+
+export const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'expired', 'converted'];
+
+export class Quote {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.customerId = data.customerId || null;
+    this.customerContact = data.customerContact || '';
+    this.saleItems = data.saleItems || [];
+    this.couponCodes = data.couponCodes || [];
+    this.discountLines = data.discountLines || [];
+    this.subTotal = data.subTotal || 0;
+    this.discountAmount = data.discountAmount || 0;
+    this.taxAmount = data.taxAmount || 0;
+    this.taxSummary = data.taxSummary || [];
+    this.pricesIncludeTax = Boolean(data.pricesIncludeTax);
+    this.totalAmount = data.totalAmount || 0;
+    this.note = data.note || '';
+    this.preparedBy = data.preparedBy || '';
+    this.status = data.status || 'draft';
+    this.validUntil = data.validUntil || null;
+    this.sentDate = data.sentDate || null;
+    this.acceptedDate = data.acceptedDate || null;
+    this.acceptedBy = data.acceptedBy || null;
+    this.convertedSaleRef = data.convertedSaleRef || null;
+    this.convertedDate = data.convertedDate || null;
+    this.createdDate = data.createdDate || new Date();
+    this.updatedDate = data.updatedDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new quote instance
+   * Lines are priced by the pricing service before the quote is stored
+   * @param {Object} data - Quote data
+   * @param {number} validityDays - Days the quote is valid when no validUntil is given
+   * @returns {Quote} New quote instance
+   */
+  static create(data, validityDays = 0) {
+    const now = new Date();
+    const validUntil = data.validUntil
+      ? new Date(data.validUntil)
+      : new Date(now.getTime() + validityDays * 24 * 60 * 60 * 1000);
+
+    return new Quote({
+      customerId: data.customerId,
+      customerContact: data.customerContact,
+      saleItems: (data.saleItems || []).map(item => ({
+        productId: item.productId,
+        productName: item.productName,
+        category: item.category,
+        quantity: item.quantity
+      })),
+      couponCodes: Array.isArray(data.couponCodes)
+        ? data.couponCodes
+        : (data.couponCode ? [data.couponCode] : []),
+      note: data.note,
+      preparedBy: data.preparedBy,
+      status: 'draft',
+      validUntil,
+      createdDate: now,
+      updatedDate: now,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      customerId: this.customerId,
+      customerContact: this.customerContact,
+      saleItems: this.saleItems.map(item =>
+        typeof item.toDocument === 'function' ? item.toDocument() : item
+      ),
+      couponCodes: this.couponCodes,
+      discountLines: this.discountLines,
+      subTotal: this.subTotal,
+      discountAmount: this.discountAmount,
+      taxAmount: this.taxAmount,
+      taxSummary: this.taxSummary,
+      pricesIncludeTax: this.pricesIncludeTax,
+      totalAmount: this.totalAmount,
+      note: this.note,
+      preparedBy: this.preparedBy,
+      status: this.status,
+      validUntil: this.validUntil,
+      sentDate: this.sentDate,
+      acceptedDate: this.acceptedDate,
+      acceptedBy: this.acceptedBy,
+      convertedSaleRef: this.convertedSaleRef,
+      convertedDate: this.convertedDate,
+      createdDate: this.createdDate,
+      updatedDate: this.updatedDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Quote} Quote instance
+   */
+  static fromDocument(doc) {
+    return new Quote({
+      id: doc._id,
+      customerId: doc.customerId,
+      customerContact: doc.customerContact,
+      saleItems: (doc.saleItems || []).map(item => SaleItem.fromDocument(item)),
+      couponCodes: doc.couponCodes || [],
+      discountLines: doc.discountLines || [],
+      subTotal: doc.subTotal,
+      discountAmount: doc.discountAmount,
+      taxAmount: doc.taxAmount,
+      taxSummary: doc.taxSummary || [],
+      pricesIncludeTax: doc.pricesIncludeTax,
+      totalAmount: doc.totalAmount,
+      note: doc.note,
+      preparedBy: doc.preparedBy,
+      status: doc.status,
+      validUntil: doc.validUntil,
+      sentDate: doc.sentDate,
+      acceptedDate: doc.acceptedDate,
+      acceptedBy: doc.acceptedBy,
+      convertedSaleRef: doc.convertedSaleRef,
+      convertedDate: doc.convertedDate,
+      createdDate: doc.createdDate,
+      updatedDate: doc.updatedDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Check whether the quote's validity date has passed
+   * @param {Date} at - Time to check against
+   * @returns {boolean} True when the quote is past its validity date
+   */
+  isPastValidity(at = new Date()) {
+    return Boolean(this.validUntil) && new Date(this.validUntil) < at;
+  }
+
+  /**
+   * Validate quote data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.saleItems || this.saleItems.length === 0) {
+      errors.push('Quote must have at least one item');
+    }
+
+    this.saleItems.forEach((item, index) => {
+      if (!item.productId) {
+        errors.push(`Item ${index + 1}: product ID is required`);
+      }
+      if (!item.quantity || item.quantity <= 0) {
+        errors.push(`Item ${index + 1}: quantity must be greater than 0`);
+      }
+    });
+
+    if (!this.validUntil || Number.isNaN(new Date(this.validUntil).getTime())) {
+      errors.push('Valid until must be a valid date');
+    } else if (new Date(this.validUntil) <= this.createdDate) {
+      errors.push('Valid until must be in the future');
+    }
+
+    if (!QUOTE_STATUSES.includes(this.status)) {
+      errors.push(`Status must be one of: ${QUOTE_STATUSES.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
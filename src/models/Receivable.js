@@ -0,0 +1,119 @@
+/**
+ * Receivable MongoDB Model
+ * Represents the part of a sale a customer bought on account and still owes
+ */
+import { roundToDecimals } from '../utils/helpers.js';
+
+export const AGING_BUCKETS = [
+  { key: 'current', minDays: 0 },
+  { key: 'days30', minDays: 30 },
+  { key: 'days60', minDays: 60 },
+  { key: 'days90Plus', minDays: 90 }
+];
+
+export class Receivable {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.customerId = data.customerId || null;
+    this.saleId = data.saleId || '';
+    this.amount = data.amount || 0;
+    this.paidAmount = data.paidAmount || 0;
+    this.balance = data.balance || 0;
+    this.creditedAmount = data.creditedAmount || 0;
+    this.status = data.status || 'open';
+    this.invoiceDate = data.invoiceDate || new Date();
+    this.dueDate = data.dueDate || null;
+    this.allocations = data.allocations || [];
+    this.voidedAt = data.voidedAt || null;
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new receivable instance
+   * @param {Object} data - Receivable data
+   * @returns {Receivable} New receivable instance
+   */
+  static create(data) {
+    const amount = roundToDecimals(Number(data.amount) || 0);
+    const invoiceDate = data.invoiceDate ? new Date(data.invoiceDate) : new Date();
+    const dueDate = new Date(invoiceDate);
+    dueDate.setDate(dueDate.getDate() + (data.termsDays || 0));
+
+    return new Receivable({
+      customerId: data.customerId,
+      saleId: data.saleId,
+      amount,
+      paidAmount: 0,
+      balance: amount,
+      creditedAmount: 0,
+      status: 'open',
+      invoiceDate,
+      dueDate,
+      allocations: [],
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      customerId: this.customerId,
+      saleId: this.saleId,
+      amount: this.amount,
+      paidAmount: this.paidAmount,
+      balance: this.balance,
+      creditedAmount: this.creditedAmount,
+      status: this.status,
+      invoiceDate: this.invoiceDate,
+      dueDate: this.dueDate,
+      allocations: this.allocations,
+      voidedAt: this.voidedAt,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Receivable} Receivable instance
+   */
+  static fromDocument(doc) {
+    return new Receivable({
+      id: doc._id,
+      customerId: doc.customerId,
+      saleId: doc.saleId,
+      amount: doc.amount,
+      paidAmount: doc.paidAmount,
+      balance: doc.balance,
+      creditedAmount: doc.creditedAmount,
+      status: doc.status,
+      invoiceDate: doc.invoiceDate,
+      dueDate: doc.dueDate,
+      allocations: doc.allocations || [],
+      voidedAt: doc.voidedAt,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Whole days since the invoice date
+   * @param {Date} asOf - Date the age is measured at
+   * @returns {number} Age in days
+   */
+  ageInDays(asOf = new Date()) {
+    return Math.max(0, Math.floor((new Date(asOf) - new Date(this.invoiceDate)) / (24 * 60 * 60 * 1000)));
+  }
+
+  /**
+   * Aging bucket the receivable falls in
+   * @param {Date} asOf - Date the age is measured at
+   * @returns {string} current, days30, days60 or days90Plus
+   */
+  agingBucket(asOf = new Date()) {
+    const age = this.ageInDays(asOf);
+    return AGING_BUCKETS.filter(bucket => age >= bucket.minDays).pop().key;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Return MongoDB Model
+ * Represents goods returned against an original sale and the refund given
+ */
+export class Return {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.saleRef = data.saleRef || null;
+    this.saleId = data.saleId || '';
+    this.saleMysqlId = data.saleMysqlId || null;
+    this.customerId = data.customerId || null;
+    this.returnItems = data.returnItems || [];
+    this.refundMethod = data.refundMethod || '';
+    this.refundAmount = data.refundAmount ?? 0;
+    // Tax given back with the refund, one entry per tax class and rate of the sale
+    this.taxSummary = data.taxSummary || [];
+    this.reason = data.reason || '';
+    this.restock = data.restock !== undefined ? data.restock : true;
+    this.processedBy = data.processedBy || '';
+    this.registerId = data.registerId || null;
+    this.shiftId = data.shiftId || null;
+    this.locationCode = data.locationCode || null;
+    // Points taken back and given back for the returned goods: { pointsReversed, pointsRestored }
+    this.loyalty = data.loyalty || null;
+    this.account = data.account || null;
+    this.returnDate = data.returnDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new return instance
+   * @param {Object} data - Return data
+   * @returns {Return} New return instance
+   */
+  static create(data) {
+    return new Return({
+      saleRef: data.saleRef,
+      saleId: data.saleId,
+      saleMysqlId: data.saleMysqlId,
+      customerId: data.customerId,
+      returnItems: data.returnItems || [],
+      refundMethod: data.refundMethod,
+      refundAmount: data.refundAmount !== undefined ? Number(data.refundAmount) : 0,
+      taxSummary: data.taxSummary || [],
+      reason: data.reason,
+      restock: data.restock,
+      processedBy: data.processedBy,
+      registerId: data.registerId,
+      locationCode: data.locationCode,
+      returnDate: data.returnDate ? new Date(data.returnDate) : new Date(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      saleRef: this.saleRef,
+      saleId: this.saleId,
+      saleMysqlId: this.saleMysqlId,
+      customerId: this.customerId,
+      returnItems: this.returnItems,
+      refundMethod: this.refundMethod,
+      refundAmount: this.refundAmount,
+      taxSummary: this.taxSummary,
+      reason: this.reason,
+      restock: this.restock,
+      processedBy: this.processedBy,
+      registerId: this.registerId,
+      shiftId: this.shiftId,
+      locationCode: this.locationCode,
+      loyalty: this.loyalty,
+      account: this.account,
+      returnDate: this.returnDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Return} Return instance
+   */
+  static fromDocument(doc) {
+    return new Return({
+      id: doc._id,
+      saleRef: doc.saleRef,
+      saleId: doc.saleId,
+      saleMysqlId: doc.saleMysqlId,
+      customerId: doc.customerId,
+      returnItems: doc.returnItems || [],
+      refundMethod: doc.refundMethod,
+      refundAmount: doc.refundAmount,
+      taxSummary: doc.taxSummary || [],
+      reason: doc.reason,
+      restock: doc.restock,
+      processedBy: doc.processedBy,
+      registerId: doc.registerId,
+      shiftId: doc.shiftId,
+      locationCode: doc.locationCode,
+      loyalty: doc.loyalty,
+      account: doc.account,
+      returnDate: doc.returnDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Validate return data
+   * @param {Array<string>} refundMethods - Accepted refund methods
+   * @returns {Object} Validation result
+   */
+  validate(refundMethods = []) {
+    const errors = [];
+
+    if (!this.saleRef) {
+      errors.push('Original sale is required');
+    }
+
+    if (!this.returnItems || this.returnItems.length === 0) {
+      errors.push('Return must have at least one item');
+    }
+
+    this.returnItems.forEach((item, index) => {
+      if (!item.productId) {
+        errors.push(`Item ${index + 1}: product ID is required`);
+      }
+      if (!item.quantity || item.quantity <= 0) {
+        errors.push(`Item ${index + 1}: quantity must be greater than 0`);
+      }
+    });
+
+    if (!this.refundMethod || this.refundMethod.trim() === '') {
+      errors.push('Refund method is required');
+    } else if (refundMethods.length > 0 && !refundMethods.includes(this.refundMethod)) {
+      errors.push(`Refund method must be one of: ${refundMethods.join(', ')}`);
+    }
+
+    if (!Number.isFinite(this.refundAmount)) {
+      errors.push('Refund amount must be a number');
+    } else if (this.refundAmount < 0) {
+      errors.push('Refund amount cannot be negative');
+    }
+
+    if (!(this.returnDate instanceof Date) || Number.isNaN(this.returnDate.getTime())) {
+      errors.push('Return date must be a valid date');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -2,21 +2,38 @@
  * Sale MongoDB Model
  * Represents a complete sale transaction
  */
+import { Tender } from './Tender.js';
+import { roundToDecimals } from '../utils/helpers.js';
+
 export class Sale {
   constructor(data = {}) {
     this.id = data.id || null;
     this.mysqlId = data.mysqlId || null;
     this.saleId = data.saleId || '';
+    this.registerId = data.registerId || null;
+    this.shiftId = data.shiftId || null;
+    this.locationCode = data.locationCode || null;
     this.customerId = data.customerId || null;
     this.customerContact = data.customerContact || '';
     this.saleItems = data.saleItems || [];
     this.subTotal = data.subTotal || 0;
     this.taxAmount = data.taxAmount || 0;
+    this.taxSummary = data.taxSummary || [];
+    this.pricesIncludeTax = Boolean(data.pricesIncludeTax);
     this.discountAmount = data.discountAmount || 0;
+    this.discountLines = data.discountLines || [];
+    this.coupons = data.coupons || [];
+    this.loyalty = data.loyalty || null;
     this.totalAmount = data.totalAmount || 0;
     this.paidAmount = data.paidAmount || 0;
     this.changeAmount = data.changeAmount || 0;
     this.paymentMethod = data.paymentMethod || '';
+    this.tenders = data.tenders || [];
+    this.status = data.status || 'completed';
+    this.voidedBy = data.voidedBy || null;
+    this.voidedAt = data.voidedAt || null;
+    this.voidReasonCode = data.voidReasonCode || null;
+    this.voidNote = data.voidNote || '';
     this.saleDate = data.saleDate || new Date();
     this.timestamp = data.timestamp || Date.now();
   }
@@ -27,20 +44,36 @@ export class Sale {
    * @returns {Sale} New sale instance
    */
   static create(data) {
+    // A sale sent with a single paidAmount is treated as one tender
+    let tenders = (data.tenders || []).map(tender => Tender.create(tender));
+    if (tenders.length === 0 && data.paidAmount > 0) {
+      tenders = [Tender.create({ method: data.paymentMethod || Tender.CASH, amount: data.paidAmount })];
+    }
+
     return new Sale({
       mysqlId: data.mysqlId,
       saleId: data.saleId,
+      registerId: data.registerId,
+      shiftId: data.shiftId,
+      locationCode: data.locationCode,
       customerId: data.customerId,
       customerContact: data.customerContact,
       saleItems: data.saleItems || [],
       subTotal: data.subTotal || 0,
       taxAmount: data.taxAmount || 0,
+      taxSummary: data.taxSummary || [],
+      pricesIncludeTax: data.pricesIncludeTax,
       discountAmount: data.discountAmount || 0,
+      discountLines: data.discountLines || [],
+      coupons: data.coupons || [],
+      loyalty: data.loyalty,
       totalAmount: data.totalAmount || 0,
       paidAmount: data.paidAmount || 0,
       changeAmount: data.changeAmount || 0,
-      paymentMethod: data.paymentMethod,
-      saleDate: data.saleDate || new Date(),
+      paymentMethod: Sale.describePaymentMethod(tenders, data.paymentMethod),
+      tenders,
+      status: 'completed',
+      saleDate: data.saleDate ? new Date(data.saleDate) : new Date(),
       timestamp: Date.now()
     });
   }
@@ -53,6 +86,9 @@ export class Sale {
     return {
       mysqlId: this.mysqlId,
       saleId: this.saleId,
+      registerId: this.registerId,
+      shiftId: this.shiftId,
+      locationCode: this.locationCode,
       customerId: this.customerId,
       customerContact: this.customerContact,
       saleItems: this.saleItems.map(item => 
@@ -60,11 +96,24 @@ export class Sale {
       ),
       subTotal: this.subTotal,
       taxAmount: this.taxAmount,
+      taxSummary: this.taxSummary,
+      pricesIncludeTax: this.pricesIncludeTax,
       discountAmount: this.discountAmount,
+      discountLines: this.discountLines,
+      coupons: this.coupons,
+      loyalty: this.loyalty,
       totalAmount: this.totalAmount,
       paidAmount: this.paidAmount,
       changeAmount: this.changeAmount,
       paymentMethod: this.paymentMethod,
+      tenders: this.tenders.map(tender =>
+        typeof tender.toDocument === 'function' ? tender.toDocument() : tender
+      ),
+      status: this.status,
+      voidedBy: this.voidedBy,
+      voidedAt: this.voidedAt,
+      voidReasonCode: this.voidReasonCode,
+      voidNote: this.voidNote,
       saleDate: this.saleDate,
       timestamp: this.timestamp
     };
@@ -80,16 +129,30 @@ export class Sale {
       id: doc._id,
       mysqlId: doc.mysqlId,
       saleId: doc.saleId,
+      registerId: doc.registerId,
+      shiftId: doc.shiftId,
+      locationCode: doc.locationCode,
       customerId: doc.customerId,
       customerContact: doc.customerContact,
       saleItems: doc.saleItems || [],
       subTotal: doc.subTotal,
       taxAmount: doc.taxAmount,
+      taxSummary: doc.taxSummary || [],
+      pricesIncludeTax: doc.pricesIncludeTax,
       discountAmount: doc.discountAmount,
+      discountLines: doc.discountLines || [],
+      coupons: doc.coupons || [],
+      loyalty: doc.loyalty,
       totalAmount: doc.totalAmount,
       paidAmount: doc.paidAmount,
       changeAmount: doc.changeAmount,
       paymentMethod: doc.paymentMethod,
+      tenders: doc.tenders || [],
+      status: doc.status,
+      voidedBy: doc.voidedBy,
+      voidedAt: doc.voidedAt,
+      voidReasonCode: doc.voidReasonCode,
+      voidNote: doc.voidNote,
       saleDate: doc.saleDate,
       timestamp: doc.timestamp
     });
@@ -113,6 +176,18 @@ export class Sale {
     this.calculateTotals();
   }
 
+  /**
+   * Summarise tenders as a single payment method label
+   * @param {Array} tenders - Sale tenders
+   * @param {string} fallback - Method sent by the client
+   * @returns {string} Method name, or 'split' for more than one method
+   */
+  static describePaymentMethod(tenders, fallback = '') {
+    const methods = [...new Set(tenders.map(tender => tender.method))];
+    if (methods.length === 0) return fallback || '';
+    return methods.length === 1 ? methods[0] : 'split';
+  }
+
   /**
    * Calculate all totals
    */
@@ -122,18 +197,69 @@ export class Sale {
       return total + (item.subTotal || (item.quantity * item.unitPrice));
     }, 0);
 
-    // Calculate total amount
-    this.totalAmount = this.subTotal + this.taxAmount - this.discountAmount;
+    // Calculate total amount; tax-inclusive prices already carry their tax
+    this.totalAmount = this.subTotal - this.discountAmount + (this.pricesIncludeTax ? 0 : this.taxAmount);
 
-    // Calculate change amount
-    this.changeAmount = this.paidAmount - this.totalAmount;
+    if (this.tenders.length === 0) {
+      // Calculate change amount
+      this.changeAmount = this.paidAmount - this.totalAmount;
+      return;
+    }
+
+    this.paidAmount = roundToDecimals(this.tenders.reduce((total, tender) => total + tender.amount, 0));
+
+    // Change can only be handed back out of cash
+    const cashTendered = this.tenders
+      .filter(tender => tender.method === Tender.CASH)
+      .reduce((total, tender) => total + tender.amount, 0);
+    this.changeAmount = roundToDecimals(
+      Math.max(0, Math.min(cashTendered, this.paidAmount - this.totalAmount))
+    );
+
+    // Record how much of each tender went towards the sale, taking change off the last cash tenders
+    let change = this.changeAmount;
+    for (const tender of [...this.tenders].reverse()) {
+      const kept = tender.method === Tender.CASH ? Math.min(change, tender.amount) : 0;
+      tender.appliedAmount = roundToDecimals(tender.amount - kept);
+      change -= kept;
+    }
+  }
+
+  /**
+   * Check whether the sale has been voided
+   * @returns {boolean} True if voided
+   */
+  isVoided() {
+    return this.status === 'voided';
+  }
+
+  /**
+   * Check each line's quantity before the sale is priced or takes stock
+   * A line is a whole number of units sold, so negative, zero and fractional
+   * quantities are refused, as are quantities above maxQuantity
+   * @param {number} maxQuantity - Largest quantity allowed on one line
+   * @returns {Array<string>} Errors, empty when every line is valid
+   */
+  validateItems(maxQuantity = Infinity) {
+    const errors = [];
+
+    (this.saleItems || []).forEach((item, index) => {
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+        errors.push(`Item ${index + 1}: quantity must be a whole number greater than 0`);
+      } else if (item.quantity > maxQuantity) {
+        errors.push(`Item ${index + 1}: quantity cannot exceed ${maxQuantity}`);
+      }
+    });
+
+    return errors;
   }
 
   /**
    * Validate sale data
+   * @param {Array<string>} tenderTypes - Accepted tender methods
    * @returns {Object} Validation result
    */
-  validate() {
+  validate(tenderTypes = []) {
     const errors = [];
 
     if (!this.saleId || this.saleId.trim() === '') {
@@ -144,6 +270,12 @@ export class Sale {
       errors.push('Sale must have at least one item');
     }
 
+    errors.push(...this.validateItems());
+
+    if (!(this.saleDate instanceof Date) || Number.isNaN(this.saleDate.getTime())) {
+      errors.push('Sale date must be a valid date');
+    }
+
     if (this.totalAmount < 0) {
       errors.push('Total amount cannot be negative');
     }
@@ -152,6 +284,21 @@ export class Sale {
       errors.push('Paid amount must be greater than or equal to total amount');
     }
 
+    this.tenders.forEach((tender, index) => {
+      const tenderValidation = typeof tender.validate === 'function'
+        ? tender.validate(tenderTypes)
+        : { errors: [] };
+      tenderValidation.errors.forEach(error => errors.push(`Tender ${index + 1}: ${error}`));
+    });
+
+    const nonCashTendered = this.tenders
+      .filter(tender => tender.method !== Tender.CASH)
+      .reduce((total, tender) => total + tender.amount, 0);
+
+    if (nonCashTendered - this.totalAmount > 0.005) {
+      errors.push('Non-cash tenders cannot exceed the total amount');
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -11,6 +11,12 @@ export class SaleItem {
     this.quantity = data.quantity || 0;
     this.unitPrice = data.unitPrice || 0;
     this.subTotal = data.subTotal || 0;
+    this.discountAmount = data.discountAmount || 0;
+    this.taxAmount = data.taxAmount || 0;
+    this.taxClass = data.taxClass || null;
+    this.taxRate = data.taxRate || 0;
+    // Lots the line was picked from, first expired first out: { lotId, lotNumber, expiryDate, quantity }
+    this.lots = data.lots || [];
   }
 
   /**
@@ -26,7 +32,12 @@ export class SaleItem {
       category: data.category,
       quantity: data.quantity,
       unitPrice: data.unitPrice,
-      subTotal: data.subTotal
+      subTotal: data.subTotal,
+      discountAmount: data.discountAmount,
+      taxAmount: data.taxAmount,
+      taxClass: data.taxClass,
+      taxRate: data.taxRate,
+      lots: data.lots
     });
   }
 
@@ -42,7 +53,12 @@ export class SaleItem {
       category: this.category,
       quantity: this.quantity,
       unitPrice: this.unitPrice,
-      subTotal: this.subTotal
+      subTotal: this.subTotal,
+      discountAmount: this.discountAmount,
+      taxAmount: this.taxAmount,
+      taxClass: this.taxClass,
+      taxRate: this.taxRate,
+      lots: this.lots
     };
   }
 
@@ -59,7 +75,12 @@ export class SaleItem {
       category: doc.category,
       quantity: doc.quantity,
       unitPrice: doc.unitPrice,
-      subTotal: doc.subTotal
+      subTotal: doc.subTotal,
+      discountAmount: doc.discountAmount,
+      taxAmount: doc.taxAmount,
+      taxClass: doc.taxClass,
+      taxRate: doc.taxRate,
+      lots: doc.lots || []
     });
   }
 
@@ -0,0 +1,194 @@
+/**
+ * Shift MongoDB Model
+ * Represents a cashier's session on a register, from the opening float to the counted close
+ */
+import { roundToDecimals } from '../utils/helpers.js';
+
+// pay_in and pay_out move cash by hand; the others are recorded by the services taking the money
+export const SHIFT_MOVEMENT_TYPES = ['pay_in', 'pay_out', 'layaway_payment', 'refund'];
+
+export class Shift {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.registerId = data.registerId || '';
+    this.openedBy = data.openedBy || '';
+    this.openingFloat = data.openingFloat || 0;
+    this.status = data.status || 'open';
+    this.movements = data.movements || [];
+    this.openedAt = data.openedAt || new Date();
+    this.closedBy = data.closedBy || null;
+    this.closedAt = data.closedAt || null;
+    this.counted = data.counted || null;
+    this.expected = data.expected || null;
+    this.variance = data.variance || null;
+    this.overShort = data.overShort ?? null;
+    this.salesCount = data.salesCount || 0;
+    this.salesTotal = data.salesTotal || 0;
+    this.note = data.note || '';
+    this.closeNote = data.closeNote || '';
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new shift instance
+   * @param {Object} data - Shift data
+   * @returns {Shift} New shift instance
+   */
+  static create(data) {
+    return new Shift({
+      registerId: data.registerId,
+      openedBy: data.openedBy,
+      openingFloat: roundToDecimals(Number(data.openingFloat) || 0),
+      status: 'open',
+      movements: [],
+      openedAt: new Date(),
+      note: data.note,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Build a drawer movement
+   * @param {Object} data - { type, method, amount, reason, reference, performedBy }
+   * @returns {Object} Movement entry
+   */
+  static movement(data) {
+    return {
+      type: data.type,
+      method: data.method || 'cash',
+      amount: roundToDecimals(Number(data.amount) || 0),
+      reason: data.reason || '',
+      reference: data.reference || '',
+      performedBy: data.performedBy || null,
+      date: new Date()
+    };
+  }
+
+  /**
+   * Validate a drawer movement
+   * @param {Object} movement - Movement entry
+   * @returns {Object} Validation result
+   */
+  static validateMovement(movement) {
+    const errors = [];
+
+    if (!SHIFT_MOVEMENT_TYPES.includes(movement.type)) {
+      errors.push(`Type must be one of: ${SHIFT_MOVEMENT_TYPES.join(', ')}`);
+    }
+
+    if (!(movement.amount > 0)) {
+      errors.push('Amount must be greater than 0');
+    }
+
+    if (['pay_in', 'pay_out'].includes(movement.type) && movement.reason.trim() === '') {
+      errors.push('Reason is required');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      registerId: this.registerId,
+      openedBy: this.openedBy,
+      openingFloat: this.openingFloat,
+      status: this.status,
+      movements: this.movements,
+      openedAt: this.openedAt,
+      closedBy: this.closedBy,
+      closedAt: this.closedAt,
+      counted: this.counted,
+      expected: this.expected,
+      variance: this.variance,
+      overShort: this.overShort,
+      salesCount: this.salesCount,
+      salesTotal: this.salesTotal,
+      note: this.note,
+      closeNote: this.closeNote,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Shift} Shift instance
+   */
+  static fromDocument(doc) {
+    return new Shift({
+      id: doc._id,
+      registerId: doc.registerId,
+      openedBy: doc.openedBy,
+      openingFloat: doc.openingFloat,
+      status: doc.status,
+      movements: doc.movements || [],
+      openedAt: doc.openedAt,
+      closedBy: doc.closedBy,
+      closedAt: doc.closedAt,
+      counted: doc.counted,
+      expected: doc.expected,
+      variance: doc.variance,
+      overShort: doc.overShort,
+      salesCount: doc.salesCount,
+      salesTotal: doc.salesTotal,
+      note: doc.note,
+      closeNote: doc.closeNote,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Compare counted amounts with expected amounts by tender
+   * Tenders that were not counted have no variance and do not count towards over/short
+   * @param {Object} expected - Expected amount by tender
+   * @param {Object} counted - Counted amount by tender
+   * @returns {Object} { variance, overShort }
+   */
+  static reconcile(expected, counted) {
+    const variance = {};
+    let overShort = 0;
+
+    for (const method of new Set([...Object.keys(expected), ...Object.keys(counted)])) {
+      if (counted[method] === undefined) {
+        variance[method] = null;
+        continue;
+      }
+      variance[method] = roundToDecimals(counted[method] - (expected[method] || 0));
+      overShort += variance[method];
+    }
+
+    return { variance, overShort: roundToDecimals(overShort) };
+  }
+
+  /**
+   * Validate shift data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.registerId || String(this.registerId).trim() === '') {
+      errors.push('Register ID is required');
+    }
+
+    if (!this.openedBy || String(this.openedBy).trim() === '') {
+      errors.push('Opened by is required');
+    }
+
+    if (this.openingFloat < 0) {
+      errors.push('Opening float cannot be negative');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
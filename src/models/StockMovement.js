@@ -0,0 +1,129 @@
+/**
+ * Stock Movement MongoDB Model
+ * Represents one change to a product's on-hand quantity; movements are append-only
+ */
+export const STOCK_MOVEMENT_TYPES = [
+  'sale',
+  'return',
+  'receipt',
+  'adjustment',
+  'transfer',
+  'wastage',
+  'count_correction'
+];
+
+// Types recorded by hand through the quantities API; sales and returns are recorded by their services
+export const MANUAL_STOCK_MOVEMENT_TYPES = ['receipt', 'adjustment', 'transfer', 'wastage', 'count_correction'];
+
+export class StockMovement {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.productId = data.productId ?? null;
+    this.quantityId = data.quantityId || null;
+    this.locationCode = data.locationCode || null;
+    this.type = data.type || '';
+    this.delta = data.delta || 0;
+    this.quantityAfter = data.quantityAfter ?? null;
+    this.reason = data.reason || '';
+    this.reference = data.reference || null;
+    this.performedBy = data.performedBy || null;
+    this.date = data.date || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new stock movement instance
+   * @param {Object} data - { productId, quantityId, locationCode, type, delta, quantityAfter, reason, reference, performedBy }
+   * @returns {StockMovement} New stock movement instance
+   */
+  static create(data) {
+    return new StockMovement({
+      productId: data.productId,
+      quantityId: data.quantityId,
+      locationCode: data.locationCode,
+      type: data.type,
+      delta: Number(data.delta) || 0,
+      quantityAfter: data.quantityAfter,
+      reason: data.reason,
+      reference: data.reference
+        ? { type: data.reference.type || '', id: data.reference.id || null, number: data.reference.number || '' }
+        : null,
+      performedBy: data.performedBy,
+      date: new Date(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      productId: this.productId,
+      quantityId: this.quantityId,
+      locationCode: this.locationCode,
+      type: this.type,
+      delta: this.delta,
+      quantityAfter: this.quantityAfter,
+      reason: this.reason,
+      reference: this.reference,
+      performedBy: this.performedBy,
+      date: this.date,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {StockMovement} Stock movement instance
+   */
+  static fromDocument(doc) {
+    return new StockMovement({
+      id: doc._id,
+      productId: doc.productId,
+      quantityId: doc.quantityId,
+      locationCode: doc.locationCode,
+      type: doc.type,
+      delta: doc.delta,
+      quantityAfter: doc.quantityAfter,
+      reason: doc.reason,
+      reference: doc.reference,
+      performedBy: doc.performedBy,
+      date: doc.date,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Validate stock movement data
+   * Wastage only takes stock away and receipts only add it; a voided sale puts
+   * its stock back as a positive sale movement
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (this.productId === null || this.productId === undefined || Number.isNaN(this.productId)) {
+      errors.push('Product ID is required');
+    }
+
+    if (!STOCK_MOVEMENT_TYPES.includes(this.type)) {
+      errors.push(`Type must be one of: ${STOCK_MOVEMENT_TYPES.join(', ')}`);
+    }
+
+    if (!Number.isFinite(this.delta) || this.delta === 0) {
+      errors.push('Delta must be a non-zero number');
+    } else if (this.type === 'wastage' && this.delta > 0) {
+      errors.push('A wastage movement must take stock away');
+    } else if (this.type === 'receipt' && this.delta < 0) {
+      errors.push('A receipt movement must add stock');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * TaxClass MongoDB Model
+ * Represents a tax rate that products are assigned to directly or through their category
+ */
+export class TaxClass {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.code = data.code || '';
+    this.name = data.name || '';
+    this.rate = data.rate || 0;
+    this.exempt = Boolean(data.exempt);
+    this.categories = data.categories || [];
+    this.createdDate = data.createdDate || new Date();
+    this.updatedDate = data.updatedDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new tax class instance
+   * @param {Object} data - Tax class data
+   * @returns {TaxClass} New tax class instance
+   */
+  static create(data) {
+    const now = new Date();
+    const exempt = Boolean(data.exempt);
+    return new TaxClass({
+      code: String(data.code || '').trim().toLowerCase(),
+      name: data.name || data.code,
+      // Exempt supplies carry no tax but are reported apart from zero-rated ones
+      rate: exempt ? 0 : Number(data.rate) || 0,
+      exempt,
+      categories: data.categories || [],
+      createdDate: now,
+      updatedDate: now,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      code: this.code,
+      name: this.name,
+      rate: this.rate,
+      exempt: this.exempt,
+      categories: this.categories,
+      createdDate: this.createdDate,
+      updatedDate: this.updatedDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {TaxClass} Tax class instance
+   */
+  static fromDocument(doc) {
+    return new TaxClass({
+      id: doc._id,
+      code: doc.code,
+      name: doc.name,
+      rate: doc.rate,
+      exempt: doc.exempt,
+      categories: doc.categories || [],
+      createdDate: doc.createdDate,
+      updatedDate: doc.updatedDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Validate tax class data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!/^[a-z0-9_-]{1,32}$/.test(this.code)) {
+      errors.push('Code must be 1-32 lowercase letters, digits, dashes or underscores');
+    }
+
+    if (!this.name || String(this.name).trim() === '') {
+      errors.push('Name is required');
+    }
+
+    if (this.rate < 0 || this.rate > 100) {
+      errors.push('Rate must be between 0 and 100');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
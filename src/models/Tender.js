@@ -0,0 +1,94 @@
+/**
+ * Tender MongoDB Model
+ * Represents one payment towards a sale, e.g. the cash or card part of a split payment
+ */
+export class Tender {
+  constructor(data = {}) {
+    this.method = data.method || '';
+    this.amount = data.amount || 0;
+    this.reference = data.reference || '';
+    this.giftCardId = data.giftCardId || null;
+    this.appliedAmount = data.appliedAmount !== undefined ? data.appliedAmount : (data.amount || 0);
+  }
+
+  /**
+   * Method name of the tender that change can be given from
+   */
+  static get CASH() {
+    return 'cash';
+  }
+
+  /**
+   * Create a new tender instance
+   * @param {Object} data - Tender data
+   * @returns {Tender} New tender instance
+   */
+  static create(data) {
+    return new Tender({
+      method: data.method,
+      amount: Number(data.amount) || 0,
+      reference: data.reference
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      method: this.method,
+      amount: this.amount,
+      reference: this.reference,
+      giftCardId: this.giftCardId,
+      appliedAmount: this.appliedAmount
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Tender} Tender instance
+   */
+  static fromDocument(doc) {
+    return new Tender({
+      method: doc.method,
+      amount: doc.amount,
+      reference: doc.reference,
+      giftCardId: doc.giftCardId,
+      appliedAmount: doc.appliedAmount
+    });
+  }
+
+  /**
+   * Check whether change can be given from this tender
+   * @returns {boolean} True for cash
+   */
+  isCash() {
+    return this.method === Tender.CASH;
+  }
+
+  /**
+   * Validate tender data
+   * @param {Array<string>} tenderTypes - Accepted tender methods
+   * @returns {Object} Validation result
+   */
+  validate(tenderTypes = []) {
+    const errors = [];
+
+    if (!this.method || this.method.trim() === '') {
+      errors.push('Tender method is required');
+    } else if (tenderTypes.length > 0 && !tenderTypes.includes(this.method)) {
+      errors.push(`Tender method must be one of: ${tenderTypes.join(', ')}`);
+    }
+
+    if (!this.amount || this.amount <= 0) {
+      errors.push('Tender amount must be greater than 0');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
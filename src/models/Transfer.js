@@ -0,0 +1,147 @@
+/**
+ * Transfer MongoDB Model
+ * Represents stock moved from one location to another, dispatched at the source and received at the destination
+ */
+export const TRANSFER_STATUSES = ['draft', 'dispatched', 'received'];
+
+export class Transfer {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.sourceLocation = data.sourceLocation || '';
+    this.destinationLocation = data.destinationLocation || '';
+    this.lines = data.lines || [];
+    this.status = data.status || 'draft';
+    this.note = data.note || '';
+    this.createdBy = data.createdBy || '';
+    this.dispatchedBy = data.dispatchedBy || null;
+    this.dispatchedDate = data.dispatchedDate || null;
+    this.receivedBy = data.receivedBy || null;
+    this.receivedDate = data.receivedDate || null;
+    this.shortQuantity = data.shortQuantity || 0;
+    this.overQuantity = data.overQuantity || 0;
+    this.createdDate = data.createdDate || new Date();
+    this.updatedDate = data.updatedDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new draft transfer instance
+   * @param {Object} data - { sourceLocation, destinationLocation, lines: [{ productId, quantity }], note, createdBy }
+   * @returns {Transfer} New transfer instance
+   */
+  static create(data) {
+    const now = new Date();
+    return new Transfer({
+      sourceLocation: data.sourceLocation,
+      destinationLocation: data.destinationLocation,
+      lines: (data.lines || []).map(line => ({
+        productId: parseInt(line.productId),
+        productName: line.productName || '',
+        quantity: Number(line.quantity)
+      })),
+      status: 'draft',
+      note: data.note,
+      createdBy: data.createdBy,
+      createdDate: data.createdDate || now,
+      updatedDate: now,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      sourceLocation: this.sourceLocation,
+      destinationLocation: this.destinationLocation,
+      lines: this.lines,
+      status: this.status,
+      note: this.note,
+      createdBy: this.createdBy,
+      dispatchedBy: this.dispatchedBy,
+      dispatchedDate: this.dispatchedDate,
+      receivedBy: this.receivedBy,
+      receivedDate: this.receivedDate,
+      shortQuantity: this.shortQuantity,
+      overQuantity: this.overQuantity,
+      createdDate: this.createdDate,
+      updatedDate: this.updatedDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {Transfer} Transfer instance
+   */
+  static fromDocument(doc) {
+    return new Transfer({
+      id: doc._id,
+      sourceLocation: doc.sourceLocation,
+      destinationLocation: doc.destinationLocation,
+      lines: doc.lines || [],
+      status: doc.status,
+      note: doc.note,
+      createdBy: doc.createdBy,
+      dispatchedBy: doc.dispatchedBy,
+      dispatchedDate: doc.dispatchedDate,
+      receivedBy: doc.receivedBy,
+      receivedDate: doc.receivedDate,
+      shortQuantity: doc.shortQuantity,
+      overQuantity: doc.overQuantity,
+      createdDate: doc.createdDate,
+      updatedDate: doc.updatedDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Validate transfer data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.sourceLocation) {
+      errors.push('Source location is required');
+    }
+
+    if (!this.destinationLocation) {
+      errors.push('Destination location is required');
+    }
+
+    if (this.sourceLocation && this.sourceLocation === this.destinationLocation) {
+      errors.push('Source and destination must be different locations');
+    }
+
+    if (!this.lines || this.lines.length === 0) {
+      errors.push('Transfer must have at least one line');
+    }
+
+    const seen = new Set();
+    this.lines.forEach((line, index) => {
+      if (!line.productId) {
+        errors.push(`Line ${index + 1}: product ID is required`);
+      } else if (seen.has(line.productId)) {
+        errors.push(`Line ${index + 1}: product ${line.productId} is already on the transfer`);
+      }
+      seen.add(line.productId);
+
+      if (!Number.isFinite(line.quantity) || line.quantity <= 0) {
+        errors.push(`Line ${index + 1}: quantity must be greater than 0`);
+      }
+    });
+
+    if (!TRANSFER_STATUSES.includes(this.status)) {
+      errors.push(`Status must be one of: ${TRANSFER_STATUSES.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
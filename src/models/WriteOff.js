@@ -0,0 +1,100 @@
+/**
+ * Write-Off MongoDB Model
+ * Represents expired stock taken out of the quantities on hand, valued at cost and at sale price
+ */
+export class WriteOff {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.reason = data.reason || '';
+    this.performedBy = data.performedBy || null;
+    this.lines = data.lines || [];
+    this.skipped = data.skipped || [];
+    this.quantity = data.quantity || 0;
+    this.valueAtCost = data.valueAtCost || 0;
+    this.valueAtSale = data.valueAtSale || 0;
+    this.uncostedQuantity = data.uncostedQuantity || 0;
+    this.writeOffDate = data.writeOffDate || new Date();
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create a new write-off instance
+   * @param {Object} data - { reason, performedBy, lines, skipped, quantity, valueAtCost, valueAtSale, uncostedQuantity }
+   * @returns {WriteOff} New write-off instance
+   */
+  static create(data) {
+    return new WriteOff({
+      reason: data.reason,
+      performedBy: data.performedBy,
+      lines: data.lines,
+      skipped: data.skipped,
+      quantity: data.quantity,
+      valueAtCost: data.valueAtCost,
+      valueAtSale: data.valueAtSale,
+      uncostedQuantity: data.uncostedQuantity,
+      writeOffDate: new Date(),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      reason: this.reason,
+      performedBy: this.performedBy,
+      lines: this.lines,
+      skipped: this.skipped,
+      quantity: this.quantity,
+      valueAtCost: this.valueAtCost,
+      valueAtSale: this.valueAtSale,
+      uncostedQuantity: this.uncostedQuantity,
+      writeOffDate: this.writeOffDate,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {WriteOff} Write-off instance
+   */
+  static fromDocument(doc) {
+    return new WriteOff({
+      id: doc._id,
+      reason: doc.reason,
+      performedBy: doc.performedBy,
+      lines: doc.lines || [],
+      skipped: doc.skipped || [],
+      quantity: doc.quantity,
+      valueAtCost: doc.valueAtCost,
+      valueAtSale: doc.valueAtSale,
+      uncostedQuantity: doc.uncostedQuantity,
+      writeOffDate: doc.writeOffDate,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Validate write-off data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.reason || String(this.reason).trim() === '') {
+      errors.push('Reason is required');
+    }
+
+    if (!this.performedBy || String(this.performedBy).trim() === '') {
+      errors.push('Performed by is required');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
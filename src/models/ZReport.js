@@ -0,0 +1,134 @@
+/**
+ * Z Report MongoDB Model
+ * Represents the final close of a register's business day, kept permanently
+ */
+export class ZReport {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.storeId = data.storeId || '';
+    this.registerId = data.registerId || '';
+    this.businessDay = data.businessDay || '';
+    this.sequence = data.sequence || null;
+    this.status = data.status || 'closing';
+    this.startsAt = data.startsAt || null;
+    this.endsAt = data.endsAt || null;
+    this.grossSales = data.grossSales || 0;
+    this.discounts = data.discounts || 0;
+    this.netSales = data.netSales || 0;
+    this.taxAmount = data.taxAmount || 0;
+    this.taxByRate = data.taxByRate || [];
+    this.tenders = data.tenders || [];
+    this.returns = data.returns || { count: 0, amount: 0, byMethod: [] };
+    this.voids = data.voids || { count: 0, amount: 0 };
+    this.transactionCount = data.transactionCount || 0;
+    this.firstSaleNumber = data.firstSaleNumber || null;
+    this.lastSaleNumber = data.lastSaleNumber || null;
+    this.closedBy = data.closedBy || null;
+    this.closedAt = data.closedAt || null;
+    this.note = data.note || '';
+    this.timestamp = data.timestamp || Date.now();
+  }
+
+  /**
+   * Create the claim on a business day that a Z report is being built for
+   * Figures and the sequence number are filled in once the day is totalled
+   * @param {Object} data - { storeId, registerId, businessDay, closedBy, note }
+   * @returns {ZReport} New Z report instance
+   */
+  static create(data) {
+    return new ZReport({
+      storeId: data.storeId,
+      registerId: data.registerId,
+      businessDay: data.businessDay,
+      status: 'closing',
+      closedBy: data.closedBy,
+      note: data.note,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Convert to MongoDB document format
+   * @returns {Object} MongoDB document
+   */
+  toDocument() {
+    return {
+      storeId: this.storeId,
+      registerId: this.registerId,
+      businessDay: this.businessDay,
+      sequence: this.sequence,
+      status: this.status,
+      startsAt: this.startsAt,
+      endsAt: this.endsAt,
+      grossSales: this.grossSales,
+      discounts: this.discounts,
+      netSales: this.netSales,
+      taxAmount: this.taxAmount,
+      taxByRate: this.taxByRate,
+      tenders: this.tenders,
+      returns: this.returns,
+      voids: this.voids,
+      transactionCount: this.transactionCount,
+      firstSaleNumber: this.firstSaleNumber,
+      lastSaleNumber: this.lastSaleNumber,
+      closedBy: this.closedBy,
+      closedAt: this.closedAt,
+      note: this.note,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Convert from MongoDB document
+   * @param {Object} doc - MongoDB document
+   * @returns {ZReport} Z report instance
+   */
+  static fromDocument(doc) {
+    return new ZReport({
+      id: doc._id,
+      storeId: doc.storeId,
+      registerId: doc.registerId,
+      businessDay: doc.businessDay,
+      sequence: doc.sequence,
+      status: doc.status,
+      startsAt: doc.startsAt,
+      endsAt: doc.endsAt,
+      grossSales: doc.grossSales,
+      discounts: doc.discounts,
+      netSales: doc.netSales,
+      taxAmount: doc.taxAmount,
+      taxByRate: doc.taxByRate || [],
+      tenders: doc.tenders || [],
+      returns: doc.returns,
+      voids: doc.voids,
+      transactionCount: doc.transactionCount,
+      firstSaleNumber: doc.firstSaleNumber,
+      lastSaleNumber: doc.lastSaleNumber,
+      closedBy: doc.closedBy,
+      closedAt: doc.closedAt,
+      note: doc.note,
+      timestamp: doc.timestamp
+    });
+  }
+
+  /**
+   * Validate Z report data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.registerId || String(this.registerId).trim() === '') {
+      errors.push('Register ID is required');
+    }
+
+    if (!this.closedBy || String(this.closedBy).trim() === '') {
+      errors.push('Closed by is required');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Account Routes
+ * Defines all on-account customer API endpoints
+ */
+import express from 'express';
+import { AccountController } from '../controllers/AccountController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const accountController = new AccountController();
+
+// Get open receivables of every customer aged into buckets (asOf)
+router.get('/aging', accountController.getAgedReceivables.bind(accountController));
+
+// Get a customer's credit limit, balance and available credit
+router.get('/:customerId', accountController.getAccount.bind(accountController));
+
+// Set a customer's credit limit and payment terms
+router.put('/:customerId/credit', accountController.setCreditTerms.bind(accountController));
+
+// Get a customer's on-account invoices (filter by status)
+router.get('/:customerId/invoices', accountController.getInvoices.bind(accountController));
+
+// Record a payment and allocate it to open invoices
+router.post('/:customerId/payments', idempotent('accountPayments'), accountController.recordPayment.bind(accountController));
+
+// Get a customer's payments
+router.get('/:customerId/payments', accountController.getPayments.bind(accountController));
+
+// Allocate unallocated credit to the oldest open invoices
+router.post('/:customerId/allocate', accountController.allocateCredit.bind(accountController));
+
+// Get a customer statement with aging buckets (asOf, startDate)
+router.get('/:customerId/statement', accountController.getStatement.bind(accountController));
+
+export default router;
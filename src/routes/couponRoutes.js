@@ -0,0 +1,33 @@
+/**
+ * Coupon Routes
+ * Defines all coupon API endpoints
+ */
+import express from 'express';
+import { CouponController } from '../controllers/CouponController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const couponController = new CouponController();
+
+// Create a new coupon
+router.post('/', idempotent('coupons'), couponController.createCoupon.bind(couponController));
+
+// Get coupons (filter by status)
+router.get('/', couponController.getAllCoupons.bind(couponController));
+
+// Check whether a coupon can be used (customerId, amount)
+router.get('/:code/check', couponController.checkCoupon.bind(couponController));
+
+// Get the redemptions of a coupon
+router.get('/:code/redemptions', couponController.getRedemptions.bind(couponController));
+
+// Get coupon by code
+router.get('/:code', couponController.getCouponByCode.bind(couponController));
+
+// Update coupon
+router.put('/:code', couponController.updateCoupon.bind(couponController));
+
+// Delete coupon
+router.delete('/:code', couponController.deleteCoupon.bind(couponController));
+
+export default router;
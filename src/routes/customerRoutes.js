@@ -4,12 +4,13 @@
  */
 import express from 'express';
 import { CustomerController } from '../controllers/CustomerController.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 const customerController = new CustomerController();
 
 // Create a new customer
-router.post('/', customerController.createCustomer.bind(customerController));
+router.post('/', idempotent('customers'), customerController.createCustomer.bind(customerController));
 
 // Get all customers with pagination
 router.get('/', customerController.getAllCustomers.bind(customerController));
@@ -0,0 +1,24 @@
+/**
+ * Expiry Routes
+ * Defines the expiring stock and write-off API endpoints
+ */
+import express from 'express';
+import { ExpiryController } from '../controllers/ExpiryController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const expiryController = new ExpiryController();
+
+// Get stock expired or expiring within N days (filter by product, category and supplier)
+router.get('/', expiryController.getExpiringStock.bind(expiryController));
+
+// Write off expired stock as wastage
+router.post('/write-off', idempotent('writeOffs'), expiryController.writeOffExpired.bind(expiryController));
+
+// Get write-offs (filter by product and date range)
+router.get('/write-offs', expiryController.getWriteOffs.bind(expiryController));
+
+// Get write-off by MongoDB ID
+router.get('/write-offs/:id', expiryController.getWriteOffById.bind(expiryController));
+
+export default router;
@@ -0,0 +1,30 @@
+/**
+ * Gift Card Routes
+ * Defines all gift card API endpoints
+ */
+import express from 'express';
+import { GiftCardController } from '../controllers/GiftCardController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const giftCardController = new GiftCardController();
+
+// Issue a gift card
+router.post('/', idempotent('giftCards'), giftCardController.issueGiftCard.bind(giftCardController));
+
+// Get gift cards (filter by status or customer)
+router.get('/', giftCardController.getGiftCards.bind(giftCardController));
+
+// Top up a gift card; the code goes in the body so it stays out of URLs and access logs
+router.post('/top-up', idempotent('giftCardTopUps'), giftCardController.topUp.bind(giftCardController));
+
+// Check the balance of a gift card
+router.get('/:code/balance', giftCardController.getBalance.bind(giftCardController));
+
+// Get a gift card with its ledger
+router.get('/:code', giftCardController.getGiftCardByCode.bind(giftCardController));
+
+// Void a gift card
+router.post('/:code/void', giftCardController.voidGiftCard.bind(giftCardController));
+
+export default router;
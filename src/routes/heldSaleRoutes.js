@@ -0,0 +1,33 @@
+/**
+ * Held Sale Routes
+ * Defines all held (parked) sale API endpoints
+ */
+import express from 'express';
+import { HeldSaleController } from '../controllers/HeldSaleController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const heldSaleController = new HeldSaleController();
+
+// Park a basket
+router.post('/', idempotent('heldSales'), heldSaleController.createHold.bind(heldSaleController));
+
+// Get held sales (open by default, filter by register)
+router.get('/', heldSaleController.getHolds.bind(heldSaleController));
+
+// Get held sale by MongoDB ID
+router.get('/:id', heldSaleController.getHoldById.bind(heldSaleController));
+
+// Update the basket of a held sale
+router.put('/:id', heldSaleController.updateHold.bind(heldSaleController));
+
+// Resume a held sale on a register
+router.post('/:id/resume', heldSaleController.resumeHold.bind(heldSaleController));
+
+// Convert a held sale into a sale
+router.post('/:id/convert', heldSaleController.convertHold.bind(heldSaleController));
+
+// Cancel a held sale
+router.delete('/:id', heldSaleController.cancelHold.bind(heldSaleController));
+
+export default router;
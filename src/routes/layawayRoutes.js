@@ -0,0 +1,30 @@
+/**
+ * Layaway Routes
+ * Defines all layaway API endpoints
+ */
+import express from 'express';
+import { LayawayController } from '../controllers/LayawayController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const layawayController = new LayawayController();
+
+// Open a layaway against a deposit
+router.post('/', idempotent('layaways'), layawayController.createLayaway.bind(layawayController));
+
+// Get layaways (active by default, filter by customer)
+router.get('/', layawayController.getLayaways.bind(layawayController));
+
+// Get layaway by MongoDB ID
+router.get('/:id', layawayController.getLayawayById.bind(layawayController));
+
+// Take an instalment payment
+router.post('/:id/payments', idempotent('layawayPayments'), layawayController.recordPayment.bind(layawayController));
+
+// Complete a fully paid layaway into a sale
+router.post('/:id/complete', layawayController.completeLayaway.bind(layawayController));
+
+// Cancel a layaway and release its stock
+router.post('/:id/cancel', layawayController.cancelLayaway.bind(layawayController));
+
+export default router;
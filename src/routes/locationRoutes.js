@@ -0,0 +1,24 @@
+/**
+ * Location Routes
+ * Defines the store and warehouse API endpoints
+ */
+import express from 'express';
+import { LocationController } from '../controllers/LocationController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const locationController = new LocationController();
+
+// Create a new location
+router.post('/', idempotent('locations'), locationController.createLocation.bind(locationController));
+
+// Get locations (filter by type and status)
+router.get('/', locationController.getLocations.bind(locationController));
+
+// Get location by code
+router.get('/:code', locationController.getLocationByCode.bind(locationController));
+
+// Update a location's name, type, registers, address or status
+router.put('/:code', locationController.updateLocation.bind(locationController));
+
+export default router;
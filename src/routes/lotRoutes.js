@@ -0,0 +1,27 @@
+/**
+ * Lot Routes
+ * Defines the batch/lot API endpoints
+ */
+import express from 'express';
+import { LotController } from '../controllers/LotController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const lotController = new LotController();
+
+// Receive a lot into stock
+router.post('/', idempotent('lots'), lotController.receiveLot.bind(lotController));
+
+// Get lots (filter by product, status, expiry and stock left)
+router.get('/', lotController.getLots.bind(lotController));
+
+// Get lot by MongoDB ID
+router.get('/:id', lotController.getLotById.bind(lotController));
+
+// Trace a lot to the sales and customers it went to
+router.get('/:id/trace', lotController.traceLot.bind(lotController));
+
+// Recall a lot so it is no longer sold
+router.post('/:id/recall', lotController.recallLot.bind(lotController));
+
+export default router;
@@ -0,0 +1,45 @@
+/**
+ * Loyalty Routes
+ * Defines all loyalty API endpoints
+ */
+import express from 'express';
+import { LoyaltyController } from '../controllers/LoyaltyController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const loyaltyController = new LoyaltyController();
+
+// Create a new earn rule
+router.post('/rules', idempotent('loyaltyRules'), loyaltyController.createRule.bind(loyaltyController));
+
+// Get earn rules (filter by status, type)
+router.get('/rules', loyaltyController.getRules.bind(loyaltyController));
+
+// Get earn rule by ID
+router.get('/rules/:id', loyaltyController.getRuleById.bind(loyaltyController));
+
+// Update earn rule
+router.put('/rules/:id', loyaltyController.updateRule.bind(loyaltyController));
+
+// Delete earn rule
+router.delete('/rules/:id', loyaltyController.deleteRule.bind(loyaltyController));
+
+// Get the configured tiers
+router.get('/tiers', loyaltyController.getTiers.bind(loyaltyController));
+
+// Recompute every customer's tier from their rolling spend
+router.post('/tiers/recompute', loyaltyController.recomputeTiers.bind(loyaltyController));
+
+// Get a customer's points, tier and progress to the next tier
+router.get('/customers/:customerId', loyaltyController.getAccount.bind(loyaltyController));
+
+// Get a customer's points ledger (filter by type)
+router.get('/customers/:customerId/ledger', loyaltyController.getLedger.bind(loyaltyController));
+
+// Add or remove points by hand
+router.post('/customers/:customerId/adjust', idempotent('loyaltyAdjustments'), loyaltyController.adjustPoints.bind(loyaltyController));
+
+// Rebuild a customer's balance from the ledger
+router.post('/customers/:customerId/rebuild', loyaltyController.rebuildBalance.bind(loyaltyController));
+
+export default router;
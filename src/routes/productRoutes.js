@@ -4,6 +4,7 @@
  */
 import express from 'express';
 import { ProductController } from '../controllers/ProductController.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 const productController = new ProductController();
@@ -22,7 +23,7 @@ router.get('/search/:query', productController.searchProducts.bind(productContro
 
 
 // Create a new product
-router.post('/', productController.createProduct.bind(productController));
+router.post('/', idempotent('products'), productController.createProduct.bind(productController));
 
 // Update product
 router.put('/:id', productController.updateProduct.bind(productController));
@@ -0,0 +1,30 @@
+/**
+ * Promotion Routes
+ * Defines all promotion API endpoints
+ */
+import express from 'express';
+import { PromotionController } from '../controllers/PromotionController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const promotionController = new PromotionController();
+
+// Create a new promotion
+router.post('/', idempotent('promotions'), promotionController.createPromotion.bind(promotionController));
+
+// Get promotions (filter by status or type, or only those running now)
+router.get('/', promotionController.getAllPromotions.bind(promotionController));
+
+// Price a basket with the running promotions
+router.post('/evaluate', promotionController.evaluateBasket.bind(promotionController));
+
+// Get promotion by MongoDB ID
+router.get('/:id', promotionController.getPromotionById.bind(promotionController));
+
+// Update promotion
+router.put('/:id', promotionController.updatePromotion.bind(promotionController));
+
+// Delete promotion
+router.delete('/:id', promotionController.deletePromotion.bind(promotionController));
+
+export default router;
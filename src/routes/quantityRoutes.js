@@ -4,6 +4,7 @@
  */
 import express from 'express';
 import { QuantityController } from '../controllers/QuantityController.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 const quantityController = new QuantityController();
@@ -11,14 +12,29 @@ const quantityController = new QuantityController();
 // Get all quantities
 router.get('/', quantityController.getAllQuantities.bind(quantityController));
 
+// Value the stock on hand and in transit
+router.get('/valuation', quantityController.getInventoryValuation.bind(quantityController));
+
 // Get quantity by product MySQL ID
 router.get('/product/:productId', quantityController.getQuantityByProductId.bind(quantityController));
 
 // Get product with its quantities
 router.get('/product/:id/with-quantities', quantityController.getProductWithQuantities.bind(quantityController));
 
+// Get a product's stock movement history
+router.get('/product/:productId/movements', quantityController.getMovementHistory.bind(quantityController));
+
+// Record a receipt, adjustment, transfer, wastage or count correction
+router.post('/product/:productId/movements', idempotent('stockMovements'), quantityController.recordMovement.bind(quantityController));
+
+// Compare on-hand quantity with the stock ledger
+router.get('/product/:productId/reconciliation', quantityController.getReconciliation.bind(quantityController));
+
+// Record the difference between on-hand quantity and the ledger as a count correction
+router.post('/product/:productId/reconciliation', quantityController.reconcileWithLedger.bind(quantityController));
+
 // Create a new quantity
-router.post('/', quantityController.createQuantity.bind(quantityController));
+router.post('/', idempotent('quantities'), quantityController.createQuantity.bind(quantityController));
 
 // Update quantity
 router.put('/:id', quantityController.updateQuantity.bind(quantityController));
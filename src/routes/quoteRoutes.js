@@ -0,0 +1,36 @@
+/**
+ * Quote Routes
+ * Defines all quote API endpoints
+ */
+import express from 'express';
+import { QuoteController } from '../controllers/QuoteController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const quoteController = new QuoteController();
+
+// Create a draft quote
+router.post('/', idempotent('quotes'), quoteController.createQuote.bind(quoteController));
+
+// Get quotes (filter by status and customer)
+router.get('/', quoteController.getQuotes.bind(quoteController));
+
+// Get quote by MongoDB ID
+router.get('/:id', quoteController.getQuoteById.bind(quoteController));
+
+// Revise a draft or sent quote
+router.put('/:id', quoteController.updateQuote.bind(quoteController));
+
+// Mark a quote as sent to the customer
+router.post('/:id/send', quoteController.sendQuote.bind(quoteController));
+
+// Record the customer's acceptance
+router.post('/:id/accept', quoteController.acceptQuote.bind(quoteController));
+
+// Convert an accepted quote into a sale
+router.post('/:id/convert', idempotent('quoteConversions'), quoteController.convertQuote.bind(quoteController));
+
+// Delete a quote that has not been accepted
+router.delete('/:id', quoteController.deleteQuote.bind(quoteController));
+
+export default router;
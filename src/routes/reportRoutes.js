@@ -0,0 +1,24 @@
+/**
+ * Report Routes
+ * Defines the end-of-day X and Z report API endpoints
+ */
+import express from 'express';
+import { ReportController } from '../controllers/ReportController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const reportController = new ReportController();
+
+// Get an X report (mid-day snapshot) for a register's business day
+router.get('/x/:registerId', reportController.getXReport.bind(reportController));
+
+// Close a register's business day with a Z report
+router.post('/z', idempotent('zReports'), reportController.closeDay.bind(reportController));
+
+// Get Z reports (filter by register and business day range)
+router.get('/z', reportController.getZReports.bind(reportController));
+
+// Get Z report by MongoDB ID
+router.get('/z/:id', reportController.getZReportById.bind(reportController));
+
+export default router;
@@ -0,0 +1,27 @@
+/**
+ * Return Routes
+ * Defines all return-related API endpoints
+ */
+import express from 'express';
+import { ReturnController } from '../controllers/ReturnController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const returnController = new ReturnController();
+
+// Record a return against a sale
+router.post('/', idempotent('returns'), returnController.createReturn.bind(returnController));
+
+// Get all returns with pagination and filters
+router.get('/', returnController.getAllReturns.bind(returnController));
+
+// Get returns for a sale by sale number
+router.get('/sale/:saleId', returnController.getReturnsBySaleId.bind(returnController));
+
+// Get returns for a sale by MySQL ID
+router.get('/sale/mysql/:mysqlId', returnController.getReturnsBySaleMysqlId.bind(returnController));
+
+// Get return by MongoDB ID
+router.get('/:id', returnController.getReturnById.bind(returnController));
+
+export default router;
@@ -4,12 +4,13 @@
  */
 import express from 'express';
 import { SaleController } from '../controllers/SaleController.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 const saleController = new SaleController();
 
 // Create a new sale
-router.post('/', saleController.createSale.bind(saleController));
+router.post('/', idempotent('sales'), saleController.createSale.bind(saleController));
 
 // Get all sales with pagination and filters
 router.get('/', saleController.getAllSales.bind(saleController));
@@ -20,6 +21,9 @@ router.get('/analytics', saleController.getSalesAnalytics.bind(saleController));
 // Get sales by customer ID
 router.get('/customer/:customerId', saleController.getSalesByCustomerId.bind(saleController));
 
+// Get printable receipt (format=text|escpos|pdf)
+router.get('/:id/receipt', saleController.getReceipt.bind(saleController));
+
 // Get sale by MongoDB ID
 router.get('/:id', saleController.getSaleById.bind(saleController));
 
@@ -29,7 +33,10 @@ router.get('/mysql/:mysqlId', saleController.getSaleByMysqlId.bind(saleControlle
 // Update sale
 router.put('/:id', saleController.updateSale.bind(saleController));
 
-// Delete sale
+// Void sale with a reason code
+router.post('/:id/void', saleController.voidSale.bind(saleController));
+
+// Delete sale (voids it; the document is kept)
 router.delete('/:id', saleController.deleteSale.bind(saleController));
 
 export default router;
@@ -0,0 +1,30 @@
+/**
+ * Shift Routes
+ * Defines all cash drawer shift API endpoints
+ */
+import express from 'express';
+import { ShiftController } from '../controllers/ShiftController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const shiftController = new ShiftController();
+
+// Open a shift on a register
+router.post('/', idempotent('shifts'), shiftController.openShift.bind(shiftController));
+
+// Get shifts (filter by register and status)
+router.get('/', shiftController.getShifts.bind(shiftController));
+
+// Get the open shift of a register
+router.get('/current/:registerId', shiftController.getCurrentShift.bind(shiftController));
+
+// Get shift by MongoDB ID
+router.get('/:id', shiftController.getShiftById.bind(shiftController));
+
+// Record a cash pay-in or pay-out
+router.post('/:id/movements', idempotent('shiftMovements'), shiftController.addMovement.bind(shiftController));
+
+// Close a shift with a blind count
+router.post('/:id/close', shiftController.closeShift.bind(shiftController));
+
+export default router;
@@ -4,12 +4,13 @@
  */
 import express from 'express';
 import { SupplierController } from '../controllers/SupplierController.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 const supplierController = new SupplierController();
 
 // Create a new supplier
-router.post('/', supplierController.createSupplier.bind(supplierController));
+router.post('/', idempotent('suppliers'), supplierController.createSupplier.bind(supplierController));
 
 // Get all suppliers with pagination
 router.get('/', supplierController.getAllSuppliers.bind(supplierController));
@@ -0,0 +1,30 @@
+/**
+ * Tax Routes
+ * Defines all tax class and tax report API endpoints
+ */
+import express from 'express';
+import { TaxController } from '../controllers/TaxController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const taxController = new TaxController();
+
+// Get tax collected by period and rate (startDate, endDate, period=day|month|year)
+router.get('/report', taxController.getTaxReport.bind(taxController));
+
+// Create a new tax class
+router.post('/classes', idempotent('taxClasses'), taxController.createTaxClass.bind(taxController));
+
+// Get all tax classes
+router.get('/classes', taxController.getTaxClasses.bind(taxController));
+
+// Get tax class by code
+router.get('/classes/:code', taxController.getTaxClass.bind(taxController));
+
+// Update tax class
+router.put('/classes/:code', taxController.updateTaxClass.bind(taxController));
+
+// Delete tax class
+router.delete('/classes/:code', taxController.deleteTaxClass.bind(taxController));
+
+export default router;
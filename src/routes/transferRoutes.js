@@ -0,0 +1,33 @@
+/**
+ * Transfer Routes
+ * Defines the stock transfer API endpoints
+ */
+import express from 'express';
+import { TransferController } from '../controllers/TransferController.js';
+import { idempotent } from '../middleware/idempotency.js';
+
+const router = express.Router();
+const transferController = new TransferController();
+
+// Create a draft transfer
+router.post('/', idempotent('transfers'), transferController.createTransfer.bind(transferController));
+
+// Get transfers (filter by status, location and product)
+router.get('/', transferController.getTransfers.bind(transferController));
+
+// Get transfer by MongoDB ID
+router.get('/:id', transferController.getTransferById.bind(transferController));
+
+// Revise a draft transfer
+router.put('/:id', transferController.updateTransfer.bind(transferController));
+
+// Dispatch a transfer, taking its stock off the source location
+router.post('/:id/dispatch', transferController.dispatchTransfer.bind(transferController));
+
+// Receive a transfer, adding what arrived to the destination location
+router.post('/:id/receive', transferController.receiveTransfer.bind(transferController));
+
+// Delete a draft transfer
+router.delete('/:id', transferController.deleteTransfer.bind(transferController));
+
+export default router;
@@ -0,0 +1,778 @@
+/**
+ * Account Service
+ * Handles customer credit limits, on-account receivables, payments and statements
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Customer } from '../models/Customer.js';
+import { Receivable, AGING_BUCKETS } from '../models/Receivable.js';
+import { AccountPayment } from '../models/AccountPayment.js';
+import { roundToDecimals } from '../utils/helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class AccountService {
+  constructor() {
+    this.collectionName = 'receivables';
+    this.paymentCollectionName = 'accountPayments';
+    this.customerCollectionName = 'customers';
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  getPaymentCollection() {
+    return databaseManager.getCollection(this.paymentCollectionName);
+  }
+
+  getCustomerCollection() {
+    return databaseManager.getCollection(this.customerCollectionName);
+  }
+
+  /**
+   * Load a customer or fail
+   * @param {number} customerId - Customer ID
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Customer document
+   */
+  async loadCustomer(customerId, options = {}) {
+    const { session } = options;
+    const customer = await this.getCustomerCollection().findOne(Customer.idFilter(customerId), { session });
+
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    return customer;
+  }
+
+  /**
+   * Payment terms that apply to a customer
+   * @param {Object} customer - Customer document
+   * @returns {number} Days until an invoice is due
+   */
+  termsFor(customer) {
+    return customer.paymentTermsDays ?? settings.accounts.paymentTermsDays;
+  }
+
+  /**
+   * Change a customer's account balance
+   * @param {Object} filter - Customer filter, with any guard conditions
+   * @param {number} amount - Signed change; positive means the customer owes more
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Updated customer, or null if the filter did not match
+   */
+  async changeBalance(filter, amount, options = {}) {
+    const { session } = options;
+    const customer = await this.getCustomerCollection().findOneAndUpdate(
+      filter,
+      { $inc: { accountBalance: amount } },
+      { session, returnDocument: 'after' }
+    );
+
+    if (!customer) return null;
+
+    // Keep the stored balance free of floating point drift
+    const accountBalance = roundToDecimals(customer.accountBalance);
+    await this.getCustomerCollection().updateOne(
+      { _id: customer._id },
+      { $set: { accountBalance } },
+      { session }
+    );
+
+    return { ...customer, accountBalance };
+  }
+
+  /**
+   * Summarise a customer's account
+   * @param {Object} customer - Customer document
+   * @returns {Object} Account summary
+   */
+  toAccount(customer) {
+    const balance = customer.accountBalance || 0;
+    const creditLimit = customer.creditLimit || 0;
+
+    return {
+      customerId: customer.mysqlId,
+      contact: customer.contact,
+      email: customer.email,
+      creditLimit,
+      paymentTermsDays: this.termsFor(customer),
+      balance,
+      availableCredit: roundToDecimals(Math.max(0, creditLimit - balance))
+    };
+  }
+
+  /**
+   * Get a customer's credit limit, balance and available credit
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Account summary
+   */
+  async getAccount(customerId) {
+    try {
+      const customer = await this.loadCustomer(customerId);
+
+      return {
+        success: true,
+        data: this.toAccount(customer)
+      };
+    } catch (error) {
+      console.error('Error fetching customer account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a customer's credit limit and payment terms
+   * A limit of 0 stops the customer buying on account; open invoices are unaffected
+   * @param {number} customerId - Customer ID
+   * @param {Object} termsData - { creditLimit, paymentTermsDays }
+   * @returns {Promise<Object>} Account summary
+   */
+  async setCreditTerms(customerId, termsData = {}) {
+    try {
+      const update = {};
+      const errors = [];
+
+      if (termsData.creditLimit !== undefined) {
+        const creditLimit = Number(termsData.creditLimit);
+        if (Number.isNaN(creditLimit) || creditLimit < 0) {
+          errors.push('Credit limit must be a non-negative number');
+        }
+        update.creditLimit = roundToDecimals(creditLimit);
+      }
+
+      if (termsData.paymentTermsDays !== undefined) {
+        // null falls back to ACCOUNT_PAYMENT_TERMS_DAYS
+        const days = termsData.paymentTermsDays === null ? null : Number(termsData.paymentTermsDays);
+        if (days !== null && (!Number.isInteger(days) || days < 0)) {
+          errors.push('Payment terms must be a whole number of days');
+        }
+        update.paymentTermsDays = days;
+      }
+
+      if (Object.keys(update).length === 0) {
+        errors.push('creditLimit or paymentTermsDays is required');
+      }
+
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const customer = await this.getCustomerCollection().findOneAndUpdate(
+        Customer.idFilter(customerId),
+        { $set: update },
+        { returnDocument: 'after' }
+      );
+
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+
+      return {
+        success: true,
+        data: this.toAccount(customer),
+        message: 'Credit terms updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating credit terms:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a customer's on-account invoices
+   * @param {number} customerId - Customer ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Invoices list
+   */
+  async getInvoices(customerId, options = {}) {
+    try {
+      const { page = 1, limit = 10, status } = options;
+      const skip = (page - 1) * limit;
+      const filter = { customerId };
+
+      if (status) {
+        filter.status = status;
+      }
+
+      const invoices = await this.getCollection()
+        .find(filter)
+        .sort({ invoiceDate: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: invoices.map(invoice => Receivable.fromDocument(invoice)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching customer invoices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the payments a customer has made on account
+   * @param {number} customerId - Customer ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Payments list
+   */
+  async getPayments(customerId, options = {}) {
+    try {
+      const { page = 1, limit = 10 } = options;
+      const skip = (page - 1) * limit;
+      const filter = { customerId };
+
+      const payments = await this.getPaymentCollection()
+        .find(filter)
+        .sort({ receivedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getPaymentCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: payments.map(payment => AccountPayment.fromDocument(payment)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching account payments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Amount of a sale charged to the customer's account
+   * @param {Array<Tender>} tenders - Sale tenders
+   * @returns {number} Amount on account
+   */
+  accountAmount(tenders = []) {
+    return roundToDecimals(tenders
+      .filter(tender => tender.method === settings.accounts.tenderMethod)
+      .reduce((sum, tender) => sum + (tender.appliedAmount ?? tender.amount), 0));
+  }
+
+  /**
+   * Open a receivable for the on-account tenders of a sale
+   * Must run inside the sale's transaction: the credit limit is checked in
+   * the same conditional update that raises the balance, so two tills
+   * charging one account at once cannot take it over its limit
+   * @param {Sale} sale - Sale with saleId, customerId and tenders
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Receivable, or null if nothing was put on account
+   */
+  async chargeTenders(sale, options = {}) {
+    const { session } = options;
+    const amount = this.accountAmount(sale.tenders);
+
+    if (amount <= 0) return null;
+
+    if (!sale.customerId) {
+      throw new Error('Validation failed: Sales on account need a customerId');
+    }
+
+    const customer = await this.changeBalance(
+      {
+        ...Customer.idFilter(sale.customerId),
+        creditLimit: { $gt: 0 },
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$accountBalance', 0] }, amount] }, '$creditLimit'] }
+      },
+      amount,
+      { session }
+    );
+
+    if (!customer) {
+      const existing = await this.getCustomerCollection().findOne(Customer.idFilter(sale.customerId), { session });
+
+      if (!existing) {
+        throw new Error(`Validation failed: Customer ${sale.customerId} not found`);
+      }
+
+      if (!existing.creditLimit) {
+        throw new Error(`Validation failed: Customer ${sale.customerId} cannot buy on account`);
+      }
+
+      const balance = existing.accountBalance || 0;
+      const error = new Error('Sale exceeds the customer\'s credit limit');
+      error.statusCode = 409;
+      error.details = [{
+        customerId: sale.customerId,
+        creditLimit: existing.creditLimit,
+        balance,
+        availableCredit: roundToDecimals(Math.max(0, existing.creditLimit - balance)),
+        requested: amount
+      }];
+      throw error;
+    }
+
+    const receivable = Receivable.create({
+      customerId: sale.customerId,
+      saleId: sale.saleId,
+      amount,
+      invoiceDate: sale.saleDate,
+      termsDays: this.termsFor(customer)
+    });
+    const result = await this.getCollection().insertOne(receivable.toDocument(), { session });
+
+    return Receivable.fromDocument({ _id: result.insertedId, ...receivable.toDocument() });
+  }
+
+  /**
+   * Cancel the receivable of a voided sale
+   * Payments already allocated to it go back to the customer as unallocated credit
+   * @param {Object} sale - Sale document
+   * @param {Object} options - { session }
+   * @returns {Promise<void>}
+   */
+  async reverseCharge(sale, options = {}) {
+    const { session } = options;
+    const receivable = await this.getCollection().findOne(
+      { saleId: sale.saleId, status: { $ne: 'voided' } },
+      { session }
+    );
+
+    if (!receivable) return;
+
+    for (const allocation of receivable.allocations || []) {
+      await this.getPaymentCollection().updateOne(
+        { _id: allocation.paymentId },
+        {
+          $inc: { unallocatedAmount: allocation.amount },
+          $pull: { allocations: { receivableId: receivable._id } }
+        },
+        { session }
+      );
+    }
+
+    await this.getCollection().updateOne(
+      { _id: receivable._id },
+      { $set: { status: 'voided', balance: 0, voidedAt: new Date() } },
+      { session }
+    );
+
+    // Returns credited to the account already came off the balance
+    const outstanding = roundToDecimals(receivable.amount - (receivable.creditedAmount || 0));
+    await this.changeBalance(Customer.idFilter(receivable.customerId), -outstanding, { session });
+  }
+
+  /**
+   * Credit a return refunded to the account against the sale's invoice
+   * The open balance comes down first; anything beyond it releases payments
+   * allocated to the invoice back to the customer as unallocated credit
+   * @param {Object} sale - Sale document
+   * @param {number} amount - Refund amount
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} { receivableId, amount, releasedAmount }
+   */
+  async creditReturn(sale, amount, options = {}) {
+    const { session } = options;
+    const receivable = await this.getCollection().findOne(
+      { saleId: sale.saleId, status: { $ne: 'voided' } },
+      { session }
+    );
+
+    if (!receivable) {
+      throw new Error(`Validation failed: Sale ${sale.saleId} was not charged to an account`);
+    }
+
+    const creditable = roundToDecimals(receivable.amount - (receivable.creditedAmount || 0));
+    if (amount > creditable) {
+      throw new Error(`Validation failed: Refund to the account cannot exceed ${creditable}`);
+    }
+
+    const fromBalance = roundToDecimals(Math.min(amount, receivable.balance));
+    let toRelease = roundToDecimals(amount - fromBalance);
+    const allocations = (receivable.allocations || []).map(allocation => ({ ...allocation }));
+    const date = new Date();
+
+    // Newest payments are released first
+    for (const allocation of [...allocations].reverse()) {
+      if (toRelease <= 0) break;
+
+      const released = roundToDecimals(Math.min(allocation.amount, toRelease));
+      allocation.amount = roundToDecimals(allocation.amount - released);
+      toRelease = roundToDecimals(toRelease - released);
+
+      await this.getPaymentCollection().updateOne(
+        { _id: allocation.paymentId },
+        {
+          $inc: { unallocatedAmount: released },
+          $push: { allocations: { receivableId: receivable._id, saleId: receivable.saleId, amount: -released, date } }
+        },
+        { session }
+      );
+    }
+
+    const releasedAmount = roundToDecimals(amount - fromBalance);
+    const balance = roundToDecimals(receivable.balance - fromBalance);
+    const updated = await this.getCollection().updateOne(
+      { _id: receivable._id, balance: receivable.balance, paidAmount: receivable.paidAmount },
+      {
+        $set: {
+          balance,
+          paidAmount: roundToDecimals(receivable.paidAmount - releasedAmount),
+          creditedAmount: roundToDecimals((receivable.creditedAmount || 0) + amount),
+          allocations: allocations.filter(allocation => allocation.amount > 0),
+          status: balance <= 0 ? 'paid' : 'open'
+        }
+      },
+      { session }
+    );
+
+    if (updated.matchedCount === 0) {
+      const error = new Error(`Invoice for sale ${sale.saleId} is being updated by another request`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.changeBalance(Customer.idFilter(receivable.customerId), -amount, { session });
+
+    return { receivableId: receivable._id, amount, releasedAmount };
+  }
+
+  /**
+   * Move part of a payment onto an open invoice
+   * @param {Object} payment - Payment document
+   * @param {Object} receivable - Receivable document
+   * @param {number} amount - Amount to allocate
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Allocation
+   */
+  async allocate(payment, receivable, amount, options = {}) {
+    const { session } = options;
+    const date = new Date();
+
+    const updated = await this.getCollection().findOneAndUpdate(
+      { _id: receivable._id, status: 'open', balance: { $gte: amount } },
+      {
+        $inc: { paidAmount: amount, balance: -amount },
+        $push: { allocations: { paymentId: payment._id, amount, date } }
+      },
+      { session, returnDocument: 'after' }
+    );
+
+    if (!updated) {
+      throw new Error(`Validation failed: Invoice for sale ${receivable.saleId} has less than ${amount} outstanding`);
+    }
+
+    const balance = roundToDecimals(updated.balance);
+    await this.getCollection().updateOne(
+      { _id: updated._id },
+      {
+        $set: {
+          balance,
+          paidAmount: roundToDecimals(updated.paidAmount),
+          status: balance <= 0 ? 'paid' : 'open'
+        }
+      },
+      { session }
+    );
+
+    const allocation = { receivableId: receivable._id, saleId: receivable.saleId, amount, date };
+    await this.getPaymentCollection().updateOne(
+      { _id: payment._id },
+      { $inc: { unallocatedAmount: -amount }, $push: { allocations: allocation } },
+      { session }
+    );
+    payment.unallocatedAmount = roundToDecimals(payment.unallocatedAmount - amount);
+
+    return allocation;
+  }
+
+  /**
+   * Allocate what is left of a payment to the oldest open invoices first
+   * @param {Object} payment - Payment document
+   * @param {number} customerId - Customer ID
+   * @param {Object} options - { session }
+   * @returns {Promise<Array<Object>>} Allocations made
+   */
+  async allocateOldestFirst(payment, customerId, options = {}) {
+    const { session } = options;
+    const allocations = [];
+
+    const open = await this.getCollection()
+      .find({ customerId, status: 'open' }, { session })
+      .sort({ invoiceDate: 1, timestamp: 1 })
+      .toArray();
+
+    for (const receivable of open) {
+      if (payment.unallocatedAmount <= 0) break;
+      const amount = roundToDecimals(Math.min(payment.unallocatedAmount, receivable.balance));
+      if (amount <= 0) continue;
+      allocations.push(await this.allocate(payment, receivable, amount, options));
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Record a payment from an on-account customer
+   * The payment is allocated to the invoices named in `allocations`
+   * ({ saleId, amount }), or to the oldest open invoices when none are named;
+   * anything left over stays on the account as unallocated credit
+   * @param {number} customerId - Customer ID
+   * @param {Object} paymentData - { amount, method, reference, receivedBy, allocations }
+   * @returns {Promise<Object>} Payment with its allocations and the new balance
+   */
+  async recordPayment(customerId, paymentData = {}) {
+    try {
+      const payment = AccountPayment.create({ ...paymentData, customerId });
+      const validation = payment.validate(settings.accounts.paymentMethods);
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const requested = paymentData.allocations || [];
+      const requestedTotal = roundToDecimals(requested.reduce((sum, line) => sum + (Number(line.amount) || 0), 0));
+
+      if (requestedTotal > payment.amount) {
+        throw new Error('Validation failed: Allocations cannot exceed the payment amount');
+      }
+
+      const result = await databaseManager.withTransaction(async (session) => {
+        await this.loadCustomer(customerId, { session });
+
+        const document = payment.toDocument();
+        const inserted = await this.getPaymentCollection().insertOne(document, { session });
+        const stored = { ...document, _id: inserted.insertedId };
+
+        let allocations = [];
+        if (requested.length > 0) {
+          for (const line of requested) {
+            const amount = roundToDecimals(Number(line.amount) || 0);
+            const receivable = await this.getCollection().findOne(
+              { customerId, saleId: line.saleId, status: 'open' },
+              { session }
+            );
+
+            if (!receivable) {
+              throw new Error(`Validation failed: No open invoice for sale ${line.saleId}`);
+            }
+
+            if (amount <= 0) {
+              throw new Error(`Validation failed: Allocation to sale ${line.saleId} must be greater than 0`);
+            }
+
+            allocations.push(await this.allocate(stored, receivable, amount, { session }));
+          }
+        } else {
+          allocations = await this.allocateOldestFirst(stored, customerId, { session });
+        }
+
+        const customer = await this.changeBalance(Customer.idFilter(customerId), -payment.amount, { session });
+
+        return {
+          payment: AccountPayment.fromDocument({ ...stored, allocations }),
+          balance: customer.accountBalance
+        };
+      });
+
+      return {
+        success: true,
+        data: result,
+        message: 'Payment recorded successfully'
+      };
+    } catch (error) {
+      console.error('Error recording account payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Allocate a customer's unallocated credit to their oldest open invoices
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Allocations made
+   */
+  async allocateCredit(customerId) {
+    try {
+      const allocations = await databaseManager.withTransaction(async (session) => {
+        await this.loadCustomer(customerId, { session });
+
+        const payments = await this.getPaymentCollection()
+          .find({ customerId, unallocatedAmount: { $gt: 0 } }, { session })
+          .sort({ receivedAt: 1 })
+          .toArray();
+
+        const made = [];
+        for (const payment of payments) {
+          const allocated = await this.allocateOldestFirst(payment, customerId, { session });
+          made.push(...allocated.map(allocation => ({ paymentId: payment._id, ...allocation })));
+        }
+        return made;
+      });
+
+      return {
+        success: true,
+        data: allocations,
+        message: allocations.length > 0 ? 'Credit allocated successfully' : 'Nothing to allocate'
+      };
+    } catch (error) {
+      console.error('Error allocating account credit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Empty aging totals
+   * @returns {Object} Zero per bucket
+   */
+  emptyAging() {
+    return Object.fromEntries([...AGING_BUCKETS.map(bucket => [bucket.key, 0]), ['total', 0]]);
+  }
+
+  /**
+   * Get a customer statement with open invoices aged into buckets
+   * Invoices are aged from their invoice date: current (under 30 days), 30, 60 and 90+ days
+   * @param {number} customerId - Customer ID
+   * @param {Object} options - { asOf, startDate } - payments listed are those from startDate to asOf
+   * @returns {Promise<Object>} Statement
+   */
+  async getStatement(customerId, options = {}) {
+    try {
+      const asOf = options.asOf ? new Date(options.asOf) : new Date();
+      const startDate = options.startDate
+        ? new Date(options.startDate)
+        : new Date(asOf.getFullYear(), asOf.getMonth(), 1);
+      const customer = await this.loadCustomer(customerId);
+
+      const open = await this.getCollection()
+        .find({ customerId, status: 'open', invoiceDate: { $lte: asOf } })
+        .sort({ invoiceDate: 1 })
+        .toArray();
+
+      const aging = this.emptyAging();
+      const openInvoices = open.map(doc => {
+        const receivable = Receivable.fromDocument(doc);
+        const bucket = receivable.agingBucket(asOf);
+        aging[bucket] = roundToDecimals(aging[bucket] + receivable.balance);
+        aging.total = roundToDecimals(aging.total + receivable.balance);
+
+        return {
+          saleId: receivable.saleId,
+          invoiceDate: receivable.invoiceDate,
+          dueDate: receivable.dueDate,
+          amount: receivable.amount,
+          paidAmount: receivable.paidAmount,
+          balance: receivable.balance,
+          ageDays: receivable.ageInDays(asOf),
+          bucket,
+          overdue: Boolean(receivable.dueDate) && new Date(receivable.dueDate) < asOf
+        };
+      });
+
+      const payments = await this.getPaymentCollection()
+        .find({ customerId, receivedAt: { $gte: startDate, $lte: asOf } })
+        .sort({ receivedAt: 1 })
+        .toArray();
+
+      const [credit] = await this.getPaymentCollection().aggregate([
+        { $match: { customerId, unallocatedAmount: { $gt: 0 } } },
+        { $group: { _id: null, amount: { $sum: '$unallocatedAmount' } } }
+      ]).toArray();
+
+      return {
+        success: true,
+        data: {
+          ...this.toAccount(customer),
+          asOf,
+          startDate,
+          aging,
+          overdueAmount: roundToDecimals(openInvoices
+            .filter(invoice => invoice.overdue)
+            .reduce((sum, invoice) => sum + invoice.balance, 0)),
+          unallocatedCredit: roundToDecimals(credit ? credit.amount : 0),
+          openInvoices,
+          payments: payments.map(payment => AccountPayment.fromDocument(payment))
+        }
+      };
+    } catch (error) {
+      console.error('Error building customer statement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get open receivables of every customer aged into buckets
+   * @param {Object} options - { asOf }
+   * @returns {Promise<Object>} Aged receivables per customer with totals
+   */
+  async getAgedReceivables(options = {}) {
+    try {
+      const asOf = options.asOf ? new Date(options.asOf) : new Date();
+      const ageDays = { $floor: { $divide: [{ $subtract: [asOf, '$invoiceDate'] }, DAY_MS] } };
+      const buckets = [...AGING_BUCKETS].reverse();
+
+      const rows = await this.getCollection().aggregate([
+        { $match: { status: 'open', invoiceDate: { $lte: asOf } } },
+        {
+          $project: {
+            customerId: 1,
+            balance: 1,
+            bucket: {
+              $switch: {
+                branches: buckets.slice(0, -1).map(bucket => ({
+                  case: { $gte: [ageDays, bucket.minDays] },
+                  then: bucket.key
+                })),
+                default: AGING_BUCKETS[0].key
+              }
+            }
+          }
+        },
+        {
+          $group: {
+            _id: { customerId: '$customerId', bucket: '$bucket' },
+            amount: { $sum: '$balance' },
+            invoices: { $sum: 1 }
+          }
+        }
+      ]).toArray();
+
+      const customers = new Map();
+      const totals = this.emptyAging();
+
+      for (const row of rows) {
+        const { customerId, bucket } = row._id;
+        const entry = customers.get(customerId) || { customerId, invoices: 0, ...this.emptyAging() };
+        entry[bucket] = roundToDecimals(entry[bucket] + row.amount);
+        entry.total = roundToDecimals(entry.total + row.amount);
+        entry.invoices += row.invoices;
+        customers.set(customerId, entry);
+
+        totals[bucket] = roundToDecimals(totals[bucket] + row.amount);
+        totals.total = roundToDecimals(totals.total + row.amount);
+      }
+
+      return {
+        success: true,
+        data: {
+          asOf,
+          totals,
+          customers: Array.from(customers.values()).sort((a, b) => b.total - a.total)
+        }
+      };
+    } catch (error) {
+      console.error('Error building aged receivables:', error);
+      throw error;
+    }
+  }
+}
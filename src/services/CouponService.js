@@ -0,0 +1,433 @@
+/**
+ * Coupon Service
+ * Handles coupon management, validation at checkout and redemption tracking
+ */
+import databaseManager from '../config/database.js';
+import { Coupon } from '../models/Coupon.js';
+import { allocateProportionally, roundToDecimals } from '../utils/helpers.js';
+
+export class CouponService {
+  constructor() {
+    this.collectionName = 'coupons';
+    this.redemptionCollectionName = 'couponRedemptions';
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  getRedemptionCollection() {
+    return databaseManager.getCollection(this.redemptionCollectionName);
+  }
+
+  /**
+   * Create a new coupon
+   * @param {Object} couponData - Coupon data
+   * @returns {Promise<Object>} Created coupon
+   */
+  async createCoupon(couponData) {
+    try {
+      const coupon = Coupon.create(couponData);
+      const validation = coupon.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      let result;
+      try {
+        result = await this.getCollection().insertOne(coupon.toDocument());
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error('Coupon code already exists');
+        }
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: Coupon.fromDocument({ _id: result.insertedId, ...coupon.toDocument() }),
+        message: 'Coupon created successfully'
+      };
+    } catch (error) {
+      console.error('Error creating coupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get coupons
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Coupons list
+   */
+  async getAllCoupons(options = {}) {
+    try {
+      const { page = 1, limit = 10, status } = options;
+      const skip = (page - 1) * limit;
+
+      let filter = {};
+
+      if (status) {
+        filter.status = status;
+      }
+
+      const coupons = await this.getCollection()
+        .find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: coupons.map(coupon => Coupon.fromDocument(coupon)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching coupons:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get coupon by code
+   * @param {string} code - Coupon code
+   * @returns {Promise<Object>} Coupon data
+   */
+  async getCouponByCode(code) {
+    try {
+      const coupon = await this.getCollection().findOne({ code: Coupon.normalizeCode(code) });
+
+      if (!coupon) {
+        throw new Error('Coupon not found');
+      }
+
+      return {
+        success: true,
+        data: Coupon.fromDocument(coupon)
+      };
+    } catch (error) {
+      console.error('Error fetching coupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update coupon
+   * The code and usage count cannot be changed
+   * @param {string} code - Coupon code
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>} Updated coupon
+   */
+  async updateCoupon(code, updateData) {
+    try {
+      const existing = await this.getCollection().findOne({ code: Coupon.normalizeCode(code) });
+
+      if (!existing) {
+        throw new Error('Coupon not found');
+      }
+
+      const coupon = Coupon.create({ ...Coupon.fromDocument(existing), ...updateData, code: existing.code });
+      const validation = coupon.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const { usageCount, createdDate, timestamp, ...document } = coupon.toDocument();
+
+      await this.getCollection().updateOne(
+        { _id: existing._id },
+        { $set: document }
+      );
+
+      return {
+        success: true,
+        data: Coupon.fromDocument({ ...existing, ...document }),
+        message: 'Coupon updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating coupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete coupon
+   * Recorded redemptions are kept
+   * @param {string} code - Coupon code
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteCoupon(code) {
+    try {
+      const result = await this.getCollection().deleteOne({ code: Coupon.normalizeCode(code) });
+
+      if (result.deletedCount === 0) {
+        throw new Error('Coupon not found');
+      }
+
+      return {
+        success: true,
+        message: 'Coupon deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting coupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the redemptions of a coupon
+   * @param {string} code - Coupon code
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Redemptions list
+   */
+  async getRedemptions(code, options = {}) {
+    try {
+      const { page = 1, limit = 10, customerId } = options;
+      const skip = (page - 1) * limit;
+      const filter = { code: Coupon.normalizeCode(code) };
+
+      if (customerId) {
+        filter.customerId = customerId;
+      }
+
+      const redemptions = await this.getRedemptionCollection()
+        .find(filter)
+        .sort({ redeemedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getRedemptionCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: redemptions.map(({ _id, ...redemption }) => ({ id: _id, ...redemption })),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching coupon redemptions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a coupon could be used now by a customer
+   * @param {string} code - Coupon code
+   * @param {Object} options - { customerId, amount }
+   * @returns {Promise<Object>} Coupon with the discount for the amount
+   */
+  async checkCoupon(code, options = {}) {
+    try {
+      const { customerId, amount } = options;
+      const coupon = await this.loadUsableCoupon(Coupon.normalizeCode(code), { customerId });
+
+      if (amount !== undefined && amount < coupon.minSpend) {
+        throw new Error(`Validation failed: Coupon ${coupon.code} needs a minimum spend of ${coupon.minSpend}`);
+      }
+
+      return {
+        success: true,
+        data: {
+          code: coupon.code,
+          description: coupon.description,
+          valueType: coupon.valueType,
+          value: coupon.value,
+          minSpend: coupon.minSpend,
+          discount: amount !== undefined ? roundToDecimals(coupon.discountFor(amount)) : null
+        }
+      };
+    } catch (error) {
+      console.error('Error checking coupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a coupon and make sure it can be used now by the customer
+   * @param {string} code - Normalized coupon code
+   * @param {Object} options - { customerId, at, session }
+   * @returns {Promise<Coupon>} Usable coupon
+   */
+  async loadUsableCoupon(code, options = {}) {
+    const { customerId, at = new Date(), session } = options;
+    const doc = await this.getCollection().findOne({ code }, { session });
+
+    if (!doc) {
+      throw new Error(`Validation failed: Coupon ${code} not found`);
+    }
+
+    const coupon = Coupon.fromDocument(doc);
+    const reason = coupon.unavailableReason(at);
+
+    if (reason) {
+      const error = new Error(`Coupon ${code} ${reason}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.checkCustomerLimit(coupon, customerId, { session });
+    return coupon;
+  }
+
+  /**
+   * Reject the coupon if the customer has used it as often as allowed
+   * @param {Coupon} coupon - Coupon
+   * @param {number} customerId - Customer ID
+   * @param {Object} options - { session }
+   * @returns {Promise<void>}
+   */
+  async checkCustomerLimit(coupon, customerId, options = {}) {
+    const { session } = options;
+
+    if (!coupon.perCustomerLimit) return;
+
+    if (!customerId) {
+      throw new Error(`Validation failed: Coupon ${coupon.code} can only be used by a known customer`);
+    }
+
+    const used = await this.getRedemptionCollection().countDocuments(
+      { couponId: coupon.id, customerId, status: 'redeemed' },
+      { session }
+    );
+
+    if (used >= coupon.perCustomerLimit) {
+      const error = new Error(`Coupon ${coupon.code} has already been used the maximum number of times by this customer`);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Validate coupon codes against priced sale lines and work out their discounts
+   * Coupons apply after promotions, to what is left of the basket, in the order given
+   * @param {Array<SaleItem>} items - Priced sale lines
+   * @param {Array<string>} codes - Coupon codes sent with the sale
+   * @param {Object} options - { customerId, at, session, applied: discount already taken per line }
+   * @returns {Promise<Object>} { discounts: per-line coupon discount, discountLines, coupons }
+   */
+  async applyCoupons(items, codes = [], options = {}) {
+    const { applied = [] } = options;
+    const discounts = items.map(() => 0);
+    const discountLines = [];
+    const coupons = [];
+    const net = items.map((item, index) =>
+      roundToDecimals((item.subTotal || 0) - (item.discountAmount || 0) - (applied[index] || 0))
+    );
+
+    const uniqueCodes = [...new Set(codes.map(code => Coupon.normalizeCode(code)).filter(Boolean))];
+
+    for (const code of uniqueCodes) {
+      const coupon = await this.loadUsableCoupon(code, options);
+      const basketTotal = roundToDecimals(net.reduce((sum, amount) => sum + amount, 0));
+
+      if (basketTotal < coupon.minSpend) {
+        throw new Error(`Validation failed: Coupon ${code} needs a minimum spend of ${coupon.minSpend}`);
+      }
+
+      const amount = roundToDecimals(coupon.discountFor(basketTotal));
+      if (amount <= 0) continue;
+
+      allocateProportionally(amount, net).forEach((share, index) => {
+        if (share <= 0) return;
+        net[index] = roundToDecimals(net[index] - share);
+        discounts[index] = roundToDecimals(discounts[index] + share);
+        discountLines.push({
+          couponId: coupon.id,
+          couponCode: code,
+          type: 'coupon',
+          productId: items[index].productId,
+          lineIndex: index,
+          amount: share
+        });
+      });
+
+      coupons.push({ couponId: coupon.id, code, amount });
+    }
+
+    return { discounts, discountLines, coupons };
+  }
+
+  /**
+   * Record the coupon redemptions of a sale
+   * Must run inside the sale's transaction: the usage count is taken with a
+   * conditional update, so two tills using the last use of a code at the same
+   * moment conflict and only one of the sales commits
+   * @param {Object} sale - Sale with coupons, saleId and customerId
+   * @param {Object} options - { session }
+   * @returns {Promise<void>}
+   */
+  async redeemCoupons(sale, options = {}) {
+    const { session } = options;
+
+    for (const applied of sale.coupons || []) {
+      const doc = await this.getCollection().findOneAndUpdate(
+        {
+          _id: applied.couponId,
+          status: 'active',
+          $expr: { $or: [{ $lte: ['$usageLimit', 0] }, { $lt: ['$usageCount', '$usageLimit'] }] }
+        },
+        { $inc: { usageCount: 1 } },
+        { session, returnDocument: 'after' }
+      );
+
+      if (!doc) {
+        const error = new Error(`Coupon ${applied.code} has reached its usage limit`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await this.checkCustomerLimit(Coupon.fromDocument(doc), sale.customerId, { session });
+
+      await this.getRedemptionCollection().insertOne({
+        couponId: applied.couponId,
+        code: applied.code,
+        saleId: sale.saleId,
+        customerId: sale.customerId || null,
+        amount: applied.amount,
+        status: 'redeemed',
+        redeemedAt: new Date()
+      }, { session });
+    }
+  }
+
+  /**
+   * Release the coupon redemptions of a voided sale
+   * @param {Object} sale - Sale document
+   * @param {Object} options - { session }
+   * @returns {Promise<void>}
+   */
+  async reverseRedemptions(sale, options = {}) {
+    const { session } = options;
+
+    const redemptions = await this.getRedemptionCollection()
+      .find({ saleId: sale.saleId, status: 'redeemed' }, { session })
+      .toArray();
+
+    for (const redemption of redemptions) {
+      await this.getRedemptionCollection().updateOne(
+        { _id: redemption._id },
+        { $set: { status: 'reversed', reversedAt: new Date() } },
+        { session }
+      );
+      await this.getCollection().updateOne(
+        { _id: redemption.couponId },
+        { $inc: { usageCount: -1 } },
+        { session }
+      );
+    }
+  }
+}
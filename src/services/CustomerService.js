@@ -141,9 +141,17 @@ export class CustomerService {
         throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
       }
 
+      // Points and tier only change through the loyalty ledger, credit
+      // terms and the account balance through the accounts API
+      const {
+        loyaltyPoints, loyaltyTier, rollingSpend, tierReviewedAt,
+        creditLimit, paymentTermsDays, accountBalance,
+        ...document
+      } = customer.toDocument();
+
       const result = await this.getCollection().updateOne(
         { _id: id },
-        { $set: customer.toDocument() }
+        { $set: document }
       );
 
       if (result.matchedCount === 0) {
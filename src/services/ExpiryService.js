@@ -0,0 +1,629 @@
+/**
+ * Expiry Service
+ * Reports stock that is expired or about to expire, valued at cost and at sale
+ * price, and writes expired stock off as wastage
+ */
+import { ObjectId } from 'mongodb';
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Product } from '../models/Product.js';
+import { Quantity } from '../models/Quantity.js';
+import { WriteOff } from '../models/WriteOff.js';
+import { QuantityService } from './QuantityService.js';
+import { StockMovementService } from './StockMovementService.js';
+import { roundToDecimals, toObjectId } from '../utils/helpers.js';
+import { dateRangeFilter } from '../utils/businessDay.js';
+import { locationFilter, locationOf } from '../utils/location.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ExpiryService {
+  constructor() {
+    this.collectionName = 'writeOffs';
+    this.productCollectionName = 'products';
+    this.lotCollectionName = 'lots';
+    this.quantityCollectionName = 'quantities';
+    this.supplierCollectionName = 'suppliers';
+    this.quantityService = new QuantityService();
+    this.stockMovementService = new StockMovementService();
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  getProductCollection() {
+    return databaseManager.getCollection(this.productCollectionName);
+  }
+
+  getLotCollection() {
+    return databaseManager.getCollection(this.lotCollectionName);
+  }
+
+  getQuantityCollection() {
+    return databaseManager.getCollection(this.quantityCollectionName);
+  }
+
+  getSupplierCollection() {
+    return databaseManager.getCollection(this.supplierCollectionName);
+  }
+
+  /**
+   * Read the look-ahead window from a request
+   * @param {*} value - Days ahead, EXPIRY_WARNING_DAYS by default
+   * @returns {number} Days ahead
+   */
+  parseDays(value) {
+    if (value === undefined || value === null || value === '') {
+      return settings.inventory.expiryWarningDays;
+    }
+
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error('Validation failed: Days must be a whole number of 0 or more');
+    }
+
+    return days;
+  }
+
+  /**
+   * Read a product's expiry date; legacy rows may hold it as text
+   * @param {Object} product - Product document
+   * @returns {Date|null} Expiry date, or null when it has none
+   */
+  productExpiry(product) {
+    const value = product.expireDate ?? product.expire_date;
+    if (!value) return null;
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Load products by their numeric IDs
+   * @param {Array<number>} productIds - Product IDs
+   * @param {Object} options - { session }
+   * @returns {Promise<Map>} Product document by product ID
+   */
+  async loadProducts(productIds, options = {}) {
+    if (productIds.length === 0) return new Map();
+
+    const products = await this.getProductCollection().find({
+      $or: [
+        { mysqlId: { $in: productIds } },
+        { mysql_id: { $in: productIds } },
+        { id: { $in: productIds } }
+      ]
+    }, { session: options.session }).toArray();
+
+    return new Map(products.map(product => [product.mysqlId ?? product.mysql_id ?? product.id, product]));
+  }
+
+  /**
+   * Load supplier names by their numeric IDs
+   * @param {Array<number>} supplierIds - Supplier IDs
+   * @param {Object} options - { session }
+   * @returns {Promise<Map>} Supplier name by supplier ID
+   */
+  async loadSupplierNames(supplierIds, options = {}) {
+    if (supplierIds.length === 0) return new Map();
+
+    const suppliers = await this.getSupplierCollection().find({
+      $or: [{ mysqlId: { $in: supplierIds } }, { mysql_id: { $in: supplierIds } }]
+    }, { session: options.session }).toArray();
+
+    return new Map(suppliers.map(supplier => [supplier.mysqlId ?? supplier.mysql_id, supplier.name]));
+  }
+
+  /**
+   * How much of a product's stock outside lots at a location expires on the
+   * product's expireDate. Only stock tied to receipts up to that date counts:
+   * stock received after it is fresh, and quantity earlier write-offs already
+   * took for the same date is not counted again
+   * @param {number} productId - Product ID
+   * @param {string} locationCode - Location code
+   * @param {Date} expiryDate - Product's expiry date
+   * @param {number} untracked - On-hand quantity outside lots
+   * @param {Object} options - { session }
+   * @returns {Promise<number>} Expiring quantity
+   */
+  async expiringOutsideLots(productId, locationCode, expiryDate, untracked, options = {}) {
+    const { session } = options;
+    const location = locationFilter(locationCode);
+
+    const receipts = (await this.stockMovementService.getCollection()
+      .find({ productId, ...location, type: 'receipt', delta: { $gt: 0 } }, { session })
+      .toArray())
+      .filter(movement => !movement.reference || movement.reference.type !== 'lot');
+    const receivedBy = receipts
+      .filter(movement => new Date(movement.date) <= expiryDate)
+      .reduce((total, movement) => total + movement.delta, 0);
+    const receivedSince = receipts
+      .filter(movement => new Date(movement.date) > expiryDate)
+      .reduce((total, movement) => total + movement.delta, 0);
+
+    const writeOffs = await this.getCollection().find({ 'lines.productId': productId }, { session }).toArray();
+    const writtenOff = writeOffs
+      .flatMap(writeOff => writeOff.lines)
+      .filter(line => line.productId === productId
+        && line.locationCode === locationCode
+        && !line.lotId
+        && new Date(line.expiryDate).getTime() === expiryDate.getTime())
+      .reduce((total, line) => total + line.quantity, 0);
+
+    return Math.max(0, Math.min(untracked - receivedSince, receivedBy - writtenOff));
+  }
+
+  /**
+   * Find the stock expiring by a moment
+   * Stock received in lots expires with its lot. The rest of a product's
+   * on-hand quantity at a location, not covered by any lot there, expires on
+   * the product's expireDate as far as receipts tie it to that date
+   * @param {Date} horizon - Latest expiry to include
+   * @param {Object} options - { session, productId, locationCode, at }
+   * @returns {Promise<Array<Object>>} One entry per lot, and one per product and location for stock outside lots
+   */
+  async findExpiring(horizon, options = {}) {
+    const { session, productId, locationCode, at = new Date() } = options;
+    const productFilter = productId !== undefined ? Product.idFilter(productId) : {};
+    const lotProduct = productId !== undefined ? { productId } : {};
+    const location = locationFilter(locationCode);
+
+    const expiringLots = await this.getLotCollection().find({
+      ...lotProduct,
+      ...location,
+      status: { $in: ['active', 'recalled'] },
+      remainingQuantity: { $gt: 0 },
+      expiryDate: { $ne: null, $lte: horizon }
+    }, { session }).toArray();
+
+    const datedProducts = (await this.getProductCollection().find({
+      $and: [
+        productFilter,
+        { $or: [{ expireDate: { $nin: [null, ''] } }, { expire_date: { $nin: [null, ''] } }] }
+      ]
+    }, { session }).toArray()).filter(product => {
+      const expiry = this.productExpiry(product);
+      return expiry && expiry <= horizon;
+    });
+
+    const entries = [];
+
+    // Stock outside lots is what the product has on hand at a location beyond
+    // the remaining quantities of its lots there
+    const datedIds = datedProducts.map(product => product.mysqlId ?? product.mysql_id ?? product.id);
+    const lotStock = new Map();
+    if (datedIds.length > 0) {
+      const lots = await this.getLotCollection()
+        .find({ productId: { $in: datedIds }, remainingQuantity: { $gt: 0 }, ...location }, { session })
+        .toArray();
+      for (const lot of lots) {
+        const key = `${lot.productId}|${locationOf(lot)}`;
+        lotStock.set(key, (lotStock.get(key) || 0) + lot.remainingQuantity);
+      }
+    }
+
+    for (const [index, product] of datedProducts.entries()) {
+      const id = datedIds[index];
+      const rows = await this.getQuantityCollection().find(Quantity.productFilter(id, location), { session }).toArray();
+      for (const row of rows) {
+        const untracked = Quantity.sizeOf(row) - (lotStock.get(`${id}|${locationOf(row)}`) || 0);
+        if (untracked <= 0) continue;
+
+        const expiryDate = this.productExpiry(product);
+        const quantity = await this.expiringOutsideLots(id, locationOf(row), expiryDate, untracked, { session });
+        if (quantity > 0) {
+          entries.push({ productId: id, locationCode: locationOf(row), lot: null, expiryDate, quantity });
+        }
+      }
+    }
+
+    for (const lot of expiringLots) {
+      entries.push({
+        productId: lot.productId,
+        locationCode: locationOf(lot),
+        lot,
+        expiryDate: new Date(lot.expiryDate),
+        quantity: lot.remainingQuantity
+      });
+    }
+
+    const products = await this.loadProducts(
+      [...new Set(entries.map(entry => entry.productId))],
+      { session }
+    );
+    const supplierIds = entries
+      .map(entry => (entry.lot && entry.lot.supplierId) ?? (products.get(entry.productId) || {}).supplierId)
+      .filter(id => id !== undefined && id !== null);
+    const supplierNames = await this.loadSupplierNames([...new Set(supplierIds)], { session });
+
+    return entries
+      .map(entry => {
+        const product = products.get(entry.productId) || {};
+        const model = Product.fromDocument(product);
+        const supplierId = (entry.lot && entry.lot.supplierId) ?? model.supplierId;
+        const lotCost = entry.lot ? entry.lot.costPrice : null;
+        const cost = lotCost ?? model.costPrice;
+        const costPrice = cost === null || cost === undefined || cost === '' ? null : parseFloat(cost);
+        const salePrice = parseFloat(model.salePrice) || 0;
+
+        return {
+          productId: entry.productId,
+          locationCode: entry.locationCode,
+          productName: model.name,
+          category: model.category || '',
+          supplierId: supplierId ?? null,
+          supplierName: supplierNames.get(supplierId) || (supplierId === model.supplierId ? model.supplierName : '') || '',
+          lotId: entry.lot ? entry.lot._id : null,
+          lotNumber: entry.lot ? entry.lot.lotNumber : null,
+          lotStatus: entry.lot ? entry.lot.status : null,
+          expiryDate: entry.expiryDate,
+          expired: entry.expiryDate <= at,
+          daysToExpiry: Math.ceil((entry.expiryDate - at) / DAY_MS),
+          quantity: entry.quantity,
+          costPrice: Number.isFinite(costPrice) ? costPrice : null,
+          salePrice,
+          valueAtCost: Number.isFinite(costPrice) ? roundToDecimals(entry.quantity * costPrice) : null,
+          valueAtSale: roundToDecimals(entry.quantity * salePrice)
+        };
+      })
+      .sort((a, b) => a.expiryDate - b.expiryDate || a.productId - b.productId);
+  }
+
+  /**
+   * Total a set of expiring stock entries
+   * Entries without a cost price count towards uncostedQuantity instead of the value at cost
+   * @param {Array<Object>} entries - Entries from findExpiring
+   * @returns {Object} { itemCount, quantity, valueAtCost, valueAtSale, uncostedQuantity }
+   */
+  totalOf(entries) {
+    return {
+      itemCount: entries.length,
+      quantity: entries.reduce((total, entry) => total + entry.quantity, 0),
+      valueAtCost: roundToDecimals(entries.reduce((total, entry) => total + (entry.valueAtCost || 0), 0)),
+      valueAtSale: roundToDecimals(entries.reduce((total, entry) => total + entry.valueAtSale, 0)),
+      uncostedQuantity: entries
+        .filter(entry => entry.valueAtCost === null)
+        .reduce((total, entry) => total + entry.quantity, 0)
+    };
+  }
+
+  /**
+   * Group expiring stock entries and total each group
+   * @param {Array<Object>} entries - Entries from findExpiring
+   * @param {Function} keyOf - Reads the group fields from an entry
+   * @returns {Array<Object>} Group fields with their totals, largest value at sale first
+   */
+  groupBy(entries, keyOf) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const fields = keyOf(entry);
+      const key = JSON.stringify(fields);
+      if (!groups.has(key)) groups.set(key, { fields, entries: [] });
+      groups.get(key).entries.push(entry);
+    }
+
+    return Array.from(groups.values())
+      .map(group => ({ ...group.fields, ...this.totalOf(group.entries) }))
+      .sort((a, b) => b.valueAtSale - a.valueAtSale);
+  }
+
+  /**
+   * Keep the entries matching a category and supplier
+   * @param {Array<Object>} entries - Entries from findExpiring
+   * @param {Object} filters - { category, supplierId }
+   * @returns {Array<Object>} Matching entries
+   */
+  filterEntries(entries, filters = {}) {
+    const { category, supplierId } = filters;
+    return entries.filter(entry =>
+      (!category || entry.category === category)
+      && (supplierId === undefined || supplierId === null || supplierId === '' || String(entry.supplierId) === String(supplierId))
+    );
+  }
+
+  /**
+   * Get stock that has expired or expires within a number of days
+   * @param {Object} options - { days, includeExpired, productId, locationCode, category, supplierId }
+   * @returns {Promise<Object>} Expiring stock with totals by category, by supplier and by location
+   */
+  async getExpiringStock(options = {}) {
+    try {
+      const days = this.parseDays(options.days);
+      const includeExpired = options.includeExpired !== false;
+      const at = new Date();
+      const horizon = new Date(at.getTime() + days * DAY_MS);
+      const productId = options.productId !== undefined && options.productId !== '' ? parseInt(options.productId) : undefined;
+
+      let entries = this.filterEntries(
+        await this.findExpiring(horizon, { productId, locationCode: options.locationCode, at }),
+        options
+      );
+      if (!includeExpired) {
+        entries = entries.filter(entry => !entry.expired);
+      }
+
+      return {
+        success: true,
+        data: {
+          asOf: at,
+          days,
+          horizon,
+          totals: {
+            ...this.totalOf(entries),
+            expired: this.totalOf(entries.filter(entry => entry.expired))
+          },
+          byCategory: this.groupBy(entries, entry => ({ category: entry.category })),
+          bySupplier: this.groupBy(entries, entry => ({ supplierId: entry.supplierId, supplierName: entry.supplierName })),
+          byLocation: this.groupBy(entries, entry => ({ locationCode: entry.locationCode })),
+          items: entries
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching expiring stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write off expired stock
+   * Each product's expired stock at each location comes off its quantity there
+   * as wastage, stock outside lots first and then its lots, soonest expiry first.
+   * Stock reserved for layaways, or held in lots beyond the quantity on hand,
+   * is left on hand and listed as skipped with its cause. The
+   * quantities, lots, stock ledger and write-off record commit together
+   * @param {Object} writeOffData - { reason, performedBy, productId, locationCode, category, supplierId }
+   * @returns {Promise<Object>} Write-off with its value at cost and at sale price
+   */
+  async writeOffExpired(writeOffData = {}) {
+    try {
+      const writeOff = WriteOff.create({
+        reason: writeOffData.reason || 'Expired stock written off',
+        performedBy: writeOffData.performedBy
+      });
+      const validation = writeOff.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const productId = writeOffData.productId !== undefined && writeOffData.productId !== ''
+        ? parseInt(writeOffData.productId)
+        : undefined;
+
+      const created = await databaseManager.withTransaction(async (session) => {
+        const at = new Date();
+        const entries = this.filterEntries(
+          await this.findExpiring(at, { session, productId, locationCode: writeOffData.locationCode, at }),
+          writeOffData
+        );
+        if (entries.length === 0) return null;
+
+        const writeOffRef = new ObjectId();
+        const byRow = new Map();
+        for (const entry of entries) {
+          const key = `${entry.productId}|${entry.locationCode}`;
+          if (!byRow.has(key)) byRow.set(key, []);
+          byRow.get(key).push(entry);
+        }
+
+        const lines = [];
+        const skipped = [];
+        for (const productEntries of byRow.values()) {
+          const { productId: id, locationCode } = productEntries[0];
+
+          // Stock outside lots goes first, then lots soonest expiry first
+          productEntries.sort((a, b) => (a.lotId ? 1 : 0) - (b.lotId ? 1 : 0) || a.expiryDate - b.expiryDate);
+
+          const row = await this.getQuantityCollection().findOne(
+            Quantity.productFilter(id, locationFilter(locationCode)),
+            { session }
+          );
+          const expired = productEntries.reduce((total, entry) => total + entry.quantity, 0);
+          let writable = settings.inventory.allowNegativeStock
+            ? expired
+            : Math.min(expired, Math.max(Quantity.availableOf(row), 0));
+
+          // Stock held back is reserved for layaways, or held in lots beyond
+          // what the quantity row has on hand
+          const name = productEntries[0].productName || `product ${id}`;
+          const reserved = Math.min(expired - writable, Math.max(Quantity.reservedOf(row), 0));
+          const drift = expired - writable - reserved;
+          if (reserved > 0) {
+            skipped.push({
+              productId: id,
+              locationCode,
+              productName: productEntries[0].productName,
+              cause: 'reserved',
+              quantity: reserved,
+              message: `${reserved} of ${name} is reserved and was not written off`
+            });
+          }
+          if (drift > 0) {
+            skipped.push({
+              productId: id,
+              locationCode,
+              productName: productEntries[0].productName,
+              cause: 'ledger_drift',
+              quantity: drift,
+              message: `${drift} of ${name} is held in lots beyond the quantity on hand and was not written off; reconcile the stock`
+            });
+          }
+          if (writable <= 0) continue;
+
+          const taken = [];
+          for (const entry of productEntries) {
+            if (writable <= 0) break;
+            const quantity = Math.min(entry.quantity, writable);
+            writable -= quantity;
+
+            if (entry.lotId) {
+              const remaining = entry.quantity - quantity;
+              const result = await this.getLotCollection().updateOne(
+                { _id: entry.lotId, remainingQuantity: entry.quantity },
+                {
+                  $inc: { remainingQuantity: -quantity },
+                  $set: { updatedDate: new Date(), ...(remaining === 0 ? { status: 'written_off' } : {}) }
+                },
+                { session }
+              );
+
+              if (result.modifiedCount === 0) {
+                const error = new Error(`Lot ${entry.lotNumber} changed while it was being written off`);
+                error.statusCode = 409;
+                throw error;
+              }
+            }
+
+            taken.push({
+              productId: id,
+              locationCode,
+              productName: entry.productName,
+              category: entry.category,
+              supplierId: entry.supplierId,
+              supplierName: entry.supplierName,
+              lotId: entry.lotId,
+              lotNumber: entry.lotNumber,
+              expiryDate: entry.expiryDate,
+              quantity,
+              costPrice: entry.costPrice,
+              salePrice: entry.salePrice,
+              valueAtCost: entry.costPrice === null ? null : roundToDecimals(quantity * entry.costPrice),
+              valueAtSale: roundToDecimals(quantity * entry.salePrice)
+            });
+          }
+
+          const total = taken.reduce((sum, line) => sum + line.quantity, 0);
+          const after = await this.quantityService.applyDelta(id, row, -total, { session, locationCode });
+
+          let quantityAfter = Quantity.sizeOf(after) + total;
+          await this.stockMovementService.record(taken.map(line => {
+            quantityAfter -= line.quantity;
+            return {
+              productId: id,
+              quantityId: after._id,
+              locationCode,
+              type: 'wastage',
+              delta: -line.quantity,
+              quantityAfter,
+              reason: line.lotNumber ? `${writeOff.reason} (lot ${line.lotNumber})` : writeOff.reason,
+              reference: { type: 'write_off', id: writeOffRef, number: line.lotNumber || '' },
+              performedBy: writeOff.performedBy
+            };
+          }), { session });
+
+          lines.push(...taken);
+        }
+
+        if (lines.length === 0 && skipped.length === 0) return null;
+
+        const totals = this.totalOf(lines);
+        const document = WriteOff.create({
+          reason: writeOff.reason,
+          performedBy: writeOff.performedBy,
+          lines,
+          skipped,
+          quantity: totals.quantity,
+          valueAtCost: totals.valueAtCost,
+          valueAtSale: totals.valueAtSale,
+          uncostedQuantity: totals.uncostedQuantity
+        }).toDocument();
+
+        await this.getCollection().insertOne({ _id: writeOffRef, ...document }, { session });
+        return { _id: writeOffRef, ...document };
+      });
+
+      if (!created) {
+        return {
+          success: true,
+          data: null,
+          message: 'No expired stock to write off'
+        };
+      }
+
+      return {
+        success: true,
+        data: WriteOff.fromDocument(created),
+        message: created.lines.length > 0
+          ? 'Expired stock written off successfully'
+          : 'Expired stock was not written off; see skipped'
+      };
+    } catch (error) {
+      console.error('Error writing off expired stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get write-offs with pagination, newest first
+   * @param {Object} options - { page, limit, productId, locationCode, startDate, endDate }
+   * @returns {Promise<Object>} Write-offs list
+   */
+  async getWriteOffs(options = {}) {
+    try {
+      const { page = 1, limit = 10, productId, locationCode, startDate, endDate } = options;
+      const skip = (page - 1) * limit;
+
+      let filter = {};
+
+      if (productId !== undefined && productId !== null && productId !== '') {
+        filter['lines.productId'] = parseInt(productId);
+      }
+
+      if (locationCode) {
+        filter['lines.locationCode'] = locationCode;
+      }
+
+      const writeOffDate = dateRangeFilter(startDate, endDate);
+      if (writeOffDate) {
+        filter.writeOffDate = writeOffDate;
+      }
+
+      const writeOffs = await this.getCollection()
+        .find(filter)
+        .sort({ writeOffDate: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: writeOffs.map(writeOff => WriteOff.fromDocument(writeOff)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching write-offs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get write-off by ID
+   * @param {string} id - Write-off ID
+   * @returns {Promise<Object>} Write-off
+   */
+  async getWriteOffById(id) {
+    try {
+      const writeOff = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!writeOff) {
+        throw new Error('Write-off not found');
+      }
+
+      return {
+        success: true,
+        data: WriteOff.fromDocument(writeOff)
+      };
+    } catch (error) {
+      console.error('Error fetching write-off:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,442 @@
+/**
+ * Gift Card Service
+ * Handles business logic for issuing, topping up, voiding and redeeming gift cards
+ */
+import crypto from 'crypto';
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { GiftCard } from '../models/GiftCard.js';
+import { roundToDecimals } from '../utils/helpers.js';
+
+// Unambiguous characters for generated codes (no 0/O or 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export class GiftCardService {
+  constructor() {
+    this.collectionName = 'giftCards';
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  /**
+   * Generate a random card code such as ABCD-EFGH-JKLM-NPQR
+   * @returns {string} Card code
+   */
+  generateCode() {
+    const bytes = crypto.randomBytes(16);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+    return chars.join('').match(/.{4}/g).join('-');
+  }
+
+  /**
+   * Default expiry date for a card issued now
+   * @returns {Date|null} Expiry date, or null when cards do not expire
+   */
+  defaultExpiryDate() {
+    const { expiryMonths } = settings.giftCards;
+    if (!expiryMonths) return null;
+
+    const expiry = new Date();
+    expiry.setMonth(expiry.getMonth() + expiryMonths);
+    return expiry;
+  }
+
+  /**
+   * Filter matching a card that can currently be topped up or redeemed
+   * @param {string} code - Card code
+   * @returns {Object} MongoDB filter
+   */
+  usableFilter(code) {
+    return {
+      code,
+      status: 'active',
+      $or: [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }]
+    };
+  }
+
+  /**
+   * Explain why a card cannot be topped up or redeemed
+   * @param {string} code - Card code
+   * @param {Object} options - { session }
+   * @returns {Promise<Error|null>} Error describing the card state, or null if the card is usable
+   */
+  async cardStateError(code, options = {}) {
+    const { session } = options;
+    const doc = await this.getCollection().findOne({ code }, { session });
+
+    if (!doc) {
+      return new Error('Gift card not found');
+    }
+
+    const card = GiftCard.fromDocument(doc);
+    if (card.status !== 'active') {
+      return new Error(`Gift card is ${card.status}`);
+    }
+    if (card.isExpired()) {
+      return new Error('Gift card is expired');
+    }
+
+    return null;
+  }
+
+  /**
+   * Change a card balance and append the matching ledger entry
+   * Runs inside the caller's transaction so the balance and ledger move together
+   * @param {Object} filter - Filter the card must match for the change to apply
+   * @param {string} type - Ledger entry type
+   * @param {number} amount - Signed balance change
+   * @param {Object} details - { reference, performedBy }
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Updated card document, or null if the filter did not match
+   */
+  async applyBalanceChange(filter, type, amount, details, options = {}) {
+    const { session } = options;
+    const card = await this.getCollection().findOneAndUpdate(
+      filter,
+      { $inc: { balance: amount } },
+      { session, returnDocument: 'after' }
+    );
+
+    if (!card) {
+      return null;
+    }
+
+    const balanceAfter = roundToDecimals(card.balance);
+    const entry = GiftCard.ledgerEntry(type, amount, balanceAfter, details);
+
+    await this.getCollection().updateOne(
+      { _id: card._id },
+      { $set: { balance: balanceAfter }, $push: { ledger: entry } },
+      { session }
+    );
+
+    return { ...card, balance: balanceAfter, ledger: [...(card.ledger || []), entry] };
+  }
+
+  /**
+   * Issue a new gift card
+   * @param {Object} cardData - { code, initialValue, expiryDate, customerId, issuedBy }
+   * @returns {Promise<Object>} Issued gift card
+   */
+  async issueGiftCard(cardData) {
+    try {
+      const card = GiftCard.create({
+        ...cardData,
+        code: cardData.code ? GiftCard.normalizeCode(cardData.code) : this.generateCode(),
+        expiryDate: cardData.expiryDate || this.defaultExpiryDate()
+      });
+      const validation = card.validate(settings.giftCards.maxBalance);
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      let result;
+      try {
+        result = await this.getCollection().insertOne(card.toDocument());
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error('Gift card code already exists');
+        }
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: GiftCard.fromDocument({ _id: result.insertedId, ...card.toDocument() }),
+        message: 'Gift card issued successfully'
+      };
+    } catch (error) {
+      console.error('Error issuing gift card:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get gift cards
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Gift cards list
+   */
+  async getGiftCards(options = {}) {
+    try {
+      const { page = 1, limit = 10, status, customerId } = options;
+      const skip = (page - 1) * limit;
+
+      let filter = {};
+
+      if (status) {
+        filter.status = status;
+      }
+
+      if (customerId) {
+        filter.customerId = customerId;
+      }
+
+      const cards = await this.getCollection()
+        .find(filter, { projection: { ledger: 0 } })
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: cards.map(card => GiftCard.fromDocument(card)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching gift cards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a gift card with its ledger
+   * @param {string} code - Card code
+   * @returns {Promise<Object>} Gift card data
+   */
+  async getGiftCardByCode(code) {
+    try {
+      const card = await this.getCollection().findOne({ code: GiftCard.normalizeCode(code) });
+
+      if (!card) {
+        throw new Error('Gift card not found');
+      }
+
+      return {
+        success: true,
+        data: GiftCard.fromDocument(card)
+      };
+    } catch (error) {
+      console.error('Error fetching gift card:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the remaining balance of a card
+   * @param {string} code - Card code
+   * @returns {Promise<Object>} Balance details
+   */
+  async getBalance(code) {
+    try {
+      const { data: card } = await this.getGiftCardByCode(code);
+
+      return {
+        success: true,
+        data: card.toBalance()
+      };
+    } catch (error) {
+      console.error('Error fetching gift card balance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add value to an active card
+   * @param {string} code - Card code
+   * @param {Object} topUpData - { amount, performedBy, reference }
+   * @returns {Promise<Object>} Updated gift card
+   */
+  async topUp(code, topUpData = {}) {
+    try {
+      const amount = roundToDecimals(Number(topUpData.amount) || 0);
+      const { maxBalance } = settings.giftCards;
+      const cardCode = GiftCard.normalizeCode(code);
+
+      if (!cardCode) {
+        throw new Error('Validation failed: Gift card code is required');
+      }
+
+      if (amount <= 0) {
+        throw new Error('Validation failed: Top-up amount must be greater than 0');
+      }
+
+      const card = await databaseManager.withTransaction(async (session) => {
+        const filter = this.usableFilter(cardCode);
+        if (maxBalance > 0) {
+          filter.balance = { $lte: roundToDecimals(maxBalance - amount) };
+        }
+
+        const updated = await this.applyBalanceChange(filter, 'top_up', amount, topUpData, { session });
+
+        if (!updated) {
+          // A usable card that missed the filter would go over the balance limit
+          throw await this.cardStateError(cardCode, { session })
+            || new Error(`Validation failed: Balance cannot exceed ${maxBalance}`);
+        }
+
+        return updated;
+      });
+
+      return {
+        success: true,
+        data: GiftCard.fromDocument(card),
+        message: 'Gift card topped up successfully'
+      };
+    } catch (error) {
+      console.error('Error topping up gift card:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Void a card, forfeiting its remaining balance
+   * @param {string} code - Card code
+   * @param {Object} voidData - { voidedBy, reason }
+   * @returns {Promise<Object>} Voided gift card
+   */
+  async voidGiftCard(code, voidData = {}) {
+    try {
+      const { voidedBy, reason } = voidData;
+      const cardCode = GiftCard.normalizeCode(code);
+
+      if (!voidedBy || String(voidedBy).trim() === '') {
+        throw new Error('Validation failed: voidedBy is required');
+      }
+
+      const card = await databaseManager.withTransaction(async (session) => {
+        const active = await this.getCollection().findOneAndUpdate(
+          { code: cardCode, status: 'active' },
+          { $set: { status: 'voided', voidedBy, voidedAt: new Date(), voidReason: reason || '' } },
+          { session, returnDocument: 'after' }
+        );
+
+        if (!active) {
+          const existing = await this.getCollection().findOne({ code: cardCode }, { session });
+          throw new Error(existing ? `Gift card is ${existing.status}` : 'Gift card not found');
+        }
+
+        return this.applyBalanceChange(
+          { _id: active._id },
+          'void',
+          -active.balance,
+          { performedBy: voidedBy, reference: reason },
+          { session }
+        );
+      });
+
+      return {
+        success: true,
+        data: GiftCard.fromDocument(card),
+        message: 'Gift card voided successfully'
+      };
+    } catch (error) {
+      console.error('Error voiding gift card:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Total amount to take from each card across a sale's gift card tenders
+   * @param {Array<Tender>} tenders - Sale tenders
+   * @returns {Map} Card code to amount
+   */
+  redemptionsByCard(tenders = []) {
+    const redemptions = new Map();
+
+    tenders
+      .filter(tender => tender.method === settings.giftCards.tenderMethod)
+      .forEach((tender, index) => {
+        if (!tender.reference) {
+          throw new Error(`Validation failed: Gift card tender ${index + 1}: card code is required as the reference`);
+        }
+        const code = GiftCard.normalizeCode(tender.reference);
+        const amount = tender.appliedAmount ?? tender.amount;
+        redemptions.set(code, roundToDecimals((redemptions.get(code) || 0) + amount));
+      });
+
+    return redemptions;
+  }
+
+  /**
+   * Debit the gift card tenders of a sale
+   * Must run inside the sale's transaction so a failed sale leaves balances untouched.
+   * Each tender is rewritten to hold the card id and the masked code, so the raw code is never stored.
+   * @param {Array<Tender>} tenders - Sale tenders
+   * @param {Object} options - { session, saleId, performedBy }
+   * @returns {Promise<Array<Object>>} Redemptions with the remaining balance
+   */
+  async redeemTenders(tenders, options = {}) {
+    const { session, saleId, performedBy } = options;
+    const redemptions = [];
+
+    for (const [code, amount] of this.redemptionsByCard(tenders)) {
+      const filter = { ...this.usableFilter(code), balance: { $gte: amount } };
+      const card = await this.applyBalanceChange(
+        filter,
+        'redemption',
+        -amount,
+        { reference: saleId, performedBy },
+        { session }
+      );
+
+      if (!card) {
+        const stateError = await this.cardStateError(code, { session });
+        if (stateError) throw stateError;
+
+        const { balance } = await this.getCollection().findOne({ code }, { session });
+        const error = new Error('Gift card has insufficient balance');
+        error.statusCode = 409;
+        error.details = [{ code: GiftCard.mask(code), balance, requested: amount }];
+        throw error;
+      }
+
+      tenders
+        .filter(tender => tender.method === settings.giftCards.tenderMethod
+          && GiftCard.normalizeCode(tender.reference) === code)
+        .forEach(tender => {
+          tender.giftCardId = card._id;
+          tender.reference = GiftCard.mask(code);
+        });
+
+      redemptions.push({ code: GiftCard.mask(code), amount, remaining: card.balance });
+    }
+
+    return redemptions;
+  }
+
+  /**
+   * Credit back the gift card tenders of a voided sale
+   * A card voided since the sale keeps the credit on its ledger but cannot spend it
+   * @param {Object} sale - Sale document
+   * @param {Object} options - { session, performedBy }
+   * @returns {Promise<void>}
+   */
+  async reverseRedemptions(sale, options = {}) {
+    const { session, performedBy } = options;
+    const reversals = new Map();
+
+    (sale.tenders || [])
+      .filter(tender => tender.method === settings.giftCards.tenderMethod)
+      .forEach(tender => {
+        // Sales recorded before tenders kept the card id still hold the raw code
+        const filter = tender.giftCardId
+          ? { _id: tender.giftCardId }
+          : { code: GiftCard.normalizeCode(tender.reference) };
+        const key = String(tender.giftCardId || filter.code);
+        const amount = tender.appliedAmount ?? tender.amount;
+        const reversal = reversals.get(key) || { filter, amount: 0 };
+        reversals.set(key, { filter, amount: roundToDecimals(reversal.amount + amount) });
+      });
+
+    for (const { filter, amount } of reversals.values()) {
+      await this.applyBalanceChange(
+        filter,
+        'reversal',
+        amount,
+        { reference: sale.saleId, performedBy },
+        { session }
+      );
+    }
+  }
+}
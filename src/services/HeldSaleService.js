@@ -0,0 +1,315 @@
+/**
+ * Held Sale Service
+ * Handles business logic for parking and resuming sales
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { HeldSale } from '../models/HeldSale.js';
+import { SaleService } from './SaleService.js';
+import { toObjectId } from '../utils/helpers.js';
+
+const ACTIVE_STATUSES = ['open', 'resumed'];
+
+export class HeldSaleService {
+  constructor() {
+    this.collectionName = 'heldSales';
+    this.saleService = new SaleService();
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  /**
+   * Expire holds that have passed their expiry time
+   * @returns {Promise<number>} Number of holds expired
+   */
+  async expireStaleHolds() {
+    const now = new Date();
+    const result = await this.getCollection().updateMany(
+      { status: { $in: ACTIVE_STATUSES }, expiresAt: { $ne: null, $lte: now } },
+      { $set: { status: 'expired', updatedDate: now } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Find an active hold or explain why it is not available
+   * @param {string} id - Held sale ID
+   * @returns {Promise<Object>} Held sale document
+   */
+  async findActiveHold(id) {
+    await this.expireStaleHolds();
+
+    const hold = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+    if (!hold) {
+      throw new Error('Held sale not found');
+    }
+
+    if (!ACTIVE_STATUSES.includes(hold.status)) {
+      throw new Error(`Held sale is ${hold.status}`);
+    }
+
+    return hold;
+  }
+
+  /**
+   * Park a basket
+   * @param {Object} holdData - Held sale data
+   * @returns {Promise<Object>} Created held sale
+   */
+  async createHold(holdData) {
+    try {
+      const hold = HeldSale.create(holdData, settings.holds.expiryMinutes);
+      const validation = hold.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const result = await this.getCollection().insertOne(hold.toDocument());
+
+      return {
+        success: true,
+        data: HeldSale.fromDocument({ _id: result.insertedId, ...hold.toDocument() }),
+        message: 'Sale held successfully'
+      };
+    } catch (error) {
+      console.error('Error holding sale:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get held sales, by default the open ones
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Held sales list
+   */
+  async getHolds(options = {}) {
+    try {
+      const { page = 1, limit = 10, registerId, status = 'open' } = options;
+      const skip = (page - 1) * limit;
+
+      await this.expireStaleHolds();
+
+      let filter = {};
+
+      if (status !== 'all') {
+        filter.status = status;
+      }
+
+      if (registerId) {
+        filter.registerId = registerId;
+      }
+
+      const holds = await this.getCollection()
+        .find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: holds.map(hold => HeldSale.fromDocument(hold)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching held sales:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get held sale by ID
+   * @param {string} id - Held sale ID
+   * @returns {Promise<Object>} Held sale data
+   */
+  async getHoldById(id) {
+    try {
+      await this.expireStaleHolds();
+
+      const hold = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!hold) {
+        throw new Error('Held sale not found');
+      }
+
+      return {
+        success: true,
+        data: HeldSale.fromDocument(hold)
+      };
+    } catch (error) {
+      console.error('Error fetching held sale:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the basket of an active hold and restart its expiry clock
+   * @param {string} id - Held sale ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>} Updated held sale
+   */
+  async updateHold(id, updateData) {
+    try {
+      const existing = await this.findActiveHold(id);
+      const hold = HeldSale.create({ ...existing, ...updateData }, settings.holds.expiryMinutes);
+      const validation = hold.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const result = await this.getCollection().findOneAndUpdate(
+        { _id: existing._id, status: { $in: ACTIVE_STATUSES } },
+        {
+          $set: {
+            customerId: hold.customerId,
+            customerContact: hold.customerContact,
+            saleItems: hold.saleItems,
+            note: hold.note,
+            status: 'open',
+            expiresAt: hold.expiresAt,
+            updatedDate: new Date()
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        throw new Error('Held sale is no longer open');
+      }
+
+      return {
+        success: true,
+        data: HeldSale.fromDocument(result),
+        message: 'Held sale updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating held sale:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resume a hold on a register, taking it off the open list
+   * @param {string} id - Held sale ID
+   * @param {Object} resumeData - { registerId, resumedBy }
+   * @returns {Promise<Object>} Resumed held sale
+   */
+  async resumeHold(id, resumeData = {}) {
+    try {
+      await this.expireStaleHolds();
+
+      const result = await this.getCollection().findOneAndUpdate(
+        { _id: toObjectId(id), status: 'open' },
+        {
+          $set: {
+            status: 'resumed',
+            resumedBy: resumeData.resumedBy || null,
+            resumedRegisterId: resumeData.registerId || null,
+            updatedDate: new Date()
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        await this.findActiveHold(id);
+        throw new Error('Held sale is already resumed on another register');
+      }
+
+      return {
+        success: true,
+        data: HeldSale.fromDocument(result),
+        message: 'Held sale resumed successfully'
+      };
+    } catch (error) {
+      console.error('Error resuming held sale:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a hold into a real sale through the normal sale creation path
+   * The hold is claimed in the sale's transaction, so two registers cannot
+   * convert it twice and a failed sale leaves it open
+   * @param {string} id - Held sale ID
+   * @param {Object} saleData - Payment and any other sale fields
+   * @returns {Promise<Object>} Created sale
+   */
+  async convertHold(id, saleData = {}) {
+    try {
+      const existing = await this.findActiveHold(id);
+
+      const result = await databaseManager.withTransaction(async (session) => {
+        const claimed = await this.getCollection().findOneAndUpdate(
+          { _id: existing._id, status: existing.status },
+          { $set: { status: 'converted', updatedDate: new Date() } },
+          { returnDocument: 'after', session }
+        );
+
+        if (!claimed) {
+          throw new Error('Held sale is no longer open');
+        }
+
+        const result = await this.saleService.createSale({
+          customerId: claimed.customerId || undefined,
+          customerContact: claimed.customerContact,
+          saleItems: claimed.saleItems,
+          ...saleData,
+          registerId: saleData.registerId || claimed.resumedRegisterId || claimed.registerId
+        }, { session });
+
+        await this.getCollection().updateOne(
+          { _id: claimed._id },
+          { $set: { convertedSaleRef: result.data.id } },
+          { session }
+        );
+
+        return result;
+      });
+
+      return {
+        ...result,
+        message: 'Held sale converted successfully'
+      };
+    } catch (error) {
+      console.error('Error converting held sale:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a hold
+   * @param {string} id - Held sale ID
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelHold(id) {
+    try {
+      const existing = await this.findActiveHold(id);
+
+      await this.getCollection().updateOne(
+        { _id: existing._id },
+        { $set: { status: 'cancelled', updatedDate: new Date() } }
+      );
+
+      return {
+        success: true,
+        message: 'Held sale cancelled successfully'
+      };
+    } catch (error) {
+      console.error('Error cancelling held sale:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,458 @@
+/**
+ * Layaway Service
+ * Handles business logic for layaways: stock reserved against a deposit,
+ * paid off in instalments and completed into a sale
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Layaway } from '../models/Layaway.js';
+import { Sale } from '../models/Sale.js';
+import { PricingService } from './PricingService.js';
+import { QuantityService } from './QuantityService.js';
+import { SaleService } from './SaleService.js';
+import { ShiftService } from './ShiftService.js';
+import { LocationService } from './LocationService.js';
+import { toObjectId, roundToDecimals } from '../utils/helpers.js';
+import { locationOf } from '../utils/location.js';
+
+export class LayawayService {
+  constructor() {
+    this.collectionName = 'layaways';
+    this.pricingService = new PricingService();
+    this.quantityService = new QuantityService();
+    this.saleService = new SaleService();
+    this.shiftService = new ShiftService();
+    this.locationService = new LocationService();
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  /**
+   * Find a layaway
+   * @param {string} id - Layaway ID
+   * @returns {Promise<Object>} Layaway document
+   */
+  async findLayaway(id) {
+    const layaway = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+    if (!layaway) {
+      throw new Error('Layaway not found');
+    }
+
+    return layaway;
+  }
+
+  /**
+   * Layaway model with the paid state of each instalment
+   * @param {Object} doc - Layaway document
+   * @returns {Layaway} Layaway model
+   */
+  present(doc) {
+    const layaway = Layaway.fromDocument(doc);
+    layaway.schedule = layaway.scheduleStatus();
+    return layaway;
+  }
+
+  /**
+   * Check a payment method against the methods layaways accept
+   * @param {string} method - Payment method
+   */
+  checkMethod(method) {
+    const methods = settings.layaway.paymentMethods;
+    if (!methods.includes(method)) {
+      throw new Error(`Validation failed: Payment method must be one of: ${methods.join(', ')}`);
+    }
+  }
+
+  /**
+   * Record a payment taken at a register on its open shift
+   * @param {Object} payment - Payment entry; its shiftId is filled in
+   * @param {*} layawayId - Layaway the payment is for
+   * @param {Object} options - { session }
+   */
+  async recordTakings(payment, layawayId, options = {}) {
+    const shift = await this.shiftService.recordMovement(payment.registerId, {
+      type: 'layaway_payment',
+      method: payment.method,
+      amount: payment.amount,
+      reference: String(layawayId),
+      performedBy: payment.receivedBy
+    }, options);
+    payment.shiftId = shift ? shift._id : null;
+  }
+
+  /**
+   * Cancellation fee under the configured policy, never more than was paid
+   * @param {Object} layaway - Layaway document
+   * @returns {number} Fee kept from the payments
+   */
+  cancellationFee(layaway) {
+    const { type, value } = settings.layaway.cancellationFee;
+    let fee = 0;
+
+    if (type === 'percent') {
+      fee = layaway.totalAmount * value / 100;
+    } else if (type === 'amount') {
+      fee = value;
+    } else if (type === 'deposit') {
+      fee = (layaway.payments || [])
+        .filter(payment => payment.type === 'deposit')
+        .reduce((sum, payment) => sum + payment.amount, 0);
+    }
+
+    return roundToDecimals(Math.min(fee, layaway.paidAmount));
+  }
+
+  /**
+   * Open a layaway: price the lines, take the deposit and reserve the stock
+   * The reservation and the layaway commit together
+   * @param {Object} layawayData - Layaway data with deposit { amount, method, reference }
+   *   and either schedule [{ dueDate, amount }] or instalments and intervalDays
+   * @returns {Promise<Object>} Created layaway
+   */
+  async createLayaway(layawayData) {
+    try {
+      const layaway = Layaway.create(layawayData);
+      const sale = Sale.create({ customerId: layaway.customerId, saleItems: layaway.saleItems });
+      await this.pricingService.priceSale(sale, {}, { strict: false });
+
+      layaway.saleItems = sale.saleItems;
+      layaway.discountLines = sale.discountLines;
+      layaway.subTotal = sale.subTotal;
+      layaway.discountAmount = sale.discountAmount;
+      layaway.taxAmount = sale.taxAmount;
+      layaway.taxSummary = sale.taxSummary;
+      layaway.pricesIncludeTax = sale.pricesIncludeTax;
+      layaway.totalAmount = sale.totalAmount;
+
+      const deposit = Layaway.payment({
+        registerId: layaway.registerId,
+        ...(layawayData.deposit || {}),
+        type: 'deposit'
+      });
+      layaway.payments = deposit.amount > 0 ? [deposit] : [];
+      layaway.paidAmount = deposit.amount;
+      layaway.balance = roundToDecimals(layaway.totalAmount - deposit.amount);
+      layaway.schedule = Array.isArray(layawayData.schedule)
+        ? layawayData.schedule.map(entry => ({
+          dueDate: new Date(entry.dueDate),
+          amount: roundToDecimals(Number(entry.amount) || 0)
+        }))
+        : Layaway.buildSchedule(
+          layaway.balance,
+          parseInt(layawayData.instalments, 10) || settings.layaway.instalmentCount,
+          parseInt(layawayData.intervalDays, 10) || settings.layaway.intervalDays,
+          layaway.createdDate
+        );
+
+      const validation = layaway.validate(settings.layaway);
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const result = await databaseManager.withTransaction(async (session) => {
+        // Stock is held at the location of the register taking the deposit
+        layaway.locationCode = await this.locationService.locationForRegister(layaway.registerId, { session });
+        await this.quantityService.reserveStock(layaway.saleItems, { session, locationCode: layaway.locationCode });
+        const inserted = await this.getCollection().insertOne(layaway.toDocument(), { session });
+        await this.recordTakings(deposit, inserted.insertedId, { session });
+        await this.getCollection().updateOne(
+          { _id: inserted.insertedId },
+          { $set: { 'payments.0.shiftId': deposit.shiftId } },
+          { session }
+        );
+        return inserted;
+      });
+
+      const created = { ...layaway.toDocument(), _id: result.insertedId };
+
+      // A deposit covering the whole total is simply a sale
+      if (layaway.balance <= 0.005) {
+        return this.completeLayaway(result.insertedId, { registerId: layaway.registerId });
+      }
+
+      return {
+        success: true,
+        data: this.present(created),
+        message: 'Layaway created successfully'
+      };
+    } catch (error) {
+      console.error('Error creating layaway:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get layaways with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Layaways list
+   */
+  async getLayaways(options = {}) {
+    try {
+      const { page = 1, limit = 10, status = 'active', customerId } = options;
+      const skip = (page - 1) * limit;
+
+      let filter = {};
+
+      if (status !== 'all') {
+        filter.status = status;
+      }
+
+      if (customerId) {
+        filter.customerId = customerId;
+      }
+
+      const layaways = await this.getCollection()
+        .find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: layaways.map(layaway => this.present(layaway)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching layaways:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get layaway by ID
+   * @param {string} id - Layaway ID
+   * @returns {Promise<Object>} Layaway data
+   */
+  async getLayawayById(id) {
+    try {
+      const layaway = await this.findLayaway(id);
+
+      return {
+        success: true,
+        data: this.present(layaway)
+      };
+    } catch (error) {
+      console.error('Error fetching layaway:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take an instalment payment, completing the layaway into a sale once it is paid in full
+   * The payment and its entry on the register's shift commit together
+   * @param {string} id - Layaway ID
+   * @param {Object} paymentData - { amount, method, reference, receivedBy, registerId }
+   * @returns {Promise<Object>} Updated layaway, or the created sale when it completes
+   */
+  async recordPayment(id, paymentData = {}) {
+    try {
+      const payment = Layaway.payment(paymentData);
+
+      if (!(payment.amount > 0)) {
+        throw new Error('Validation failed: Payment amount must be greater than 0');
+      }
+      this.checkMethod(payment.method);
+
+      const existing = await this.findLayaway(id);
+
+      if (existing.status !== 'active') {
+        throw new Error(`Layaway is ${existing.status}`);
+      }
+
+      if (payment.amount - existing.balance > 0.005) {
+        throw new Error(`Validation failed: Payment exceeds the balance of ${existing.balance}`);
+      }
+
+      payment.registerId = payment.registerId || existing.registerId;
+
+      const updated = await databaseManager.withTransaction(async (session) => {
+        await this.recordTakings(payment, existing._id, { session });
+
+        const layaway = await this.getCollection().findOneAndUpdate(
+          { _id: existing._id, status: 'active', balance: { $gte: payment.amount - 0.005 } },
+          {
+            $inc: { paidAmount: payment.amount, balance: -payment.amount },
+            $push: { payments: payment },
+            $set: { updatedDate: new Date() }
+          },
+          { returnDocument: 'after', session }
+        );
+
+        if (!layaway) {
+          throw new Error('Layaway is no longer open for this payment');
+        }
+        return layaway;
+      });
+
+      // $inc on floating point amounts drifts; keep the stored figures at currency precision
+      const balance = roundToDecimals(updated.balance);
+      await this.getCollection().updateOne(
+        { _id: existing._id },
+        { $set: { paidAmount: roundToDecimals(updated.paidAmount), balance } }
+      );
+
+      if (balance <= 0.005) {
+        return this.completeLayaway(existing._id, { registerId: paymentData.registerId });
+      }
+
+      return {
+        success: true,
+        data: this.present({ ...updated, paidAmount: roundToDecimals(updated.paidAmount), balance }),
+        message: 'Layaway payment recorded successfully'
+      };
+    } catch (error) {
+      console.error('Error recording layaway payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a fully paid layaway into a sale through the normal sale creation path
+   * The sale keeps the layaway's lines, discounts and tax exactly as priced when it
+   * was opened, takes its payments as tenders and sells the stock reserved for it;
+   * the payments already count on the shifts that took them. The completion and
+   * the sale commit together, so a failure leaves the layaway active
+   * @param {string} id - Layaway ID
+   * @param {Object} completeData - { registerId }
+   * @returns {Promise<Object>} Created sale with the completed layaway
+   */
+  async completeLayaway(id, completeData = {}) {
+    try {
+      const existing = await this.findLayaway(id);
+
+      if (existing.status !== 'active') {
+        throw new Error(`Layaway is ${existing.status}`);
+      }
+
+      if (existing.balance > 0.005) {
+        throw new Error(`Validation failed: Layaway still has a balance of ${existing.balance}`);
+      }
+
+      const { result, layaway } = await databaseManager.withTransaction(async (session) => {
+        const completed = await this.getCollection().findOneAndUpdate(
+          { _id: existing._id, status: 'active' },
+          { $set: { status: 'completed', completedDate: new Date(), updatedDate: new Date() } },
+          { returnDocument: 'after', session }
+        );
+
+        if (!completed) {
+          throw new Error('Layaway is no longer active');
+        }
+
+        const result = await this.saleService.createSale({
+          customerId: completed.customerId || undefined,
+          customerContact: completed.customerContact,
+          registerId: completeData.registerId || completed.registerId,
+          saleItems: completed.saleItems,
+          tenders: completed.payments.map(payment => ({
+            method: payment.method,
+            amount: payment.amount,
+            reference: payment.reference
+          }))
+        }, {
+          lockedPricing: completed,
+          reservedStock: true,
+          tendersCollected: true,
+          locationCode: locationOf(completed),
+          session
+        });
+
+        const layaway = await this.getCollection().findOneAndUpdate(
+          { _id: completed._id },
+          { $set: { saleRef: result.data.id, saleId: result.data.saleId } },
+          { returnDocument: 'after', session }
+        );
+
+        return { result, layaway };
+      });
+
+      return {
+        ...result,
+        layaway: this.present(layaway),
+        message: 'Layaway completed successfully'
+      };
+    } catch (error) {
+      console.error('Error completing layaway:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a layaway, releasing its reserved stock and keeping the cancellation fee
+   * The release, the cancellation and any refund paid from the drawer commit together
+   * @param {string} id - Layaway ID
+   * @param {Object} cancelData - { reason, cancelledBy, refundMethod, waiveFee, registerId }
+   * @returns {Promise<Object>} Cancelled layaway with the fee and refund due
+   */
+  async cancelLayaway(id, cancelData = {}) {
+    try {
+      const existing = await this.findLayaway(id);
+
+      if (existing.status !== 'active') {
+        throw new Error(`Layaway is ${existing.status}`);
+      }
+
+      const refundMethods = settings.returns.refundMethods;
+      if (cancelData.refundMethod && !refundMethods.includes(cancelData.refundMethod)) {
+        throw new Error(`Validation failed: Refund method must be one of: ${refundMethods.join(', ')}`);
+      }
+
+      const fee = cancelData.waiveFee ? 0 : this.cancellationFee(existing);
+      const cancellation = {
+        feeType: cancelData.waiveFee ? 'waived' : settings.layaway.cancellationFee.type,
+        fee,
+        refundAmount: roundToDecimals(existing.paidAmount - fee),
+        refundMethod: cancelData.refundMethod || null,
+        reason: cancelData.reason || '',
+        cancelledBy: cancelData.cancelledBy || null,
+        date: new Date()
+      };
+
+      const layaway = await databaseManager.withTransaction(async (session) => {
+        const cancelled = await this.getCollection().findOneAndUpdate(
+          { _id: existing._id, status: 'active' },
+          { $set: { status: 'cancelled', cancellation, updatedDate: new Date() } },
+          { returnDocument: 'after', session }
+        );
+
+        if (!cancelled) {
+          throw new Error('Layaway is no longer active');
+        }
+
+        await this.quantityService.releaseStock(existing.saleItems, { session, locationCode: locationOf(existing) });
+
+        if (settings.payments.tenderTypes.includes(cancellation.refundMethod) && cancellation.refundAmount > 0) {
+          await this.shiftService.recordMovement(cancelData.registerId || existing.registerId, {
+            type: 'refund',
+            method: cancellation.refundMethod,
+            amount: cancellation.refundAmount,
+            reference: String(existing._id),
+            performedBy: cancellation.cancelledBy
+          }, { session });
+        }
+        return cancelled;
+      });
+
+      return {
+        success: true,
+        data: this.present(layaway),
+        message: 'Layaway cancelled successfully'
+      };
+    } catch (error) {
+      console.error('Error cancelling layaway:', error);
+      throw error;
+    }
+  }
+}
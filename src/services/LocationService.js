@@ -0,0 +1,217 @@
+/**
+ * Location Service
+ * Handles business logic for the shops and warehouses that hold stock
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Location } from '../models/Location.js';
+
+export class LocationService {
+  constructor() {
+    this.collectionName = 'locations';
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  /**
+   * Throw a 409 when any of the registers already belongs to another location
+   * @param {Array<string>} registerIds - Register IDs
+   * @param {string} code - Code of the location the registers are for
+   * @returns {Promise<void>}
+   */
+  async assertRegistersFree(registerIds, code) {
+    if (registerIds.length === 0) return;
+
+    const taken = await this.getCollection().findOne({ code: { $ne: code }, registerIds: { $in: registerIds } });
+
+    if (taken) {
+      const register = registerIds.find(registerId => taken.registerIds.includes(registerId));
+      const error = new Error(`Register ${register} already belongs to location ${taken.code}`);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new location
+   * @param {Object} locationData - { code, name, type, registerIds, address }
+   * @returns {Promise<Object>} Created location
+   */
+  async createLocation(locationData) {
+    try {
+      const location = Location.create(locationData);
+      const validation = location.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      await this.assertRegistersFree(location.registerIds, location.code);
+
+      let result;
+      try {
+        result = await this.getCollection().insertOne(location.toDocument());
+      } catch (error) {
+        if (error.code === 11000) {
+          const conflict = new Error(`Location ${location.code} already exists`);
+          conflict.statusCode = 409;
+          throw conflict;
+        }
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: Location.fromDocument({ _id: result.insertedId, ...location.toDocument() }),
+        message: 'Location created successfully'
+      };
+    } catch (error) {
+      console.error('Error creating location:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all locations
+   * @param {Object} options - { type, status }
+   * @returns {Promise<Object>} Locations list
+   */
+  async getLocations(options = {}) {
+    try {
+      const { type, status } = options;
+      let filter = {};
+
+      if (type) {
+        filter.type = type;
+      }
+
+      if (status) {
+        filter.status = status;
+      }
+
+      const locations = await this.getCollection().find(filter).sort({ code: 1 }).toArray();
+
+      return {
+        success: true,
+        data: locations.map(location => Location.fromDocument(location)),
+        count: locations.length
+      };
+    } catch (error) {
+      console.error('Error fetching locations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get location by code
+   * @param {string} code - Location code
+   * @returns {Promise<Object>} Location
+   */
+  async getLocationByCode(code) {
+    try {
+      const location = await this.getCollection().findOne({ code });
+
+      if (!location) {
+        throw new Error('Location not found');
+      }
+
+      return {
+        success: true,
+        data: Location.fromDocument(location)
+      };
+    } catch (error) {
+      console.error('Error fetching location:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a location
+   * The code is fixed once created, since stock is recorded against it
+   * @param {string} code - Location code
+   * @param {Object} updateData - { name, type, registerIds, address, status }
+   * @returns {Promise<Object>} Updated location
+   */
+  async updateLocation(code, updateData) {
+    try {
+      const existing = await this.getCollection().findOne({ code });
+
+      if (!existing) {
+        throw new Error('Location not found');
+      }
+
+      const location = Location.create({ ...existing, ...updateData, code: existing.code, createdDate: existing.createdDate });
+      const validation = location.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      if (location.code === settings.inventory.defaultLocation && location.status !== 'active') {
+        throw new Error('Validation failed: The default location cannot be deactivated');
+      }
+
+      await this.assertRegistersFree(location.registerIds, location.code);
+
+      const { createdDate, timestamp, ...changes } = location.toDocument();
+      const updated = await this.getCollection().findOneAndUpdate(
+        { _id: existing._id },
+        { $set: changes },
+        { returnDocument: 'after' }
+      );
+
+      return {
+        success: true,
+        data: Location.fromDocument(updated),
+        message: 'Location updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating location:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that stock can be recorded at a location and return its code
+   * The default location is always usable, even before it has been set up
+   * @param {string} code - Location code, the default location if not given
+   * @param {Object} options - { session }
+   * @returns {Promise<string>} Location code
+   */
+  async assertLocation(code, options = {}) {
+    const locationCode = code || settings.inventory.defaultLocation;
+    if (locationCode === settings.inventory.defaultLocation) return locationCode;
+
+    const location = await this.getCollection().findOne({ code: locationCode }, { session: options.session });
+
+    if (!location) {
+      throw new Error(`Validation failed: Location ${locationCode} does not exist`);
+    }
+
+    if (location.status !== 'active') {
+      throw new Error(`Validation failed: Location ${locationCode} is inactive`);
+    }
+
+    return locationCode;
+  }
+
+  /**
+   * Location a register sells from
+   * Registers no location lists sell from the default location
+   * @param {string} registerId - Register ID
+   * @param {Object} options - { session }
+   * @returns {Promise<string>} Location code
+   */
+  async locationForRegister(registerId, options = {}) {
+    if (!registerId) return settings.inventory.defaultLocation;
+
+    const location = await this.getCollection().findOne(
+      { registerIds: String(registerId) },
+      { session: options.session }
+    );
+
+    return location ? location.code : settings.inventory.defaultLocation;
+  }
+}
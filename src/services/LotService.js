@@ -0,0 +1,569 @@
+/**
+ * Lot Service
+ * Receives stock in lots, picks sale lines from them first expired first out,
+ * and traces a lot to the sales and customers it went to for recalls
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Lot } from '../models/Lot.js';
+import { Quantity } from '../models/Quantity.js';
+import { QuantityService } from './QuantityService.js';
+import { LocationService } from './LocationService.js';
+import { toObjectId } from '../utils/helpers.js';
+import { locationFilter } from '../utils/location.js';
+
+export class LotService {
+  constructor() {
+    this.collectionName = 'lots';
+    this.saleCollectionName = 'sales';
+    this.returnCollectionName = 'returns';
+    this.quantityService = new QuantityService();
+    this.locationService = new LocationService();
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  getSaleCollection() {
+    return databaseManager.getCollection(this.saleCollectionName);
+  }
+
+  getReturnCollection() {
+    return databaseManager.getCollection(this.returnCollectionName);
+  }
+
+  /**
+   * Receive a lot into stock at a location, the default location if none is given
+   * The lot and the on-hand quantity it adds commit together, and the
+   * receipt is recorded in the stock ledger against the lot
+   * @param {Object} lotData - { productId, lotNumber, expiryDate, quantity, costPrice, supplierId, locationCode, receivedBy, note }
+   * @returns {Promise<Object>} Received lot
+   */
+  async receiveLot(lotData) {
+    try {
+      const lot = Lot.create(lotData);
+      const validation = lot.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      lot.locationCode = await this.locationService.assertLocation(lotData.locationCode);
+
+      const result = await databaseManager.withTransaction(async (session) => {
+        const inserted = await this.getCollection().insertOne(lot.toDocument(), { session });
+
+        await this.quantityService.restockItems([{ productId: lot.productId, quantity: lot.receivedQuantity }], {
+          session,
+          locationCode: lot.locationCode,
+          movement: {
+            type: 'receipt',
+            reason: `Lot ${lot.lotNumber} received`,
+            reference: { type: 'lot', id: inserted.insertedId, number: lot.lotNumber },
+            performedBy: lot.receivedBy
+          }
+        });
+
+        return inserted;
+      });
+
+      return {
+        success: true,
+        data: Lot.fromDocument({ _id: result.insertedId, ...lot.toDocument() }),
+        message: 'Lot received successfully'
+      };
+    } catch (error) {
+      if (error.code === 11000) {
+        const conflict = new Error(
+          `Lot ${lotData.lotNumber} has already been received for product ${lotData.productId} at location ${lotData.locationCode || settings.inventory.defaultLocation}`
+        );
+        conflict.statusCode = 409;
+        console.error('Error receiving lot:', conflict);
+        throw conflict;
+      }
+      console.error('Error receiving lot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get lots with pagination, soonest expiry first
+   * @param {Object} options - { page, limit, productId, locationCode, status, expiringBefore, inStock }
+   * @returns {Promise<Object>} Lots list
+   */
+  async getLots(options = {}) {
+    try {
+      const { page = 1, limit = 20, productId, locationCode, status, expiringBefore, inStock } = options;
+      const skip = (page - 1) * limit;
+
+      let filter = { ...locationFilter(locationCode) };
+
+      if (productId !== undefined && productId !== null && productId !== '') {
+        filter.productId = parseInt(productId);
+      }
+
+      if (status) {
+        filter.status = status;
+      }
+
+      if (expiringBefore) {
+        const before = new Date(expiringBefore);
+        if (Number.isNaN(before.getTime())) {
+          throw new Error('Validation failed: expiringBefore must be a valid date');
+        }
+        filter.expiryDate = { $ne: null, $lte: before };
+      }
+
+      if (inStock) {
+        filter.remainingQuantity = { $gt: 0 };
+      }
+
+      const lots = await this.getCollection()
+        .find(filter)
+        .sort({ expiryDate: 1, receivedDate: 1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: lots.map(lot => Lot.fromDocument(lot)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching lots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get lot by ID
+   * @param {string} id - Lot ID
+   * @returns {Promise<Object>} Lot
+   */
+  async getLotById(id) {
+    try {
+      const lot = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!lot) {
+        throw new Error('Lot not found');
+      }
+
+      return {
+        success: true,
+        data: Lot.fromDocument(lot)
+      };
+    } catch (error) {
+      console.error('Error fetching lot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Order a product's sellable lots for picking: first expired first out among
+   * lots still in date, with lots that never expire last. Lots already past
+   * expiry are left out
+   * @param {Array<Object>} lots - Lot documents
+   * @param {Date} at - Moment of the sale
+   * @returns {Array<Object>} Lots in picking order
+   */
+  pickingOrder(lots, at = new Date()) {
+    const rank = (doc) => (doc.expiryDate ? 0 : 1);
+
+    return lots.filter(doc => !Lot.fromDocument(doc).isExpired(at)).sort((a, b) =>
+      rank(a) - rank(b)
+      || (a.expiryDate && b.expiryDate ? new Date(a.expiryDate) - new Date(b.expiryDate) : 0)
+      || new Date(a.receivedDate) - new Date(b.receivedDate)
+    );
+  }
+
+  /**
+   * Pick sale lines from the product's active lots at the sale's location, first expired first out
+   * Each line gets the lots it consumed; any quantity the lots cannot cover
+   * came from stock received before lot tracking and is left untracked.
+   * Expired and recalled lots are never picked, and a sale that would need
+   * their stock to cover its untracked quantity is refused.
+   * Call inside the sale's transaction, after its stock has been deducted
+   * @param {Array<SaleItem>} items - Sale lines, given their lots in place
+   * @param {Object} options - { session, at, locationCode }
+   * @returns {Promise<Array<SaleItem>>} The lines
+   */
+  async allocate(items, options = {}) {
+    const { session, at = new Date(), locationCode = settings.inventory.defaultLocation } = options;
+    const available = new Map();
+    const untracked = new Set();
+
+    for (const item of items) {
+      item.lots = [];
+      let needed = Number(item.quantity) || 0;
+      if (needed <= 0) continue;
+
+      if (!available.has(item.productId)) {
+        const lots = await this.getCollection()
+          .find({
+            productId: item.productId,
+            status: 'active',
+            remainingQuantity: { $gt: 0 },
+            ...locationFilter(locationCode)
+          }, { session })
+          .toArray();
+        available.set(item.productId, this.pickingOrder(lots, at));
+      }
+
+      for (const lot of available.get(item.productId)) {
+        if (needed <= 0) break;
+        const take = Math.min(lot.remainingQuantity, needed);
+        if (take <= 0) continue;
+
+        const result = await this.getCollection().updateOne(
+          { _id: lot._id, status: 'active', remainingQuantity: { $gte: take } },
+          { $inc: { remainingQuantity: -take }, $set: { updatedDate: new Date() } },
+          { session }
+        );
+
+        if (result.modifiedCount === 0) {
+          const error = new Error(`Lot ${lot.lotNumber} changed while the sale was being recorded`);
+          error.statusCode = 409;
+          throw error;
+        }
+
+        lot.remainingQuantity -= take;
+        needed -= take;
+        item.lots.push({ lotId: lot._id, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: take });
+      }
+
+      if (needed > 0) untracked.add(item.productId);
+    }
+
+    const blocked = [];
+    for (const productId of untracked) {
+      const shortfall = await this.unsellableShortfall(productId, { session, locationCode });
+      if (shortfall > 0) {
+        blocked.push({
+          productId,
+          shortfall,
+          message: `Product ${productId} has ${shortfall} left only in expired or recalled lots`
+        });
+      }
+    }
+
+    if (blocked.length > 0) {
+      const error = new Error('Only expired or recalled lots remain for some products');
+      error.statusCode = 409;
+      error.details = blocked;
+      throw error;
+    }
+
+    return items;
+  }
+
+  /**
+   * How far a product's stock at a location has fallen below what its lots
+   * still hold. Lots left holding stock after a sale has taken every sellable
+   * lot are expired or recalled, so a shortfall means the sale ate into them
+   * @param {number} productId - Product ID
+   * @param {Object} options - { session, locationCode }
+   * @returns {Promise<number>} Quantity sold out of unsellable lots, 0 when none
+   */
+  async unsellableShortfall(productId, options = {}) {
+    const { session, locationCode } = options;
+    const location = locationFilter(locationCode);
+
+    const lots = await this.getCollection()
+      .find({ productId, remainingQuantity: { $gt: 0 }, ...location }, { session })
+      .toArray();
+    const held = lots.reduce((total, lot) => total + lot.remainingQuantity, 0);
+    if (held <= 0) return 0;
+
+    const rows = await this.quantityService.getCollection()
+      .find(Quantity.productFilter(productId, location), { session })
+      .toArray();
+    const onHand = rows.reduce((total, row) => total + Quantity.sizeOf(row), 0);
+
+    return Math.max(0, held - onHand);
+  }
+
+  /**
+   * Work out which lots returned quantities of a sale belong to
+   * A product's stock goes back the way it left, last picked first: quantity
+   * that came from untracked stock before any lot, then lots newest pick
+   * first, net of what earlier returns already took back
+   * @param {Object} sale - Sale document
+   * @param {Array<Object>} items - Lines carrying productId and quantity
+   * @param {Object} options - { session }
+   * @returns {Promise<Array<Array>>} Lots per item, aligned with the items
+   */
+  async attributeReturn(sale, items, options = {}) {
+    const { session } = options;
+    const products = new Map();
+
+    for (const item of sale.saleItems || []) {
+      const product = products.get(item.productId) || { sold: 0, lots: [] };
+      product.sold += Number(item.quantity) || 0;
+      for (const lot of item.lots || []) {
+        product.lots.push({ ...lot });
+      }
+      products.set(item.productId, product);
+    }
+
+    // Untracked stock is whatever part of the quantity sold no lot covered
+    for (const product of products.values()) {
+      product.untracked = product.sold - product.lots.reduce((total, lot) => total + lot.quantity, 0);
+    }
+
+    const previous = await this.getReturnCollection()
+      .find({ saleRef: sale._id }, { session, projection: { returnItems: 1 } })
+      .toArray();
+
+    for (const saleReturn of previous) {
+      for (const item of saleReturn.returnItems || []) {
+        const product = products.get(item.productId);
+        if (!product) continue;
+
+        let fromLots = 0;
+        for (const returned of item.lots || []) {
+          let left = returned.quantity;
+          for (let index = product.lots.length - 1; index >= 0 && left > 0; index -= 1) {
+            const lot = product.lots[index];
+            if (String(lot.lotId) !== String(returned.lotId)) continue;
+            const take = Math.min(lot.quantity, left);
+            lot.quantity -= take;
+            left -= take;
+          }
+          fromLots += returned.quantity;
+        }
+        product.untracked -= (Number(item.quantity) || 0) - fromLots;
+      }
+    }
+
+    return items.map(item => {
+      const product = products.get(item.productId);
+      if (!product) return [];
+
+      let quantity = Number(item.quantity) || 0;
+      const fromUntracked = Math.min(Math.max(product.untracked, 0), quantity);
+      product.untracked -= fromUntracked;
+      quantity -= fromUntracked;
+
+      const lots = [];
+      for (let index = product.lots.length - 1; index >= 0 && quantity > 0; index -= 1) {
+        const lot = product.lots[index];
+        const take = Math.min(lot.quantity, quantity);
+        if (take <= 0) continue;
+
+        lot.quantity -= take;
+        quantity -= take;
+        lots.push({ lotId: lot.lotId, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: take });
+      }
+      return lots;
+    });
+  }
+
+  /**
+   * Put restocked quantities back into the lots they were picked from
+   * Recalled lots take their stock back too but stay out of picking
+   * @param {Array<Array>} lotsPerItem - Lots per restocked line, from attributeReturn
+   * @param {Object} options - { session }
+   * @returns {Promise<void>}
+   */
+  async restoreLots(lotsPerItem, options = {}) {
+    const { session } = options;
+
+    for (const lots of lotsPerItem) {
+      for (const lot of lots) {
+        await this.getCollection().updateOne(
+          { _id: lot.lotId },
+          { $inc: { remainingQuantity: lot.quantity }, $set: { updatedDate: new Date() } },
+          { session }
+        );
+      }
+    }
+  }
+
+  /**
+   * Receive quantities of lots transferred from another location
+   * Each lot arrives under the same lot number, expiry, cost and supplier, added
+   * to the destination's lot of that number when there is one
+   * @param {Array<Object>} lots - { lotId of the source lot, quantity }
+   * @param {Object} options - { session, locationCode, receivedBy, note }
+   * @returns {Promise<Array<Object>>} { lotId, lotNumber, expiryDate, quantity } per destination lot
+   */
+  async receiveTransferredLots(lots, options = {}) {
+    const { session, locationCode, receivedBy, note } = options;
+
+    const received = [];
+    for (const { lotId, quantity } of lots) {
+      if (quantity <= 0) continue;
+
+      const source = await this.getCollection().findOne({ _id: lotId }, { session });
+      if (!source) continue;
+
+      const existing = await this.getCollection().findOne(
+        { productId: source.productId, lotNumber: source.lotNumber, ...locationFilter(locationCode) },
+        { session }
+      );
+
+      if (existing) {
+        await this.getCollection().updateOne(
+          { _id: existing._id },
+          {
+            $inc: { receivedQuantity: quantity, remainingQuantity: quantity },
+            $set: {
+              updatedDate: new Date(),
+              ...(existing.status === 'written_off' ? { status: 'active' } : {})
+            }
+          },
+          { session }
+        );
+        received.push({ lotId: existing._id, lotNumber: existing.lotNumber, expiryDate: existing.expiryDate, quantity });
+        continue;
+      }
+
+      const lot = Lot.create({ ...source, quantity, locationCode, receivedBy, receivedDate: new Date(), note });
+      const inserted = await this.getCollection().insertOne(lot.toDocument(), { session });
+      received.push({ lotId: inserted.insertedId, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity });
+    }
+
+    return received;
+  }
+
+  /**
+   * Trace a lot to the sales it went out on, with the customers who bought it
+   * Quantities are net of returns, and voided sales are left out
+   * @param {Object} lot - Lot document
+   * @returns {Promise<Array<Object>>} { saleRef, saleId, saleDate, registerId, customerId, customerContact, quantity, returned }
+   */
+  async findSales(lot) {
+    const sold = await this.getSaleCollection().aggregate([
+      { $match: { 'saleItems.lots.lotId': lot._id, status: { $ne: 'voided' } } },
+      { $unwind: '$saleItems' },
+      { $unwind: '$saleItems.lots' },
+      { $match: { 'saleItems.lots.lotId': lot._id } },
+      {
+        $group: {
+          _id: '$_id',
+          saleId: { $first: '$saleId' },
+          saleDate: { $first: '$saleDate' },
+          registerId: { $first: '$registerId' },
+          customerId: { $first: '$customerId' },
+          customerContact: { $first: '$customerContact' },
+          quantity: { $sum: '$saleItems.lots.quantity' }
+        }
+      },
+      { $sort: { saleDate: 1 } }
+    ]).toArray();
+
+    const returned = await this.getReturnCollection().aggregate([
+      { $match: { 'returnItems.lots.lotId': lot._id } },
+      { $unwind: '$returnItems' },
+      { $unwind: '$returnItems.lots' },
+      { $match: { 'returnItems.lots.lotId': lot._id } },
+      { $group: { _id: '$saleRef', quantity: { $sum: '$returnItems.lots.quantity' } } }
+    ]).toArray();
+
+    const returnedBySale = new Map(returned.map(row => [String(row._id), row.quantity]));
+
+    return sold.map(row => ({
+      saleRef: row._id,
+      saleId: row.saleId,
+      saleDate: row.saleDate,
+      registerId: row.registerId,
+      customerId: row.customerId,
+      customerContact: row.customerContact,
+      quantity: row.quantity,
+      returned: returnedBySale.get(String(row._id)) || 0
+    }));
+  }
+
+  /**
+   * Trace a lot: where it stands and every sale it went out on
+   * @param {string} id - Lot ID
+   * @returns {Promise<Object>} { lot, sales, soldQuantity, customers }
+   */
+  async traceLot(id) {
+    try {
+      const lot = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!lot) {
+        throw new Error('Lot not found');
+      }
+
+      const sales = await this.findSales(lot);
+      const customers = new Set(sales.filter(sale => sale.customerId).map(sale => String(sale.customerId)));
+
+      return {
+        success: true,
+        data: {
+          lot: Lot.fromDocument(lot),
+          sales,
+          soldQuantity: sales.reduce((total, sale) => total + sale.quantity - sale.returned, 0),
+          customers: customers.size
+        }
+      };
+    } catch (error) {
+      console.error('Error tracing lot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recall a lot
+   * Recalled lots are no longer picked for sales; the stock they hold stays on
+   * hand until it is written off. The trace is returned so customers can be contacted
+   * @param {string} id - Lot ID
+   * @param {Object} recallData - { reason, recalledBy }
+   * @returns {Promise<Object>} Recalled lot and its trace
+   */
+  async recallLot(id, recallData = {}) {
+    try {
+      const { reason, recalledBy } = recallData;
+
+      if (!reason || String(reason).trim() === '') {
+        throw new Error('Validation failed: Reason is required');
+      }
+
+      if (!recalledBy || String(recalledBy).trim() === '') {
+        throw new Error('Validation failed: recalledBy is required');
+      }
+
+      const lot = await this.getCollection().findOneAndUpdate(
+        { _id: toObjectId(id), status: 'active' },
+        {
+          $set: {
+            status: 'recalled',
+            recall: { reason, recalledBy, recalledAt: new Date() },
+            updatedDate: new Date()
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!lot) {
+        const existing = await this.getCollection().findOne({ _id: toObjectId(id) });
+        throw new Error(existing ? `Lot is ${existing.status}` : 'Lot not found');
+      }
+
+      const sales = await this.findSales(lot);
+
+      return {
+        success: true,
+        data: {
+          lot: Lot.fromDocument(lot),
+          sales
+        },
+        message: 'Lot recalled successfully'
+      };
+    } catch (error) {
+      console.error('Error recalling lot:', error);
+      throw error;
+    }
+  }
+}
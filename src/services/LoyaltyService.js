@@ -0,0 +1,775 @@
+/**
+ * Loyalty Service
+ * Handles earn rules, point balances, the points ledger and customer tiers
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Customer } from '../models/Customer.js';
+import { LoyaltyRule } from '../models/LoyaltyRule.js';
+import { LoyaltyEntry } from '../models/LoyaltyEntry.js';
+import { allocateProportionally, roundToDecimals, toObjectId } from '../utils/helpers.js';
+
+export class LoyaltyService {
+  constructor() {
+    this.collectionName = 'loyaltyRules';
+    this.ledgerCollectionName = 'loyaltyLedger';
+    this.customerCollectionName = 'customers';
+    this.saleCollectionName = 'sales';
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  getLedgerCollection() {
+    return databaseManager.getCollection(this.ledgerCollectionName);
+  }
+
+  getCustomerCollection() {
+    return databaseManager.getCollection(this.customerCollectionName);
+  }
+
+  getSaleCollection() {
+    return databaseManager.getCollection(this.saleCollectionName);
+  }
+
+  /**
+   * Create a new earn rule
+   * @param {Object} ruleData - Loyalty rule data
+   * @returns {Promise<Object>} Created rule
+   */
+  async createRule(ruleData) {
+    try {
+      const rule = LoyaltyRule.create(ruleData);
+      const validation = rule.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const result = await this.getCollection().insertOne(rule.toDocument());
+
+      return {
+        success: true,
+        data: LoyaltyRule.fromDocument({ _id: result.insertedId, ...rule.toDocument() }),
+        message: 'Loyalty rule created successfully'
+      };
+    } catch (error) {
+      console.error('Error creating loyalty rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get earn rules
+   * @param {Object} options - { status, type }
+   * @returns {Promise<Object>} Rules list
+   */
+  async getRules(options = {}) {
+    try {
+      const { status, type } = options;
+      const filter = {};
+
+      if (status) filter.status = status;
+      if (type) filter.type = type;
+
+      const rules = await this.getCollection().find(filter).sort({ timestamp: -1 }).toArray();
+
+      return {
+        success: true,
+        data: rules.map(rule => LoyaltyRule.fromDocument(rule)),
+        count: rules.length
+      };
+    } catch (error) {
+      console.error('Error fetching loyalty rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get earn rule by ID
+   * @param {string} id - Rule ID
+   * @returns {Promise<Object>} Rule data
+   */
+  async getRuleById(id) {
+    try {
+      const rule = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!rule) {
+        throw new Error('Loyalty rule not found');
+      }
+
+      return {
+        success: true,
+        data: LoyaltyRule.fromDocument(rule)
+      };
+    } catch (error) {
+      console.error('Error fetching loyalty rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update earn rule
+   * Points already earned are not recalculated
+   * @param {string} id - Rule ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateRule(id, updateData) {
+    try {
+      const existing = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!existing) {
+        throw new Error('Loyalty rule not found');
+      }
+
+      const rule = LoyaltyRule.create({ ...LoyaltyRule.fromDocument(existing), ...updateData });
+      const validation = rule.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const { createdDate, timestamp, ...document } = rule.toDocument();
+
+      await this.getCollection().updateOne(
+        { _id: existing._id },
+        { $set: document }
+      );
+
+      return {
+        success: true,
+        data: LoyaltyRule.fromDocument({ ...existing, ...document }),
+        message: 'Loyalty rule updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating loyalty rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete earn rule
+   * @param {string} id - Rule ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteRule(id) {
+    try {
+      const result = await this.getCollection().deleteOne({ _id: toObjectId(id) });
+
+      if (result.deletedCount === 0) {
+        throw new Error('Loyalty rule not found');
+      }
+
+      return {
+        success: true,
+        message: 'Loyalty rule deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting loyalty rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tier a rolling spend qualifies for
+   * @param {number} spend - Spend within the tier window
+   * @returns {Object} { name, minSpend, multiplier }
+   */
+  tierFor(spend = 0) {
+    const { tiers } = settings.loyalty;
+    return tiers.filter(tier => spend >= tier.minSpend).pop() || tiers[0] || { name: null, minSpend: 0, multiplier: 1 };
+  }
+
+  /**
+   * Tier a customer currently holds
+   * @param {Object} customer - Customer document
+   * @returns {Object} { name, minSpend, multiplier }
+   */
+  currentTier(customer) {
+    return settings.loyalty.tiers.find(tier => tier.name === customer.loyaltyTier) ||
+      this.tierFor(customer.rollingSpend);
+  }
+
+  /**
+   * Currency value of a number of points
+   * @param {number} points - Points
+   * @returns {number} Value
+   */
+  pointsToValue(points) {
+    return roundToDecimals(points * settings.loyalty.pointValue);
+  }
+
+  /**
+   * Points needed to pay an amount
+   * @param {number} amount - Amount
+   * @returns {number} Points, rounded up to a whole point
+   */
+  valueToPoints(amount) {
+    return Math.ceil(roundToDecimals(amount / settings.loyalty.pointValue, 6));
+  }
+
+  /**
+   * Get a customer's points, tier and progress towards the next tier
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Loyalty account
+   */
+  async getAccount(customerId) {
+    try {
+      const customer = await this.getCustomerCollection().findOne(Customer.idFilter(customerId));
+
+      if (!customer) {
+        throw new Error('Customer not found');
+      }
+
+      const tier = this.currentTier(customer);
+      const rollingSpend = customer.rollingSpend || 0;
+      const nextTier = settings.loyalty.tiers.find(candidate => candidate.minSpend > rollingSpend);
+
+      return {
+        success: true,
+        data: {
+          customerId,
+          contact: customer.contact,
+          points: customer.loyaltyPoints || 0,
+          pointsValue: this.pointsToValue(customer.loyaltyPoints || 0),
+          tier: tier.name,
+          earnMultiplier: tier.multiplier,
+          rollingSpend,
+          tierReviewedAt: customer.tierReviewedAt || null,
+          nextTier: nextTier
+            ? { name: nextTier.name, spendNeeded: roundToDecimals(nextTier.minSpend - rollingSpend) }
+            : null
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching loyalty account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ledger entries of a customer, newest first
+   * @param {number} customerId - Customer ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Ledger entries
+   */
+  async getLedger(customerId, options = {}) {
+    try {
+      const { page = 1, limit = 10, type } = options;
+      const skip = (page - 1) * limit;
+      const filter = { customerId };
+
+      if (type) {
+        filter.type = type;
+      }
+
+      const entries = await this.getLedgerCollection()
+        .find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getLedgerCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: entries.map(entry => LoyaltyEntry.fromDocument(entry)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching loyalty ledger:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a customer's balance and record the change in the ledger
+   * Debits only apply while the balance covers them unless allowNegative is set
+   * @param {number} customerId - Customer ID
+   * @param {string} type - earn, redeem, reversal or adjustment
+   * @param {number} points - Signed number of points
+   * @param {Object} details - { saleId, reason, performedBy, allowNegative }
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Updated customer, or null if no customer matched
+   */
+  async changeBalance(customerId, type, points, details = {}, options = {}) {
+    const { session } = options;
+    const filter = Customer.idFilter(customerId);
+
+    if (points < 0 && !details.allowNegative) {
+      filter.loyaltyPoints = { $gte: -points };
+    }
+
+    const customer = await this.getCustomerCollection().findOneAndUpdate(
+      filter,
+      { $inc: { loyaltyPoints: points } },
+      { session, returnDocument: 'after' }
+    );
+
+    if (!customer) return null;
+
+    const entry = LoyaltyEntry.create({
+      customerId,
+      type,
+      points,
+      balanceAfter: customer.loyaltyPoints,
+      saleId: details.saleId,
+      reason: details.reason,
+      performedBy: details.performedBy
+    });
+    await this.getLedgerCollection().insertOne(entry.toDocument(), { session });
+
+    return customer;
+  }
+
+  /**
+   * Error for a debit the customer's balance does not cover
+   * @param {number} customerId - Customer ID
+   * @param {number} points - Points requested
+   * @param {Object} options - { session }
+   * @returns {Promise<Error>} Not found or insufficient points error
+   */
+  async debitError(customerId, points, options = {}) {
+    const { session } = options;
+    const customer = await this.getCustomerCollection().findOne(Customer.idFilter(customerId), { session });
+
+    if (!customer) {
+      return new Error('Customer not found');
+    }
+
+    const error = new Error('Customer has insufficient loyalty points');
+    error.statusCode = 409;
+    error.details = [{ customerId, balance: customer.loyaltyPoints || 0, requested: points }];
+    return error;
+  }
+
+  /**
+   * Add or remove points by hand, e.g. for goodwill or to correct a mistake
+   * @param {number} customerId - Customer ID
+   * @param {Object} adjustmentData - { points, reason, performedBy }
+   * @returns {Promise<Object>} Ledger entry and new balance
+   */
+  async adjustPoints(customerId, adjustmentData = {}) {
+    try {
+      const points = Number(adjustmentData.points);
+      const { reason, performedBy } = adjustmentData;
+
+      if (!Number.isInteger(points) || points === 0) {
+        throw new Error('Validation failed: points must be a whole number other than 0');
+      }
+
+      if (!reason || String(reason).trim() === '') {
+        throw new Error('Validation failed: reason is required');
+      }
+
+      const customer = await databaseManager.withTransaction(async (session) => {
+        const updated = await this.changeBalance(
+          customerId,
+          'adjustment',
+          points,
+          { reason, performedBy },
+          { session }
+        );
+
+        if (!updated) {
+          throw await this.debitError(customerId, -points, { session });
+        }
+
+        return updated;
+      });
+
+      return {
+        success: true,
+        data: { customerId, points, balance: customer.loyaltyPoints },
+        message: 'Loyalty points adjusted successfully'
+      };
+    } catch (error) {
+      console.error('Error adjusting loyalty points:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute a customer's balance from the ledger and store it
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Previous and rebuilt balance
+   */
+  async rebuildBalance(customerId) {
+    try {
+      const result = await databaseManager.withTransaction(async (session) => {
+        const customer = await this.getCustomerCollection().findOne(Customer.idFilter(customerId), { session });
+
+        if (!customer) {
+          throw new Error('Customer not found');
+        }
+
+        const [totals] = await this.getLedgerCollection().aggregate([
+          { $match: { customerId } },
+          { $group: { _id: null, points: { $sum: '$points' }, entries: { $sum: 1 } } }
+        ], { session }).toArray();
+
+        const balance = totals ? totals.points : 0;
+        await this.getCustomerCollection().updateOne(
+          { _id: customer._id },
+          { $set: { loyaltyPoints: balance } },
+          { session }
+        );
+
+        const previousBalance = customer.loyaltyPoints || 0;
+        return {
+          customerId,
+          previousBalance,
+          balance,
+          difference: balance - previousBalance,
+          entries: totals ? totals.entries : 0
+        };
+      });
+
+      return {
+        success: true,
+        data: result,
+        message: 'Loyalty balance rebuilt successfully'
+      };
+    } catch (error) {
+      console.error('Error rebuilding loyalty balance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Total a customer's completed sales within the tier window, less what was refunded on them
+   * @param {number} customerId - Customer ID
+   * @param {Object} options - { session, at }
+   * @returns {Promise<number>} Rolling spend
+   */
+  async rollingSpend(customerId, options = {}) {
+    const { session, at = new Date() } = options;
+    const since = new Date(at.getTime() - settings.loyalty.tierWindowDays * 24 * 60 * 60 * 1000);
+
+    const [totals] = await this.getSaleCollection().aggregate([
+      { $match: { customerId, status: { $ne: 'voided' }, saleDate: { $gte: since, $lte: at } } },
+      { $group: { _id: null, spend: { $sum: { $subtract: ['$totalAmount', { $ifNull: ['$returnedAmount', 0] }] } } } }
+    ], { session }).toArray();
+
+    return roundToDecimals(totals ? totals.spend : 0);
+  }
+
+  /**
+   * Recompute a customer's tier from their rolling spend
+   * @param {number} customerId - Customer ID
+   * @param {Object} options - { session, at }
+   * @returns {Promise<Object|null>} { tier, previousTier, rollingSpend }, or null for unknown customers
+   */
+  async refreshTier(customerId, options = {}) {
+    const { session, at = new Date() } = options;
+    const customer = await this.getCustomerCollection().findOne(Customer.idFilter(customerId), { session });
+
+    if (!customer) return null;
+
+    const spend = await this.rollingSpend(customerId, { session, at });
+    const tier = this.tierFor(spend);
+
+    await this.getCustomerCollection().updateOne(
+      { _id: customer._id },
+      { $set: { loyaltyTier: tier.name, rollingSpend: spend, tierReviewedAt: at } },
+      { session }
+    );
+
+    return { tier: tier.name, previousTier: customer.loyaltyTier || null, rollingSpend: spend };
+  }
+
+  /**
+   * Recompute the tier of every customer, e.g. nightly as old spend leaves the window
+   * @returns {Promise<Object>} Number of customers reviewed and changed
+   */
+  async recomputeTiers() {
+    try {
+      const at = new Date();
+      const changes = [];
+      let reviewed = 0;
+
+      const cursor = this.getCustomerCollection().find(
+        { mysqlId: { $ne: null } },
+        { projection: { mysqlId: 1 } }
+      );
+
+      for await (const customer of cursor) {
+        const result = await this.refreshTier(customer.mysqlId, { at });
+        reviewed += 1;
+        if (result && result.tier !== result.previousTier) {
+          changes.push({ customerId: customer.mysqlId, ...result });
+        }
+      }
+
+      return {
+        success: true,
+        data: { reviewed, changed: changes.length, changes },
+        message: 'Loyalty tiers recomputed successfully'
+      };
+    } catch (error) {
+      console.error('Error recomputing loyalty tiers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn points sent with a sale into a discount on its lines
+   * Points apply after promotions and coupons, spread over the lines in
+   * proportion to what is left of them; the balance is only checked here and
+   * is debited when the sale is recorded
+   * @param {Array<SaleItem>} items - Priced sale lines
+   * @param {number} points - Points the customer wants to use
+   * @param {Object} options - { customerId, session, applied: discount already taken per line }
+   * @returns {Promise<Object>} { discounts, discountLines, points, amount }
+   */
+  async applyPointsDiscount(items, points = 0, options = {}) {
+    const { customerId, session, applied = [] } = options;
+    const discounts = items.map(() => 0);
+
+    if (!points) {
+      return { discounts, discountLines: [], points: 0, amount: 0 };
+    }
+
+    await this.checkRedemption(customerId, points, { session });
+
+    const net = items.map((item, index) =>
+      roundToDecimals((item.subTotal || 0) - (item.discountAmount || 0) - (applied[index] || 0))
+    );
+    const basketTotal = roundToDecimals(net.reduce((sum, amount) => sum + amount, 0));
+    const amount = Math.min(this.pointsToValue(points), basketTotal);
+    const discountLines = [];
+
+    allocateProportionally(amount, net).forEach((share, index) => {
+      if (share <= 0) return;
+      discounts[index] = share;
+      discountLines.push({
+        type: 'loyalty',
+        productId: items[index].productId,
+        lineIndex: index,
+        amount: share
+      });
+    });
+
+    // Points beyond the basket value are not taken
+    return { discounts, discountLines, points: this.valueToPoints(amount), amount };
+  }
+
+  /**
+   * Check that a customer can redeem a number of points
+   * @param {number} customerId - Customer ID
+   * @param {number} points - Points to redeem
+   * @param {Object} options - { session }
+   * @returns {Promise<void>}
+   */
+  async checkRedemption(customerId, points, options = {}) {
+    const { session } = options;
+    const { enabled, minRedeemPoints } = settings.loyalty;
+
+    if (!enabled) {
+      throw new Error('Validation failed: Loyalty points cannot be redeemed');
+    }
+
+    if (!customerId) {
+      throw new Error('Validation failed: Loyalty points can only be redeemed by a known customer');
+    }
+
+    if (!Number.isInteger(points) || points <= 0) {
+      throw new Error('Validation failed: Points to redeem must be a positive whole number');
+    }
+
+    if (points < minRedeemPoints) {
+      throw new Error(`Validation failed: At least ${minRedeemPoints} points must be redeemed`);
+    }
+
+    const customer = await this.getCustomerCollection().findOne(Customer.idFilter(customerId), { session });
+
+    if (!customer) {
+      throw new Error(`Validation failed: Customer ${customerId} not found`);
+    }
+
+    if ((customer.loyaltyPoints || 0) < points) {
+      throw await this.debitError(customerId, points, { session });
+    }
+  }
+
+  /**
+   * Points needed for the loyalty tenders of a sale
+   * @param {Array<Tender>} tenders - Sale tenders
+   * @returns {number} Points
+   */
+  tenderPoints(tenders = []) {
+    const amount = tenders
+      .filter(tender => tender.method === settings.loyalty.tenderMethod)
+      .reduce((sum, tender) => sum + (tender.appliedAmount ?? tender.amount), 0);
+    return amount > 0 ? this.valueToPoints(amount) : 0;
+  }
+
+  /**
+   * Points a sale earns
+   * The amount paid for with points earns nothing; the rest of totalAmount is
+   * spread over the lines and each share earns at the highest multiplier of
+   * the rules matching its line, then the tier multiplier applies
+   * @param {Sale} sale - Priced sale
+   * @param {Array<LoyaltyRule>} rules - Active earn rules
+   * @param {Object} tier - Customer tier
+   * @param {number} redeemedValue - Value paid with points as a tender
+   * @returns {number} Whole points earned
+   */
+  earnedPoints(sale, rules, tier, redeemedValue = 0) {
+    const basis = roundToDecimals(Math.max(0, sale.totalAmount - redeemedValue));
+    if (basis <= 0) return 0;
+
+    const weights = sale.saleItems.map(item =>
+      Math.max(0, (item.subTotal || 0) - (item.discountAmount || 0))
+    );
+    const shares = allocateProportionally(basis, weights);
+
+    const points = sale.saleItems.reduce((sum, item, index) => {
+      const matching = rules.filter(rule => rule.matches(item, index, sale.discountLines));
+      const multiplier = matching.length > 0
+        ? Math.max(...matching.map(rule => rule.multiplier))
+        : 1;
+      return sum + shares[index] * settings.loyalty.pointsPerUnit * multiplier;
+    }, 0);
+
+    return Math.floor(roundToDecimals(points * tier.multiplier, 6));
+  }
+
+  /**
+   * Debit the points a sale redeems and credit the points it earns
+   * Must run inside the sale's transaction so a failed sale leaves balances untouched
+   * @param {Sale} sale - Priced sale with saleId and customerId
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Loyalty summary stored on the sale, or null
+   */
+  async recordSale(sale, options = {}) {
+    const { session } = options;
+    const discountPoints = (sale.loyalty && sale.loyalty.discountPoints) || 0;
+    const tenderPoints = this.tenderPoints(sale.tenders);
+    const redeemPoints = discountPoints + tenderPoints;
+
+    if (tenderPoints > 0) {
+      await this.checkRedemption(sale.customerId, redeemPoints, { session });
+    }
+
+    if (!settings.loyalty.enabled || !sale.customerId) return null;
+
+    const customer = await this.getCustomerCollection().findOne(Customer.idFilter(sale.customerId), { session });
+    if (!customer) return null;
+
+    const details = { saleId: sale.saleId, performedBy: sale.registerId };
+    let balance = customer.loyaltyPoints || 0;
+
+    if (redeemPoints > 0) {
+      const debited = await this.changeBalance(sale.customerId, 'redeem', -redeemPoints, details, { session });
+      if (!debited) {
+        throw await this.debitError(sale.customerId, redeemPoints, { session });
+      }
+      balance = debited.loyaltyPoints;
+    }
+
+    const tier = this.currentTier(customer);
+    const rules = (await this.getCollection().find({ status: 'active' }, { session }).toArray())
+      .map(rule => LoyaltyRule.fromDocument(rule));
+    const pointsEarned = this.earnedPoints(sale, rules, tier, this.pointsToValue(tenderPoints));
+
+    if (pointsEarned > 0) {
+      const credited = await this.changeBalance(sale.customerId, 'earn', pointsEarned, details, { session });
+      balance = credited.loyaltyPoints;
+    }
+
+    sale.loyalty = {
+      tier: tier.name,
+      pointsEarned,
+      pointsRedeemed: redeemPoints,
+      discountPoints,
+      tenderPoints,
+      redeemedValue: this.pointsToValue(redeemPoints),
+      balance
+    };
+
+    return sale.loyalty;
+  }
+
+  /**
+   * Take back the points a sale earned and give back the points it redeemed, in
+   * proportion to the value of the goods returned
+   * Each return's share is worked out from everything returned on the sale so far,
+   * so partial returns add up to the sale's points without rounding drift.
+   * Earned points are taken back even if that leaves the balance negative
+   * @param {Object} sale - Sale document
+   * @param {number} returnedValue - Value of the goods returned now
+   * @param {Object} options - { session, performedBy, returnedBefore } with the value returned on earlier returns
+   * @returns {Promise<Object|null>} { pointsReversed, pointsRestored }, or null when the sale had no points
+   */
+  async reverseReturn(sale, returnedValue, options = {}) {
+    const { session, performedBy, returnedBefore = 0 } = options;
+    const loyalty = sale.loyalty;
+
+    if (!sale.customerId || !loyalty || !(sale.totalAmount > 0)) return null;
+
+    const share = value => Math.min(value / sale.totalAmount, 1);
+    const portion = points => Math.round(points * share(returnedBefore + returnedValue)) -
+      Math.round(points * share(returnedBefore));
+    const pointsReversed = portion(loyalty.pointsEarned || 0);
+    const pointsRestored = portion(loyalty.pointsRedeemed || 0);
+    const details = { saleId: sale.saleId, performedBy, allowNegative: true };
+
+    if (pointsReversed > 0) {
+      await this.changeBalance(sale.customerId, 'reversal', -pointsReversed,
+        { ...details, reason: 'Items returned (earn)' }, { session });
+    }
+    if (pointsRestored > 0) {
+      await this.changeBalance(sale.customerId, 'reversal', pointsRestored,
+        { ...details, reason: 'Items returned (redeem)' }, { session });
+    }
+
+    await this.refreshTier(sale.customerId, { session });
+
+    return { pointsReversed, pointsRestored };
+  }
+
+  /**
+   * Undo the points a voided sale earned and redeemed
+   * Points already reversed by returns on the sale are not reversed again.
+   * Earned points are taken back even if that leaves the balance negative
+   * @param {Object} sale - Sale document
+   * @param {Object} options - { session, performedBy }
+   * @returns {Promise<void>}
+   */
+  async reverseSale(sale, options = {}) {
+    const { session, performedBy } = options;
+
+    if (!sale.customerId) return;
+
+    const entries = await this.getLedgerCollection()
+      .find({ saleId: sale.saleId, type: { $in: ['earn', 'redeem', 'reversal'] } }, { session })
+      .toArray();
+
+    for (const type of ['earn', 'redeem']) {
+      const points = entries
+        .filter(entry => entry.type === type || (entry.type === 'reversal' && entry.reason === `Items returned (${type})`))
+        .reduce((total, entry) => total + entry.points, 0);
+
+      if (points === 0) continue;
+
+      await this.changeBalance(
+        sale.customerId,
+        'reversal',
+        -points,
+        { saleId: sale.saleId, reason: `Sale voided (${type})`, performedBy, allowNegative: true },
+        { session }
+      );
+    }
+
+    await this.refreshTier(sale.customerId, { session });
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Pricing Service
+ * Computes sale line prices, discounts and tax from the product catalog
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Product } from '../models/Product.js';
+import { Sale } from '../models/Sale.js';
+import { SaleItem } from '../models/SaleItem.js';
+import { PromotionService } from './PromotionService.js';
+import { CouponService } from './CouponService.js';
+import { TaxService } from './TaxService.js';
+import { LoyaltyService } from './LoyaltyService.js';
+import { roundToDecimals } from '../utils/helpers.js';
+
+export class PricingService {
+  constructor() {
+    this.productCollectionName = 'products';
+    this.promotionService = new PromotionService();
+    this.couponService = new CouponService();
+    this.taxService = new TaxService();
+    this.loyaltyService = new LoyaltyService();
+  }
+
+  getProductCollection() {
+    return databaseManager.getCollection(this.productCollectionName);
+  }
+
+  /**
+   * Price sale lines from the products collection
+   * @param {Array} saleItems - Lines as sent by the client
+   * @param {Object} options - { session, unitPrices }; unitPrices holds server-side prices by line index,
+   *   e.g. those locked in by a quote, used instead of the product's salePrice
+   * @returns {Promise<Object>} Priced items and the product behind each
+   */
+  async priceItems(saleItems, options = {}) {
+    const { session, unitPrices = [] } = options;
+    const items = [];
+    const products = [];
+    const missing = [];
+
+    for (const [index, line] of saleItems.entries()) {
+      const productId = parseInt(line.productId);
+      const product = await this.getProductCollection().findOne(
+        Product.idFilter(productId),
+        { session }
+      );
+
+      if (!product) {
+        missing.push(`Product ${line.productId} not found (line ${index + 1})`);
+        continue;
+      }
+
+      const model = Product.fromDocument(product);
+      products.push(model);
+      items.push(this.priceLine(model, line, unitPrices[index]));
+    }
+
+    if (missing.length > 0) {
+      throw new Error(`Validation failed: ${missing.join(', ')}`);
+    }
+
+    return { items, products };
+  }
+
+  /**
+   * Price a single line from its product
+   * Tax is added once all discounts are known
+   * @param {Product} product - Product model
+   * @param {Object} line - Client line
+   * @param {number} price - Unit price to use instead of the product's salePrice
+   * @returns {SaleItem} Priced sale item
+   */
+  priceLine(product, line, price) {
+    const quantity = Number(line.quantity) || 0;
+    const unitPrice = parseFloat(price ?? product.salePrice) || 0;
+    const discountValue = parseFloat(product.discount) || 0;
+
+    const unitDiscount = settings.pricing.discountType === 'percent'
+      ? unitPrice * discountValue / 100
+      : discountValue;
+
+    return SaleItem.create({
+      mysqlId: line.mysqlId,
+      productId: product.mysqlId || line.productId,
+      productName: product.name || line.productName,
+      category: product.category || line.category,
+      quantity,
+      unitPrice: roundToDecimals(unitPrice),
+      subTotal: roundToDecimals(unitPrice * quantity),
+      discountAmount: roundToDecimals(Math.min(unitDiscount, unitPrice) * quantity)
+    });
+  }
+
+  /**
+   * Coupon codes sent with a sale, as `couponCodes` or a single `couponCode`
+   * @param {Object} clientData - Raw client payload
+   * @returns {Array<string>} Coupon codes
+   */
+  couponCodes(clientData) {
+    if (Array.isArray(clientData.couponCodes)) return clientData.couponCodes;
+    return clientData.couponCode ? [clientData.couponCode] : [];
+  }
+
+  /**
+   * Apply server pricing, running promotions, coupons, redeemed points and tax to a sale
+   * and compare it with the client totals
+   * Client figures are kept only to report where they differ from the server
+   * @param {Sale} sale - Sale model built from the client payload
+   * @param {Object} clientData - Raw client payload
+   * @param {Object} options - { session, strict, at, unitPrices }
+   * @returns {Promise<Object>} Pricing summary with mismatches
+   */
+  async priceSale(sale, clientData, options = {}) {
+    const { strict = settings.pricing.strict, at = new Date(), session } = options;
+    const { items, products } = await this.priceItems(sale.saleItems, options);
+    const promotions = await this.promotionService.applyPromotions(items, { at, session });
+    const coupons = await this.couponService.applyCoupons(items, this.couponCodes(clientData), {
+      customerId: sale.customerId,
+      applied: promotions.discounts,
+      at,
+      session
+    });
+    const loyalty = await this.loyaltyService.applyPointsDiscount(items, Number(clientData.redeemPoints) || 0, {
+      customerId: sale.customerId,
+      applied: items.map((item, index) => promotions.discounts[index] + coupons.discounts[index]),
+      session
+    });
+    const mismatches = [];
+
+    // Promotion, coupon and points discounts come off the line before tax
+    items.forEach((item, index) => {
+      item.discountAmount = roundToDecimals(
+        item.discountAmount + promotions.discounts[index] + coupons.discounts[index] + loyalty.discounts[index]
+      );
+    });
+
+    const tax = await this.taxService.applyTax(items, products, { session });
+
+    items.forEach((item, index) => {
+      const line = (clientData.saleItems || [])[index] || {};
+      for (const field of ['unitPrice', 'subTotal', 'discountAmount', 'taxAmount']) {
+        this.compare(mismatches, `saleItems[${index}].${field}`, line[field], item[field]);
+      }
+    });
+
+    sale.saleItems = items;
+    sale.discountLines = [...promotions.discountLines, ...coupons.discountLines, ...loyalty.discountLines];
+    sale.coupons = coupons.coupons;
+    // Earned points and tender redemptions are added when the sale is recorded
+    sale.loyalty = loyalty.points > 0
+      ? { discountPoints: loyalty.points, discountValue: loyalty.amount }
+      : null;
+    sale.discountAmount = roundToDecimals(items.reduce((sum, item) => sum + item.discountAmount, 0));
+    sale.taxAmount = tax.taxAmount;
+    sale.taxSummary = tax.taxSummary;
+    sale.pricesIncludeTax = settings.tax.pricesIncludeTax;
+    sale.calculateTotals();
+    sale.subTotal = roundToDecimals(sale.subTotal);
+    sale.totalAmount = roundToDecimals(sale.totalAmount);
+    sale.changeAmount = roundToDecimals(sale.changeAmount);
+
+    for (const field of ['subTotal', 'discountAmount', 'taxAmount', 'totalAmount']) {
+      this.compare(mismatches, field, clientData[field], sale[field]);
+    }
+
+    if (strict && mismatches.length > 0) {
+      const error = new Error('Sale totals do not match server pricing');
+      error.statusCode = 422;
+      error.details = mismatches;
+      throw error;
+    }
+
+    return { strict, mismatches };
+  }
+
+  /**
+   * Apply prices locked in earlier, e.g. when a layaway was opened, instead of pricing the sale again
+   * The lines, discounts and tax are used as they were priced; no coupons or points are redeemed
+   * @param {Sale} sale - Sale model
+   * @param {Object} priced - { saleItems, discountLines, discountAmount, taxAmount, taxSummary, pricesIncludeTax }
+   * @returns {Object} Pricing summary
+   */
+  applyLockedPricing(sale, priced) {
+    sale.saleItems = priced.saleItems.map(item => SaleItem.create({ ...item, lots: [] }));
+    sale.discountLines = priced.discountLines || [];
+    sale.coupons = [];
+    sale.loyalty = null;
+    sale.discountAmount = priced.discountAmount || 0;
+    sale.taxAmount = priced.taxAmount || 0;
+    sale.taxSummary = priced.taxSummary || [];
+    sale.pricesIncludeTax = Boolean(priced.pricesIncludeTax);
+    sale.calculateTotals();
+    sale.subTotal = roundToDecimals(sale.subTotal);
+    sale.totalAmount = roundToDecimals(sale.totalAmount);
+    sale.changeAmount = roundToDecimals(sale.changeAmount);
+
+    return { strict: false, locked: true, mismatches: [] };
+  }
+
+  /**
+   * Price a basket without recording a sale, e.g. to show promotions at the till
+   * Coupons and points are checked but not redeemed
+   * @param {Object} saleData - Sale payload with saleItems
+   * @returns {Promise<Object>} Priced basket
+   */
+  async previewSale(saleData) {
+    try {
+      const sale = Sale.create(saleData);
+      await this.priceSale(sale, saleData, { strict: false });
+
+      return {
+        success: true,
+        data: {
+          saleItems: sale.saleItems,
+          discountLines: sale.discountLines,
+          coupons: sale.coupons,
+          loyalty: sale.loyalty,
+          subTotal: sale.subTotal,
+          discountAmount: sale.discountAmount,
+          taxAmount: sale.taxAmount,
+          taxSummary: sale.taxSummary,
+          pricesIncludeTax: sale.pricesIncludeTax,
+          totalAmount: sale.totalAmount
+        }
+      };
+    } catch (error) {
+      console.error('Error previewing sale:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a mismatch when a client figure differs from the server figure
+   * @param {Array} mismatches - Mismatch accumulator
+   * @param {string} field - Field path
+   * @param {*} clientValue - Value sent by the client, if any
+   * @param {number} serverValue - Value computed by the server
+   */
+  compare(mismatches, field, clientValue, serverValue) {
+    if (clientValue === undefined || clientValue === null || clientValue === '') return;
+
+    const client = Number(clientValue);
+    if (Number.isNaN(client) || Math.abs(client - serverValue) > settings.pricing.tolerance) {
+      mismatches.push({
+        field,
+        client: clientValue,
+        server: serverValue,
+        difference: Number.isNaN(client) ? null : roundToDecimals(client - serverValue)
+      });
+    }
+  }
+}
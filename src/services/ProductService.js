@@ -21,30 +21,25 @@ export class ProductService {
   }
 
   /**
-   * Helper function to find quantity by product ID (handles multiple field name variations)
+   * Helper function to find a product's quantity rows at every location (handles multiple field name variations)
    * @param {number} productId - Product ID
-   * @returns {Promise<Object|null>} Quantity data
+   * @returns {Promise<Array>} Quantity rows
    */
-  async findQuantityByProductId(productId) {
-    const quantity = await this.getQuantityCollection().findOne({
-      $or: [
-        { productMysqlId: productId },
-        { product_mysql_id: productId },
-        { productId: productId },
-        { product_id: productId }
-      ]
-    });
-    return quantity;
+  async findQuantitiesByProductId(productId) {
+    const quantities = await this.getQuantityCollection()
+      .find(Quantity.productFilter(productId))
+      .toArray();
+    return quantities;
   }
 
   /**
    * Get all products with quantities
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options, with locationCode to show one location's stock
    * @returns {Promise<Object>} Products list
    */
   async getAllProducts(options = {}) {
     try {
-      const { page = 1, limit = 10, sortBy = 'createdDate', sortOrder = -1 } = options;
+      const { page = 1, limit = 10, sortBy = 'createdDate', sortOrder = -1, locationCode } = options;
       const skip = (page - 1) * limit;
 
       const products = await this.getCollection()
@@ -57,9 +52,9 @@ export class ProductService {
       const productsWithQuantities = await Promise.all(
         products.map(async (product) => {
           const productId = product.mysqlId || product.mysql_id || product.id;
-          const quantity = await this.findQuantityByProductId(productId);
+          const quantities = await this.findQuantitiesByProductId(productId);
           const productModel = Product.fromDocument(product);
-          return productModel.formatWithQuantity(quantity);
+          return productModel.formatWithQuantity(quantities, locationCode);
         })
       );
 
@@ -85,26 +80,21 @@ export class ProductService {
   /**
    * Get product by ID
    * @param {number} id - Product ID
+   * @param {Object} options - { locationCode }
    * @returns {Promise<Object>} Product data
    */
-  async getProductById(id) {
+  async getProductById(id, options = {}) {
     try {
       const productId = parseInt(id);
-      const product = await this.getCollection().findOne({ 
-        $or: [
-          { mysqlId: productId },
-          { mysql_id: productId },
-          { id: productId }
-        ]
-      });
+      const product = await this.getCollection().findOne(Product.idFilter(productId));
       
       if (!product) {
         throw new Error('Product not found');
       }
 
-      const quantity = await this.findQuantityByProductId(productId);
+      const quantities = await this.findQuantitiesByProductId(productId);
       const productModel = Product.fromDocument(product);
-      const productWithQuantity = productModel.formatWithQuantity(quantity);
+      const productWithQuantity = productModel.formatWithQuantity(quantities, options.locationCode);
 
       return {
         success: true,
@@ -119,12 +109,12 @@ export class ProductService {
   /**
    * Get products by category
    * @param {string} category - Category name
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options, with locationCode to show one location's stock
    * @returns {Promise<Object>} Products list
    */
   async getProductsByCategory(category, options = {}) {
     try {
-      const { page = 1, limit = 10 } = options;
+      const { page = 1, limit = 10, locationCode } = options;
       const skip = (page - 1) * limit;
 
       const products = await this.getCollection()
@@ -136,9 +126,9 @@ export class ProductService {
       const productsWithQuantities = await Promise.all(
         products.map(async (product) => {
           const productId = product.mysqlId || product.mysql_id || product.id;
-          const quantity = await this.findQuantityByProductId(productId);
+          const quantities = await this.findQuantitiesByProductId(productId);
           const productModel = Product.fromDocument(product);
-          return productModel.formatWithQuantity(quantity);
+          return productModel.formatWithQuantity(quantities, locationCode);
         })
       );
 
@@ -164,12 +154,12 @@ export class ProductService {
   /**
    * Search products by name or barcode
    * @param {string} query - Search query
-   * @param {Object} options - Search options
+   * @param {Object} options - Search options, with locationCode to show one location's stock
    * @returns {Promise<Object>} Search results
    */
   async searchProducts(query, options = {}) {
     try {
-      const { page = 1, limit = 10 } = options;
+      const { page = 1, limit = 10, locationCode } = options;
       const skip = (page - 1) * limit;
 
       const searchFilter = {
@@ -188,9 +178,9 @@ export class ProductService {
       const productsWithQuantities = await Promise.all(
         products.map(async (product) => {
           const productId = product.mysqlId || product.mysql_id || product.id;
-          const quantity = await this.findQuantityByProductId(productId);
+          const quantities = await this.findQuantitiesByProductId(productId);
           const productModel = Product.fromDocument(product);
-          return productModel.formatWithQuantity(quantity);
+          return productModel.formatWithQuantity(quantities, locationCode);
         })
       );
 
@@ -257,13 +247,7 @@ export class ProductService {
       }
 
       const result = await this.getCollection().updateOne(
-        { 
-          $or: [
-            { mysqlId: productId },
-            { mysql_id: productId },
-            { id: productId }
-          ]
-        },
+        Product.idFilter(productId),
         { $set: product.toDocument() }
       );
 
@@ -292,13 +276,7 @@ export class ProductService {
   async deleteProduct(id) {
     try {
       const productId = parseInt(id);
-      const result = await this.getCollection().deleteOne({
-        $or: [
-          { mysqlId: productId },
-          { mysql_id: productId },
-          { id: productId }
-        ]
-      });
+      const result = await this.getCollection().deleteOne(Product.idFilter(productId));
 
       if (result.deletedCount === 0) {
         throw new Error('Product not found');
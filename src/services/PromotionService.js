@@ -0,0 +1,388 @@
+/**
+ * Promotion Service
+ * Handles promotion management and evaluates promotions against sale lines
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Promotion } from '../models/Promotion.js';
+import { allocateProportionally, roundToDecimals, toObjectId } from '../utils/helpers.js';
+
+export class PromotionService {
+  constructor() {
+    this.collectionName = 'promotions';
+    this.handlers = {
+      item_discount: (promotion, lines) => this.evaluateItemDiscount(promotion, lines),
+      buy_x_get_y: (promotion, lines) => this.evaluateBuyXGetY(promotion, lines),
+      bundle: (promotion, lines) => this.evaluateBundle(promotion, lines),
+      basket_threshold: (promotion, lines) => this.evaluateBasketThreshold(promotion, lines)
+    };
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  /**
+   * Create a new promotion
+   * @param {Object} promotionData - Promotion data
+   * @returns {Promise<Object>} Created promotion
+   */
+  async createPromotion(promotionData) {
+    try {
+      const promotion = Promotion.create(promotionData);
+      const validation = promotion.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const result = await this.getCollection().insertOne(promotion.toDocument());
+
+      return {
+        success: true,
+        data: Promotion.fromDocument({ _id: result.insertedId, ...promotion.toDocument() }),
+        message: 'Promotion created successfully'
+      };
+    } catch (error) {
+      console.error('Error creating promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get promotions, or only those running at a given moment
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Promotions list
+   */
+  async getAllPromotions(options = {}) {
+    try {
+      const { page = 1, limit = 10, status, type, runningAt } = options;
+      const skip = (page - 1) * limit;
+
+      // Promotions that would apply to a sale made at that moment
+      if (runningAt) {
+        return {
+          success: true,
+          data: await this.getRunningPromotions(runningAt)
+        };
+      }
+
+      let filter = {};
+
+      if (status) {
+        filter.status = status;
+      }
+
+      if (type) {
+        filter.type = type;
+      }
+
+      const promotions = await this.getCollection()
+        .find(filter)
+        .sort({ priority: -1, timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: promotions.map(promotion => Promotion.fromDocument(promotion)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get promotion by ID
+   * @param {string} id - Promotion ID
+   * @returns {Promise<Object>} Promotion data
+   */
+  async getPromotionById(id) {
+    try {
+      const promotion = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!promotion) {
+        throw new Error('Promotion not found');
+      }
+
+      return {
+        success: true,
+        data: Promotion.fromDocument(promotion)
+      };
+    } catch (error) {
+      console.error('Error fetching promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update promotion
+   * @param {string} id - Promotion ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>} Updated promotion
+   */
+  async updatePromotion(id, updateData) {
+    try {
+      const existing = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!existing) {
+        throw new Error('Promotion not found');
+      }
+
+      const promotion = Promotion.create({ ...Promotion.fromDocument(existing), ...updateData });
+      const validation = promotion.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const { createdDate, timestamp, ...document } = promotion.toDocument();
+
+      await this.getCollection().updateOne(
+        { _id: existing._id },
+        { $set: document }
+      );
+
+      return {
+        success: true,
+        data: Promotion.fromDocument({ ...existing, ...document }),
+        message: 'Promotion updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete promotion
+   * Sales keep the promotion name on their discount lines
+   * @param {string} id - Promotion ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deletePromotion(id) {
+    try {
+      const result = await this.getCollection().deleteOne({ _id: toObjectId(id) });
+
+      if (result.deletedCount === 0) {
+        throw new Error('Promotion not found');
+      }
+
+      return {
+        success: true,
+        message: 'Promotion deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Promotions running at a moment, highest priority first
+   * @param {Date} at - Moment to evaluate
+   * @param {Object} options - { session }
+   * @returns {Promise<Array<Promotion>>} Running promotions
+   */
+  async getRunningPromotions(at = new Date(), options = {}) {
+    const { session } = options;
+    const when = new Date(at);
+
+    const docs = await this.getCollection()
+      .find({
+        status: 'active',
+        $and: [
+          { $or: [{ startDate: null }, { startDate: { $lte: when } }] },
+          { $or: [{ endDate: null }, { endDate: { $gte: when } }] }
+        ]
+      }, { session })
+      .sort({ priority: -1, timestamp: 1 })
+      .toArray();
+
+    return docs
+      .map(doc => Promotion.fromDocument(doc))
+      .filter(promotion => promotion.isRunningAt(when));
+  }
+
+  /**
+   * Evaluate running promotions against priced sale lines
+   * Promotions are applied by descending priority, each to what is left of
+   * a line after the discounts before it. A stackable promotion skips lines
+   * claimed by a non-stackable one; a non-stackable promotion only applies
+   * to lines no other promotion has discounted, and then claims them.
+   * @param {Array<SaleItem>} items - Priced sale lines
+   * @param {Object} options - { at, session }
+   * @returns {Promise<Object>} { discounts: per-line promotion discount, discountLines }
+   */
+  async applyPromotions(items, options = {}) {
+    const { at = new Date(), session } = options;
+    const discounts = items.map(() => 0);
+    const discountLines = [];
+
+    if (!settings.promotions.enabled || items.length === 0) {
+      return { discounts, discountLines };
+    }
+
+    const lines = items.map((item, index) => ({
+      index,
+      item,
+      net: roundToDecimals((item.subTotal || 0) - (item.discountAmount || 0)),
+      promoted: false,
+      claimed: false
+    }));
+
+    for (const promotion of await this.getRunningPromotions(at, { session })) {
+      const eligible = lines.filter(line =>
+        line.net > 0 &&
+        !line.claimed &&
+        (promotion.stackable || !line.promoted) &&
+        promotion.targets(line.item)
+      );
+
+      if (eligible.length === 0) continue;
+
+      const allocations = this.handlers[promotion.type](promotion, eligible);
+
+      for (const [index, value] of allocations) {
+        const line = lines[index];
+        const amount = roundToDecimals(Math.min(value, line.net));
+        if (amount <= 0) continue;
+
+        line.net = roundToDecimals(line.net - amount);
+        line.promoted = true;
+        line.claimed = line.claimed || !promotion.stackable;
+        discounts[index] = roundToDecimals(discounts[index] + amount);
+
+        discountLines.push({
+          promotionId: promotion.id,
+          promotionName: promotion.name,
+          type: promotion.type,
+          productId: line.item.productId,
+          lineIndex: index,
+          amount
+        });
+      }
+    }
+
+    return { discounts, discountLines };
+  }
+
+  /**
+   * Percentage or fixed amount off each unit of the targeted lines
+   * @param {Promotion} promotion - Promotion
+   * @param {Array<Object>} lines - Eligible lines
+   * @returns {Map} Line index to discount
+   */
+  evaluateItemDiscount(promotion, lines) {
+    return new Map(lines.map(line => [
+      line.index,
+      promotion.valueType === 'percent'
+        ? line.net * promotion.value / 100
+        : promotion.value * line.item.quantity
+    ]));
+  }
+
+  /**
+   * Buy X get Y: in every group of X + Y units, the Y cheapest are discounted
+   * Units are grouped from the most expensive down, so the customer pays for
+   * the dearer items and gets the cheaper ones free or reduced
+   * @param {Promotion} promotion - Promotion
+   * @param {Array<Object>} lines - Eligible lines
+   * @returns {Map} Line index to discount
+   */
+  evaluateBuyXGetY(promotion, lines) {
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+    const units = this.expandUnits(lines);
+    const allocations = new Map();
+
+    for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+      units.slice(start + promotion.buyQuantity, start + groupSize).forEach(unit => {
+        const discount = unit.price * promotion.getDiscountPercent / 100;
+        allocations.set(unit.index, (allocations.get(unit.index) || 0) + discount);
+      });
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Mix-and-match bundle: any N targeted units sell together for a fixed price
+   * The saving of each bundle is spread over its units by price
+   * @param {Promotion} promotion - Promotion
+   * @param {Array<Object>} lines - Eligible lines
+   * @returns {Map} Line index to discount
+   */
+  evaluateBundle(promotion, lines) {
+    const units = this.expandUnits(lines);
+    const allocations = new Map();
+
+    for (let start = 0; start + promotion.bundleQuantity <= units.length; start += promotion.bundleQuantity) {
+      const group = units.slice(start, start + promotion.bundleQuantity);
+      const groupTotal = group.reduce((sum, unit) => sum + unit.price, 0);
+      const saving = groupTotal - promotion.bundlePrice;
+      if (saving <= 0) break;
+
+      group.forEach(unit => {
+        allocations.set(unit.index, (allocations.get(unit.index) || 0) + saving * unit.price / groupTotal);
+      });
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Basket threshold: once the targeted lines reach a minimum subtotal,
+   * take a percentage or fixed amount off them, spread by line value
+   * @param {Promotion} promotion - Promotion
+   * @param {Array<Object>} lines - Eligible lines
+   * @returns {Map} Line index to discount
+   */
+  evaluateBasketThreshold(promotion, lines) {
+    const total = lines.reduce((sum, line) => sum + line.net, 0);
+
+    if (total < promotion.minSubtotal) {
+      return new Map();
+    }
+
+    const discount = promotion.valueType === 'percent'
+      ? total * promotion.value / 100
+      : Math.min(promotion.value, total);
+
+    return this.allocate(discount, lines);
+  }
+
+  /**
+   * One entry per unit with its net price, most expensive first
+   * @param {Array<Object>} lines - Eligible lines
+   * @returns {Array<Object>} Units with line index and price
+   */
+  expandUnits(lines) {
+    return lines
+      .flatMap(line => Array.from(
+        { length: line.item.quantity },
+        () => ({ index: line.index, price: line.net / line.item.quantity })
+      ))
+      .sort((a, b) => b.price - a.price);
+  }
+
+  /**
+   * Spread an amount over lines in proportion to their net value
+   * @param {number} amount - Amount to spread
+   * @param {Array<Object>} lines - Lines with index and net
+   * @returns {Map} Line index to share
+   */
+  allocate(amount, lines) {
+    const shares = allocateProportionally(amount, lines.map(line => line.net));
+    return new Map(lines.map((line, position) => [line.index, shares[position]]));
+  }
+}
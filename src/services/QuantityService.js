@@ -1,13 +1,24 @@
 /**
  * Quantity Service
  * Handles business logic for quantity operations
+ * Every change to an on-hand quantity is recorded in the stock movement ledger
+ * in the same transaction. Each product has one row per location; stock
+ * operations work on the default location unless given another
  */
 import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
 import { Quantity } from '../models/Quantity.js';
+import { StockMovement, MANUAL_STOCK_MOVEMENT_TYPES } from '../models/StockMovement.js';
+import { StockMovementService } from './StockMovementService.js';
+import { LocationService } from './LocationService.js';
+import { locationFilter, locationOf } from '../utils/location.js';
+import { roundToDecimals, toObjectId } from '../utils/helpers.js';
 
 export class QuantityService {
   constructor() {
     this.collectionName = 'quantities';
+    this.stockMovementService = new StockMovementService();
+    this.locationService = new LocationService();
   }
 
   getCollection() {
@@ -16,16 +27,17 @@ export class QuantityService {
 
   /**
    * Get all quantities
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options, with locationCode to keep one location's rows
    * @returns {Promise<Object>} Quantities list
    */
   async getAllQuantities(options = {}) {
     try {
-      const { page = 1, limit = 10, sortBy = 'createdDate', sortOrder = -1 } = options;
+      const { page = 1, limit = 10, sortBy = 'createdDate', sortOrder = -1, locationCode } = options;
       const skip = (page - 1) * limit;
+      const filter = locationFilter(locationCode);
 
       const quantities = await this.getCollection()
-        .find({})
+        .find(filter)
         .sort({ [sortBy]: sortOrder })
         .skip(skip)
         .limit(limit)
@@ -35,7 +47,7 @@ export class QuantityService {
         Quantity.fromDocument(quantity)
       );
 
-      const totalCount = await this.getCollection().countDocuments();
+      const totalCount = await this.getCollection().countDocuments(filter);
 
       return {
         success: true,
@@ -57,19 +69,15 @@ export class QuantityService {
   /**
    * Get quantity by product ID
    * @param {number} productId - Product ID
+   * @param {Object} options - { locationCode }
    * @returns {Promise<Object>} Quantity data
    */
-  async getQuantityByProductId(productId) {
+  async getQuantityByProductId(productId, options = {}) {
     try {
       const productIdNum = parseInt(productId);
-      const quantities = await this.getCollection().find({
-        $or: [
-          { productMysqlId: productIdNum },
-          { product_mysql_id: productIdNum },
-          { productId: productIdNum },
-          { product_id: productIdNum }
-        ]
-      }).toArray();
+      const quantities = await this.getCollection()
+        .find(Quantity.productFilter(productIdNum, locationFilter(options.locationCode)))
+        .toArray();
 
       const formattedQuantities = quantities.map(quantity => 
         Quantity.fromDocument(quantity)
@@ -89,9 +97,10 @@ export class QuantityService {
   /**
    * Get product with its quantities
    * @param {number} productId - Product ID
+   * @param {Object} options - { locationCode }
    * @returns {Promise<Object>} Product with quantities
    */
-  async getProductWithQuantities(productId) {
+  async getProductWithQuantities(productId, options = {}) {
     try {
       const productIdNum = parseInt(productId);
       
@@ -110,14 +119,9 @@ export class QuantityService {
       }
 
       // Get quantities
-      const quantities = await this.getCollection().find({
-        $or: [
-          { productMysqlId: productIdNum },
-          { product_mysql_id: productIdNum },
-          { productId: productIdNum },
-          { product_id: productIdNum }
-        ]
-      }).toArray();
+      const quantities = await this.getCollection()
+        .find(Quantity.productFilter(productIdNum, locationFilter(options.locationCode)))
+        .toArray();
 
       const formattedQuantities = quantities.map(quantity => 
         Quantity.fromDocument(quantity)
@@ -136,9 +140,41 @@ export class QuantityService {
     }
   }
 
+  /**
+   * Error for a product that already has a quantity row at a location
+   * @param {Quantity} quantity - Quantity row being created
+   * @returns {Error} Conflict error
+   */
+  duplicateRowError(quantity) {
+    const error = new Error(`Product ${quantity.productMysqlId} already has a quantity at location ${quantity.locationCode}`);
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * Insert a quantity row
+   * A product has one row per location (a unique index), so a row created by a
+   * concurrent request is reported as a conflict instead of a second row
+   * @param {Quantity} quantity - Quantity row to insert
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Insert result
+   */
+  async insertRow(quantity, options = {}) {
+    try {
+      return await this.getCollection().insertOne(quantity.toDocument(), { session: options.session });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw this.duplicateRowError(quantity);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Create a new quantity
-   * @param {Object} quantityData - Quantity data
+   * A product has one row per location, the default location unless one is
+   * given. The starting quantity is recorded as a receipt
+   * @param {Object} quantityData - Quantity data, with optional locationCode, reason and performedBy
    * @returns {Promise<Object>} Created quantity
    */
   async createQuantity(quantityData) {
@@ -150,7 +186,33 @@ export class QuantityService {
         throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
       }
 
-      const result = await this.getCollection().insertOne(quantity.toDocument());
+      quantity.locationCode = await this.locationService.assertLocation(quantityData.locationCode);
+
+      const result = await databaseManager.withTransaction(async (session) => {
+        const existing = await this.getCollection().findOne(
+          Quantity.productFilter(quantity.productMysqlId, locationFilter(quantity.locationCode)),
+          { session }
+        );
+
+        if (existing) {
+          throw this.duplicateRowError(quantity);
+        }
+
+        const inserted = await this.insertRow(quantity, { session });
+
+        await this.stockMovementService.record([{
+          productId: quantity.productMysqlId,
+          quantityId: inserted.insertedId,
+          locationCode: quantity.locationCode,
+          type: 'receipt',
+          delta: quantity.quantitySize,
+          quantityAfter: quantity.quantitySize,
+          reason: quantityData.reason || 'Opening stock',
+          performedBy: quantityData.performedBy
+        }], { session });
+
+        return inserted;
+      });
       
       return {
         success: true,
@@ -165,34 +227,62 @@ export class QuantityService {
 
   /**
    * Update quantity
+   * The new quantity is a count: the difference from the quantity on hand is
+   * recorded as a count correction, and the update is refused if the stock
+   * moved since it was read
    * @param {string} id - Quantity ID
-   * @param {Object} updateData - Update data
+   * @param {Object} updateData - { quantitySize, reason, performedBy }
    * @returns {Promise<Object>} Updated quantity
    */
   async updateQuantity(id, updateData) {
     try {
-      const quantity = Quantity.create(updateData);
+      const existing = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!existing) {
+        throw new Error('Quantity not found');
+      }
+
+      // The product of a stock row is fixed; its movements are recorded against it
+      const quantity = Quantity.create({ ...updateData, productMysqlId: Quantity.productIdOf(existing) });
       const validation = quantity.validate();
       
       if (!validation.isValid) {
         throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
       }
 
-      const result = await this.getCollection().updateOne(
-        { _id: id },
-        { 
-          $set: {
-            ...quantity.toDocument(),
-            updatedDate: new Date()
-          }
+      const field = Quantity.sizeField(existing);
+
+      const updatedQuantity = await databaseManager.withTransaction(async (session) => {
+        const row = await this.getCollection().findOneAndUpdate(
+          { _id: existing._id, [field]: existing[field] },
+          {
+            $set: {
+              [field]: quantity.quantitySize,
+              updatedDate: new Date()
+            }
+          },
+          { returnDocument: 'after', session }
+        );
+
+        if (!row) {
+          const error = new Error('Quantity changed while it was being updated');
+          error.statusCode = 409;
+          throw error;
         }
-      );
 
-      if (result.matchedCount === 0) {
-        throw new Error('Quantity not found');
-      }
+        await this.stockMovementService.record([{
+          productId: quantity.productMysqlId,
+          quantityId: row._id,
+          locationCode: locationOf(existing),
+          type: 'count_correction',
+          delta: quantity.quantitySize - Quantity.sizeOf(existing),
+          quantityAfter: quantity.quantitySize,
+          reason: updateData.reason || 'Quantity updated',
+          performedBy: updateData.performedBy
+        }], { session });
 
-      const updatedQuantity = await this.getCollection().findOne({ _id: id });
+        return row;
+      });
       
       return {
         success: true,
@@ -207,16 +297,34 @@ export class QuantityService {
 
   /**
    * Delete quantity
+   * Stock still on the row is recorded as an adjustment out
    * @param {string} id - Quantity ID
+   * @param {Object} deleteData - { reason, performedBy }
    * @returns {Promise<Object>} Deletion result
    */
-  async deleteQuantity(id) {
+  async deleteQuantity(id, deleteData = {}) {
     try {
-      const result = await this.getCollection().deleteOne({ _id: id });
+      await databaseManager.withTransaction(async (session) => {
+        const existing = await this.getCollection().findOne({ _id: toObjectId(id) }, { session });
+        const result = existing
+          ? await this.getCollection().deleteOne({ _id: existing._id }, { session })
+          : { deletedCount: 0 };
 
-      if (result.deletedCount === 0) {
-        throw new Error('Quantity not found');
-      }
+        if (result.deletedCount === 0) {
+          throw new Error('Quantity not found');
+        }
+
+        await this.stockMovementService.record([{
+          productId: Quantity.productIdOf(existing),
+          quantityId: existing._id,
+          locationCode: locationOf(existing),
+          type: 'adjustment',
+          delta: -Quantity.sizeOf(existing),
+          quantityAfter: 0,
+          reason: deleteData.reason || 'Quantity record deleted',
+          performedBy: deleteData.performedBy
+        }], { session });
+      });
 
       return {
         success: true,
@@ -227,4 +335,636 @@ export class QuantityService {
       throw error;
     }
   }
+
+  /**
+   * Record a receipt, adjustment, transfer, wastage or count correction for a product
+   * at a location, the default location if none is given
+   * A count correction takes the counted quantity and records the difference;
+   * the others take a signed delta. Stock reserved for layaways cannot be taken away
+   * @param {number} productId - Product ID
+   * @param {Object} movementData - { type, delta, countedQuantity, locationCode, reason, reference, performedBy }
+   * @returns {Promise<Object>} Movement recorded and the quantity after it
+   */
+  async recordMovement(productId, movementData = {}) {
+    try {
+      const productIdNum = parseInt(productId);
+      const { type, reason } = movementData;
+
+      if (!MANUAL_STOCK_MOVEMENT_TYPES.includes(type)) {
+        throw new Error(`Validation failed: Type must be one of: ${MANUAL_STOCK_MOVEMENT_TYPES.join(', ')}`);
+      }
+
+      if (!reason || String(reason).trim() === '') {
+        throw new Error('Validation failed: Reason is required');
+      }
+
+      let counted = null;
+      if (type === 'count_correction') {
+        counted = Number(movementData.countedQuantity);
+        if (movementData.countedQuantity === undefined || Number.isNaN(counted) || counted < 0) {
+          throw new Error('Validation failed: Counted quantity must be a non-negative number');
+        }
+      }
+
+      const locationCode = await this.locationService.assertLocation(movementData.locationCode);
+
+      const recorded = await databaseManager.withTransaction(async (session) => {
+        const row = await this.getCollection().findOne(
+          Quantity.productFilter(productIdNum, locationFilter(locationCode)),
+          { session }
+        );
+        const delta = counted !== null ? counted - Quantity.sizeOf(row) : Number(movementData.delta);
+
+        if (counted !== null && delta === 0) {
+          return { movement: null, row };
+        }
+
+        const entry = { ...movementData, productId: productIdNum, locationCode, type, delta };
+        const validation = StockMovement.create(entry).validate();
+
+        if (!validation.isValid) {
+          throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+        }
+
+        const after = await this.applyDelta(productIdNum, row, delta, {
+          session,
+          locationCode,
+          // A count replaces whatever was on hand when it was read
+          unchangedSince: counted !== null ? row : null
+        });
+        const [movement] = await this.stockMovementService.record([{
+          ...entry,
+          quantityId: after._id,
+          quantityAfter: Quantity.sizeOf(after)
+        }], { session });
+
+        return { movement, row: after };
+      });
+
+      return {
+        success: true,
+        data: {
+          movement: recorded.movement,
+          quantity: recorded.row ? Quantity.fromDocument(recorded.row) : null
+        },
+        message: recorded.movement ? 'Stock movement recorded successfully' : 'Count matches the quantity on hand'
+      };
+    } catch (error) {
+      console.error('Error recording stock movement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a signed delta to a product's quantity row, creating the row if there is none
+   * Taking stock away needs that much available unless negative stock is allowed
+   * @param {number} productId - Product ID
+   * @param {Object|null} row - Quantity row as read in the transaction
+   * @param {number} delta - Signed change
+   * @param {Object} options - { session, unchangedSince, locationCode of a row to create }
+   * @returns {Promise<Object>} Quantity row after the change
+   */
+  async applyDelta(productId, row, delta, options = {}) {
+    const { session, unchangedSince, locationCode = settings.inventory.defaultLocation } = options;
+    const allowNegative = settings.inventory.allowNegativeStock || Boolean(unchangedSince);
+
+    if (delta < 0 && !allowNegative && Quantity.availableOf(row) < -delta) {
+      const error = new Error('Insufficient stock');
+      error.statusCode = 409;
+      error.details = [{
+        productId,
+        requested: -delta,
+        available: Quantity.availableOf(row),
+        message: `Insufficient stock for product ${productId}: requested ${-delta}, available ${Quantity.availableOf(row)}`
+      }];
+      throw error;
+    }
+
+    if (!row) {
+      const created = Quantity.create({ productMysqlId: productId, quantitySize: delta, locationCode });
+      const inserted = await this.insertRow(created, { session });
+      return { _id: inserted.insertedId, ...created.toDocument() };
+    }
+
+    const field = Quantity.sizeField(row);
+    const filter = { _id: row._id };
+    if (unchangedSince) {
+      filter[field] = unchangedSince[field];
+    } else if (delta < 0 && !allowNegative) {
+      filter.$expr = Quantity.availableAtLeast(field, -delta);
+    }
+
+    const after = await this.getCollection().findOneAndUpdate(
+      filter,
+      {
+        $inc: { [field]: delta },
+        $set: { updatedDate: new Date() }
+      },
+      { returnDocument: 'after', session }
+    );
+
+    if (!after) {
+      const error = new Error(`Stock for product ${productId} changed while the movement was being recorded`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return after;
+  }
+
+  /**
+   * Value the stock at cost and at sale price, on hand at each location and
+   * in transit on dispatched transfers that have not been received yet
+   * Stock is valued at the product's costPrice and salePrice; stock of products
+   * without a cost counts towards uncostedQuantity instead of the value at cost
+   * @param {Object} options - { locationCode } to value one location and the stock on its way there
+   * @returns {Promise<Object>} Valuation with totals on hand, in transit and overall, and by location
+   */
+  async getInventoryValuation(options = {}) {
+    try {
+      const { locationCode } = options;
+
+      const rows = await this.getCollection().find(locationFilter(locationCode)).toArray();
+      const transfers = await databaseManager.getCollection('transfers').find({
+        status: 'dispatched',
+        ...(locationCode ? { destinationLocation: locationCode } : {})
+      }).toArray();
+
+      const onHand = rows.map(row => ({
+        productId: row.productMysqlId ?? row.product_mysql_id ?? row.productId,
+        locationCode: locationOf(row),
+        quantity: Quantity.sizeOf(row)
+      }));
+      const inTransit = transfers.flatMap(transfer => transfer.lines.map(line => ({
+        productId: line.productId,
+        transferId: transfer._id,
+        quantity: line.dispatchedQuantity ?? line.quantity
+      })));
+
+      const productIds = [...new Set([...onHand, ...inTransit].map(entry => entry.productId))];
+      const products = productIds.length > 0
+        ? await databaseManager.getCollection('products').find({
+          $or: [
+            { mysqlId: { $in: productIds } },
+            { mysql_id: { $in: productIds } },
+            { id: { $in: productIds } }
+          ]
+        }).toArray()
+        : [];
+      const prices = new Map(products.map(product => [
+        product.mysqlId ?? product.mysql_id ?? product.id,
+        {
+          costPrice: product.costPrice ?? product.cost_price ?? null,
+          salePrice: parseFloat(product.salePrice ?? product.sale_price) || 0
+        }
+      ]));
+
+      const valueOf = (entries) => {
+        const totals = { quantity: 0, valueAtCost: 0, valueAtSale: 0, uncostedQuantity: 0 };
+        for (const entry of entries) {
+          const price = prices.get(entry.productId) || { costPrice: null, salePrice: 0 };
+          const costPrice = price.costPrice === null || price.costPrice === '' ? NaN : parseFloat(price.costPrice);
+
+          totals.quantity += entry.quantity;
+          totals.valueAtSale += entry.quantity * price.salePrice;
+          if (Number.isFinite(costPrice)) {
+            totals.valueAtCost += entry.quantity * costPrice;
+          } else {
+            totals.uncostedQuantity += entry.quantity;
+          }
+        }
+        totals.valueAtCost = roundToDecimals(totals.valueAtCost);
+        totals.valueAtSale = roundToDecimals(totals.valueAtSale);
+        return totals;
+      };
+
+      const locations = [...new Set(onHand.map(entry => entry.locationCode))].sort();
+
+      return {
+        success: true,
+        data: {
+          asOf: new Date(),
+          locationCode: locationCode || null,
+          totals: {
+            onHand: valueOf(onHand),
+            inTransit: { ...valueOf(inTransit), transferCount: transfers.length },
+            total: valueOf([...onHand, ...inTransit])
+          },
+          byLocation: locations.map(code => ({
+            locationCode: code,
+            ...valueOf(onHand.filter(entry => entry.locationCode === code))
+          })),
+          inTransit: transfers.map(transfer => ({
+            transferId: transfer._id,
+            sourceLocation: transfer.sourceLocation,
+            destinationLocation: transfer.destinationLocation,
+            dispatchedDate: transfer.dispatchedDate,
+            ...valueOf(inTransit.filter(entry => entry.transferId === transfer._id))
+          }))
+        }
+      };
+    } catch (error) {
+      console.error('Error valuing inventory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a product's stock movement history, newest first
+   * @param {number} productId - Product ID
+   * @param {Object} options - { page, limit, type, locationCode, startDate, endDate }
+   * @returns {Promise<Object>} Movements list
+   */
+  async getMovementHistory(productId, options = {}) {
+    try {
+      const result = await this.stockMovementService.getMovements(parseInt(productId), options);
+
+      return {
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      console.error('Error fetching stock movements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare a product's on-hand quantity with the net of its ledger, at one
+   * location or across all of them
+   * Stock loaded before the ledger existed shows up as a difference
+   * @param {number} productId - Product ID
+   * @param {Object} options - { session, locationCode }
+   * @returns {Promise<Object>} { productId, locationCode, onHand, reserved, ledgerBalance, movementCount, difference, reconciled }
+   */
+  async compareWithLedger(productId, options = {}) {
+    const { session, locationCode } = options;
+    const rows = await this.getCollection()
+      .find(Quantity.productFilter(productId, locationFilter(locationCode)), { session })
+      .toArray();
+    const ledger = await this.stockMovementService.ledgerBalance(productId, { session, locationCode });
+    const onHand = rows.reduce((sum, row) => sum + Quantity.sizeOf(row), 0);
+
+    return {
+      productId,
+      locationCode: locationCode || null,
+      quantityId: rows[0] ? rows[0]._id : null,
+      onHand,
+      reserved: rows.reduce((sum, row) => sum + Quantity.reservedOf(row), 0),
+      ledgerBalance: ledger.balance,
+      movementCount: ledger.movementCount,
+      difference: onHand - ledger.balance,
+      reconciled: onHand === ledger.balance
+    };
+  }
+
+  /**
+   * Get how a product's on-hand quantity compares with its ledger
+   * @param {number} productId - Product ID
+   * @param {Object} options - { locationCode }
+   * @returns {Promise<Object>} Reconciliation
+   */
+  async getReconciliation(productId, options = {}) {
+    try {
+      return {
+        success: true,
+        data: await this.compareWithLedger(parseInt(productId), { locationCode: options.locationCode })
+      };
+    } catch (error) {
+      console.error('Error reconciling stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring a product's ledger at a location in line with the quantity on hand there
+   * The difference is recorded as a count correction; quantities are not changed
+   * @param {number} productId - Product ID
+   * @param {Object} reconcileData - { locationCode, reason, performedBy }
+   * @returns {Promise<Object>} Reconciliation after the correction
+   */
+  async reconcileWithLedger(productId, reconcileData = {}) {
+    try {
+      const productIdNum = parseInt(productId);
+      const locationCode = reconcileData.locationCode || settings.inventory.defaultLocation;
+
+      const reconciliation = await databaseManager.withTransaction(async (session) => {
+        const before = await this.compareWithLedger(productIdNum, { session, locationCode });
+
+        await this.stockMovementService.record([{
+          productId: productIdNum,
+          quantityId: before.quantityId,
+          locationCode,
+          type: 'count_correction',
+          delta: before.difference,
+          quantityAfter: before.onHand,
+          reason: reconcileData.reason || 'Ledger reconciled with quantity on hand',
+          performedBy: reconcileData.performedBy
+        }], { session });
+
+        return { ...before, ledgerBalance: before.onHand, difference: 0, reconciled: true, corrected: before.difference };
+      });
+
+      return {
+        success: true,
+        data: reconciliation,
+        message: reconciliation.corrected === 0 ? 'Ledger already matches the quantity on hand' : 'Ledger reconciled successfully'
+      };
+    } catch (error) {
+      console.error('Error reconciling stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add up the quantity requested per product
+   * @param {Array} items - Lines carrying productId and quantity
+   * @returns {Map} Quantity by product ID
+   */
+  requestedByProduct(items) {
+    const requested = new Map();
+    for (const item of items) {
+      requested.set(item.productId, (requested.get(item.productId) || 0) + Number(item.quantity || 0));
+    }
+    return requested;
+  }
+
+  /**
+   * Load the quantity row of each requested product at a location
+   * @param {Map} requested - Quantity by product ID
+   * @param {Object} options - { session, locationCode }
+   * @returns {Promise<Map>} Row (or null) by product ID
+   */
+  async loadRows(requested, options = {}) {
+    const location = locationFilter(options.locationCode || settings.inventory.defaultLocation);
+    const rows = new Map();
+    for (const productId of requested.keys()) {
+      rows.set(productId, await this.getCollection().findOne(
+        Quantity.productFilter(productId, location),
+        { session: options.session }
+      ));
+    }
+    return rows;
+  }
+
+  /**
+   * Throw a 409 listing the lines whose product does not have enough stock
+   * @param {Array} items - Lines carrying productId, productName and quantity
+   * @param {Map} requested - Quantity by product ID
+   * @param {Map} rows - Quantity rows by product ID
+   * @param {Function} availableOf - Reads the usable quantity from a row
+   * @param {string} label - What the usable quantity is called in messages
+   */
+  assertEnoughStock(items, requested, rows, availableOf, label = 'available') {
+    const shortages = [];
+    items.forEach((item, index) => {
+      const row = rows.get(item.productId);
+      const available = availableOf(row);
+      const needed = requested.get(item.productId);
+
+      if (!row) {
+        shortages.push({
+          line: index + 1,
+          productId: item.productId,
+          productName: item.productName,
+          requested: needed,
+          available: 0,
+          message: `No stock record for ${item.productName || `product ${item.productId}`}`
+        });
+      } else if (available < needed) {
+        shortages.push({
+          line: index + 1,
+          productId: item.productId,
+          productName: item.productName,
+          requested: needed,
+          available,
+          message: `Insufficient stock for ${item.productName || `product ${item.productId}`}: requested ${needed}, ${label} ${available}`
+        });
+      }
+    });
+
+    if (shortages.length > 0) {
+      const error = new Error('Insufficient stock');
+      error.statusCode = 409;
+      error.details = shortages;
+      throw error;
+    }
+  }
+
+  /**
+   * Deduct stock for a set of sale lines at a location, the default location if none is given
+   * Lines for the same product are checked against the combined quantity
+   * Stock reserved for layaways is not available, unless fromReserved is set
+   * to sell the reserved stock itself, e.g. when a layaway completes
+   * Each product's deduction is recorded in the stock ledger as a sale unless
+   * the movement says otherwise
+   * @param {Array} items - Lines carrying productId, productName and quantity
+   * @param {Object} options - { session, locationCode, allowNegative, fromReserved,
+   *   movement: { type, reason, reference, performedBy } }
+   * @returns {Promise<Array>} Per-product deductions applied
+   */
+  async deductStock(items, options = {}) {
+    const {
+      session,
+      locationCode = settings.inventory.defaultLocation,
+      allowNegative = settings.inventory.allowNegativeStock,
+      fromReserved = false,
+      movement = {}
+    } = options;
+
+    const requested = this.requestedByProduct(items);
+    const rows = await this.loadRows(requested, { session, locationCode });
+
+    if (fromReserved) {
+      this.assertEnoughStock(items, requested, rows, Quantity.reservedOf, 'reserved');
+    } else if (!allowNegative) {
+      this.assertEnoughStock(items, requested, rows, Quantity.availableOf);
+    }
+
+    const deductions = [];
+    for (const [productId, quantity] of requested) {
+      const row = rows.get(productId);
+
+      if (!row) {
+        const created = Quantity.create({ productMysqlId: productId, quantitySize: -quantity, locationCode });
+        const inserted = await this.insertRow(created, { session });
+        deductions.push({ productId, quantityId: inserted.insertedId, quantity, remaining: -quantity });
+        continue;
+      }
+
+      const field = Quantity.sizeField(row);
+      const available = Quantity.sizeOf(row);
+      const filter = { _id: row._id };
+      const change = { [field]: -quantity };
+      if (fromReserved) {
+        filter.reservedQuantity = { $gte: quantity };
+        change.reservedQuantity = -quantity;
+      } else if (!allowNegative) {
+        filter.$expr = Quantity.availableAtLeast(field, quantity);
+      }
+
+      const result = await this.getCollection().updateOne(
+        filter,
+        {
+          $inc: change,
+          $set: { updatedDate: new Date() }
+        },
+        { session }
+      );
+
+      if (result.modifiedCount === 0) {
+        const error = new Error('Insufficient stock');
+        error.statusCode = 409;
+        error.details = [{
+          productId,
+          requested: quantity,
+          message: `Stock for product ${productId} changed while the sale was being recorded`
+        }];
+        throw error;
+      }
+
+      deductions.push({ productId, quantityId: row._id, quantity, remaining: available - quantity });
+    }
+
+    await this.stockMovementService.record(deductions.map(deduction => ({
+      type: 'sale',
+      ...movement,
+      productId: deduction.productId,
+      quantityId: deduction.quantityId,
+      locationCode,
+      delta: -deduction.quantity,
+      quantityAfter: deduction.remaining
+    })), { session });
+
+    return deductions;
+  }
+
+  /**
+   * Reserve stock for a set of lines without selling it, e.g. for a layaway
+   * Reserved stock stays on hand but cannot be sold to anyone else
+   * @param {Array} items - Lines carrying productId, productName and quantity
+   * @param {Object} options - { session, locationCode }
+   * @returns {Promise<Array>} Per-product reservations applied
+   */
+  async reserveStock(items, options = {}) {
+    const { session, locationCode } = options;
+
+    const requested = this.requestedByProduct(items);
+    const rows = await this.loadRows(requested, { session, locationCode });
+    this.assertEnoughStock(items, requested, rows, Quantity.availableOf);
+
+    const reservations = [];
+    for (const [productId, quantity] of requested) {
+      const row = rows.get(productId);
+      const result = await this.getCollection().updateOne(
+        { _id: row._id, $expr: Quantity.availableAtLeast(Quantity.sizeField(row), quantity) },
+        {
+          $inc: { reservedQuantity: quantity },
+          $set: { updatedDate: new Date() }
+        },
+        { session }
+      );
+
+      if (result.modifiedCount === 0) {
+        const error = new Error('Insufficient stock');
+        error.statusCode = 409;
+        error.details = [{
+          productId,
+          requested: quantity,
+          message: `Stock for product ${productId} changed while it was being reserved`
+        }];
+        throw error;
+      }
+
+      reservations.push({ productId, quantity, reserved: Quantity.reservedOf(row) + quantity });
+    }
+
+    return reservations;
+  }
+
+  /**
+   * Release stock reserved for a set of lines
+   * @param {Array} items - Lines carrying productId and quantity
+   * @param {Object} options - { session, locationCode }
+   * @returns {Promise<Array>} Per-product releases applied
+   */
+  async releaseStock(items, options = {}) {
+    const { session, locationCode = settings.inventory.defaultLocation } = options;
+
+    const releases = [];
+    for (const [productId, quantity] of this.requestedByProduct(items)) {
+      const row = await this.getCollection().findOneAndUpdate(
+        { ...Quantity.productFilter(productId, locationFilter(locationCode)), reservedQuantity: { $gte: quantity } },
+        {
+          $inc: { reservedQuantity: -quantity },
+          $set: { updatedDate: new Date() }
+        },
+        { returnDocument: 'after', session }
+      );
+
+      if (!row) {
+        throw new Error(`Reserved stock for product ${productId} is less than ${quantity}`);
+      }
+
+      releases.push({ productId, quantity, reserved: Quantity.reservedOf(row) });
+    }
+
+    return releases;
+  }
+
+  /**
+   * Put stock back for a set of lines at a location, e.g. returned or voided items
+   * Each product's addition is recorded in the stock ledger as a return unless
+   * the movement says otherwise
+   * @param {Array} items - Lines carrying productId and quantity
+   * @param {Object} options - { session, locationCode, movement: { type, reason, reference, performedBy } }
+   * @returns {Promise<Array>} Per-product additions applied
+   */
+  async restockItems(items, options = {}) {
+    const { session, locationCode = settings.inventory.defaultLocation, movement = {} } = options;
+
+    const returned = new Map();
+    for (const item of items) {
+      returned.set(item.productId, (returned.get(item.productId) || 0) + Number(item.quantity || 0));
+    }
+
+    const additions = [];
+    for (const [productId, quantity] of returned) {
+      const row = await this.getCollection().findOne(
+        Quantity.productFilter(productId, locationFilter(locationCode)),
+        { session }
+      );
+
+      if (!row) {
+        const created = Quantity.create({ productMysqlId: productId, quantitySize: quantity, locationCode });
+        const inserted = await this.insertRow(created, { session });
+        additions.push({ productId, quantityId: inserted.insertedId, quantity, remaining: quantity });
+        continue;
+      }
+
+      await this.getCollection().updateOne(
+        { _id: row._id },
+        {
+          $inc: { [Quantity.sizeField(row)]: quantity },
+          $set: { updatedDate: new Date() }
+        },
+        { session }
+      );
+
+      additions.push({ productId, quantityId: row._id, quantity, remaining: Quantity.sizeOf(row) + quantity });
+    }
+
+    await this.stockMovementService.record(additions.map(addition => ({
+      type: 'return',
+      ...movement,
+      productId: addition.productId,
+      quantityId: addition.quantityId,
+      locationCode,
+      delta: addition.quantity,
+      quantityAfter: addition.remaining
+    })), { session });
+
+    return additions;
+  }
 }
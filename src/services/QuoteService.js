@@ -0,0 +1,428 @@
+/**
+ * Quote Service
+ * Handles business logic for customer quotes and their conversion into sales
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Quote } from '../models/Quote.js';
+import { Sale } from '../models/Sale.js';
+import { PricingService } from './PricingService.js';
+import { SaleService } from './SaleService.js';
+import { toObjectId, roundToDecimals } from '../utils/helpers.js';
+
+// Quotes that lapse once their validity date passes
+const OPEN_STATUSES = ['draft', 'sent'];
+
+export class QuoteService {
+  constructor() {
+    this.collectionName = 'quotes';
+    this.pricingService = new PricingService();
+    this.saleService = new SaleService();
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  /**
+   * Expire draft and sent quotes that have passed their validity date
+   * Accepted quotes keep their prices until they are converted
+   * @returns {Promise<number>} Number of quotes expired
+   */
+  async expireStaleQuotes() {
+    const now = new Date();
+    const result = await this.getCollection().updateMany(
+      { status: { $in: OPEN_STATUSES }, validUntil: { $lt: now } },
+      { $set: { status: 'expired', updatedDate: now } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Find a quote, expiring it first if its validity date has passed
+   * @param {string} id - Quote ID
+   * @returns {Promise<Object>} Quote document
+   */
+  async findQuote(id) {
+    await this.expireStaleQuotes();
+
+    const quote = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+
+    return quote;
+  }
+
+  /**
+   * Price the lines of a quote as a sale would be priced, without redeeming anything
+   * @param {Quote} quote - Quote model
+   * @returns {Promise<Quote>} The quote with priced lines and totals
+   */
+  async priceQuote(quote) {
+    const sale = Sale.create({ customerId: quote.customerId, saleItems: quote.saleItems });
+    await this.pricingService.priceSale(sale, { couponCodes: quote.couponCodes }, { strict: false });
+
+    quote.saleItems = sale.saleItems;
+    quote.discountLines = sale.discountLines;
+    quote.subTotal = sale.subTotal;
+    quote.discountAmount = sale.discountAmount;
+    quote.taxAmount = sale.taxAmount;
+    quote.taxSummary = sale.taxSummary;
+    quote.pricesIncludeTax = sale.pricesIncludeTax;
+    quote.totalAmount = sale.totalAmount;
+    return quote;
+  }
+
+  /**
+   * Create a draft quote priced from the product catalog
+   * @param {Object} quoteData - Quote data
+   * @returns {Promise<Object>} Created quote
+   */
+  async createQuote(quoteData) {
+    try {
+      const quote = Quote.create(quoteData, settings.quotes.validityDays);
+      const validation = quote.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      await this.priceQuote(quote);
+      const result = await this.getCollection().insertOne(quote.toDocument());
+
+      return {
+        success: true,
+        data: Quote.fromDocument({ ...quote.toDocument(), _id: result.insertedId }),
+        message: 'Quote created successfully'
+      };
+    } catch (error) {
+      console.error('Error creating quote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get quotes with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Quotes list
+   */
+  async getQuotes(options = {}) {
+    try {
+      const { page = 1, limit = 10, status, customerId } = options;
+      const skip = (page - 1) * limit;
+
+      await this.expireStaleQuotes();
+
+      let filter = {};
+
+      if (status && status !== 'all') {
+        filter.status = status;
+      }
+
+      if (customerId) {
+        filter.customerId = customerId;
+      }
+
+      const quotes = await this.getCollection()
+        .find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: quotes.map(quote => Quote.fromDocument(quote)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching quotes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get quote by ID
+   * @param {string} id - Quote ID
+   * @returns {Promise<Object>} Quote data
+   */
+  async getQuoteById(id) {
+    try {
+      const quote = await this.findQuote(id);
+
+      return {
+        success: true,
+        data: Quote.fromDocument(quote)
+      };
+    } catch (error) {
+      console.error('Error fetching quote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the lines, customer or validity of a draft or sent quote and price it again
+   * A revised quote goes back to draft so it has to be sent again
+   * @param {string} id - Quote ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>} Updated quote
+   */
+  async updateQuote(id, updateData) {
+    try {
+      const existing = await this.findQuote(id);
+
+      if (!OPEN_STATUSES.includes(existing.status)) {
+        throw new Error(`Quote is ${existing.status}`);
+      }
+
+      const quote = Quote.create({ ...existing, ...updateData }, settings.quotes.validityDays);
+      const validation = quote.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      await this.priceQuote(quote);
+
+      const result = await this.getCollection().findOneAndUpdate(
+        { _id: existing._id, status: { $in: OPEN_STATUSES } },
+        {
+          $set: {
+            customerId: quote.customerId,
+            customerContact: quote.customerContact,
+            saleItems: quote.toDocument().saleItems,
+            couponCodes: quote.couponCodes,
+            discountLines: quote.discountLines,
+            subTotal: quote.subTotal,
+            discountAmount: quote.discountAmount,
+            taxAmount: quote.taxAmount,
+            taxSummary: quote.taxSummary,
+            pricesIncludeTax: quote.pricesIncludeTax,
+            totalAmount: quote.totalAmount,
+            note: quote.note,
+            validUntil: quote.validUntil,
+            status: 'draft',
+            sentDate: null,
+            updatedDate: new Date()
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        throw new Error('Quote is no longer open');
+      }
+
+      return {
+        success: true,
+        data: Quote.fromDocument(result),
+        message: 'Quote updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating quote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a quote from one of the given statuses to a new one
+   * @param {string} id - Quote ID
+   * @param {Array<string>} from - Statuses the quote may be in
+   * @param {string} to - New status
+   * @param {Object} fields - Other fields to set
+   * @returns {Promise<Object>} Updated quote document
+   */
+  async transition(id, from, to, fields = {}) {
+    const existing = await this.findQuote(id);
+
+    const result = await this.getCollection().findOneAndUpdate(
+      { _id: existing._id, status: { $in: from } },
+      { $set: { ...fields, status: to, updatedDate: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!result) {
+      const current = await this.getCollection().findOne({ _id: existing._id });
+      throw new Error(`Quote is ${current ? current.status : existing.status}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Mark a draft quote as sent to the customer
+   * @param {string} id - Quote ID
+   * @returns {Promise<Object>} Sent quote
+   */
+  async sendQuote(id) {
+    try {
+      const result = await this.transition(id, ['draft'], 'sent', { sentDate: new Date() });
+
+      return {
+        success: true,
+        data: Quote.fromDocument(result),
+        message: 'Quote marked as sent'
+      };
+    } catch (error) {
+      console.error('Error sending quote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the customer's acceptance of a quote that is still valid
+   * @param {string} id - Quote ID
+   * @param {Object} acceptData - { acceptedBy }
+   * @returns {Promise<Object>} Accepted quote
+   */
+  async acceptQuote(id, acceptData = {}) {
+    try {
+      const result = await this.transition(id, OPEN_STATUSES, 'accepted', {
+        acceptedDate: new Date(),
+        acceptedBy: acceptData.acceptedBy || null
+      });
+
+      return {
+        success: true,
+        data: Quote.fromDocument(result),
+        message: 'Quote accepted successfully'
+      };
+    } catch (error) {
+      console.error('Error accepting quote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare the quoted unit prices with the products' current salePrice
+   * @param {Quote} quote - Quote model
+   * @returns {Promise<Array>} { lineIndex, productId, productName, quotedPrice, currentPrice, difference } for changed lines
+   */
+  async priceChanges(quote) {
+    const { items } = await this.pricingService.priceItems(quote.saleItems);
+
+    return items
+      .map((item, index) => ({
+        lineIndex: index,
+        productId: item.productId,
+        productName: item.productName,
+        quotedPrice: quote.saleItems[index].unitPrice,
+        currentPrice: item.unitPrice,
+        difference: roundToDecimals(item.unitPrice - quote.saleItems[index].unitPrice)
+      }))
+      .filter(change => Math.abs(change.difference) > settings.pricing.tolerance);
+  }
+
+  /**
+   * Turn an accepted quote into a sale through the normal sale creation path
+   * Lines keep their quoted unit price unless repriceChanged is set, in which case lines
+   * whose product salePrice has changed since the quote was priced use the current price
+   * The quote is claimed, the sale created and the quote marked converted in one
+   * transaction, so it cannot be converted twice and a failed sale leaves it accepted.
+   * Only the payment and register come from the request; the lines and coupons are the quote's
+   * @param {string} id - Quote ID
+   * @param {Object} saleData - { tenders, paidAmount, paymentMethod, registerId, repriceChanged }
+   * @returns {Promise<Object>} Created sale with the price changes found
+   */
+  async convertQuote(id, saleData = {}) {
+    try {
+      const { repriceChanged = false, tenders, paidAmount, paymentMethod, registerId } = saleData;
+      const existing = await this.findQuote(id);
+
+      if (existing.status !== 'accepted') {
+        throw new Error(`Quote is ${existing.status}`);
+      }
+
+      const quote = Quote.fromDocument(existing);
+      const priceChanges = await this.priceChanges(quote);
+      const repriced = new Set(repriceChanged ? priceChanges.map(change => change.lineIndex) : []);
+
+      const result = await databaseManager.withTransaction(async (session) => {
+        const claimed = await this.getCollection().findOneAndUpdate(
+          { _id: existing._id, status: 'accepted' },
+          { $set: { status: 'converted', convertedDate: new Date(), updatedDate: new Date() } },
+          { returnDocument: 'after', session }
+        );
+
+        if (!claimed) {
+          throw new Error('Quote is no longer accepted');
+        }
+
+        const result = await this.saleService.createSale({
+          customerId: quote.customerId || undefined,
+          customerContact: quote.customerContact,
+          saleItems: quote.saleItems.map(item => ({
+            productId: item.productId,
+            productName: item.productName,
+            category: item.category,
+            quantity: item.quantity
+          })),
+          couponCodes: quote.couponCodes,
+          tenders,
+          paidAmount,
+          paymentMethod,
+          registerId
+        }, {
+          unitPrices: quote.saleItems.map((item, index) => (repriced.has(index) ? undefined : item.unitPrice)),
+          session
+        });
+
+        await this.getCollection().updateOne(
+          { _id: claimed._id },
+          { $set: { convertedSaleRef: result.data.id } },
+          { session }
+        );
+
+        return result;
+      });
+
+      return {
+        ...result,
+        priceChanges: priceChanges.map(change => ({
+          ...change,
+          repriced: repriced.has(change.lineIndex)
+        })),
+        message: 'Quote converted successfully'
+      };
+    } catch (error) {
+      console.error('Error converting quote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a quote that has not been accepted
+   * @param {string} id - Quote ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteQuote(id) {
+    try {
+      const existing = await this.findQuote(id);
+      const result = await this.getCollection().deleteOne({
+        _id: existing._id,
+        status: { $in: [...OPEN_STATUSES, 'expired'] }
+      });
+
+      if (result.deletedCount === 0) {
+        throw new Error(`Quote is ${existing.status}`);
+      }
+
+      return {
+        success: true,
+        message: 'Quote deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting quote:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * Receipt Service
+ * Renders stored sales as printable receipts in text, ESC/POS and PDF formats
+ */
+import settings from '../config/settings.js';
+import { SaleService } from './SaleService.js';
+import { GiftCard } from '../models/GiftCard.js';
+import { encodeEscPos } from '../utils/escpos.js';
+import { renderPdf } from '../utils/pdf.js';
+import { storeClock } from '../utils/businessDay.js';
+
+export const RECEIPT_FORMATS = ['text', 'escpos', 'pdf'];
+
+export class ReceiptService {
+  constructor(template = settings.receipt) {
+    this.template = template;
+    this.saleService = new SaleService();
+    this.sections = {
+      header: sale => this.renderHeader(sale),
+      meta: sale => this.renderMeta(sale),
+      items: sale => this.renderItems(sale),
+      totals: sale => this.renderTotals(sale),
+      tenders: sale => this.renderTenders(sale),
+      footer: sale => this.renderFooter(sale)
+    };
+  }
+
+  /**
+   * Render the receipt for a stored sale
+   * @param {string} id - Sale ID
+   * @param {string} format - text, escpos or pdf
+   * @returns {Promise<Object>} { contentType, body, filename }
+   */
+  async getReceipt(id, format = 'text') {
+    try {
+      if (!RECEIPT_FORMATS.includes(format)) {
+        throw new Error(`Validation failed: format must be one of: ${RECEIPT_FORMATS.join(', ')}`);
+      }
+
+      const { data: sale } = await this.saleService.getSaleById(id);
+      const lines = this.buildLayout(sale);
+      const filename = `receipt-${sale.saleId || sale.id}`;
+
+      switch (format) {
+        case 'escpos':
+          return {
+            contentType: 'application/octet-stream',
+            body: encodeEscPos(lines),
+            filename: `${filename}.bin`
+          };
+        case 'pdf':
+          return {
+            contentType: 'application/pdf',
+            body: renderPdf(this.toTextLines(lines), { width: this.template.width }),
+            filename: `${filename}.pdf`
+          };
+        default:
+          return {
+            contentType: 'text/plain; charset=utf-8',
+            body: this.toTextLines(lines).map(line => line.text).join('\n') + '\n',
+            filename: `${filename}.txt`
+          };
+      }
+    } catch (error) {
+      console.error('Error rendering receipt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the layout lines for a sale from the configured sections
+   * @param {Sale} sale - Sale model
+   * @returns {Array<Object>} Lines with text, align, bold and size
+   */
+  buildLayout(sale) {
+    return this.template.sections
+      .filter(section => this.sections[section])
+      .flatMap(section => this.sections[section](sale));
+  }
+
+  /**
+   * Pad layout lines to the receipt width for plain-text output
+   * @param {Array<Object>} lines - Layout lines
+   * @returns {Array<Object>} Lines whose text is already aligned
+   */
+  toTextLines(lines) {
+    const width = this.template.width;
+    return lines.map(line => {
+      const text = String(line.text).slice(0, width);
+      const space = width - text.length;
+      let aligned = text;
+      if (line.align === 'center') {
+        aligned = ' '.repeat(Math.floor(space / 2)) + text;
+      } else if (line.align === 'right') {
+        aligned = ' '.repeat(space) + text;
+      }
+      return { ...line, text: aligned.trimEnd() };
+    });
+  }
+
+  /**
+   * Format an amount with the configured currency symbol
+   * @param {number} amount - Amount
+   * @returns {string} Formatted amount
+   */
+  money(amount) {
+    return `${this.template.currency}${Number(amount || 0).toFixed(2)}`;
+  }
+
+  /**
+   * Format a moment as YYYY-MM-DD HH:MM in the store's time zone
+   * @param {Date} date - Moment
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    const clock = storeClock(date);
+    const pad = value => String(value).padStart(2, '0');
+    return `${clock.year}-${pad(clock.month)}-${pad(clock.day)} ${pad(clock.hour)}:${pad(clock.minute)}`;
+  }
+
+  /**
+   * Line with text on the left and a value on the right
+   * @param {string} left - Left text
+   * @param {string} right - Right text
+   * @param {Object} style - { bold }
+   * @returns {Object} Layout line
+   */
+  columns(left, right, style = {}) {
+    const width = this.template.width;
+    const room = Math.max(width - right.length - 1, 1);
+    const label = left.length > room ? left.slice(0, room) : left;
+    return {
+      text: label + ' '.repeat(width - label.length - right.length) + right,
+      align: 'left',
+      bold: Boolean(style.bold)
+    };
+  }
+
+  /**
+   * Full-width divider line
+   * @returns {Object} Layout line
+   */
+  divider() {
+    return { text: '-'.repeat(this.template.width), align: 'left' };
+  }
+
+  /**
+   * Split text into lines no wider than the receipt
+   * @param {string} text - Text to wrap
+   * @returns {Array<string>} Wrapped lines
+   */
+  wrap(text) {
+    const width = this.template.width;
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    const wrapped = [];
+    let current = '';
+
+    for (const word of words) {
+      if (!current) {
+        current = word.slice(0, width);
+      } else if (current.length + 1 + word.length <= width) {
+        current += ` ${word}`;
+      } else {
+        wrapped.push(current);
+        current = word.slice(0, width);
+      }
+    }
+
+    if (current) wrapped.push(current);
+    return wrapped;
+  }
+
+  /**
+   * Store name, address and contact details
+   * @returns {Array<Object>} Layout lines
+   */
+  renderHeader() {
+    const { store } = this.template;
+    const lines = [{ text: store.name, align: 'center', bold: true, size: 'double' }];
+
+    store.address.forEach(line => lines.push({ text: line, align: 'center' }));
+    if (store.phone) lines.push({ text: `Tel: ${store.phone}`, align: 'center' });
+    if (store.taxId) lines.push({ text: `Tax ID: ${store.taxId}`, align: 'center' });
+
+    return lines;
+  }
+
+  /**
+   * Sale number, date in the store's time zone, register and customer
+   * @param {Sale} sale - Sale model
+   * @returns {Array<Object>} Layout lines
+   */
+  renderMeta(sale) {
+    const lines = [this.divider()];
+    const date = new Date(sale.saleDate);
+
+    lines.push(this.columns('Sale No:', String(sale.saleId || '')));
+    lines.push(this.columns('Date:', Number.isNaN(date.getTime()) ? '' : this.formatDate(date)));
+    if (sale.registerId) lines.push(this.columns('Register:', String(sale.registerId)));
+    if (sale.customerContact) lines.push(this.columns('Customer:', String(sale.customerContact)));
+
+    if (sale.status === 'voided') {
+      lines.push({ text: '*** VOIDED ***', align: 'center', bold: true });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Line items with quantity, unit price and line discounts
+   * Promotion, coupon and points discounts are listed by source, the rest as 'Discount'
+   * @param {Sale} sale - Sale model
+   * @returns {Array<Object>} Layout lines
+   */
+  renderItems(sale) {
+    const lines = [this.divider()];
+    const discountLines = sale.discountLines || [];
+
+    sale.saleItems.forEach((item, index) => {
+      const subTotal = item.subTotal || (item.quantity * item.unitPrice);
+      const promotions = discountLines.filter(line => line.lineIndex === index);
+      const otherDiscount = (item.discountAmount || 0) -
+        promotions.reduce((sum, line) => sum + line.amount, 0);
+
+      this.wrap(item.productName || `Product ${item.productId}`)
+        .forEach(text => lines.push({ text, align: 'left' }));
+      lines.push(this.columns(`  ${item.quantity} x ${this.money(item.unitPrice)}`, this.money(subTotal)));
+      if (otherDiscount > 0.005) {
+        lines.push(this.columns('  Discount', `-${this.money(otherDiscount)}`));
+      }
+      promotions.forEach(line => {
+        const label = line.promotionName || (line.couponCode ? `Coupon ${line.couponCode}` : 'Points redeemed');
+        lines.push(this.columns(`  ${label}`, `-${this.money(line.amount)}`));
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Subtotal, discount, tax per rate and total
+   * @param {Sale} sale - Sale model
+   * @returns {Array<Object>} Layout lines
+   */
+  renderTotals(sale) {
+    const lines = [this.divider(), this.columns('Subtotal', this.money(sale.subTotal))];
+    const summary = sale.taxSummary || [];
+    const taxLines = summary.length > 0
+      ? summary.map(group => this.columns(
+        `${sale.pricesIncludeTax ? 'Incl. ' : ''}${group.exempt ? group.name : `${group.name} ${group.rate}%`}`,
+        this.money(group.taxAmount)
+      ))
+      : [this.columns('Tax', this.money(sale.taxAmount))];
+
+    if (sale.discountAmount > 0) {
+      lines.push(this.columns('Discount', `-${this.money(sale.discountAmount)}`));
+    }
+
+    // Inclusive prices show the tax they contain after the total
+    if (sale.pricesIncludeTax) {
+      lines.push(this.columns('TOTAL', this.money(sale.totalAmount), { bold: true }));
+      lines.push(...taxLines);
+    } else {
+      lines.push(...taxLines);
+      lines.push(this.columns('TOTAL', this.money(sale.totalAmount), { bold: true }));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Tenders, change given and loyalty points
+   * @param {Sale} sale - Sale model
+   * @returns {Array<Object>} Layout lines
+   */
+  renderTenders(sale) {
+    const lines = [this.divider()];
+    const tenders = sale.tenders && sale.tenders.length > 0
+      ? sale.tenders
+      : [{ method: sale.paymentMethod || 'Paid', amount: sale.paidAmount }];
+
+    for (const tender of tenders) {
+      // Gift card codes are bearer credentials; print only the last digits
+      const shown = tender.method === settings.giftCards.tenderMethod
+        ? GiftCard.mask(tender.reference)
+        : tender.reference;
+      const reference = shown ? ` (${shown})` : '';
+      lines.push(this.columns(`${tender.method}${reference}`, this.money(tender.amount)));
+    }
+    lines.push(this.columns('Change', this.money(sale.changeAmount)));
+
+    if (sale.loyalty) {
+      lines.push(this.columns('Points earned', String(sale.loyalty.pointsEarned || 0)));
+      if (sale.loyalty.pointsRedeemed > 0) {
+        lines.push(this.columns('Points redeemed', String(sale.loyalty.pointsRedeemed)));
+      }
+      lines.push(this.columns('Points balance', String(sale.loyalty.balance ?? '')));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Configured footer lines
+   * @returns {Array<Object>} Layout lines
+   */
+  renderFooter() {
+    return [
+      this.divider(),
+      ...this.template.footer.map(text => ({ text, align: 'center' }))
+    ];
+  }
+}
@@ -0,0 +1,412 @@
+/**
+ * Report Service
+ * Builds end-of-day X reports (mid-day snapshots) and Z reports (the final close
+ * that locks a register's business day) from the sales and returns recorded on it
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { ZReport } from '../models/ZReport.js';
+import { toObjectId, roundToDecimals } from '../utils/helpers.js';
+import { businessDayOf, businessDayRange, isBusinessDay } from '../utils/businessDay.js';
+
+export class ReportService {
+  constructor() {
+    this.collectionName = 'zReports';
+    this.saleCollectionName = 'sales';
+    this.returnCollectionName = 'returns';
+    this.counterCollectionName = 'counters';
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  getSaleCollection() {
+    return databaseManager.getCollection(this.saleCollectionName);
+  }
+
+  getReturnCollection() {
+    return databaseManager.getCollection(this.returnCollectionName);
+  }
+
+  getCounterCollection() {
+    return databaseManager.getCollection(this.counterCollectionName);
+  }
+
+  /**
+   * Business day a moment falls in, as YYYY-MM-DD in the store's time zone
+   * @param {Date|string} date - Moment
+   * @returns {string} Business day
+   */
+  businessDay(date = new Date()) {
+    return businessDayOf(date);
+  }
+
+  /**
+   * First moment of a business day and the first moment of the next one
+   * @param {string} day - Business day as YYYY-MM-DD
+   * @returns {Object} { start, end }
+   */
+  dayRange(day) {
+    return businessDayRange(day);
+  }
+
+  /**
+   * Read a business day from a request, defaulting to today
+   * @param {string} value - Business day as YYYY-MM-DD
+   * @returns {string} Business day
+   */
+  parseDay(value) {
+    if (value === undefined || value === null || value === '') {
+      return this.businessDay();
+    }
+
+    const day = String(value);
+    if (!isBusinessDay(day)) {
+      throw new Error('Validation failed: Business day must be a date as YYYY-MM-DD');
+    }
+
+    return day;
+  }
+
+  /**
+   * Z report closing the business day a moment falls in on a register, if any
+   * Days still being closed count as closed so nothing lands in them meanwhile
+   * @param {string} registerId - Register ID
+   * @param {Date|string} date - Moment
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Z report document
+   */
+  async findDayClose(registerId, date, options = {}) {
+    if (!registerId || !date || Number.isNaN(new Date(date).getTime())) return null;
+
+    return this.getCollection().findOne(
+      { storeId: settings.storeId, registerId, businessDay: this.businessDay(date) },
+      { session: options.session }
+    );
+  }
+
+  /**
+   * Write a register's business day document inside a transaction
+   * Sales, returns and voids dated in the day and the Z report closing it all
+   * write it, so a transaction doing one conflicts with one doing the other and
+   * they take effect one after the other
+   * @param {string} registerId - Register ID
+   * @param {string} day - Business day as YYYY-MM-DD
+   * @param {Object} options - { session }
+   * @returns {Promise<void>}
+   */
+  async lockDay(registerId, day, options = {}) {
+    await this.getCounterCollection().updateOne(
+      { _id: ['businessDay', settings.storeId, registerId, day].join(':') },
+      {
+        $inc: { writes: 1 },
+        $set: { updatedDate: new Date() },
+        $setOnInsert: { storeId: settings.storeId, registerId, businessDay: day }
+      },
+      { upsert: true, session: options.session }
+    );
+  }
+
+  /**
+   * Throw when the business day a moment falls in has been Z-closed on the register
+   * Inside a transaction the day is locked first, so a close cannot start
+   * until the transaction has committed and is then totalled with it
+   * @param {string} registerId - Register ID
+   * @param {Date|string} date - Moment
+   * @param {Object} options - { session }
+   * @returns {Promise<void>}
+   */
+  async assertDayOpen(registerId, date, options = {}) {
+    if (options.session && registerId && date && !Number.isNaN(new Date(date).getTime())) {
+      await this.lockDay(registerId, this.businessDay(date), options);
+    }
+
+    const closed = await this.findDayClose(registerId, date, options);
+
+    if (closed) {
+      const error = new Error(`Business day ${closed.businessDay} is closed for register ${registerId}`);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Total a register's business day
+   * Gross sales are before discounts; voided sales are reported apart and left
+   * out of every other figure, and returns count by the day they were taken
+   * @param {string} registerId - Register ID
+   * @param {string} day - Business day as YYYY-MM-DD
+   * @returns {Promise<Object>} Day totals
+   */
+  async summarise(registerId, day) {
+    const { start, end } = this.dayRange(day);
+    const dayFilter = { registerId, saleDate: { $gte: start, $lt: end } };
+    const completed = { ...dayFilter, status: { $ne: 'voided' } };
+    const sales = this.getSaleCollection();
+
+    const [totals, voids, taxRows, tenderRows, first, last, returnRows] = await Promise.all([
+      sales.aggregate([
+        { $match: completed },
+        {
+          $group: {
+            _id: null,
+            transactionCount: { $sum: 1 },
+            grossSales: { $sum: '$subTotal' },
+            discounts: { $sum: '$discountAmount' },
+            taxAmount: { $sum: '$taxAmount' },
+            netSales: { $sum: '$totalAmount' }
+          }
+        }
+      ]).toArray(),
+      sales.aggregate([
+        { $match: { ...dayFilter, status: 'voided' } },
+        { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$totalAmount' } } }
+      ]).toArray(),
+      sales.aggregate([
+        { $match: completed },
+        { $unwind: '$taxSummary' },
+        {
+          $group: {
+            _id: { taxClass: '$taxSummary.taxClass', rate: '$taxSummary.rate' },
+            name: { $first: '$taxSummary.name' },
+            taxableAmount: { $sum: '$taxSummary.taxableAmount' },
+            taxAmount: { $sum: '$taxSummary.taxAmount' }
+          }
+        },
+        { $sort: { '_id.rate': -1, '_id.taxClass': 1 } }
+      ]).toArray(),
+      sales.aggregate([
+        { $match: completed },
+        { $unwind: '$tenders' },
+        {
+          $group: {
+            _id: '$tenders.method',
+            count: { $sum: 1 },
+            amount: { $sum: { $ifNull: ['$tenders.appliedAmount', '$tenders.amount'] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]).toArray(),
+      sales.find(dayFilter).sort({ saleDate: 1, timestamp: 1 }).limit(1).toArray(),
+      sales.find(dayFilter).sort({ saleDate: -1, timestamp: -1 }).limit(1).toArray(),
+      this.getReturnCollection().aggregate([
+        { $match: { registerId, returnDate: { $gte: start, $lt: end } } },
+        { $group: { _id: '$refundMethod', count: { $sum: 1 }, amount: { $sum: '$refundAmount' } } },
+        { $sort: { _id: 1 } }
+      ]).toArray()
+    ]);
+
+    const total = totals[0] || {};
+    const returns = returnRows.map(row => ({ method: row._id, count: row.count, amount: roundToDecimals(row.amount) }));
+
+    return {
+      storeId: settings.storeId,
+      registerId,
+      businessDay: day,
+      startsAt: start,
+      endsAt: end,
+      grossSales: roundToDecimals(total.grossSales || 0),
+      discounts: roundToDecimals(total.discounts || 0),
+      netSales: roundToDecimals(total.netSales || 0),
+      taxAmount: roundToDecimals(total.taxAmount || 0),
+      taxByRate: taxRows.map(row => ({
+        taxClass: row._id.taxClass,
+        name: row.name,
+        rate: row._id.rate,
+        taxableAmount: roundToDecimals(row.taxableAmount),
+        taxAmount: roundToDecimals(row.taxAmount)
+      })),
+      tenders: tenderRows.map(row => ({ method: row._id, count: row.count, amount: roundToDecimals(row.amount) })),
+      returns: {
+        count: returns.reduce((sum, row) => sum + row.count, 0),
+        amount: roundToDecimals(returns.reduce((sum, row) => sum + row.amount, 0)),
+        byMethod: returns
+      },
+      voids: {
+        count: voids[0] ? voids[0].count : 0,
+        amount: roundToDecimals(voids[0] ? voids[0].amount : 0)
+      },
+      transactionCount: total.transactionCount || 0,
+      firstSaleNumber: first[0] ? first[0].saleId : null,
+      lastSaleNumber: last[0] ? last[0].saleId : null
+    };
+  }
+
+  /**
+   * X report: a snapshot of a register's business day that can be run any number of times
+   * @param {string} registerId - Register ID
+   * @param {string} businessDay - Business day as YYYY-MM-DD, today by default
+   * @returns {Promise<Object>} X report
+   */
+  async getXReport(registerId, businessDay) {
+    try {
+      if (!registerId || String(registerId).trim() === '') {
+        throw new Error('Validation failed: Register ID is required');
+      }
+
+      const day = this.parseDay(businessDay);
+      const summary = await this.summarise(registerId, day);
+      const close = await this.getCollection().findOne({ storeId: settings.storeId, registerId, businessDay: day });
+
+      return {
+        success: true,
+        data: {
+          type: 'X',
+          ...summary,
+          closed: Boolean(close),
+          zReportId: close ? close._id : null,
+          generatedAt: new Date()
+        }
+      };
+    } catch (error) {
+      console.error('Error building X report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Z report: close a register's business day
+   * The day is claimed first, so sales, updates and voids dated in it are refused
+   * while it is totalled; the claim locks the day, so it waits for any of them
+   * still in progress to commit. The report then takes the register's next Z
+   * sequence number and is kept permanently. A failed close gives the day back
+   * @param {Object} closeData - { registerId, businessDay, closedBy, note }
+   * @returns {Promise<Object>} Z report
+   */
+  async closeDay(closeData = {}) {
+    try {
+      const day = this.parseDay(closeData.businessDay);
+
+      if (day > this.businessDay()) {
+        throw new Error('Validation failed: Business day cannot be in the future');
+      }
+
+      const report = ZReport.create({ ...closeData, storeId: settings.storeId, businessDay: day });
+      const validation = report.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      let claimed;
+      try {
+        claimed = await databaseManager.withTransaction(async (session) => {
+          await this.lockDay(report.registerId, day, { session });
+          return this.getCollection().insertOne(report.toDocument(), { session });
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          const conflict = new Error(`Business day ${day} is already closed for register ${report.registerId}`);
+          conflict.statusCode = 409;
+          throw conflict;
+        }
+        throw error;
+      }
+
+      try {
+        const summary = await this.summarise(report.registerId, day);
+
+        const closed = await databaseManager.withTransaction(async (session) => {
+          const counter = await this.getCounterCollection().findOneAndUpdate(
+            { _id: ['zReport', settings.storeId, report.registerId].join(':') },
+            {
+              $inc: { sequence: 1 },
+              $set: { updatedDate: new Date() },
+              $setOnInsert: { storeId: settings.storeId, registerId: report.registerId }
+            },
+            { upsert: true, returnDocument: 'after', session }
+          );
+
+          return this.getCollection().findOneAndUpdate(
+            { _id: claimed.insertedId, status: 'closing' },
+            { $set: { ...summary, sequence: counter.sequence, status: 'closed', closedAt: new Date() } },
+            { returnDocument: 'after', session }
+          );
+        });
+
+        return {
+          success: true,
+          data: { type: 'Z', ...ZReport.fromDocument(closed) },
+          message: 'Business day closed successfully'
+        };
+      } catch (error) {
+        await this.getCollection().deleteOne({ _id: claimed.insertedId, status: 'closing' });
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error closing business day:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get Z reports with pagination, newest first
+   * @param {Object} options - { page, limit, registerId, startDate, endDate }
+   * @returns {Promise<Object>} Z reports list
+   */
+  async getZReports(options = {}) {
+    try {
+      const { page = 1, limit = 10, registerId, startDate, endDate } = options;
+      const skip = (page - 1) * limit;
+
+      let filter = { storeId: settings.storeId, status: 'closed' };
+
+      if (registerId) {
+        filter.registerId = registerId;
+      }
+
+      if (startDate || endDate) {
+        filter.businessDay = {};
+        if (startDate) filter.businessDay.$gte = this.parseDay(startDate);
+        if (endDate) filter.businessDay.$lte = this.parseDay(endDate);
+      }
+
+      const reports = await this.getCollection()
+        .find(filter)
+        .sort({ businessDay: -1, registerId: 1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: reports.map(report => ZReport.fromDocument(report)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching Z reports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get Z report by ID
+   * @param {string} id - Z report ID
+   * @returns {Promise<Object>} Z report
+   */
+  async getZReportById(id) {
+    try {
+      const report = await this.getCollection().findOne({ _id: toObjectId(id), status: 'closed' });
+
+      if (!report) {
+        throw new Error('Z report not found');
+      }
+
+      return {
+        success: true,
+        data: ZReport.fromDocument(report)
+      };
+    } catch (error) {
+      console.error('Error fetching Z report:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,454 @@
+/**
+ * Return Service
+ * Handles business logic for customer returns and refunds
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Return } from '../models/Return.js';
+import { QuantityService } from './QuantityService.js';
+import { ShiftService } from './ShiftService.js';
+import { ReportService } from './ReportService.js';
+import { LotService } from './LotService.js';
+import { LocationService } from './LocationService.js';
+import { LoyaltyService } from './LoyaltyService.js';
+import { AccountService } from './AccountService.js';
+import { roundToDecimals, toObjectId } from '../utils/helpers.js';
+import { locationOf } from '../utils/location.js';
+
+export class ReturnService {
+  constructor() {
+    this.collectionName = 'returns';
+    this.saleCollectionName = 'sales';
+    this.quantityService = new QuantityService();
+    this.shiftService = new ShiftService();
+    this.reportService = new ReportService();
+    this.lotService = new LotService();
+    this.locationService = new LocationService();
+    this.loyaltyService = new LoyaltyService();
+    this.accountService = new AccountService();
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  getSaleCollection() {
+    return databaseManager.getCollection(this.saleCollectionName);
+  }
+
+  /**
+   * Find the original sale by its sale number or MySQL ID
+   * @param {Object} reference - { saleId, mysqlId }
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Sale document
+   */
+  async findOriginalSale(reference, options = {}) {
+    const { session } = options;
+    let filter = null;
+
+    if (reference.saleId) {
+      filter = { saleId: reference.saleId };
+    } else if (reference.mysqlId) {
+      filter = { mysqlId: parseInt(reference.mysqlId) };
+    }
+
+    if (!filter) {
+      throw new Error('Validation failed: saleId or mysqlId of the original sale is required');
+    }
+
+    const sale = await this.getSaleCollection().findOne(filter, { session });
+
+    if (!sale) {
+      throw new Error('Sale not found');
+    }
+
+    return sale;
+  }
+
+  /**
+   * Summarise sold, returned and still returnable quantities per product
+   * @param {Object} sale - Sale document
+   * @param {Object} options - { session }
+   * @returns {Promise<Map>} Product ID to line summary
+   */
+  async getReturnableLines(sale, options = {}) {
+    const { session } = options;
+    const lines = new Map();
+
+    for (const item of sale.saleItems || []) {
+      const line = lines.get(item.productId) || {
+        productId: item.productId,
+        productName: item.productName,
+        sold: 0,
+        returned: 0,
+        netAmount: 0,
+        taxes: new Map()
+      };
+      const subTotal = item.subTotal || (item.quantity * item.unitPrice);
+      const lineValue = subTotal - (item.discountAmount || 0);
+      line.sold += item.quantity;
+      // Tax-inclusive lines already carry their tax in the price
+      line.netAmount += lineValue + (sale.pricesIncludeTax ? 0 : (item.taxAmount || 0));
+
+      // Sales recorded before tax classes have no per-line tax to give back
+      if (item.taxClass) {
+        const key = `${item.taxClass}:${item.taxRate || 0}`;
+        const tax = line.taxes.get(key) || { taxClass: item.taxClass, rate: item.taxRate || 0, taxableAmount: 0, taxAmount: 0 };
+        tax.taxableAmount += sale.pricesIncludeTax ? lineValue - (item.taxAmount || 0) : lineValue;
+        tax.taxAmount += item.taxAmount || 0;
+        line.taxes.set(key, tax);
+      }
+      lines.set(item.productId, line);
+    }
+
+    const previous = await this.getCollection().aggregate([
+      { $match: { saleRef: sale._id } },
+      { $unwind: '$returnItems' },
+      {
+        $group: {
+          _id: '$returnItems.productId',
+          returned: { $sum: '$returnItems.quantity' }
+        }
+      }
+    ], { session }).toArray();
+
+    for (const entry of previous) {
+      const line = lines.get(entry._id);
+      if (line) line.returned = entry.returned;
+    }
+
+    for (const line of lines.values()) {
+      line.returnable = line.sold - line.returned;
+      line.unitRefund = line.sold > 0 ? line.netAmount / line.sold : 0;
+    }
+
+    return lines;
+  }
+
+  /**
+   * Summarise the tax given back on returned items by tax class and rate
+   * Each sale line's recorded tax is taken in proportion to the quantity returned
+   * @param {Object} sale - Sale document
+   * @param {Map} lines - Returnable lines of the sale
+   * @param {Array<Object>} returnItems - Returned items
+   * @returns {Array<Object>} Tax summary entries
+   */
+  returnTaxSummary(sale, lines, returnItems) {
+    const classes = new Map((sale.taxSummary || []).map(entry => [`${entry.taxClass}:${entry.rate}`, entry]));
+    const groups = new Map();
+
+    for (const item of returnItems) {
+      const line = lines.get(item.productId);
+      if (!line || line.sold <= 0) continue;
+
+      const share = item.quantity / line.sold;
+      for (const [key, tax] of line.taxes) {
+        const recorded = classes.get(key) || {};
+        const group = groups.get(key) || {
+          taxClass: tax.taxClass,
+          name: recorded.name || tax.taxClass,
+          rate: tax.rate,
+          exempt: Boolean(recorded.exempt),
+          taxableAmount: 0,
+          taxAmount: 0
+        };
+        group.taxableAmount += tax.taxableAmount * share;
+        group.taxAmount += tax.taxAmount * share;
+        groups.set(key, group);
+      }
+    }
+
+    return Array.from(groups.values()).map(group => {
+      const taxableAmount = roundToDecimals(group.taxableAmount);
+      const taxAmount = roundToDecimals(group.taxAmount);
+      return { ...group, taxableAmount, taxAmount, grossAmount: roundToDecimals(taxableAmount + taxAmount) };
+    });
+  }
+
+  /**
+   * Record a return against an existing sale
+   * The return insert and the restock (back into the lots the items were sold
+   * from) commit together, and concurrent returns for the same sale are
+   * serialised through a write on the sale document. The points the sale earned
+   * and redeemed are reversed in proportion to the value returned, and the refund
+   * is taken off the sale's spend towards the customer's tier.
+   * Items go back to the location of the register taking the return, or the
+   * sale's location when no register is given; stock returned to another
+   * location than the one it was sold from goes back outside its lots
+   * @param {Object} returnData - Return data
+   * @returns {Promise<Object>} Created return
+   */
+  async createReturn(returnData) {
+    try {
+      const saleReference = { saleId: returnData.saleId, mysqlId: returnData.mysqlId };
+
+      const created = await databaseManager.withTransaction(async (session) => {
+        const sale = await this.findOriginalSale(saleReference, { session });
+
+        if (sale.status === 'voided') {
+          throw new Error('Validation failed: Cannot return items from a voided sale');
+        }
+
+        await this.getSaleCollection().updateOne(
+          { _id: sale._id },
+          { $set: { lastReturnDate: new Date() } },
+          { session }
+        );
+
+        const lines = await this.getReturnableLines(sale, { session });
+
+        const requested = new Map();
+        for (const item of returnData.returnItems || []) {
+          const productId = parseInt(item.productId);
+          requested.set(productId, (requested.get(productId) || 0) + Number(item.quantity || 0));
+        }
+
+        const violations = [];
+        for (const [productId, quantity] of requested) {
+          const line = lines.get(productId);
+          if (!line) {
+            violations.push({ productId, requested: quantity, message: `Product ${productId} was not sold on this sale` });
+          } else if (quantity > line.returnable) {
+            violations.push({
+              productId,
+              productName: line.productName,
+              sold: line.sold,
+              alreadyReturned: line.returned,
+              requested: quantity,
+              message: `Cannot return ${quantity} of ${line.productName || `product ${productId}`}: ${line.returnable} of ${line.sold} still returnable`
+            });
+          }
+        }
+
+        if (violations.length > 0) {
+          const error = new Error('Return exceeds quantities sold');
+          error.statusCode = 409;
+          error.details = violations;
+          throw error;
+        }
+
+        const returnItems = (returnData.returnItems || []).map(item => {
+          const productId = parseInt(item.productId);
+          const line = lines.get(productId);
+          return {
+            productId,
+            productName: line ? line.productName : item.productName,
+            quantity: Number(item.quantity),
+            refundAmount: line ? roundToDecimals(line.unitRefund * item.quantity) : 0,
+            reason: item.reason || ''
+          };
+        });
+
+        // Returned stock is traced to the lots it was sold from, restocked or not
+        const lots = await this.lotService.attributeReturn(sale, returnItems, { session });
+        returnItems.forEach((item, index) => {
+          item.lots = lots[index];
+        });
+
+        const calculatedRefund = roundToDecimals(
+          returnItems.reduce((total, item) => total + item.refundAmount, 0)
+        );
+        const returnedBefore = [...lines.values()].reduce((total, line) => total + line.returned * line.unitRefund, 0);
+
+        const refundAmount = returnData.refundAmount !== undefined ? Number(returnData.refundAmount) : calculatedRefund;
+
+        if (refundAmount > calculatedRefund) {
+          throw new Error(`Validation failed: Refund amount cannot exceed ${calculatedRefund}`);
+        }
+
+        const saleReturn = Return.create({
+          ...returnData,
+          locationCode: returnData.registerId
+            ? await this.locationService.locationForRegister(returnData.registerId, { session })
+            : locationOf(sale),
+          saleRef: sale._id,
+          saleId: sale.saleId,
+          saleMysqlId: sale.mysqlId,
+          customerId: sale.customerId,
+          returnItems,
+          refundAmount,
+          taxSummary: this.returnTaxSummary(sale, lines, returnItems)
+        });
+
+        const toAccount = saleReturn.refundMethod === settings.accounts.tenderMethod;
+        const validation = saleReturn.validate([...settings.returns.refundMethods, settings.accounts.tenderMethod]);
+
+        if (!validation.isValid) {
+          throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+        }
+
+        // A Z-closed day's report already counts every return taken on it
+        await this.reportService.assertDayOpen(saleReturn.registerId, saleReturn.returnDate, { session });
+
+        // Refunds paid out in a tender come out of the register's drawer
+        if (!toAccount && settings.payments.tenderTypes.includes(saleReturn.refundMethod) && saleReturn.refundAmount > 0) {
+          const shift = await this.shiftService.recordMovement(saleReturn.registerId, {
+            type: 'refund',
+            method: saleReturn.refundMethod,
+            amount: saleReturn.refundAmount,
+            reference: sale.saleId,
+            performedBy: saleReturn.processedBy
+          }, { session });
+          saleReturn.shiftId = shift ? shift._id : null;
+        }
+
+        await this.getSaleCollection().updateOne(
+          { _id: sale._id },
+          { $inc: { returnedAmount: saleReturn.refundAmount } },
+          { session }
+        );
+        saleReturn.loyalty = await this.loyaltyService.reverseReturn(sale, calculatedRefund, {
+          session,
+          performedBy: saleReturn.processedBy,
+          returnedBefore
+        });
+
+        // Refunds to the account come off what the customer owes for the sale
+        if (toAccount && saleReturn.refundAmount > 0) {
+          saleReturn.account = await this.accountService.creditReturn(sale, saleReturn.refundAmount, { session });
+        }
+
+        const result = await this.getCollection().insertOne(saleReturn.toDocument(), { session });
+
+        if (saleReturn.restock) {
+          await this.quantityService.restockItems(returnItems, {
+            session,
+            locationCode: saleReturn.locationCode,
+            movement: {
+              type: 'return',
+              reason: saleReturn.reason || 'Return',
+              reference: { type: 'return', id: result.insertedId, number: sale.saleId },
+              performedBy: saleReturn.processedBy
+            }
+          });
+          if (saleReturn.locationCode === locationOf(sale)) {
+            await this.lotService.restoreLots(lots, { session });
+          }
+        }
+
+        return { _id: result.insertedId, ...saleReturn.toDocument() };
+      });
+
+      return {
+        success: true,
+        data: Return.fromDocument(created),
+        message: 'Return recorded successfully'
+      };
+    } catch (error) {
+      console.error('Error creating return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all returns
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Returns list
+   */
+  async getAllReturns(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sortBy = 'timestamp',
+        sortOrder = -1,
+        saleId,
+        customerId
+      } = options;
+
+      const skip = (page - 1) * limit;
+      let filter = {};
+
+      if (saleId) {
+        filter.saleId = saleId;
+      }
+
+      if (customerId) {
+        filter.customerId = customerId;
+      }
+
+      const returns = await this.getCollection()
+        .find(filter)
+        .sort({ [sortBy]: sortOrder })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: returns.map(saleReturn => Return.fromDocument(saleReturn)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching returns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get return by ID
+   * @param {string} id - Return ID
+   * @returns {Promise<Object>} Return data
+   */
+  async getReturnById(id) {
+    try {
+      const saleReturn = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!saleReturn) {
+        throw new Error('Return not found');
+      }
+
+      return {
+        success: true,
+        data: Return.fromDocument(saleReturn)
+      };
+    } catch (error) {
+      console.error('Error fetching return:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the returns recorded against a sale and what is still returnable
+   * @param {Object} reference - { saleId, mysqlId }
+   * @returns {Promise<Object>} Returns and per-product summary
+   */
+  async getReturnsForSale(reference) {
+    try {
+      const sale = await this.findOriginalSale(reference);
+      const lines = await this.getReturnableLines(sale);
+
+      const returns = await this.getCollection()
+        .find({ saleRef: sale._id })
+        .sort({ timestamp: 1 })
+        .toArray();
+
+      return {
+        success: true,
+        data: {
+          saleId: sale.saleId,
+          mysqlId: sale.mysqlId,
+          lines: Array.from(lines.values()).map(line => ({
+            productId: line.productId,
+            productName: line.productName,
+            sold: line.sold,
+            returned: line.returned,
+            returnable: line.returnable,
+            unitRefund: roundToDecimals(line.unitRefund)
+          })),
+          returns: returns.map(saleReturn => Return.fromDocument(saleReturn))
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching returns for sale:', error);
+      throw error;
+    }
+  }
+}
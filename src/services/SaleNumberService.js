@@ -0,0 +1,87 @@
+/**
+ * Sale Number Service
+ * Issues sale numbers from an atomic counter collection
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { businessDayOf } from '../utils/businessDay.js';
+
+export class SaleNumberService {
+  constructor(options = settings.saleNumbers) {
+    this.collectionName = 'counters';
+    this.options = options;
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  /**
+   * Build the counter key for a sequence
+   * @param {string} registerId - Register issuing the sale
+   * @param {number} year - Year of the sale's business day
+   * @returns {string} Counter document ID
+   */
+  counterKey(registerId, year) {
+    const parts = ['sale', settings.storeId];
+    if (this.options.scope === 'register') parts.push(registerId);
+    if (this.options.yearlyReset) parts.push(year);
+    return parts.join(':');
+  }
+
+  /**
+   * Format a sequence value as a sale number
+   * @param {number} sequence - Counter value
+   * @param {string} registerId - Register issuing the sale
+   * @param {number} year - Year of the sale's business day
+   * @returns {string} Sale number
+   */
+  format(sequence, registerId, year) {
+    const prefix = this.options.prefix
+      .replace(/\{store\}/g, settings.storeId)
+      .replace(/\{register\}/g, registerId || '')
+      .replace(/\{year\}/g, String(year));
+
+    return prefix + String(sequence).padStart(this.options.padding, '0');
+  }
+
+  /**
+   * Issue the next sale number
+   * Call inside the sale's transaction so an aborted sale does not use up a number.
+   * The year is that of the business day the sale date falls in, in the store's time zone
+   * @param {Object} context - { registerId, date }
+   * @param {Object} options - { session }
+   * @returns {Promise<string>} Sale number
+   */
+  async nextSaleNumber(context = {}, options = {}) {
+    const { session } = options;
+    const { registerId, date = new Date() } = context;
+
+    if (this.options.scope === 'register' && !registerId) {
+      throw new Error('Validation failed: registerId is required to issue a sale number');
+    }
+
+    if (Number.isNaN(new Date(date).getTime())) {
+      throw new Error('Validation failed: Sale date must be a valid date');
+    }
+
+    const year = parseInt(businessDayOf(date).slice(0, 4), 10);
+    const key = this.counterKey(registerId, year);
+
+    const counter = await this.getCollection().findOneAndUpdate(
+      { _id: key },
+      {
+        $inc: { sequence: 1 },
+        $set: { updatedDate: new Date() },
+        $setOnInsert: {
+          storeId: settings.storeId,
+          registerId: this.options.scope === 'register' ? registerId : null,
+          year: this.options.yearlyReset ? year : null
+        }
+      },
+      { upsert: true, returnDocument: 'after', session }
+    );
+
+    return this.format(counter.sequence, registerId, year);
+  }
+}
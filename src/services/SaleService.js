@@ -2,13 +2,60 @@
  * Sale Service
  * Handles business logic for sale operations
  */
+import { ObjectId } from 'mongodb';
 import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
 import { Sale } from '../models/Sale.js';
 import { SaleItem } from '../models/SaleItem.js';
+import { QuantityService } from './QuantityService.js';
+import { PricingService } from './PricingService.js';
+import { ReturnService } from './ReturnService.js';
+import { SaleNumberService } from './SaleNumberService.js';
+import { GiftCardService } from './GiftCardService.js';
+import { CouponService } from './CouponService.js';
+import { LoyaltyService } from './LoyaltyService.js';
+import { AccountService } from './AccountService.js';
+import { ShiftService } from './ShiftService.js';
+import { ReportService } from './ReportService.js';
+import { LotService } from './LotService.js';
+import { LocationService } from './LocationService.js';
+import { toObjectId } from '../utils/helpers.js';
+import { dateRangeFilter, businessDayExpression } from '../utils/businessDay.js';
+import { locationOf } from '../utils/location.js';
+
+// Fields PUT can change, and the fields fixed once the sale is made. The register
+// and date place the sale in a business day, so they stay put for the Z report
+const UPDATABLE_SALE_FIELDS = ['mysqlId', 'customerId', 'customerContact'];
+const LOCKED_SALE_FIELDS = [
+  'registerId', 'saleDate', 'saleItems', 'tenders', 'paidAmount', 'paymentMethod', 'changeAmount',
+  'subTotal', 'taxAmount', 'discountAmount', 'totalAmount', 'couponCodes', 'couponCode', 'redeemPoints'
+];
 
 export class SaleService {
   constructor() {
     this.collectionName = 'sales';
+    this.quantityService = new QuantityService();
+    this.pricingService = new PricingService();
+    this.returnService = new ReturnService();
+    this.saleNumberService = new SaleNumberService();
+    this.giftCardService = new GiftCardService();
+    this.couponService = new CouponService();
+    this.loyaltyService = new LoyaltyService();
+    this.accountService = new AccountService();
+    this.shiftService = new ShiftService();
+    this.reportService = new ReportService();
+    this.lotService = new LotService();
+    this.locationService = new LocationService();
+  }
+
+  /**
+   * Filter excluding voided sales unless they are explicitly requested
+   * Sales recorded before voiding existed have no status and count as completed
+   * @param {boolean} includeVoided - Include voided sales
+   * @returns {Object} MongoDB filter
+   */
+  statusFilter(includeVoided = false) {
+    return includeVoided ? {} : { status: { $ne: 'voided' } };
   }
 
   getCollection() {
@@ -17,26 +64,110 @@ export class SaleService {
 
   /**
    * Create a new sale
+   * Lines are priced from the product catalog, then the sale number, the
+   * sale insert, the stock deduction for its lines and the lots they are
+   * picked from (first expired first out), any gift card, coupon
+   * and loyalty point redemptions, the points earned, the customer's tier
+   * and the receivable for any part bought on account commit together.
+   * Stock comes from the location the register belongs to.
+   * Sales cannot be dated in a business day the register has Z-closed
    * @param {Object} saleData - Sale data
+   * @param {Object} options - Set by the server, never by the client:
+   *   unitPrices locked in by a quote, pricedAt to evaluate promotions and coupons
+   *   at an earlier time, lockedPricing with the priced lines, discounts and tax of a layaway
+   *   to use instead of pricing the sale again, reservedStock to sell stock already reserved
+   *   for the lines, tendersCollected when the payments were taken earlier and already sit
+   *   in a shift's drawer, locationCode to sell from a location other than the register's,
+   *   e.g. where a layaway was reserved, and session to record the sale in a caller's transaction
    * @returns {Promise<Object>} Created sale
    */
-  async createSale(saleData) {
+  async createSale(saleData, options = {}) {
     try {
       const sale = Sale.create(saleData);
-      const validation = sale.validate();
-      
-      if (!validation.isValid) {
-        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+
+      // Quantities drive pricing, promotions and stock, so bad lines stop here
+      const lineErrors = sale.validateItems(settings.sales.maxLineQuantity);
+
+      if (lineErrors.length > 0) {
+        throw new Error(`Validation failed: ${lineErrors.join(', ')}`);
       }
 
-      // Calculate totals
-      sale.calculateTotals();
+      // Recompute prices and totals server-side, unless they were locked in earlier
+      const pricing = options.lockedPricing
+        ? this.pricingService.applyLockedPricing(sale, options.lockedPricing)
+        : await this.pricingService.priceSale(sale, saleData, {
+          unitPrices: options.unitPrices,
+          at: options.pricedAt,
+          session: options.session
+        });
+
+      let giftCards = [];
+      let receivable = null;
+
+      const result = await databaseManager.withTransaction(async (session) => {
+        // Numbers are issued by the server; a rolled back sale gives its number back
+        sale.saleId = await this.saleNumberService.nextSaleNumber(
+          { registerId: sale.registerId, date: sale.saleDate },
+          { session }
+        );
+
+        const validation = sale.validate(settings.payments.tenderTypes);
+        
+        if (!validation.isValid) {
+          throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+        }
 
-      const result = await this.getCollection().insertOne(sale.toDocument());
+        await this.reportService.assertDayOpen(sale.registerId, sale.saleDate, { session });
+
+        // The sale's tenders count towards the register's open shift
+        const shift = options.tendersCollected
+          ? null
+          : await this.shiftService.shiftFor(sale.registerId, { session });
+        sale.shiftId = shift ? shift._id : null;
+        sale.locationCode = options.locationCode
+          || await this.locationService.locationForRegister(sale.registerId, { session });
+
+        // The id is issued up front so the stock ledger can point at the sale
+        const saleRef = new ObjectId();
+        await this.quantityService.deductStock(sale.saleItems, {
+          session,
+          locationCode: sale.locationCode,
+          fromReserved: Boolean(options.reservedStock),
+          movement: {
+            type: 'sale',
+            reason: 'Sale',
+            reference: { type: 'sale', id: saleRef, number: sale.saleId },
+            performedBy: sale.registerId
+          }
+        });
+        await this.lotService.allocate(sale.saleItems, {
+          session,
+          at: sale.saleDate,
+          locationCode: sale.locationCode
+        });
+        giftCards = await this.giftCardService.redeemTenders(sale.tenders, {
+          session,
+          saleId: sale.saleId,
+          performedBy: sale.registerId
+        });
+        await this.couponService.redeemCoupons(sale, { session });
+        await this.loyaltyService.recordSale(sale, { session });
+        receivable = await this.accountService.chargeTenders(sale, { session });
+        const inserted = await this.getCollection().insertOne({ _id: saleRef, ...sale.toDocument() }, { session });
+
+        // The tier counts this sale's spend
+        if (sale.loyalty) {
+          await this.loyaltyService.refreshTier(sale.customerId, { session });
+        }
+        return inserted;
+      }, { session: options.session });
       
       return {
         success: true,
         data: Sale.fromDocument({ _id: result.insertedId, ...sale.toDocument() }),
+        pricing,
+        giftCards,
+        receivable,
         message: 'Sale created successfully'
       };
     } catch (error) {
@@ -59,17 +190,17 @@ export class SaleService {
         sortOrder = -1,
         startDate,
         endDate,
-        customerId
+        customerId,
+        includeVoided = false
       } = options;
       
       const skip = (page - 1) * limit;
-      let filter = {};
+      let filter = this.statusFilter(includeVoided);
 
-      // Add date range filter
-      if (startDate || endDate) {
-        filter.saleDate = {};
-        if (startDate) filter.saleDate.$gte = new Date(startDate);
-        if (endDate) filter.saleDate.$lte = new Date(endDate);
+      // Add date range filter; plain dates are the store's business days
+      const saleDate = dateRangeFilter(startDate, endDate);
+      if (saleDate) {
+        filter.saleDate = saleDate;
       }
 
       // Add customer filter
@@ -111,7 +242,7 @@ export class SaleService {
    */
   async getSaleById(id) {
     try {
-      const sale = await this.getCollection().findOne({ _id: id });
+      const sale = await this.getCollection().findOne({ _id: toObjectId(id) });
       
       if (!sale) {
         throw new Error('Sale not found');
@@ -158,17 +289,18 @@ export class SaleService {
    */
   async getSalesByCustomerId(customerId, options = {}) {
     try {
-      const { page = 1, limit = 10, sortBy = 'timestamp', sortOrder = -1 } = options;
+      const { page = 1, limit = 10, sortBy = 'timestamp', sortOrder = -1, includeVoided = false } = options;
       const skip = (page - 1) * limit;
+      const filter = { customerId, ...this.statusFilter(includeVoided) };
 
       const sales = await this.getCollection()
-        .find({ customerId })
+        .find(filter)
         .sort({ [sortBy]: sortOrder })
         .skip(skip)
         .limit(limit)
         .toArray();
 
-      const totalCount = await this.getCollection().countDocuments({ customerId });
+      const totalCount = await this.getCollection().countDocuments(filter);
 
       const formattedSales = sales.map(sale => Sale.fromDocument(sale));
 
@@ -190,29 +322,65 @@ export class SaleService {
 
   /**
    * Update sale
+   * Only the sale's own details can change. Its lines, payments and totals were
+   * priced, taken from stock and charged when it was made, so they are changed
+   * by returning or voiding the sale instead. The customer is fixed once points
+   * or an account charge have been recorded against them. The register and
+   * sale date are kept, so a sale cannot leave the business day it was made in.
+   * Sales dated in a business day whose Z report has been run are immutable
    * @param {string} id - Sale ID
-   * @param {Object} updateData - Update data
+   * @param {Object} updateData - { mysqlId, customerId, customerContact }
    * @returns {Promise<Object>} Updated sale
    */
   async updateSale(id, updateData) {
     try {
-      const sale = Sale.create(updateData);
-      const validation = sale.validate();
-      
+      const locked = LOCKED_SALE_FIELDS.filter(field => updateData[field] !== undefined);
+
+      if (locked.length > 0) {
+        throw new Error(`Validation failed: ${locked.join(', ')} cannot be changed; return or void the sale instead`);
+      }
+
+      const existing = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+      if (!existing) {
+        throw new Error('Sale not found');
+      }
+
+      if (existing.status === 'voided') {
+        throw new Error('Voided sales cannot be updated');
+      }
+
+      // Sales in a Z-closed business day are final
+      await this.reportService.assertDayOpen(existing.registerId, existing.saleDate);
+
+      const customerChanged = updateData.customerId !== undefined &&
+        String(updateData.customerId) !== String(existing.customerId);
+      const charged = (existing.tenders || []).some(tender => tender.method === settings.accounts.tenderMethod);
+
+      if (customerChanged && (existing.loyalty || charged)) {
+        throw new Error('Validation failed: customerId cannot be changed once loyalty points or an account charge are recorded for the sale');
+      }
+
+      const sale = Sale.fromDocument(existing);
+      for (const field of UPDATABLE_SALE_FIELDS) {
+        if (updateData[field] !== undefined) sale[field] = updateData[field];
+      }
+
+      const validation = sale.validate(settings.payments.tenderTypes);
+
       if (!validation.isValid) {
         throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
       }
 
-      // Calculate totals
-      sale.calculateTotals();
+      const changes = Object.fromEntries(UPDATABLE_SALE_FIELDS.map(field => [field, sale[field]]));
 
       const result = await this.getCollection().updateOne(
-        { _id: id },
-        { $set: sale.toDocument() }
+        { _id: existing._id, ...this.statusFilter() },
+        { $set: changes }
       );
 
       if (result.matchedCount === 0) {
-        throw new Error('Sale not found');
+        throw new Error('Voided sales cannot be updated');
       }
 
       const updatedSale = await this.getSaleById(id);
@@ -229,42 +397,114 @@ export class SaleService {
   }
 
   /**
-   * Delete sale
+   * Void a sale
+   * The document is kept with who voided it, when and why, and the stock
+   * for items not already returned (back into the lots it came from), gift card redemptions, coupon uses,
+   * loyalty points and any on-account charge are put back in the same
+   * transaction. Sales in a Z-closed business day cannot be voided
    * @param {string} id - Sale ID
-   * @returns {Promise<Object>} Deletion result
+   * @param {Object} voidData - { reasonCode, voidedBy, note }
+   * @returns {Promise<Object>} Voided sale
    */
-  async deleteSale(id) {
+  async voidSale(id, voidData = {}) {
     try {
-      const result = await this.getCollection().deleteOne({ _id: id });
+      const { reasonCode, voidedBy, note } = voidData;
+      const reasonCodes = settings.sales.voidReasonCodes;
 
-      if (result.deletedCount === 0) {
-        throw new Error('Sale not found');
+      if (!reasonCode || !reasonCodes.includes(reasonCode)) {
+        throw new Error(`Validation failed: Void reason code must be one of: ${reasonCodes.join(', ')}`);
       }
 
+      if (!voidedBy || String(voidedBy).trim() === '') {
+        throw new Error('Validation failed: voidedBy is required');
+      }
+
+      const voided = await databaseManager.withTransaction(async (session) => {
+        const sale = await this.getCollection().findOneAndUpdate(
+          { _id: toObjectId(id), ...this.statusFilter() },
+          {
+            $set: {
+              status: 'voided',
+              voidedBy,
+              voidedAt: new Date(),
+              voidReasonCode: reasonCode,
+              voidNote: note || ''
+            }
+          },
+          { session, returnDocument: 'after' }
+        );
+
+        if (!sale) {
+          const existing = await this.getCollection().findOne({ _id: toObjectId(id) }, { session });
+          throw new Error(existing ? 'Sale is already voided' : 'Sale not found');
+        }
+
+        // Aborts the void when the sale's business day has been Z-closed
+        await this.reportService.assertDayOpen(sale.registerId, sale.saleDate, { session });
+
+        // Returned items were restocked when the return was recorded
+        const lines = await this.returnService.getReturnableLines(sale, { session });
+        const restockItems = Array.from(lines.values())
+          .filter(line => line.returnable > 0)
+          .map(line => ({ productId: line.productId, quantity: line.returnable }));
+        const lots = await this.lotService.attributeReturn(sale, restockItems, { session });
+
+        await this.quantityService.restockItems(restockItems, {
+          session,
+          locationCode: locationOf(sale),
+          movement: {
+            type: 'sale',
+            reason: `Sale voided (${reasonCode})`,
+            reference: { type: 'sale', id: sale._id, number: sale.saleId },
+            performedBy: voidedBy
+          }
+        });
+        await this.lotService.restoreLots(lots, { session });
+        await this.giftCardService.reverseRedemptions(sale, { session, performedBy: voidedBy });
+        await this.couponService.reverseRedemptions(sale, { session });
+        await this.loyaltyService.reverseSale(sale, { session, performedBy: voidedBy });
+        await this.accountService.reverseCharge(sale, { session });
+
+        return sale;
+      });
+
       return {
         success: true,
-        message: 'Sale deleted successfully'
+        data: Sale.fromDocument(voided),
+        message: 'Sale voided successfully'
       };
     } catch (error) {
-      console.error('Error deleting sale:', error);
+      console.error('Error voiding sale:', error);
       throw error;
     }
   }
 
+  /**
+   * Delete sale
+   * Sales are never removed; deleting voids the sale so the audit trail is kept
+   * @param {string} id - Sale ID
+   * @param {Object} voidData - { reasonCode, voidedBy, note }
+   * @returns {Promise<Object>} Voided sale
+   */
+  async deleteSale(id, voidData = {}) {
+    return this.voidSale(id, voidData);
+  }
+
   /**
    * Get sales analytics
+   * Plain start and end dates are the store's business days, and the daily
+   * breakdown groups sales by business day in the store's time zone
    * @param {Object} options - Analytics options
    * @returns {Promise<Object>} Analytics data
    */
   async getSalesAnalytics(options = {}) {
     try {
-      const { startDate, endDate } = options;
-      let matchFilter = {};
+      const { startDate, endDate, includeVoided = false } = options;
+      let matchFilter = this.statusFilter(includeVoided);
 
-      if (startDate || endDate) {
-        matchFilter.saleDate = {};
-        if (startDate) matchFilter.saleDate.$gte = new Date(startDate);
-        if (endDate) matchFilter.saleDate.$lte = new Date(endDate);
+      const saleDate = dateRangeFilter(startDate, endDate);
+      if (saleDate) {
+        matchFilter.saleDate = saleDate;
       }
 
       const pipeline = [
@@ -281,14 +521,34 @@ export class SaleService {
       ];
 
       const analytics = await this.getCollection().aggregate(pipeline).toArray();
+      const tenderBreakdown = await this.getTenderBreakdown(matchFilter);
+      const businessDays = await this.getCollection().aggregate([
+        { $match: matchFilter },
+        {
+          $group: {
+            _id: businessDayExpression('$saleDate'),
+            totalSales: { $sum: 1 },
+            totalRevenue: { $sum: '$totalAmount' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]).toArray();
       
       return {
         success: true,
-        data: analytics[0] || {
-          totalSales: 0,
-          totalRevenue: 0,
-          totalItemsSold: 0,
-          averageSaleAmount: 0
+        data: {
+          ...(analytics[0] || {
+            totalSales: 0,
+            totalRevenue: 0,
+            totalItemsSold: 0,
+            averageSaleAmount: 0
+          }),
+          tenderBreakdown,
+          businessDays: businessDays.map(day => ({
+            businessDay: day._id,
+            totalSales: day.totalSales,
+            totalRevenue: day.totalRevenue
+          }))
         }
       };
     } catch (error) {
@@ -296,4 +556,56 @@ export class SaleService {
       throw error;
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Break revenue down per tender method
+   * Sales recorded before split tenders are counted under their paymentMethod
+   * @param {Object} matchFilter - Sales filter
+   * @returns {Promise<Array>} Revenue per tender method
+   */
+  async getTenderBreakdown(matchFilter = {}) {
+    const pipeline = [
+      { $match: matchFilter },
+      {
+        $project: {
+          tenders: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$tenders', []] } }, 0] },
+              '$tenders',
+              [{
+                method: {
+                  $cond: [
+                    { $eq: [{ $ifNull: ['$paymentMethod', ''] }, ''] },
+                    'unknown',
+                    '$paymentMethod'
+                  ]
+                },
+                amount: '$totalAmount',
+                appliedAmount: '$totalAmount'
+              }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$tenders' },
+      {
+        $group: {
+          _id: '$tenders.method',
+          transactions: { $sum: 1 },
+          tendered: { $sum: '$tenders.amount' },
+          revenue: { $sum: { $ifNull: ['$tenders.appliedAmount', '$tenders.amount'] } }
+        }
+      },
+      { $sort: { revenue: -1 } }
+    ];
+
+    const breakdown = await this.getCollection().aggregate(pipeline).toArray();
+
+    return breakdown.map(entry => ({
+      method: entry._id,
+      transactions: entry.transactions,
+      tendered: entry.tendered,
+      revenue: entry.revenue
+    }));
+  }
+}
@@ -0,0 +1,413 @@
+/**
+ * Shift Service
+ * Handles business logic for cash drawer shifts: opening float, pay-ins and
+ * pay-outs, and the blind count that reconciles the drawer at close
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { Shift } from '../models/Shift.js';
+import { Tender } from '../models/Tender.js';
+import { toObjectId, roundToDecimals } from '../utils/helpers.js';
+
+export class ShiftService {
+  constructor() {
+    this.collectionName = 'shifts';
+    this.saleCollectionName = 'sales';
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  getSaleCollection() {
+    return databaseManager.getCollection(this.saleCollectionName);
+  }
+
+  /**
+   * Find a shift
+   * @param {string} id - Shift ID
+   * @returns {Promise<Object>} Shift document
+   */
+  async findShift(id) {
+    const shift = await this.getCollection().findOne({ _id: toObjectId(id) });
+
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+
+    return shift;
+  }
+
+  /**
+   * Open shift of a register, if any
+   * @param {string} registerId - Register ID
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Shift document
+   */
+  async findOpenShift(registerId, options = {}) {
+    if (!registerId) return null;
+    return this.getCollection().findOne({ registerId, status: 'open' }, { session: options.session });
+  }
+
+  /**
+   * Open shift that money taken on a register belongs to
+   * Touching the shift inside the caller's transaction makes a close that
+   * starts meanwhile conflict with it instead of missing the takings
+   * Throws when shifts are required and the register has none open
+   * @param {string} registerId - Register ID
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Shift document
+   */
+  async shiftFor(registerId, options = {}) {
+    const shift = registerId
+      ? await this.getCollection().findOneAndUpdate(
+        { registerId, status: 'open' },
+        { $set: { lastActivityAt: new Date() } },
+        { returnDocument: 'after', session: options.session }
+      )
+      : null;
+
+    if (!shift && settings.shifts.required) {
+      const error = new Error(registerId
+        ? `No open shift for register ${registerId}`
+        : 'Validation failed: registerId is required while shifts are required');
+      error.statusCode = registerId ? 409 : 400;
+      throw error;
+    }
+
+    return shift;
+  }
+
+  /**
+   * Shift as shown to cashiers; expected takings stay hidden until the blind count is in
+   * @param {Object} doc - Shift document
+   * @returns {Shift} Shift model
+   */
+  present(doc) {
+    const shift = Shift.fromDocument(doc);
+    if (shift.status !== 'closed') {
+      shift.expected = null;
+      shift.variance = null;
+      shift.overShort = null;
+    }
+    return shift;
+  }
+
+  /**
+   * Open a shift on a register with its opening float
+   * @param {Object} shiftData - { registerId, openedBy, openingFloat, note }
+   * @returns {Promise<Object>} Opened shift
+   */
+  async openShift(shiftData) {
+    try {
+      const shift = Shift.create(shiftData);
+      const validation = shift.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      // The partial unique index on open shifts also stops two registers racing here
+      const open = await this.findOpenShift(shift.registerId);
+      if (open) {
+        const error = new Error(`Register ${shift.registerId} already has an open shift`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      let result;
+      try {
+        result = await this.getCollection().insertOne(shift.toDocument());
+      } catch (error) {
+        if (error.code === 11000) {
+          const conflict = new Error(`Register ${shift.registerId} already has an open shift`);
+          conflict.statusCode = 409;
+          throw conflict;
+        }
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: this.present({ ...shift.toDocument(), _id: result.insertedId }),
+        message: 'Shift opened successfully'
+      };
+    } catch (error) {
+      console.error('Error opening shift:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get shifts with pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Shifts list
+   */
+  async getShifts(options = {}) {
+    try {
+      const { page = 1, limit = 10, registerId, status } = options;
+      const skip = (page - 1) * limit;
+
+      let filter = {};
+
+      if (registerId) {
+        filter.registerId = registerId;
+      }
+
+      if (status && status !== 'all') {
+        filter.status = status;
+      }
+
+      const shifts = await this.getCollection()
+        .find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: shifts.map(shift => this.present(shift)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching shifts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get shift by ID
+   * @param {string} id - Shift ID
+   * @returns {Promise<Object>} Shift data
+   */
+  async getShiftById(id) {
+    try {
+      const shift = await this.findShift(id);
+
+      return {
+        success: true,
+        data: this.present(shift)
+      };
+    } catch (error) {
+      console.error('Error fetching shift:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the open shift of a register
+   * @param {string} registerId - Register ID
+   * @returns {Promise<Object>} Shift data
+   */
+  async getCurrentShift(registerId) {
+    try {
+      const shift = await this.findOpenShift(registerId);
+
+      if (!shift) {
+        throw new Error('Shift not found');
+      }
+
+      return {
+        success: true,
+        data: this.present(shift)
+      };
+    } catch (error) {
+      console.error('Error fetching current shift:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a cash pay-in or pay-out on an open shift
+   * @param {string} id - Shift ID
+   * @param {Object} movementData - { type: pay_in|pay_out, amount, reason, performedBy }
+   * @returns {Promise<Object>} Updated shift
+   */
+  async addMovement(id, movementData = {}) {
+    try {
+      const movement = Shift.movement({ ...movementData, method: Tender.CASH });
+
+      if (!['pay_in', 'pay_out'].includes(movement.type)) {
+        throw new Error('Validation failed: Type must be one of: pay_in, pay_out');
+      }
+
+      const validation = Shift.validateMovement(movement);
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const existing = await this.findShift(id);
+      const result = await this.getCollection().findOneAndUpdate(
+        { _id: existing._id, status: 'open' },
+        { $push: { movements: movement } },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        throw new Error(`Shift is ${existing.status}`);
+      }
+
+      return {
+        success: true,
+        data: this.present(result),
+        message: movement.type === 'pay_in' ? 'Pay-in recorded successfully' : 'Pay-out recorded successfully'
+      };
+    } catch (error) {
+      console.error('Error recording drawer movement:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record money taken or paid out by another service on the register's open shift
+   * @param {string} registerId - Register ID
+   * @param {Object} movementData - { type, method, amount, reference, performedBy }
+   * @param {Object} options - { session }
+   * @returns {Promise<Object|null>} Shift the movement was recorded on
+   */
+  async recordMovement(registerId, movementData, options = {}) {
+    const { session } = options;
+    const shift = await this.shiftFor(registerId, { session });
+    if (!shift) return null;
+
+    await this.getCollection().updateOne(
+      { _id: shift._id, status: 'open' },
+      { $push: { movements: Shift.movement(movementData) } },
+      { session }
+    );
+
+    return shift;
+  }
+
+  /**
+   * Work out what the drawer should hold by tender
+   * Cash starts from the opening float; sales count what each tender kept after change,
+   * and drawer movements add or take away by their method
+   * @param {Object} shift - Shift document
+   * @returns {Promise<Object>} { expected, salesCount, salesTotal }
+   */
+  async expectedTakings(shift) {
+    const match = { shiftId: shift._id, status: { $ne: 'voided' } };
+
+    const [tenders, totals] = await Promise.all([
+      this.getSaleCollection().aggregate([
+        { $match: match },
+        { $unwind: '$tenders' },
+        {
+          $group: {
+            _id: '$tenders.method',
+            amount: { $sum: { $ifNull: ['$tenders.appliedAmount', '$tenders.amount'] } }
+          }
+        }
+      ]).toArray(),
+      this.getSaleCollection().aggregate([
+        { $match: match },
+        { $group: { _id: null, salesCount: { $sum: 1 }, salesTotal: { $sum: '$totalAmount' } } }
+      ]).toArray()
+    ]);
+
+    const expected = { [Tender.CASH]: shift.openingFloat || 0 };
+    const add = (method, amount) => {
+      expected[method] = roundToDecimals((expected[method] || 0) + amount);
+    };
+
+    tenders.forEach(tender => add(tender._id, tender.amount));
+    for (const movement of shift.movements || []) {
+      add(movement.method, ['pay_out', 'refund'].includes(movement.type) ? -movement.amount : movement.amount);
+    }
+
+    return {
+      expected,
+      salesCount: totals[0] ? totals[0].salesCount : 0,
+      salesTotal: roundToDecimals(totals[0] ? totals[0].salesTotal : 0)
+    };
+  }
+
+  /**
+   * Close a shift with a blind count of the drawer by tender
+   * The shift stops taking sales before the expected takings are worked out,
+   * so nothing can land on it between the calculation and the close
+   * @param {string} id - Shift ID
+   * @param {Object} closeData - { counted: { cash, card, ... }, closedBy, note }
+   * @returns {Promise<Object>} Closed shift with expected, counted and over/short by tender
+   */
+  async closeShift(id, closeData = {}) {
+    try {
+      const counted = {};
+      for (const [method, amount] of Object.entries(closeData.counted || {})) {
+        const value = Number(amount);
+        if (Number.isNaN(value) || value < 0) {
+          throw new Error(`Validation failed: Counted ${method} must be a non-negative number`);
+        }
+        counted[method] = roundToDecimals(value);
+      }
+
+      if (counted[Tender.CASH] === undefined) {
+        throw new Error('Validation failed: Counted cash is required');
+      }
+
+      if (!closeData.closedBy || String(closeData.closedBy).trim() === '') {
+        throw new Error('Validation failed: Closed by is required');
+      }
+
+      const existing = await this.findShift(id);
+      const claimed = await this.getCollection().findOneAndUpdate(
+        { _id: existing._id, status: 'open' },
+        { $set: { status: 'closing' } },
+        { returnDocument: 'after' }
+      );
+
+      if (!claimed) {
+        throw new Error(`Shift is ${existing.status}`);
+      }
+
+      try {
+        const takings = await this.expectedTakings(claimed);
+        const { variance, overShort } = Shift.reconcile(takings.expected, counted);
+
+        const result = await this.getCollection().findOneAndUpdate(
+          { _id: existing._id, status: 'closing' },
+          {
+            $set: {
+              status: 'closed',
+              closedBy: closeData.closedBy,
+              closedAt: new Date(),
+              counted,
+              expected: takings.expected,
+              variance,
+              overShort,
+              salesCount: takings.salesCount,
+              salesTotal: takings.salesTotal,
+              closeNote: closeData.note || ''
+            }
+          },
+          { returnDocument: 'after' }
+        );
+
+        return {
+          success: true,
+          data: this.present(result),
+          message: 'Shift closed successfully'
+        };
+      } catch (error) {
+        await this.getCollection().updateOne(
+          { _id: existing._id, status: 'closing' },
+          { $set: { status: 'open' } }
+        );
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error closing shift:', error);
+      throw error;
+    }
+  }
+}
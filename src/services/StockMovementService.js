@@ -0,0 +1,105 @@
+/**
+ * Stock Movement Service
+ * Keeps the append-only ledger of every change to on-hand quantities
+ */
+import databaseManager from '../config/database.js';
+import { StockMovement, STOCK_MOVEMENT_TYPES } from '../models/StockMovement.js';
+import { dateRangeFilter } from '../utils/businessDay.js';
+import { locationFilter } from '../utils/location.js';
+
+export class StockMovementService {
+  constructor() {
+    this.collectionName = 'stockMovements';
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  /**
+   * Append movements to the ledger
+   * Call inside the transaction that changes the quantities so the two cannot drift apart
+   * @param {Array<Object>} entries - { productId, quantityId, locationCode, type, delta, quantityAfter, reason, reference, performedBy }
+   * @param {Object} options - { session }
+   * @returns {Promise<Array<StockMovement>>} Movements recorded
+   */
+  async record(entries, options = {}) {
+    const movements = entries
+      .filter(entry => Number(entry.delta) !== 0)
+      .map(entry => StockMovement.create(entry));
+
+    if (movements.length === 0) return [];
+
+    const result = await this.getCollection().insertMany(
+      movements.map(movement => movement.toDocument()),
+      { session: options.session }
+    );
+
+    return movements.map((movement, index) => {
+      movement.id = result && result.insertedIds ? result.insertedIds[index] : null;
+      return movement;
+    });
+  }
+
+  /**
+   * Net of all movements recorded for a product, at one location or all of them
+   * @param {number} productId - Product ID
+   * @param {Object} options - { session, locationCode }
+   * @returns {Promise<Object>} { balance, movementCount }
+   */
+  async ledgerBalance(productId, options = {}) {
+    const rows = await this.getCollection().aggregate([
+      { $match: { productId, ...locationFilter(options.locationCode) } },
+      { $group: { _id: null, balance: { $sum: '$delta' }, movementCount: { $sum: 1 } } }
+    ], { session: options.session }).toArray();
+
+    return {
+      balance: rows[0] ? rows[0].balance : 0,
+      movementCount: rows[0] ? rows[0].movementCount : 0
+    };
+  }
+
+  /**
+   * Get a product's movements with pagination, newest first
+   * @param {number} productId - Product ID
+   * @param {Object} options - { page, limit, type, locationCode, startDate, endDate }
+   * @returns {Promise<Object>} Movements list
+   */
+  async getMovements(productId, options = {}) {
+    const { page = 1, limit = 20, type, locationCode, startDate, endDate } = options;
+    const skip = (page - 1) * limit;
+
+    let filter = { productId, ...locationFilter(locationCode) };
+
+    if (type) {
+      if (!STOCK_MOVEMENT_TYPES.includes(type)) {
+        throw new Error(`Validation failed: Type must be one of: ${STOCK_MOVEMENT_TYPES.join(', ')}`);
+      }
+      filter.type = type;
+    }
+
+    const date = dateRangeFilter(startDate, endDate);
+    if (date) {
+      filter.date = date;
+    }
+
+    const movements = await this.getCollection()
+      .find(filter)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const totalCount = await this.getCollection().countDocuments(filter);
+
+    return {
+      data: movements.map(movement => StockMovement.fromDocument(movement)),
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    };
+  }
+}
@@ -0,0 +1,448 @@
+/**
+ * Tax Service
+ * Handles tax classes, computes sale tax per rate and reports tax by period
+ */
+import databaseManager from '../config/database.js';
+import settings from '../config/settings.js';
+import { TaxClass } from '../models/TaxClass.js';
+import { roundToDecimals } from '../utils/helpers.js';
+import { dateRangeFilter, businessDayExpression } from '../utils/businessDay.js';
+
+export const TAX_REPORT_PERIODS = {
+  day: '%Y-%m-%d',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+export class TaxService {
+  constructor() {
+    this.collectionName = 'taxClasses';
+    this.saleCollectionName = 'sales';
+    this.returnCollectionName = 'returns';
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  getSaleCollection() {
+    return databaseManager.getCollection(this.saleCollectionName);
+  }
+
+  getReturnCollection() {
+    return databaseManager.getCollection(this.returnCollectionName);
+  }
+
+  /**
+   * Create a new tax class
+   * @param {Object} classData - Tax class data
+   * @returns {Promise<Object>} Created tax class
+   */
+  async createTaxClass(classData) {
+    try {
+      const taxClass = TaxClass.create(classData);
+      const validation = taxClass.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      let result;
+      try {
+        result = await this.getCollection().insertOne(taxClass.toDocument());
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error('Tax class already exists');
+        }
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: TaxClass.fromDocument({ _id: result.insertedId, ...taxClass.toDocument() }),
+        message: 'Tax class created successfully'
+      };
+    } catch (error) {
+      console.error('Error creating tax class:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all tax classes
+   * @returns {Promise<Object>} Tax classes list
+   */
+  async getTaxClasses() {
+    try {
+      const classes = await this.getCollection().find({}).sort({ code: 1 }).toArray();
+
+      return {
+        success: true,
+        data: classes.map(taxClass => TaxClass.fromDocument(taxClass)),
+        count: classes.length
+      };
+    } catch (error) {
+      console.error('Error fetching tax classes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get tax class by code
+   * @param {string} code - Tax class code
+   * @returns {Promise<Object>} Tax class data
+   */
+  async getTaxClass(code) {
+    try {
+      const taxClass = await this.getCollection().findOne({ code: String(code).toLowerCase() });
+
+      if (!taxClass) {
+        throw new Error('Tax class not found');
+      }
+
+      return {
+        success: true,
+        data: TaxClass.fromDocument(taxClass)
+      };
+    } catch (error) {
+      console.error('Error fetching tax class:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update tax class
+   * Sales keep the rate they were recorded with
+   * @param {string} code - Tax class code
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>} Updated tax class
+   */
+  async updateTaxClass(code, updateData) {
+    try {
+      const existing = await this.getCollection().findOne({ code: String(code).toLowerCase() });
+
+      if (!existing) {
+        throw new Error('Tax class not found');
+      }
+
+      const taxClass = TaxClass.create({ ...TaxClass.fromDocument(existing), ...updateData, code: existing.code });
+      const validation = taxClass.validate();
+
+      if (!validation.isValid) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+
+      const { createdDate, timestamp, ...document } = taxClass.toDocument();
+
+      await this.getCollection().updateOne(
+        { _id: existing._id },
+        { $set: document }
+      );
+
+      return {
+        success: true,
+        data: TaxClass.fromDocument({ ...existing, ...document }),
+        message: 'Tax class updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating tax class:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete tax class
+   * The default class cannot be deleted
+   * @param {string} code - Tax class code
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteTaxClass(code) {
+    try {
+      const classCode = String(code).toLowerCase();
+
+      if (classCode === settings.tax.defaultClass) {
+        throw new Error('Validation failed: The default tax class cannot be deleted');
+      }
+
+      const result = await this.getCollection().deleteOne({ code: classCode });
+
+      if (result.deletedCount === 0) {
+        throw new Error('Tax class not found');
+      }
+
+      return {
+        success: true,
+        message: 'Tax class deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting tax class:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the tax classes indexed by code and by category
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} { byCode, byCategory }
+   */
+  async loadClassIndex(options = {}) {
+    const { session } = options;
+    const docs = await this.getCollection().find({}, { session }).toArray();
+    const byCode = new Map();
+    const byCategory = new Map();
+
+    for (const doc of docs) {
+      const taxClass = TaxClass.fromDocument(doc);
+      byCode.set(taxClass.code, taxClass);
+      taxClass.categories.forEach(category => byCategory.set(category, taxClass));
+    }
+
+    return { byCode, byCategory };
+  }
+
+  /**
+   * Work out the tax class of a product
+   * A product's own class wins over its category's; a product with neither
+   * but a legacy numeric `tax` value is taxed at that percentage, and
+   * anything else falls back to the default class
+   * @param {Product} product - Product model
+   * @param {Object} index - Class index from loadClassIndex
+   * @returns {Object} { code, name, rate, exempt }
+   */
+  resolveClass(product, index) {
+    const own = product.taxClass && index.byCode.get(product.taxClass);
+    if (own) return own;
+
+    const byCategory = product.category && index.byCategory.get(product.category);
+    if (byCategory) return byCategory;
+
+    const legacyRate = parseFloat(product.tax);
+    if (legacyRate > 0) {
+      return { code: 'product', name: 'Product rate', rate: legacyRate, exempt: false };
+    }
+
+    return index.byCode.get(settings.tax.defaultClass) ||
+      { code: settings.tax.defaultClass, name: settings.tax.defaultClass, rate: 0, exempt: false };
+  }
+
+  /**
+   * Tax sale lines on their value after discounts and summarise by rate
+   * Sets taxClass, taxRate and taxAmount on every line
+   * @param {Array<SaleItem>} items - Priced and discounted sale lines
+   * @param {Array<Product>} products - Product behind each line
+   * @param {Object} options - { session, pricesIncludeTax, rounding }
+   * @returns {Promise<Object>} { taxAmount, taxSummary }
+   */
+  async applyTax(items, products, options = {}) {
+    const {
+      pricesIncludeTax = settings.tax.pricesIncludeTax,
+      rounding = settings.tax.rounding
+    } = options;
+    const index = await this.loadClassIndex(options);
+    const groups = new Map();
+
+    items.forEach((item, position) => {
+      const taxClass = this.resolveClass(products[position], index);
+      const lineValue = (item.subTotal || 0) - (item.discountAmount || 0);
+      const tax = pricesIncludeTax
+        ? lineValue * taxClass.rate / (100 + taxClass.rate)
+        : lineValue * taxClass.rate / 100;
+
+      item.taxClass = taxClass.code;
+      item.taxRate = taxClass.rate;
+      item.taxAmount = roundToDecimals(tax);
+
+      const key = `${taxClass.code}:${taxClass.rate}`;
+      const group = groups.get(key) || {
+        taxClass: taxClass.code,
+        name: taxClass.name,
+        rate: taxClass.rate,
+        exempt: Boolean(taxClass.exempt),
+        lineValue: 0,
+        tax: 0
+      };
+      group.lineValue += lineValue;
+      group.tax += rounding === 'line' ? item.taxAmount : tax;
+      groups.set(key, group);
+    });
+
+    const taxSummary = Array.from(groups.values()).map(group => {
+      const taxAmount = roundToDecimals(group.tax);
+      const taxableAmount = roundToDecimals(pricesIncludeTax ? group.lineValue - taxAmount : group.lineValue);
+      return {
+        taxClass: group.taxClass,
+        name: group.name,
+        rate: group.rate,
+        exempt: group.exempt,
+        taxableAmount,
+        taxAmount,
+        grossAmount: roundToDecimals(taxableAmount + taxAmount)
+      };
+    });
+
+    return {
+      taxAmount: roundToDecimals(taxSummary.reduce((sum, group) => sum + group.taxAmount, 0)),
+      taxSummary
+    };
+  }
+
+  /**
+   * Total the tax of sales by period and rate, net of the tax given back on returns
+   * Periods follow the store's business days and a return counts in the period it
+   * was taken; sales recorded before tax summaries existed are totalled separately
+   * as unclassified
+   * @param {Object} options - { startDate, endDate, period }
+   * @returns {Promise<Object>} Tax report
+   */
+  async getTaxReport(options = {}) {
+    try {
+      const { startDate, endDate, period = 'month' } = options;
+      const format = TAX_REPORT_PERIODS[period];
+
+      if (!format) {
+        throw new Error(`Validation failed: period must be one of: ${Object.keys(TAX_REPORT_PERIODS).join(', ')}`);
+      }
+
+      const matchFilter = { status: { $ne: 'voided' } };
+      const saleDate = dateRangeFilter(startDate, endDate);
+      if (saleDate) {
+        matchFilter.saleDate = saleDate;
+      }
+
+      const rows = await this.getSaleCollection().aggregate([
+        { $match: { ...matchFilter, 'taxSummary.0': { $exists: true } } },
+        { $unwind: '$taxSummary' },
+        {
+          $group: {
+            _id: {
+              period: businessDayExpression('$saleDate', format),
+              taxClass: '$taxSummary.taxClass',
+              rate: '$taxSummary.rate'
+            },
+            name: { $first: '$taxSummary.name' },
+            exempt: { $first: '$taxSummary.exempt' },
+            taxableAmount: { $sum: '$taxSummary.taxableAmount' },
+            taxAmount: { $sum: '$taxSummary.taxAmount' },
+            grossAmount: { $sum: '$taxSummary.grossAmount' },
+            salesCount: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.period': 1, '_id.rate': -1, '_id.taxClass': 1 } }
+      ]).toArray();
+
+      // Returns against voided sales are left out with the sale itself
+      const returnMatch = { 'taxSummary.0': { $exists: true } };
+      if (saleDate) {
+        returnMatch.returnDate = saleDate;
+      }
+
+      const returned = await this.getReturnCollection().aggregate([
+        { $match: returnMatch },
+        {
+          $lookup: {
+            from: this.saleCollectionName,
+            let: { saleRef: '$saleRef' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$_id', '$$saleRef'] } } },
+              { $project: { status: 1 } }
+            ],
+            as: 'sale'
+          }
+        },
+        { $match: { 'sale.status': { $ne: 'voided' } } },
+        { $unwind: '$taxSummary' },
+        {
+          $group: {
+            _id: {
+              period: businessDayExpression('$returnDate', format),
+              taxClass: '$taxSummary.taxClass',
+              rate: '$taxSummary.rate'
+            },
+            name: { $first: '$taxSummary.name' },
+            exempt: { $first: '$taxSummary.exempt' },
+            taxableAmount: { $sum: '$taxSummary.taxableAmount' },
+            taxAmount: { $sum: '$taxSummary.taxAmount' },
+            grossAmount: { $sum: '$taxSummary.grossAmount' },
+            returnsCount: { $sum: 1 }
+          }
+        }
+      ]).toArray();
+
+      const unclassified = await this.getSaleCollection().aggregate([
+        { $match: { ...matchFilter, 'taxSummary.0': { $exists: false } } },
+        {
+          $group: {
+            _id: businessDayExpression('$saleDate', format),
+            taxAmount: { $sum: '$taxAmount' },
+            salesCount: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]).toArray();
+
+      const periods = new Map();
+      const rateFor = (row) => {
+        const entry = periods.get(row._id.period) || { period: row._id.period, rates: [], taxableAmount: 0, taxAmount: 0 };
+        periods.set(row._id.period, entry);
+
+        let rate = entry.rates.find(r => r.taxClass === row._id.taxClass && r.rate === row._id.rate);
+        if (!rate) {
+          rate = {
+            taxClass: row._id.taxClass,
+            name: row.name,
+            rate: row._id.rate,
+            exempt: row.exempt,
+            taxableAmount: 0,
+            taxAmount: 0,
+            grossAmount: 0,
+            salesCount: 0,
+            returnedTaxAmount: 0,
+            returnsCount: 0
+          };
+          entry.rates.push(rate);
+        }
+        return { entry, rate };
+      };
+
+      for (const row of rows) {
+        const { entry, rate } = rateFor(row);
+        rate.taxableAmount = roundToDecimals(row.taxableAmount);
+        rate.taxAmount = roundToDecimals(row.taxAmount);
+        rate.grossAmount = roundToDecimals(row.grossAmount);
+        rate.salesCount = row.salesCount;
+        entry.taxableAmount = roundToDecimals(entry.taxableAmount + row.taxableAmount);
+        entry.taxAmount = roundToDecimals(entry.taxAmount + row.taxAmount);
+      }
+
+      // Tax given back on returns comes off the period the return was taken in
+      for (const row of returned) {
+        const { entry, rate } = rateFor(row);
+        rate.taxableAmount = roundToDecimals(rate.taxableAmount - row.taxableAmount);
+        rate.taxAmount = roundToDecimals(rate.taxAmount - row.taxAmount);
+        rate.grossAmount = roundToDecimals(rate.grossAmount - row.grossAmount);
+        rate.returnedTaxAmount = roundToDecimals(row.taxAmount);
+        rate.returnsCount = row.returnsCount;
+        entry.taxableAmount = roundToDecimals(entry.taxableAmount - row.taxableAmount);
+        entry.taxAmount = roundToDecimals(entry.taxAmount - row.taxAmount);
+      }
+
+      return {
+        success: true,
+        data: {
+          period,
+          startDate: startDate || null,
+          endDate: endDate || null,
+          periods: Array.from(periods.values()).sort((a, b) => a.period.localeCompare(b.period)),
+          unclassified: unclassified.map(row => ({
+            period: row._id,
+            taxAmount: roundToDecimals(row.taxAmount),
+            salesCount: row.salesCount
+          }))
+        }
+      };
+    } catch (error) {
+      console.error('Error building tax report:', error);
+      throw error;
+    }
+  }
+}
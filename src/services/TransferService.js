@@ -0,0 +1,477 @@
+/**
+ * Transfer Service
+ * Handles business logic for moving stock between locations: a draft transfer
+ * is dispatched, taking the stock off the source, and received, adding what
+ * arrived to the destination
+ */
+import databaseManager from '../config/database.js';
+import { Product } from '../models/Product.js';
+import { Quantity } from '../models/Quantity.js';
+import { Transfer } from '../models/Transfer.js';
+import { QuantityService } from './QuantityService.js';
+import { StockMovementService } from './StockMovementService.js';
+import { LotService } from './LotService.js';
+import { LocationService } from './LocationService.js';
+import { toObjectId } from '../utils/helpers.js';
+import { locationFilter } from '../utils/location.js';
+
+export class TransferService {
+  constructor() {
+    this.collectionName = 'transfers';
+    this.productCollectionName = 'products';
+    this.quantityService = new QuantityService();
+    this.stockMovementService = new StockMovementService();
+    this.lotService = new LotService();
+    this.locationService = new LocationService();
+  }
+
+  getCollection() {
+    return databaseManager.getCollection(this.collectionName);
+  }
+
+  getProductCollection() {
+    return databaseManager.getCollection(this.productCollectionName);
+  }
+
+  /**
+   * Find a transfer
+   * @param {string} id - Transfer ID
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Transfer document
+   */
+  async findTransfer(id, options = {}) {
+    const transfer = await this.getCollection().findOne({ _id: toObjectId(id) }, { session: options.session });
+
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Validate a draft transfer, check its locations and name its lines from the catalog
+   * @param {Transfer} transfer - Transfer model
+   * @returns {Promise<Transfer>} The transfer
+   */
+  async prepare(transfer) {
+    const validation = transfer.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    await this.locationService.assertLocation(transfer.sourceLocation);
+    await this.locationService.assertLocation(transfer.destinationLocation);
+
+    for (const line of transfer.lines) {
+      const product = await this.getProductCollection().findOne(Product.idFilter(line.productId));
+
+      if (!product) {
+        throw new Error(`Validation failed: Product ${line.productId} does not exist`);
+      }
+
+      line.productName = product.name || '';
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Create a draft transfer
+   * @param {Object} transferData - { sourceLocation, destinationLocation, lines: [{ productId, quantity }], note, createdBy }
+   * @returns {Promise<Object>} Created transfer
+   */
+  async createTransfer(transferData) {
+    try {
+      const transfer = await this.prepare(Transfer.create(transferData));
+      const result = await this.getCollection().insertOne(transfer.toDocument());
+
+      return {
+        success: true,
+        data: Transfer.fromDocument({ _id: result.insertedId, ...transfer.toDocument() }),
+        message: 'Transfer created successfully'
+      };
+    } catch (error) {
+      console.error('Error creating transfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get transfers with pagination, newest first
+   * @param {Object} options - { page, limit, status, locationCode (source or destination), productId }
+   * @returns {Promise<Object>} Transfers list
+   */
+  async getTransfers(options = {}) {
+    try {
+      const { page = 1, limit = 10, status, locationCode, productId } = options;
+      const skip = (page - 1) * limit;
+
+      let filter = {};
+
+      if (status) {
+        filter.status = status;
+      }
+
+      if (locationCode) {
+        filter.$or = [{ sourceLocation: locationCode }, { destinationLocation: locationCode }];
+      }
+
+      if (productId !== undefined && productId !== null && productId !== '') {
+        filter['lines.productId'] = parseInt(productId);
+      }
+
+      const transfers = await this.getCollection()
+        .find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      const totalCount = await this.getCollection().countDocuments(filter);
+
+      return {
+        success: true,
+        data: transfers.map(transfer => Transfer.fromDocument(transfer)),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching transfers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get transfer by ID
+   * @param {string} id - Transfer ID
+   * @returns {Promise<Object>} Transfer
+   */
+  async getTransferById(id) {
+    try {
+      return {
+        success: true,
+        data: Transfer.fromDocument(await this.findTransfer(id))
+      };
+    } catch (error) {
+      console.error('Error fetching transfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the locations, lines or note of a draft transfer
+   * @param {string} id - Transfer ID
+   * @param {Object} updateData - { sourceLocation, destinationLocation, lines, note }
+   * @returns {Promise<Object>} Updated transfer
+   */
+  async updateTransfer(id, updateData) {
+    try {
+      const existing = await this.findTransfer(id);
+
+      if (existing.status !== 'draft') {
+        throw new Error(`Transfer is ${existing.status}`);
+      }
+
+      const transfer = await this.prepare(Transfer.create({
+        ...existing,
+        ...updateData,
+        createdBy: existing.createdBy,
+        createdDate: existing.createdDate
+      }));
+
+      const result = await this.getCollection().findOneAndUpdate(
+        { _id: existing._id, status: 'draft' },
+        {
+          $set: {
+            sourceLocation: transfer.sourceLocation,
+            destinationLocation: transfer.destinationLocation,
+            lines: transfer.lines,
+            note: transfer.note,
+            updatedDate: new Date()
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        throw new Error('Transfer is no longer a draft');
+      }
+
+      return {
+        success: true,
+        data: Transfer.fromDocument(result),
+        message: 'Transfer updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating transfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a transfer from one status to the next inside a transaction
+   * @param {string} id - Transfer ID
+   * @param {string} from - Status the transfer must be in
+   * @param {string} to - New status
+   * @param {Object} fields - Other fields to set
+   * @param {Object} options - { session }
+   * @returns {Promise<Object>} Updated transfer document
+   */
+  async transition(id, from, to, fields, options = {}) {
+    const { session } = options;
+    const existing = await this.findTransfer(id, { session });
+
+    const result = await this.getCollection().findOneAndUpdate(
+      { _id: existing._id, status: from },
+      { $set: { ...fields, status: to, updatedDate: new Date() } },
+      { returnDocument: 'after', session }
+    );
+
+    if (!result) {
+      const current = await this.getCollection().findOne({ _id: existing._id }, { session });
+      throw new Error(`Transfer is ${current ? current.status : existing.status}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Dispatch a draft transfer
+   * Its lines come off the source location's stock, picked from the source's
+   * lots first expired first out, and are in transit until received. Stock
+   * reserved for layaways cannot be sent. The status change, the stock and
+   * lot deductions and their transfer movements commit together
+   * @param {string} id - Transfer ID
+   * @param {Object} dispatchData - { dispatchedBy }
+   * @returns {Promise<Object>} Dispatched transfer
+   */
+  async dispatchTransfer(id, dispatchData = {}) {
+    try {
+      const { dispatchedBy } = dispatchData;
+
+      if (!dispatchedBy || String(dispatchedBy).trim() === '') {
+        throw new Error('Validation failed: dispatchedBy is required');
+      }
+
+      const dispatched = await databaseManager.withTransaction(async (session) => {
+        const transfer = await this.transition(id, 'draft', 'dispatched', {
+          dispatchedBy,
+          dispatchedDate: new Date()
+        }, { session });
+
+        await this.locationService.assertLocation(transfer.sourceLocation, { session });
+        await this.locationService.assertLocation(transfer.destinationLocation, { session });
+
+        const lines = transfer.lines.map(line => ({ ...line, dispatchedQuantity: line.quantity }));
+        await this.quantityService.deductStock(lines.map(line => ({
+          productId: line.productId,
+          productName: line.productName,
+          quantity: line.dispatchedQuantity
+        })), {
+          session,
+          locationCode: transfer.sourceLocation,
+          movement: {
+            type: 'transfer',
+            reason: `Transfer to ${transfer.destinationLocation}`,
+            reference: { type: 'transfer', id: transfer._id, number: '' },
+            performedBy: dispatchedBy
+          }
+        });
+        await this.lotService.allocate(lines, { session, locationCode: transfer.sourceLocation });
+
+        return this.getCollection().findOneAndUpdate(
+          { _id: transfer._id },
+          { $set: { lines } },
+          { returnDocument: 'after', session }
+        );
+      });
+
+      return {
+        success: true,
+        data: Transfer.fromDocument(dispatched),
+        message: 'Transfer dispatched successfully'
+      };
+    } catch (error) {
+      console.error('Error dispatching transfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the quantity received of each line, as dispatched unless counted otherwise
+   * @param {Array<Object>} lines - Dispatched transfer lines
+   * @param {Array<Object>} counted - { productId, receivedQuantity, reason } for lines that differ
+   * @returns {Array<Object>} Lines with receivedQuantity, discrepancy and discrepancyReason
+   */
+  countReceived(lines, counted = []) {
+    const counts = new Map();
+    for (const count of counted) {
+      const productId = parseInt(count.productId);
+      const quantity = Number(count.receivedQuantity);
+
+      if (!lines.some(line => line.productId === productId)) {
+        throw new Error(`Validation failed: Product ${count.productId} is not on the transfer`);
+      }
+      if (!Number.isFinite(quantity) || quantity < 0) {
+        throw new Error(`Validation failed: Received quantity of product ${productId} must be 0 or more`);
+      }
+      counts.set(productId, { quantity, reason: count.reason || '' });
+    }
+
+    return lines.map(line => {
+      const count = counts.get(line.productId);
+      const receivedQuantity = count ? count.quantity : line.dispatchedQuantity;
+      return {
+        ...line,
+        receivedQuantity,
+        discrepancy: receivedQuantity - line.dispatchedQuantity,
+        discrepancyReason: count ? count.reason : ''
+      };
+    });
+  }
+
+  /**
+   * Receive a dispatched transfer at its destination
+   * The dispatched stock is added to the destination as a transfer movement,
+   * then a short receipt takes the missing stock off again as wastage and an
+   * over receipt adds the extra as an adjustment. Received lot quantities
+   * arrive in lots of the same number, soonest expiry first; a short receipt
+   * leaves the rest of the lots behind and an over receipt arrives outside lots.
+   * The status change, the stock and lot changes and their movements commit together
+   * @param {string} id - Transfer ID
+   * @param {Object} receiveData - { receivedBy, lines: [{ productId, receivedQuantity, reason }] }
+   * @returns {Promise<Object>} Received transfer
+   */
+  async receiveTransfer(id, receiveData = {}) {
+    try {
+      const { receivedBy } = receiveData;
+
+      if (!receivedBy || String(receivedBy).trim() === '') {
+        throw new Error('Validation failed: receivedBy is required');
+      }
+
+      const received = await databaseManager.withTransaction(async (session) => {
+        const existing = await this.findTransfer(id, { session });
+        const lines = this.countReceived(existing.lines, receiveData.lines || []);
+
+        const transfer = await this.transition(id, 'dispatched', 'received', {
+          receivedBy,
+          receivedDate: new Date()
+        }, { session });
+
+        await this.locationService.assertLocation(transfer.destinationLocation, { session });
+
+        const reference = { type: 'transfer', id: transfer._id, number: '' };
+        await this.quantityService.restockItems(lines
+          .filter(line => line.dispatchedQuantity > 0)
+          .map(line => ({ productId: line.productId, quantity: line.dispatchedQuantity })), {
+          session,
+          locationCode: transfer.destinationLocation,
+          movement: {
+            type: 'transfer',
+            reason: `Transfer from ${transfer.sourceLocation}`,
+            reference,
+            performedBy: receivedBy
+          }
+        });
+
+        // What did not arrive is wastage at the destination, and what arrived
+        // beyond the dispatch an adjustment, each its own movement
+        for (const line of lines.filter(candidate => candidate.discrepancy !== 0)) {
+          const row = await this.quantityService.getCollection().findOne(
+            Quantity.productFilter(line.productId, locationFilter(transfer.destinationLocation)),
+            { session }
+          );
+          const after = await this.quantityService.applyDelta(line.productId, row, line.discrepancy, {
+            session,
+            locationCode: transfer.destinationLocation
+          });
+          const reason = line.discrepancy < 0
+            ? `Short on transfer from ${transfer.sourceLocation}`
+            : `Over on transfer from ${transfer.sourceLocation}`;
+
+          await this.stockMovementService.record([{
+            productId: line.productId,
+            quantityId: after._id,
+            locationCode: transfer.destinationLocation,
+            type: line.discrepancy < 0 ? 'wastage' : 'adjustment',
+            delta: line.discrepancy,
+            quantityAfter: Quantity.sizeOf(after),
+            reason: line.discrepancyReason ? `${reason}: ${line.discrepancyReason}` : reason,
+            reference,
+            performedBy: receivedBy
+          }], { session });
+        }
+
+        for (const line of lines) {
+          let remaining = line.receivedQuantity;
+          const arrived = (line.lots || []).map(lot => {
+            const quantity = Math.min(lot.quantity, remaining);
+            remaining -= quantity;
+            return { lotId: lot.lotId, quantity };
+          });
+
+          line.receivedLots = await this.lotService.receiveTransferredLots(arrived, {
+            session,
+            locationCode: transfer.destinationLocation,
+            receivedBy,
+            note: `Transferred from ${transfer.sourceLocation}`
+          });
+        }
+
+        return this.getCollection().findOneAndUpdate(
+          { _id: transfer._id },
+          {
+            $set: {
+              lines,
+              shortQuantity: lines.reduce((total, line) => total + Math.max(-line.discrepancy, 0), 0),
+              overQuantity: lines.reduce((total, line) => total + Math.max(line.discrepancy, 0), 0)
+            }
+          },
+          { returnDocument: 'after', session }
+        );
+      });
+
+      return {
+        success: true,
+        data: Transfer.fromDocument(received),
+        message: received.shortQuantity > 0 || received.overQuantity > 0
+          ? 'Transfer received with discrepancies'
+          : 'Transfer received successfully'
+      };
+    } catch (error) {
+      console.error('Error receiving transfer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a draft transfer
+   * @param {string} id - Transfer ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteTransfer(id) {
+    try {
+      const existing = await this.findTransfer(id);
+      const result = await this.getCollection().deleteOne({ _id: existing._id, status: 'draft' });
+
+      if (result.deletedCount === 0) {
+        throw new Error(`Transfer is ${existing.status}`);
+      }
+
+      return {
+        success: true,
+        message: 'Transfer deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting transfer:', error);
+      throw error;
+    }
+  }
+}
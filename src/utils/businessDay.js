@@ -0,0 +1,151 @@
+/**
+ * Business Day Utilities
+ * A business day is a calendar day in the store's time zone that starts at the
+ * cutoff hour, so late-night trading counts towards the day it started on
+ */
+import settings from '../config/settings.js';
+
+export const BUSINESS_DAY_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Wall clock fields of a moment in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const wallClock = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  for (const part of formatters.get(timeZone).formatToParts(date)) {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  }
+  return parts;
+};
+
+/**
+ * Offset of a time zone from UTC at a moment, in milliseconds
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset
+ */
+const offsetAt = (date, timeZone) => {
+  const wall = wallClock(date, timeZone);
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Wall clock time of a moment in the store's time zone
+ * @param {Date|string} date - Moment
+ * @param {string} timeZone - IANA time zone, the store's by default
+ * @returns {Object} { year, month, day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export const storeClock = (date = new Date(), timeZone = settings.businessDay.timezone) => {
+  const wall = wallClock(new Date(date), timeZone);
+  return { ...wall, weekday: new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay() };
+};
+
+/**
+ * Check that a value is a real calendar date written as YYYY-MM-DD
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value names a business day
+ */
+export const isBusinessDay = (value) => {
+  if (typeof value !== 'string' || !BUSINESS_DAY_FORMAT.test(value)) return false;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Business day a moment falls in, as YYYY-MM-DD
+ * @param {Date|string} date - Moment
+ * @param {Object} options - { timezone, cutoffHour }, the store's by default
+ * @returns {string} Business day
+ */
+export const businessDayOf = (date = new Date(), options = settings.businessDay) => {
+  const shifted = new Date(new Date(date).getTime() - options.cutoffHour * HOUR_MS);
+  const wall = wallClock(shifted, options.timezone);
+  return [
+    String(wall.year).padStart(4, '0'),
+    String(wall.month).padStart(2, '0'),
+    String(wall.day).padStart(2, '0')
+  ].join('-');
+};
+
+/**
+ * Moment a business day starts: the cutoff hour, local time, on that date
+ * @param {string} day - Business day as YYYY-MM-DD
+ * @param {Object} options - { timezone, cutoffHour }, the store's by default
+ * @returns {Date} Start of the business day
+ */
+export const businessDayStart = (day, options = settings.businessDay) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, date, options.cutoffHour);
+
+  // The offset is read again at the first guess in case it changes across daylight saving
+  const guess = wall - offsetAt(new Date(wall), options.timezone);
+  return new Date(wall - offsetAt(new Date(guess), options.timezone));
+};
+
+/**
+ * First moment of a business day and the first moment of the next one
+ * @param {string} day - Business day as YYYY-MM-DD
+ * @param {Object} options - { timezone, cutoffHour }, the store's by default
+ * @returns {Object} { start, end }
+ */
+export const businessDayRange = (day, options = settings.businessDay) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, date + 1)).toISOString().slice(0, 10);
+  return { start: businessDayStart(day, options), end: businessDayStart(next, options) };
+};
+
+/**
+ * MongoDB range filter for a date field
+ * Dates given as YYYY-MM-DD are business days and cover the whole day;
+ * full timestamps are used as they are
+ * @param {string} startDate - First business day or moment
+ * @param {string} endDate - Last business day or moment
+ * @returns {Object|null} Range filter, or null when neither bound is given
+ */
+export const dateRangeFilter = (startDate, endDate) => {
+  if (!startDate && !endDate) return null;
+
+  const range = {};
+  if (startDate) {
+    range.$gte = BUSINESS_DAY_FORMAT.test(startDate) ? businessDayStart(startDate) : new Date(startDate);
+  }
+  if (endDate) {
+    if (BUSINESS_DAY_FORMAT.test(endDate)) range.$lt = businessDayRange(endDate).end;
+    else range.$lte = new Date(endDate);
+  }
+  return range;
+};
+
+/**
+ * MongoDB expression formatting the business day of a date field, for grouping
+ * @param {string} field - Field path, e.g. '$saleDate'
+ * @param {string} format - $dateToString format of the period
+ * @returns {Object} Aggregation expression
+ */
+export const businessDayExpression = (field, format = '%Y-%m-%d') => ({
+  $dateToString: {
+    format,
+    date: { $subtract: [field, settings.businessDay.cutoffHour * HOUR_MS] },
+    timezone: settings.businessDay.timezone
+  }
+});
@@ -0,0 +1,52 @@
+/**
+ * ESC/POS Encoder
+ * Turns receipt layout lines into raw bytes for thermal printers
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGNMENT = {
+  left: 0,
+  center: 1,
+  right: 2
+};
+
+/**
+ * Encode text for the printer's default code page
+ * Characters outside Latin-1 are replaced with '?', as are control characters,
+ * so text taken from sales and settings cannot send commands to the printer
+ * @param {string} text - Text to encode
+ * @returns {Buffer} Encoded text
+ */
+const encodeText = (text) => {
+  return Buffer.from(String(text).replace(/[^\x20-\x7e\x80-\xff]/g, '?'), 'latin1');
+};
+
+/**
+ * Encode receipt layout lines as ESC/POS commands
+ * @param {Array<Object>} lines - Layout lines with text, align, bold and size
+ * @param {Object} options - { cut }
+ * @returns {Buffer} Raw printer bytes
+ */
+export const encodeEscPos = (lines, options = {}) => {
+  const { cut = true } = options;
+  const chunks = [Buffer.from([ESC, 0x40])];
+
+  for (const line of lines) {
+    chunks.push(Buffer.from([ESC, 0x61, ALIGNMENT[line.align] ?? ALIGNMENT.left]));
+    chunks.push(Buffer.from([ESC, 0x45, line.bold ? 1 : 0]));
+    chunks.push(Buffer.from([GS, 0x21, line.size === 'double' ? 0x11 : 0x00]));
+    chunks.push(encodeText(line.text));
+    chunks.push(Buffer.from([LF]));
+  }
+
+  // Reset styles, feed past the cutter and cut
+  chunks.push(Buffer.from([ESC, 0x45, 0, GS, 0x21, 0x00, ESC, 0x61, 0]));
+  if (cut) {
+    chunks.push(Buffer.from([GS, 0x56, 0x42, 0x03]));
+  }
+
+  return Buffer.concat(chunks);
+};
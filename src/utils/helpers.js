@@ -2,6 +2,7 @@
  * Utility Functions
  * Common utility functions for the application
  */
+import { ObjectId } from 'mongodb';
 
 /**
  * Format API response
@@ -29,6 +30,16 @@ export const generateId = () => {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 };
 
+/**
+ * Convert a route parameter to a MongoDB ObjectId when it is one
+ * @param {string} id - Document ID
+ * @returns {ObjectId|string} ObjectId, or the original value if it is not a valid ObjectId
+ */
+export const toObjectId = (id) => {
+  if (id instanceof ObjectId) return id;
+  return ObjectId.isValid(id) && String(id).length === 24 ? new ObjectId(id) : id;
+};
+
 /**
  * Format date to ISO string
  * @param {Date} date - Date to format
@@ -96,6 +107,27 @@ export const roundToDecimals = (number, decimals = 2) => {
   return Math.round(number * Math.pow(10, decimals)) / Math.pow(10, decimals);
 };
 
+/**
+ * Split an amount in proportion to weights
+ * Rounding differences go to the last part so the parts add up exactly
+ * @param {number} amount - Amount to split
+ * @param {Array<number>} weights - Relative weights
+ * @returns {Array<number>} Parts, in the order of the weights
+ */
+export const allocateProportionally = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const target = roundToDecimals(amount);
+  let allocated = 0;
+
+  return weights.map((weight, position) => {
+    const share = position === weights.length - 1
+      ? roundToDecimals(target - allocated)
+      : roundToDecimals(total > 0 ? target * weight / total : 0);
+    allocated = roundToDecimals(allocated + share);
+    return share;
+  });
+};
+
 /**
  * Calculate percentage
  * @param {number} value - Value
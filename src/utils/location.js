@@ -0,0 +1,26 @@
+/**
+ * Location Utilities
+ * Stock, lots and movements recorded before locations existed carry no
+ * location code and belong to the default location
+ */
+import settings from '../config/settings.js';
+
+/**
+ * Location code a document belongs to
+ * @param {Object} doc - Quantity row, lot, stock movement or sale
+ * @returns {string} Location code
+ */
+export const locationOf = (doc) => (doc && doc.locationCode) || settings.inventory.defaultLocation;
+
+/**
+ * MongoDB filter matching documents at a location
+ * @param {string} locationCode - Location code; nothing given matches every location
+ * @returns {Object} Filter on locationCode, empty when no location is given
+ */
+export const locationFilter = (locationCode) => {
+  if (locationCode === undefined || locationCode === null || locationCode === '') return {};
+
+  return locationCode === settings.inventory.defaultLocation
+    ? { locationCode: { $in: [locationCode, null] } }
+    : { locationCode };
+};
@@ -0,0 +1,85 @@
+/**
+ * Minimal PDF Writer
+ * Renders monospaced text lines onto a single receipt-sized PDF page
+ */
+
+const FONT_SIZE = 9;
+const CHAR_WIDTH = FONT_SIZE * 0.6;
+const LINE_HEIGHT = FONT_SIZE * 1.35;
+const MARGIN = 18;
+
+/**
+ * Escape text for use inside a PDF string literal
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapePdfText = (text) => {
+  return String(text)
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+};
+
+/**
+ * Render text lines as a single-page PDF
+ * @param {Array<Object>} lines - Lines with text and bold
+ * @param {Object} options - { width } in characters
+ * @returns {Buffer} PDF document
+ */
+export const renderPdf = (lines, options = {}) => {
+  const { width = 42 } = options;
+  const pageWidth = Math.ceil(width * CHAR_WIDTH + MARGIN * 2);
+  const pageHeight = Math.ceil(lines.length * LINE_HEIGHT + MARGIN * 2);
+
+  const content = [];
+  let y = pageHeight - MARGIN - FONT_SIZE;
+  for (const line of lines) {
+    const font = line.bold ? '/F2' : '/F1';
+    content.push(`BT ${font} ${FONT_SIZE} Tf ${MARGIN} ${y.toFixed(2)} Td (${escapePdfText(line.text)}) Tj ET`);
+    y -= LINE_HEIGHT;
+  }
+  const stream = Buffer.from(content.join('\n'), 'latin1');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    null
+  ];
+
+  const chunks = [Buffer.from('%PDF-1.4\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  objects.forEach((body, index) => {
+    offsets.push(length);
+    const chunk = body === null
+      ? Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n<< /Length ${stream.length} >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream\nendobj\n', 'latin1')
+      ])
+      : Buffer.from(`${index + 1} 0 obj\n${body}\nendobj\n`, 'latin1');
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+  chunks.push(Buffer.from(xref + '\n', 'latin1'));
+
+  return Buffer.concat(chunks);
+};
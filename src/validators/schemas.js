@@ -40,54 +40,47 @@ export const customerSchemas = {
 export const saleSchemas = {
   create: Joi.object({
     mysqlId: Joi.number().integer().positive().optional(),
-    saleId: Joi.string().required().min(1).max(255),
+    registerId: Joi.string().optional(),
     customerId: Joi.number().integer().positive().optional(),
     customerContact: Joi.string().optional().allow(''),
     saleItems: Joi.array().items(
       Joi.object({
         mysqlId: Joi.number().integer().positive().optional(),
         productId: Joi.number().integer().positive().required(),
-        productName: Joi.string().required().min(1).max(255),
+        productName: Joi.string().min(1).max(255).optional(),
         category: Joi.string().optional().allow(''),
         quantity: Joi.number().integer().positive().required(),
-        unitPrice: Joi.number().positive().required(),
-        subTotal: Joi.number().positive().optional()
+        unitPrice: Joi.number().positive().optional(),
+        subTotal: Joi.number().positive().optional(),
+        discountAmount: Joi.number().min(0).optional(),
+        taxAmount: Joi.number().min(0).optional()
       })
     ).min(1).required(),
     subTotal: Joi.number().min(0).optional(),
     taxAmount: Joi.number().min(0).optional(),
     discountAmount: Joi.number().min(0).optional(),
     totalAmount: Joi.number().min(0).optional(),
-    paidAmount: Joi.number().min(0).required(),
+    paidAmount: Joi.number().min(0).optional(),
     changeAmount: Joi.number().optional(),
     paymentMethod: Joi.string().optional().allow(''),
+    tenders: Joi.array().items(
+      Joi.object({
+        method: Joi.string().required(),
+        amount: Joi.number().positive().required(),
+        reference: Joi.string().optional().allow('')
+      })
+    ).min(1).optional(),
+    couponCodes: Joi.array().items(Joi.string().trim()).optional(),
+    couponCode: Joi.string().trim().optional(),
+    redeemPoints: Joi.number().integer().min(0).optional(),
     saleDate: Joi.date().optional()
-  }),
+  }).or('paidAmount', 'tenders'),
 
+  // Lines, payments and totals are changed by returning or voiding the sale; the register and date are fixed
   update: Joi.object({
     mysqlId: Joi.number().integer().positive().optional(),
-    saleId: Joi.string().min(1).max(255).optional(),
     customerId: Joi.number().integer().positive().optional(),
-    customerContact: Joi.string().optional().allow(''),
-    saleItems: Joi.array().items(
-      Joi.object({
-        mysqlId: Joi.number().integer().positive().optional(),
-        productId: Joi.number().integer().positive().required(),
-        productName: Joi.string().required().min(1).max(255),
-        category: Joi.string().optional().allow(''),
-        quantity: Joi.number().integer().positive().required(),
-        unitPrice: Joi.number().positive().required(),
-        subTotal: Joi.number().positive().optional()
-      })
-    ).min(1).optional(),
-    subTotal: Joi.number().min(0).optional(),
-    taxAmount: Joi.number().min(0).optional(),
-    discountAmount: Joi.number().min(0).optional(),
-    totalAmount: Joi.number().min(0).optional(),
-    paidAmount: Joi.number().min(0).optional(),
-    changeAmount: Joi.number().optional(),
-    paymentMethod: Joi.string().optional().allow(''),
-    saleDate: Joi.date().optional()
+    customerContact: Joi.string().optional().allow('')
   }),
 
   query: Joi.object({
@@ -97,12 +90,20 @@ export const saleSchemas = {
     sortOrder: Joi.number().valid(-1, 1).default(-1),
     startDate: Joi.date().optional(),
     endDate: Joi.date().optional(),
-    customerId: Joi.number().integer().positive().optional()
+    customerId: Joi.number().integer().positive().optional(),
+    includeVoided: Joi.boolean().optional()
   }),
 
   analytics: Joi.object({
     startDate: Joi.date().optional(),
-    endDate: Joi.date().optional()
+    endDate: Joi.date().optional(),
+    includeVoided: Joi.boolean().optional()
+  }),
+
+  void: Joi.object({
+    reasonCode: Joi.string().required(),
+    voidedBy: Joi.string().required(),
+    note: Joi.string().optional().allow('')
   }),
 
   params: Joi.object({
@@ -149,3 +150,537 @@ export const supplierSchemas = {
     query: Joi.string().min(1).required()
   })
 };
+
+// Return validation schemas
+export const returnSchemas = {
+  create: Joi.object({
+    saleId: Joi.string().min(1).max(255),
+    mysqlId: Joi.number().integer().positive(),
+    returnItems: Joi.array().items(
+      Joi.object({
+        productId: Joi.number().integer().positive().required(),
+        quantity: Joi.number().integer().positive().required(),
+        reason: Joi.string().optional().allow('')
+      })
+    ).min(1).required(),
+    refundMethod: Joi.string().required(),
+    refundAmount: Joi.number().min(0).optional(),
+    reason: Joi.string().optional().allow(''),
+    restock: Joi.boolean().optional(),
+    processedBy: Joi.string().optional().allow(''),
+    registerId: Joi.string().optional(),
+    returnDate: Joi.date().optional()
+  }).or('saleId', 'mysqlId'),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    sortBy: Joi.string().valid('timestamp', 'returnDate', 'refundAmount').default('timestamp'),
+    sortOrder: Joi.number().valid(-1, 1).default(-1),
+    saleId: Joi.string().optional(),
+    customerId: Joi.number().integer().positive().optional()
+  })
+};
+
+// Held sale validation schemas
+export const heldSaleSchemas = {
+  create: Joi.object({
+    registerId: Joi.string().required(),
+    customerId: Joi.number().integer().positive().optional(),
+    customerContact: Joi.string().optional().allow(''),
+    saleItems: Joi.array().items(
+      Joi.object({
+        productId: Joi.number().integer().positive().required(),
+        productName: Joi.string().optional(),
+        category: Joi.string().optional().allow(''),
+        quantity: Joi.number().integer().positive().required(),
+        unitPrice: Joi.number().positive().optional()
+      })
+    ).min(1).required(),
+    note: Joi.string().optional().allow(''),
+    heldBy: Joi.string().optional().allow('')
+  }),
+
+  resume: Joi.object({
+    registerId: Joi.string().required(),
+    resumedBy: Joi.string().optional().allow('')
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    registerId: Joi.string().optional(),
+    status: Joi.string().valid('open', 'resumed', 'converted', 'expired', 'cancelled', 'all').default('open')
+  })
+};
+
+// Gift card validation schemas
+export const giftCardSchemas = {
+  issue: Joi.object({
+    code: Joi.string().trim().min(4).max(64).optional(),
+    initialValue: Joi.number().positive().required(),
+    expiryDate: Joi.date().greater('now').optional(),
+    customerId: Joi.number().integer().positive().optional(),
+    issuedBy: Joi.string().optional().allow('')
+  }),
+
+  topUp: Joi.object({
+    code: Joi.string().trim().min(4).max(64).required(),
+    amount: Joi.number().positive().required(),
+    performedBy: Joi.string().optional().allow(''),
+    reference: Joi.string().optional().allow('')
+  }),
+
+  void: Joi.object({
+    voidedBy: Joi.string().required(),
+    reason: Joi.string().optional().allow('')
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string().valid('active', 'voided').optional(),
+    customerId: Joi.number().integer().positive().optional()
+  })
+};
+
+// Promotion validation schemas
+export const promotionSchemas = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    description: Joi.string().optional().allow(''),
+    type: Joi.string().valid('item_discount', 'buy_x_get_y', 'bundle', 'basket_threshold').required(),
+    status: Joi.string().valid('active', 'inactive').default('active'),
+    productIds: Joi.array().items(Joi.number().integer().positive()).default([]),
+    categories: Joi.array().items(Joi.string()).default([]),
+    valueType: Joi.string().valid('percent', 'amount').optional(),
+    value: Joi.number().positive().optional(),
+    buyQuantity: Joi.number().integer().min(1).optional(),
+    getQuantity: Joi.number().integer().min(1).optional(),
+    getDiscountPercent: Joi.number().greater(0).max(100).optional(),
+    bundleQuantity: Joi.number().integer().min(2).optional(),
+    bundlePrice: Joi.number().min(0).optional(),
+    minSubtotal: Joi.number().positive().optional(),
+    startDate: Joi.date().optional().allow(null),
+    endDate: Joi.date().optional().allow(null),
+    daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).default([]),
+    startTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional().allow(null),
+    endTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional().allow(null),
+    priority: Joi.number().integer().default(0),
+    stackable: Joi.boolean().default(true)
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string().valid('active', 'inactive').optional(),
+    type: Joi.string().valid('item_discount', 'buy_x_get_y', 'bundle', 'basket_threshold').optional(),
+    running: Joi.boolean().optional(),
+    runningAt: Joi.date().optional()
+  })
+};
+
+// Coupon validation schemas
+export const couponSchemas = {
+  create: Joi.object({
+    code: Joi.string().pattern(/^[A-Za-z0-9_-]{3,32}$/).required(),
+    description: Joi.string().optional().allow(''),
+    valueType: Joi.string().valid('percent', 'amount').required(),
+    value: Joi.number().positive().required(),
+    minSpend: Joi.number().min(0).default(0),
+    startDate: Joi.date().optional().allow(null),
+    endDate: Joi.date().optional().allow(null),
+    usageLimit: Joi.number().integer().min(0).default(0),
+    perCustomerLimit: Joi.number().integer().min(0).default(0),
+    status: Joi.string().valid('active', 'inactive').default('active')
+  }),
+
+  check: Joi.object({
+    customerId: Joi.number().integer().positive().optional(),
+    amount: Joi.number().min(0).optional()
+  })
+};
+
+// Tax validation schemas
+export const taxSchemas = {
+  createClass: Joi.object({
+    code: Joi.string().pattern(/^[A-Za-z0-9_-]{1,32}$/).required(),
+    name: Joi.string().min(1).max(255).optional(),
+    rate: Joi.number().min(0).max(100).default(0),
+    exempt: Joi.boolean().default(false),
+    categories: Joi.array().items(Joi.string()).default([])
+  }),
+
+  updateClass: Joi.object({
+    name: Joi.string().min(1).max(255).optional(),
+    rate: Joi.number().min(0).max(100).optional(),
+    exempt: Joi.boolean().optional(),
+    categories: Joi.array().items(Joi.string()).optional()
+  }),
+
+  report: Joi.object({
+    startDate: Joi.date().optional(),
+    endDate: Joi.date().optional(),
+    period: Joi.string().valid('day', 'month', 'year').default('month')
+  })
+};
+
+// Loyalty validation schemas
+export const loyaltySchemas = {
+  createRule: Joi.object({
+    name: Joi.string().min(1).max(255).required(),
+    type: Joi.string().valid('category', 'promotion').required(),
+    target: Joi.string().required(),
+    multiplier: Joi.number().min(0).default(1),
+    status: Joi.string().valid('active', 'inactive').default('active')
+  }),
+
+  adjust: Joi.object({
+    points: Joi.number().integer().invalid(0).required(),
+    reason: Joi.string().min(1).required(),
+    performedBy: Joi.string().optional()
+  }),
+
+  ledgerQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    type: Joi.string().valid('earn', 'redeem', 'reversal', 'adjustment').optional()
+  })
+};
+
+// Customer account validation schemas
+export const accountSchemas = {
+  credit: Joi.object({
+    creditLimit: Joi.number().min(0).optional(),
+    paymentTermsDays: Joi.number().integer().min(0).optional().allow(null)
+  }).or('creditLimit', 'paymentTermsDays'),
+
+  payment: Joi.object({
+    amount: Joi.number().positive().required(),
+    method: Joi.string().required(),
+    reference: Joi.string().optional().allow(''),
+    receivedBy: Joi.string().optional(),
+    receivedAt: Joi.date().optional(),
+    allocations: Joi.array().items(
+      Joi.object({
+        saleId: Joi.string().required(),
+        amount: Joi.number().positive().required()
+      })
+    ).optional()
+  }),
+
+  statement: Joi.object({
+    asOf: Joi.date().optional(),
+    startDate: Joi.date().optional()
+  })
+};
+
+// Quote validation schemas
+export const quoteSchemas = {
+  create: Joi.object({
+    customerId: Joi.number().integer().positive().optional(),
+    customerContact: Joi.string().optional().allow(''),
+    saleItems: Joi.array().items(
+      Joi.object({
+        productId: Joi.number().integer().positive().required(),
+        productName: Joi.string().optional(),
+        category: Joi.string().optional().allow(''),
+        quantity: Joi.number().integer().positive().required()
+      })
+    ).min(1).required(),
+    couponCodes: Joi.array().items(Joi.string()).optional(),
+    validUntil: Joi.date().greater('now').optional(),
+    note: Joi.string().optional().allow(''),
+    preparedBy: Joi.string().optional().allow('')
+  }),
+
+  accept: Joi.object({
+    acceptedBy: Joi.string().optional().allow('')
+  }),
+
+  convert: Joi.object({
+    registerId: Joi.string().optional(),
+    paidAmount: Joi.number().min(0).optional(),
+    paymentMethod: Joi.string().optional().allow(''),
+    tenders: Joi.array().items(
+      Joi.object({
+        method: Joi.string().required(),
+        amount: Joi.number().positive().required(),
+        reference: Joi.string().optional().allow('')
+      })
+    ).min(1).optional(),
+    repriceChanged: Joi.boolean().default(false)
+  }).or('paidAmount', 'tenders'),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string().valid('draft', 'sent', 'accepted', 'expired', 'converted', 'all').optional(),
+    customerId: Joi.number().integer().positive().optional()
+  })
+};
+
+// Layaway validation schemas
+export const layawaySchemas = {
+  create: Joi.object({
+    customerId: Joi.number().integer().positive().optional(),
+    customerContact: Joi.string().optional().allow(''),
+    registerId: Joi.string().optional(),
+    saleItems: Joi.array().items(
+      Joi.object({
+        productId: Joi.number().integer().positive().required(),
+        productName: Joi.string().optional(),
+        category: Joi.string().optional().allow(''),
+        quantity: Joi.number().integer().positive().required()
+      })
+    ).min(1).required(),
+    deposit: Joi.object({
+      amount: Joi.number().positive().required(),
+      method: Joi.string().required(),
+      reference: Joi.string().optional().allow('')
+    }).required(),
+    schedule: Joi.array().items(
+      Joi.object({
+        dueDate: Joi.date().required(),
+        amount: Joi.number().positive().required()
+      })
+    ).optional(),
+    instalments: Joi.number().integer().min(1).optional(),
+    intervalDays: Joi.number().integer().min(1).optional(),
+    note: Joi.string().optional().allow(''),
+    createdBy: Joi.string().optional().allow('')
+  }).or('customerId', 'customerContact'),
+
+  payment: Joi.object({
+    amount: Joi.number().positive().required(),
+    method: Joi.string().required(),
+    reference: Joi.string().optional().allow(''),
+    receivedBy: Joi.string().optional(),
+    registerId: Joi.string().optional()
+  }),
+
+  cancel: Joi.object({
+    reason: Joi.string().optional().allow(''),
+    cancelledBy: Joi.string().optional(),
+    refundMethod: Joi.string().optional(),
+    waiveFee: Joi.boolean().default(false)
+  })
+};
+
+// Shift validation schemas
+export const shiftSchemas = {
+  open: Joi.object({
+    registerId: Joi.string().required(),
+    openedBy: Joi.string().required(),
+    openingFloat: Joi.number().min(0).default(0),
+    note: Joi.string().optional().allow('')
+  }),
+
+  movement: Joi.object({
+    type: Joi.string().valid('pay_in', 'pay_out').required(),
+    amount: Joi.number().positive().required(),
+    reason: Joi.string().trim().min(1).required(),
+    performedBy: Joi.string().optional()
+  }),
+
+  close: Joi.object({
+    counted: Joi.object().pattern(Joi.string(), Joi.number().min(0)).required(),
+    closedBy: Joi.string().required(),
+    note: Joi.string().optional().allow('')
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    registerId: Joi.string().optional(),
+    status: Joi.string().valid('open', 'closed', 'all').optional()
+  })
+};
+
+// End-of-day report validation schemas
+const businessDay = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/);
+
+export const reportSchemas = {
+  xReport: Joi.object({
+    businessDay: businessDay.optional()
+  }),
+
+  zReport: Joi.object({
+    registerId: Joi.string().required(),
+    businessDay: businessDay.optional(),
+    closedBy: Joi.string().required(),
+    note: Joi.string().optional().allow('')
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    registerId: Joi.string().optional(),
+    startDate: businessDay.optional(),
+    endDate: businessDay.optional()
+  })
+};
+
+// Stock movement validation schemas
+export const stockMovementSchemas = {
+  create: Joi.object({
+    type: Joi.string().valid('receipt', 'adjustment', 'transfer', 'wastage', 'count_correction').required(),
+    delta: Joi.number().invalid(0).when('type', {
+      is: 'count_correction',
+      then: Joi.forbidden(),
+      otherwise: Joi.required()
+    }),
+    countedQuantity: Joi.number().min(0).when('type', {
+      is: 'count_correction',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    locationCode: Joi.string().optional(),
+    reason: Joi.string().trim().min(1).required(),
+    reference: Joi.object({
+      type: Joi.string().required(),
+      id: Joi.string().optional(),
+      number: Joi.string().optional().allow('')
+    }).optional(),
+    performedBy: Joi.string().optional()
+  }),
+
+  reconcile: Joi.object({
+    locationCode: Joi.string().optional(),
+    reason: Joi.string().optional().allow(''),
+    performedBy: Joi.string().optional()
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    type: Joi.string().valid('sale', 'return', 'receipt', 'adjustment', 'transfer', 'wastage', 'count_correction').optional(),
+    locationCode: Joi.string().optional(),
+    startDate: Joi.string().optional(),
+    endDate: Joi.string().optional()
+  }),
+
+  valuation: Joi.object({
+    locationCode: Joi.string().optional()
+  })
+};
+
+// Lot validation schemas
+export const lotSchemas = {
+  create: Joi.object({
+    productId: Joi.number().integer().required(),
+    lotNumber: Joi.string().trim().min(1).required(),
+    expiryDate: Joi.date().optional().allow(null),
+    quantity: Joi.number().positive().required(),
+    costPrice: Joi.number().min(0).optional().allow(null),
+    supplierId: Joi.number().integer().optional().allow(null),
+    locationCode: Joi.string().optional(),
+    receivedBy: Joi.string().trim().min(1).required(),
+    receivedDate: Joi.date().optional(),
+    note: Joi.string().optional().allow('')
+  }),
+
+  recall: Joi.object({
+    reason: Joi.string().trim().min(1).required(),
+    recalledBy: Joi.string().trim().min(1).required()
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    productId: Joi.number().integer().optional(),
+    locationCode: Joi.string().optional(),
+    status: Joi.string().valid('active', 'recalled', 'written_off').optional(),
+    expiringBefore: Joi.date().optional(),
+    inStock: Joi.boolean().optional()
+  })
+};
+
+// Expiring stock and write-off validation schemas
+export const expirySchemas = {
+  query: Joi.object({
+    days: Joi.number().integer().min(0).optional(),
+    includeExpired: Joi.boolean().default(true),
+    productId: Joi.number().integer().optional(),
+    locationCode: Joi.string().optional(),
+    category: Joi.string().optional(),
+    supplierId: Joi.number().integer().optional()
+  }),
+
+  writeOff: Joi.object({
+    performedBy: Joi.string().trim().min(1).required(),
+    reason: Joi.string().optional().allow(''),
+    productId: Joi.number().integer().optional(),
+    locationCode: Joi.string().optional(),
+    category: Joi.string().optional(),
+    supplierId: Joi.number().integer().optional()
+  })
+};
+
+// Location validation schemas
+export const locationSchemas = {
+  create: Joi.object({
+    code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).required(),
+    name: Joi.string().trim().min(1).required(),
+    type: Joi.string().valid('store', 'warehouse').default('store'),
+    registerIds: Joi.array().items(Joi.string()).default([]),
+    address: Joi.string().optional().allow('')
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).optional(),
+    type: Joi.string().valid('store', 'warehouse').optional(),
+    registerIds: Joi.array().items(Joi.string()).optional(),
+    address: Joi.string().optional().allow(''),
+    status: Joi.string().valid('active', 'inactive').optional()
+  }),
+
+  query: Joi.object({
+    type: Joi.string().valid('store', 'warehouse').optional(),
+    status: Joi.string().valid('active', 'inactive').optional()
+  })
+};
+
+// Transfer validation schemas
+const transferLineSchema = Joi.object({
+  productId: Joi.number().integer().required(),
+  quantity: Joi.number().positive().required()
+});
+
+export const transferSchemas = {
+  create: Joi.object({
+    sourceLocation: Joi.string().required(),
+    destinationLocation: Joi.string().invalid(Joi.ref('sourceLocation')).required(),
+    lines: Joi.array().items(transferLineSchema).min(1).unique('productId').required(),
+    note: Joi.string().optional().allow(''),
+    createdBy: Joi.string().optional()
+  }),
+
+  update: Joi.object({
+    sourceLocation: Joi.string().optional(),
+    destinationLocation: Joi.string().optional(),
+    lines: Joi.array().items(transferLineSchema).min(1).unique('productId').optional(),
+    note: Joi.string().optional().allow('')
+  }),
+
+  dispatch: Joi.object({
+    dispatchedBy: Joi.string().trim().min(1).required()
+  }),
+
+  receive: Joi.object({
+    receivedBy: Joi.string().trim().min(1).required(),
+    lines: Joi.array().items(Joi.object({
+      productId: Joi.number().integer().required(),
+      receivedQuantity: Joi.number().min(0).required(),
+      reason: Joi.string().optional().allow('')
+    })).unique('productId').default([])
+  }),
+
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string().valid('draft', 'dispatched', 'received').optional(),
+    locationCode: Joi.string().optional(),
+    productId: Joi.number().integer().optional()
+  })
+};